@@ -0,0 +1,270 @@
+/* backend.js — talking to an Ultron backend, without the UI
+   - URLs of the backend's endpoints, the /health probe, streamed-reply parsing (SSE / NDJSON / JSON)
+     and retry timing. script.js builds sendToBackend and the health monitor on top, banner.js the
+     connection banners.
+   - No DOM and no page state: everything it needs comes in as arguments, so it runs unchanged in
+     Node 18+ (global fetch) against mock-server.js.
+   - In the page only `UltronBackend` is global; under CommonJS it is also `module.exports`:
+       const { probeBackend, readSseStream } = require('./backend.js');
+*/
+
+const UltronBackend = (() => {
+  // origin of a backend URL (relative URLs and resume_url resolve against it)
+  function backendOriginFrom(url) {
+    try {
+      const u = new URL(url);
+      return u.origin;
+    } catch (e) {
+      return globalThis.location ? globalThis.location.origin : '';
+    }
+  }
+
+  // <origin><path> of a backend URL: /health, /auth and /upload sit next to the chat endpoint
+  function endpointFor(url, path) {
+    try {
+      const u = new URL(url);
+      u.pathname = path;
+      u.search = '';
+      u.hash = '';
+      return u.toString();
+    } catch (e) {
+      return backendOriginFrom(url) + path;
+    }
+  }
+
+  function healthUrlForBackend(url) {
+    return endpointFor(url, '/health');
+  }
+
+  function authUrlForBackend(url) {
+    return endpointFor(url, '/auth');
+  }
+
+  function uploadUrlForBackend(url) {
+    return endpointFor(url, '/upload');
+  }
+
+  // an https:// page can't call an http:// backend (mixed content): the https:// URL to try instead,
+  // or null when no upgrade is needed
+  function httpsUpgradeCandidate(pageProtocol, url) {
+    if (pageProtocol !== 'https:' || !/^http:\/\//i.test(url)) return null;
+    return url.replace(/^http:\/\//i, 'https://');
+  }
+
+  // probe backend /health and return {ok:boolean, json?, status:number, latencyMs?:number, error?:string}
+  async function probeBackend(url, timeout = 3000) {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), timeout);
+    const started = performance.now();
+    try {
+      const res = await fetch(healthUrlForBackend(url), { method: 'GET', mode: 'cors', signal: controller.signal });
+      clearTimeout(id);
+      const latencyMs = Math.round(performance.now() - started);
+      if (!res.ok) {
+        const txt = await res.text().catch(() => '');
+        return { ok: false, status: res.status, latencyMs, error: txt || `status ${res.status}` };
+      }
+      const json = await res.json().catch(() => null);
+      return { ok: true, status: res.status, latencyMs, json };
+    } catch (err) {
+      clearTimeout(id);
+      // Distinguish common causes
+      if (err.name === 'AbortError') return { ok: false, error: 'timeout' };
+      return { ok: false, error: err.message || String(err) };
+    }
+  }
+
+  // Streamed replies: the backend may answer with
+  //  - text/event-stream (SSE): `data:` lines carrying plain text or JSON chunks, `data: [DONE]` to finish
+  //  - application/x-ndjson (or application/jsonl): one JSON chunk per line
+  //  - application/json: the classic single { reply, resume_url } object
+  // A JSON chunk appends `delta` / `token` / `content` (or OpenAI-style choices[0].delta.content),
+  // replaces the text with `reply`, ends the stream with `done: true` and fails with `error`.
+  // Any other fields (e.g. resume_url) are kept for the final result.
+  const STREAM_ACCEPT = "text/event-stream, application/x-ndjson, application/json;q=0.9";
+
+  function streamKindFor(res) {
+    const type = ((res.headers && res.headers.get("content-type")) || "").toLowerCase();
+    if (type.includes("text/event-stream")) return "sse";
+    if (type.includes("ndjson") || type.includes("jsonl") || type.includes("json-seq")) return "ndjson";
+    return "json";
+  }
+
+  // read a Response body chunk by chunk (falls back to one big chunk if the body isn't a stream);
+  // onActivity fires for every network chunk, keep-alives included (idle timeout)
+  async function readBodyChunks(res, onText, onActivity = () => {}) {
+    if (!res.body || !res.body.getReader) {
+      onText(await res.text());
+      return;
+    }
+    const reader = res.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      onActivity();
+      onText(decoder.decode(value, { stream: true }));
+    }
+    const tail = decoder.decode();
+    if (tail) onText(tail);
+  }
+
+  // apply one parsed chunk to the accumulating reply; returns true when the stream says it's done
+  function applyStreamChunk(state, chunk) {
+    if (chunk === null || chunk === undefined) return false;
+    if (typeof chunk === "string") {
+      state.text += chunk;
+      return false;
+    }
+    if (chunk.error) {
+      const e = new Error(`Server error: ${chunk.error}`);
+      e.body = JSON.stringify(chunk);
+      throw e;
+    }
+    const openAiDelta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+    const delta = chunk.delta ?? chunk.token ?? chunk.content ?? openAiDelta;
+    if (typeof delta === "string") state.text += delta;
+    else if (typeof chunk.reply === "string") state.text = chunk.reply;
+    else if (typeof chunk.text === "string") state.text += chunk.text;
+    for (const key of Object.keys(chunk)) {
+      if (!["delta", "token", "content", "choices", "reply", "text", "done"].includes(key)) state.extra[key] = chunk[key];
+    }
+    return chunk.done === true;
+  }
+
+  function parseChunkPayload(raw) {
+    const trimmed = raw.trim();
+    if (trimmed.startsWith("{") || trimmed.startsWith("[") || trimmed.startsWith('"')) {
+      try { return JSON.parse(trimmed); } catch (_) {}
+    }
+    return raw;
+  }
+
+  async function readSseStream(res, onDelta, onActivity) {
+    const state = { text: "", extra: {} };
+    let buffer = "";
+    let finished = false;
+
+    function handleEvent(block) {
+      let eventName = "message";
+      const dataLines = [];
+      for (const line of block.split(/\r?\n/)) {
+        if (!line || line.startsWith(":")) continue; // comment / keep-alive
+        const idx = line.indexOf(":");
+        const field = idx === -1 ? line : line.slice(0, idx);
+        let value = idx === -1 ? "" : line.slice(idx + 1);
+        if (value.startsWith(" ")) value = value.slice(1);
+        if (field === "event") eventName = value;
+        else if (field === "data") dataLines.push(value);
+      }
+      if (!dataLines.length) return;
+      const data = dataLines.join("\n");
+      if (data.trim() === "[DONE]") {
+        finished = true;
+        return;
+      }
+      if (eventName === "error") {
+        const payload = parseChunkPayload(data);
+        throw new Error(`Server error: ${payload && payload.error ? payload.error : data}`);
+      }
+      const before = state.text;
+      if (applyStreamChunk(state, parseChunkPayload(data))) finished = true;
+      if (state.text !== before) onDelta(state.text);
+    }
+
+    await readBodyChunks(res, (text) => {
+      if (finished) return;
+      buffer += text;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const block of events) {
+        if (finished) break;
+        handleEvent(block);
+      }
+    }, onActivity);
+    if (!finished && buffer.trim()) handleEvent(buffer);
+    return { ...state.extra, reply: state.text };
+  }
+
+  async function readNdjsonStream(res, onDelta, onActivity) {
+    const state = { text: "", extra: {} };
+    let buffer = "";
+    let finished = false;
+
+    function handleLine(line) {
+      if (!line.trim()) return;
+      const before = state.text;
+      if (applyStreamChunk(state, parseChunkPayload(line))) finished = true;
+      if (state.text !== before) onDelta(state.text);
+    }
+
+    await readBodyChunks(res, (text) => {
+      if (finished) return;
+      buffer += text;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (finished) break;
+        handleLine(line);
+      }
+    }, onActivity);
+    if (!finished) handleLine(buffer);
+    return { ...state.extra, reply: state.text };
+  }
+
+  // Retry timing for sendToBackend (the retry count and timeout are settings, see script.js)
+  const RETRY_BASE_MS = 800;
+  const RETRY_MAX_MS = 15000;
+  const RETRY_AFTER_CAP_MS = 60000;
+
+  function isRetryableError(err) {
+    if (!err) return false;
+    if (err.timeout) return true;
+    if (err.status) return err.status === 408 || err.status === 429 || err.status >= 500;
+    return err.name === "TypeError"; // fetch() network failure
+  }
+
+  // Retry-After: delta-seconds or an HTTP date; null when absent/unparseable
+  function retryAfterMs(value) {
+    if (!value) return null;
+    const secs = Number(value);
+    if (Number.isFinite(secs)) return Math.min(RETRY_AFTER_CAP_MS, Math.max(0, secs * 1000));
+    const at = Date.parse(value);
+    if (Number.isNaN(at)) return null;
+    return Math.min(RETRY_AFTER_CAP_MS, Math.max(0, at - Date.now()));
+  }
+
+  function backoffDelay(attempt) {
+    const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+    return Math.round(exp / 2 + Math.random() * exp / 2);
+  }
+
+  // setTimeout as a promise that rejects (AbortError) if `signal` fires first
+  function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new DOMException("Aborted", "AbortError"));
+        return;
+      }
+      const id = setTimeout(done, ms);
+      function done() {
+        if (signal) signal.removeEventListener("abort", onAbort);
+        resolve();
+      }
+      function onAbort() {
+        clearTimeout(id);
+        reject(new DOMException("Aborted", "AbortError"));
+      }
+      if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  return {
+    backendOriginFrom, endpointFor, healthUrlForBackend, authUrlForBackend, uploadUrlForBackend,
+    httpsUpgradeCandidate, probeBackend, STREAM_ACCEPT, streamKindFor, readBodyChunks,
+    applyStreamChunk, parseChunkPayload, readSseStream, readNdjsonStream, isRetryableError,
+    retryAfterMs, backoffDelay, sleep
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = UltronBackend;
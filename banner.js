@@ -0,0 +1,120 @@
+/* banner.js — the connection status banner and the messages shown in it
+   - createStatusBanner(document) manages the single #ultron-conn-banner element (styled in style.css,
+     STATUS BANNER): show an HTML message, optionally for a while, or hide it.
+   - The connection messages (mixed content, unreachable backend, retrying) are built here from a
+     translate function `t` (script.js passes its own); URLs and error details are escaped here.
+   - tryAutoUpgrade: on an https:// page, try the https:// twin of an http:// backend and report the
+     outcome in the banner.
+   - Nothing global besides `UltronBanner`; under CommonJS it is also `module.exports` (like backend.js),
+     so it runs in Node against a jsdom document and mock-server.js.
+*/
+
+const UltronBanner = (() => {
+  const backend = typeof module !== 'undefined' && module.exports ? require('./backend.js') : UltronBackend;
+
+  const BANNER_ID = 'ultron-conn-banner';
+
+  function escapeHtml(s) {
+    if (s === null || s === undefined) return '';
+    return String(s).replace(/[&<>"']/g, m => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[m]);
+  }
+
+  // the banner element is created on first use; a message shown with a timeout hides itself unless
+  // another one replaced it in the meantime
+  function createStatusBanner(doc) {
+    let hideTimer = null;
+
+    function element() {
+      let banner = doc.getElementById(BANNER_ID);
+      if (!banner) {
+        banner = doc.createElement('div');
+        banner.id = BANNER_ID;
+        banner.hidden = true;
+        doc.body.appendChild(banner);
+      }
+      return banner;
+    }
+
+    function show(html, timeoutMs = 0) {
+      const banner = element();
+      clearTimeout(hideTimer);
+      hideTimer = null;
+      banner.innerHTML = html;
+      banner.hidden = false;
+      if (timeoutMs > 0) hideTimer = setTimeout(hide, timeoutMs);
+    }
+
+    function hide() {
+      clearTimeout(hideTimer);
+      hideTimer = null;
+      const banner = doc.getElementById(BANNER_ID);
+      if (banner) banner.hidden = true;
+    }
+
+    function isShown() {
+      const banner = doc.getElementById(BANNER_ID);
+      return !!banner && !banner.hidden;
+    }
+
+    return { show, hide, isShown };
+  }
+
+  function upgradedMessage(t) {
+    return t('Connected: upgraded backend to <code>https://</code>.');
+  }
+
+  // the https:// twin didn't answer either: likely blocked as mixed content or a certificate issue
+  function upgradeFailedMessage(t, backendUrl) {
+    const health = escapeHtml(backend.healthUrlForBackend(backendUrl));
+    return t('<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).') + '<br>' +
+      t('Try one of these:') + ' <ul style="margin:6px 0 4px;padding:0;padding-inline-start:18px">' +
+      '<li>' + t('Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.', { health }) + '</li>' +
+      '<li>' + t('Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.') + '</li></ul>' +
+      t('Open the settings (⚙) to change the backend URL.');
+  }
+
+  function mixedContentMessage(t, backendUrl) {
+    return t('<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.') + '<br>' +
+      t('Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+        { health: escapeHtml(backend.healthUrlForBackend(backendUrl)) });
+  }
+
+  // what went wrong with a probeBackend() result, for the messages below
+  function probeDetails(probe) {
+    return probe.error || `status ${probe.status || 'n/a'}`;
+  }
+
+  function unreachableMessage(t, probe, backendUrl) {
+    return t('<strong>Ultron backend unreachable:</strong> {details}.', { details: escapeHtml(probeDetails(probe)) }) + '<br>' +
+      t('Check server is running and backend URL is correct. Health: <code>{health}</code>.', { health: escapeHtml(backend.healthUrlForBackend(backendUrl)) }) + '<br>' +
+      t('Open settings (⚙) to edit backend & API key.');
+  }
+
+  // the health monitor lost the backend and keeps probing
+  function retryingMessage(t, probe) {
+    return t('<strong>Ultron backend unreachable:</strong> {details}. Retrying automatically…', { details: escapeHtml(probeDetails(probe)) });
+  }
+
+  // Upgrade http -> https when the page is secure to avoid mixed content. Resolves to false when the
+  // backend can't be reached from this page (the banner explains why), true otherwise; onUpgrade gets
+  // the https:// URL that answered.
+  async function tryAutoUpgrade({ pageProtocol, backendUrl, banner, t, probe = backend.probeBackend, onUpgrade = () => {} }) {
+    const httpsCandidate = backend.httpsUpgradeCandidate(pageProtocol, backendUrl);
+    if (!httpsCandidate) return true;
+    const result = await probe(httpsCandidate, 2500);
+    if (result.ok) {
+      onUpgrade(httpsCandidate);
+      banner.show(upgradedMessage(t), 3000);
+      return true;
+    }
+    banner.show(upgradeFailedMessage(t, backendUrl));
+    return false;
+  }
+
+  return {
+    BANNER_ID, createStatusBanner, upgradedMessage, upgradeFailedMessage, mixedContentMessage,
+    unreachableMessage, retryingMessage, tryAutoUpgrade
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = UltronBanner;
@@ -0,0 +1,1374 @@
+/* i18n.js — UI languages: message catalogs, locale detection, text direction
+   - Catalogs are keyed by the English text, so a string a catalog doesn't have yet (or a locale
+     without a catalog) simply shows in English. Placeholders are {name}, filled from `vars`.
+   - Translations keep the markup and the {placeholders} of the English string; values going into
+     HTML strings are escaped by the caller.
+   - No DOM and no page state. In the page only `UltronI18n` is global; under CommonJS it is also
+     `module.exports` (like backend.js).
+
+   Adding a language: an entry in LOCALES (native name, "rtl" for right-to-left scripts) and a
+   catalog in CATALOGS with whatever has been translated so far.
+*/
+
+const UltronI18n = (() => {
+  const DEFAULT_LOCALE = 'en';
+
+  const LOCALES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    fr: { name: 'Français', dir: 'ltr' },
+    de: { name: 'Deutsch', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+  };
+
+  const CATALOGS = {
+    es: {
+      // connection banners and chat fallbacks
+      'Connected: upgraded backend to <code>https://</code>.': 'Conectado: el backend se ha cambiado a <code>https://</code>.',
+      '<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).':
+        '<strong>No se puede acceder al backend desde esta página HTTPS.</strong> El navegador puede bloquear un backend HTTP (contenido mixto).',
+      'Try one of these:': 'Prueba una de estas opciones:',
+      'Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Configura el backend con una URL <code>https://</code> (p. ej. <code>https://192.168.0.105:5001/api/chat</code>) y acepta el certificado en su <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      'Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.':
+        'O prueba en local sirviendo el frontend desde tu portátil y usando <code>http://127.0.0.1:5001/api/chat</code>.',
+      'Open the settings (⚙) to change the backend URL.': 'Abre los ajustes (⚙) para cambiar la URL del backend.',
+      '<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.':
+        '<strong>Contenido mixto detectado:</strong> esta página usa HTTPS pero tu backend usa HTTP.',
+      'Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Cambia el backend a <code>https://...:5001/api/chat</code> (con la IP de tu portátil) y acepta el certificado en su <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      '<strong>Ultron backend unreachable:</strong> {details}.': '<strong>No se puede acceder al backend de Ultron:</strong> {details}.',
+      'Check server is running and backend URL is correct. Health: <code>{health}</code>.':
+        'Comprueba que el servidor está en marcha y que la URL del backend es correcta. Estado: <code>{health}</code>.',
+      'Open settings (⚙) to edit backend & API key.': 'Abre los ajustes (⚙) para editar el backend y la clave de API.',
+      'Switched to <strong>{profile}</strong> — {primary} is unreachable.': 'Cambiado a <strong>{profile}</strong>: no se puede acceder a {primary}.',
+      'Ultron: Unable to reach backend.': 'Ultron: no se puede acceder al backend.',
+      '(Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)':
+        '(Bloqueado por el navegador: esta página usa HTTPS pero el backend usa HTTP; contenido mixto).',
+      'Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Consejo: configura el backend con una URL <code>https://</code> (p. ej. <code>https://192.168.0.105:5001/api/chat</code>) y acepta el certificado en <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      '(See console for details.)': '(Consulta la consola para más detalles).',
+      '(Request timed out — the server may be busy.)': '(La solicitud ha caducado; puede que el servidor esté ocupado).',
+      '(Check server, URL & API key).': '(Comprueba el servidor, la URL y la clave de API).',
+      'Language changed — reloading…': 'Idioma cambiado; recargando…',
+
+      // connection indicator
+      'offline': 'sin conexión',
+      'checking…': 'comprobando…',
+      'unreachable': 'inaccesible',
+      'online': 'en línea',
+      'Click to check now': 'Haz clic para comprobar ahora',
+      'Connection {status}': 'Conexión: {status}',
+
+      // chat window
+      'Type your question... (Shift+Enter for a new line, / for commands)': 'Escribe tu pregunta... (Mayús+Intro para una nueva línea, / para comandos)',
+      'Message Ultron': 'Mensaje para Ultron',
+      'Conversation': 'Conversación',
+      'Files to send': 'Archivos para enviar',
+      'Backend profile': 'Perfil de backend',
+      'New conversation': 'Nueva conversación',
+      'Send message': 'Enviar mensaje',
+      'Stop the reply (Esc)': 'Detener la respuesta (Esc)',
+      'Stop the reply': 'Detener la respuesta',
+      'Attach files (up to {count}, {size} each)': 'Adjuntar archivos (hasta {count}, {size} cada uno)',
+      'Attach files': 'Adjuntar archivos',
+      'Saved conversations': 'Conversaciones guardadas',
+      'Conversations': 'Conversaciones',
+      '＋ New': '＋ Nueva',
+      'Close conversations': 'Cerrar conversaciones',
+      'Search conversations…': 'Buscar conversaciones…',
+      'Export or import the conversation': 'Exportar o importar la conversación',
+      'Voice input is not supported in this browser': 'Este navegador no admite la entrada de voz',
+      'Hands-free mode on — click to turn off': 'Modo manos libres activado: haz clic para desactivarlo',
+      'Hands-free mode — say "{phrase}", then talk': 'Modo manos libres: di «{phrase}» y habla',
+      'Listening… release to send': 'Escuchando… suelta para enviar',
+      'Listening… click to send': 'Escuchando… haz clic para enviar',
+      'Hold to talk': 'Mantén pulsado para hablar',
+      'Click to talk': 'Haz clic para hablar',
+      'Voice input': 'Entrada de voz',
+      'Stop speaking': 'Dejar de hablar',
+
+      // keyboard shortcuts
+      'Start / stop voice input': 'Iniciar / detener la entrada de voz',
+      'Stop the reply / dictation / hands-free mode, close panels': 'Detener la respuesta / el dictado / el modo manos libres, cerrar paneles',
+
+      // settings panel
+      'Ultron settings': 'Ajustes de Ultron',
+      'Settings': 'Ajustes',
+      'Ultron — Settings': 'Ultron — Ajustes',
+      'Save': 'Guardar',
+      'Reset': 'Restablecer',
+      'Close': 'Cerrar',
+      'You can also set backend & key via URL query parameters or console.':
+        'También puedes configurar el backend y la clave con parámetros en la URL o desde la consola.',
+      'Saved ✓': 'Guardado ✓',
+      'Saved (unreachable)': 'Guardado (inaccesible)',
+      'Reset ✓': 'Restablecido ✓',
+      'Reset (unreachable)': 'Restablecido (inaccesible)',
+      'Backend profiles (top = first to fail over to)': 'Perfiles de backend (el de arriba es el primer respaldo)',
+      'Use this profile': 'Usar este perfil',
+      'Name (e.g. Laptop, LAN box, Hosted)': 'Nombre (p. ej. Portátil, Servidor LAN, Alojado)',
+      'Profile name': 'Nombre del perfil',
+      'Higher priority': 'Más prioridad',
+      'Lower priority': 'Menos prioridad',
+      'Remove profile': 'Eliminar perfil',
+      'Backend URL': 'URL del backend',
+      'Client API key (ULTRON_CLIENT_KEY_ABC)': 'Clave de API del cliente (ULTRON_CLIENT_KEY_ABC)',
+      'Client API key': 'Clave de API del cliente',
+      'Show': 'Mostrar',
+      'Hide': 'Ocultar',
+      'Authentication': 'Autenticación',
+      'Bearer header': 'Cabecera Bearer',
+      'Token exchange (/auth)': 'Intercambio de token (/auth)',
+      'Key in request body (legacy)': 'Clave en el cuerpo de la solicitud (antiguo)',
+      '+ Add profile': '+ Añadir perfil',
+      'Appearance': 'Apariencia',
+      'Language': 'Idioma',
+      'Automatic (browser language)': 'Automático (idioma del navegador)',
+      'Theme': 'Tema',
+      'Auto (system)': 'Automático (sistema)',
+      'Light': 'Claro',
+      'Dark': 'Oscuro',
+      'High contrast': 'Alto contraste',
+      'Remove custom theme': 'Eliminar tema personalizado',
+      'Custom theme (JSON)': 'Tema personalizado (JSON)',
+      'Custom theme JSON': 'JSON del tema personalizado',
+      'Add & use theme': 'Añadir y usar el tema',
+      'Colors: {keys}.': 'Colores: {keys}.',
+      'Added {themes}.': 'Añadido: {themes}.',
+      'Theme not added: {error}': 'No se ha añadido el tema: {error}',
+      'Speech recognition is not supported in this browser.': 'Este navegador no admite el reconocimiento de voz.',
+      'Recognition language': 'Idioma de reconocimiento',
+      'Mode': 'Modo',
+      'Toggle — click to start, click to send': 'Alternar: clic para empezar, clic para enviar',
+      'Push-to-talk — hold the 🎤 button': 'Pulsar para hablar: mantén pulsado el botón 🎤',
+      'Hands-free — 🎤 listens for the wake phrase': 'Manos libres: 🎤 espera la frase de activación',
+      'Wake phrase': 'Frase de activación',
+      'Pause before sending (ms)': 'Pausa antes de enviar (ms)',
+      'Speech detection sensitivity': 'Sensibilidad de detección de voz',
+      'Low — noisy room': 'Baja: sala ruidosa',
+      'Medium': 'Media',
+      'High — quiet room, soft voice': 'Alta: sala silenciosa, voz suave',
+      'Turn off after inactivity (seconds, 0 = never)': 'Desactivar tras inactividad (segundos, 0 = nunca)',
+      'Spoken replies': 'Respuestas habladas',
+      'Speech synthesis is not supported in this browser.': 'Este navegador no admite la síntesis de voz.',
+      'Read replies aloud': 'Leer las respuestas en voz alta',
+      'Voice': 'Voz',
+      'Automatic (match voice language)': 'Automática (según el idioma de voz)',
+      'Rate': 'Velocidad',
+      'Pitch': 'Tono',
+      'Test voice': 'Probar la voz',
+      'Hello, I am Ultron. This is how my replies will sound.': 'Hola, soy Ultron. Así sonarán mis respuestas.',
+      'Conversation context': 'Contexto de la conversación',
+      'Earlier turns to include (0 = none)': 'Turnos anteriores a incluir (0 = ninguno)',
+      'Token budget for context (0 = unlimited)': 'Presupuesto de tokens para el contexto (0 = ilimitado)',
+      'Network': 'Red',
+      'Request timeout (seconds, 0 = none)': 'Tiempo de espera de la solicitud (segundos, 0 = ninguno)',
+      'Retries on network errors / 429 / 5xx': 'Reintentos ante errores de red / 429 / 5xx',
+      'Remember API keys': 'Recordar las claves de API',
+      'On this device': 'En este dispositivo',
+      'For this tab session only': 'Solo durante esta sesión de la pestaña',
+      'Animation': 'Animación',
+      'Particles ({min}–{max})': 'Partículas ({min}–{max})',
+      'Orb reacts to your voice and reply audio': 'El orbe reacciona a tu voz y al audio de las respuestas',
+      'Orb reacts to audio (not supported in this browser)': 'El orbe reacciona al audio (no compatible con este navegador)',
+      'Audio reaction strength': 'Intensidad de la reacción al audio',
+      'Full': 'Completa',
+      'Reduced': 'Reducida',
+      'Reduce motion': 'Reducir el movimiento',
+      'Follow system setting': 'Según el sistema',
+      'On (still orb)': 'Activado (orbe quieto)',
+      'Off': 'Desactivado',
+      'Keyboard shortcuts': 'Atajos de teclado',
+      'Backup & sharing': 'Copia de seguridad y compartir',
+      'Include API keys in the exported file': 'Incluir las claves de API en el archivo exportado',
+      'Export JSON': 'Exportar JSON',
+      'Import JSON…': 'Importar JSON…',
+      'Copy share link': 'Copiar enlace para compartir',
+      'Link copied ✓': 'Enlace copiado ✓',
+      'Copy failed': 'No se ha podido copiar',
+      'Imported {count} settings — reloading…': 'Se han importado {count} ajustes; recargando…',
+      '<strong>Settings import failed:</strong> {error}': '<strong>No se han podido importar los ajustes:</strong> {error}',
+      'Share links carry the active backend URL and non-secret options; they apply to that visit only.':
+        'Los enlaces compartidos llevan la URL del backend activo y las opciones no secretas; solo se aplican en esa visita.',
+
+      // chat messages, statuses, uploads, commands and voice input
+      'Ultron is thinking…': 'Ultron está pensando…',
+      'Ultron: (no response)': 'Ultron: (sin respuesta)',
+      'Ultron: (stopped)': 'Ultron: (detenido)',
+      'Ultron: Something went wrong.': 'Ultron: algo ha salido mal.',
+      'Ultron: the reply was cut off (connection lost while streaming).':
+        'Ultron: la respuesta se ha cortado (se perdió la conexión durante la transmisión).',
+      '<strong>Ultron backend unreachable:</strong> {details}. Retrying automatically…':
+        '<strong>No se puede acceder al backend de Ultron:</strong> {details}. Reintentando automáticamente…',
+      '<strong>Offline:</strong> files can\'t be sent until the backend is reachable again.':
+        '<strong>Sin conexión:</strong> no se pueden enviar archivos hasta que el backend vuelva a estar accesible.',
+      '<strong>You\'re offline.</strong> Messages will be queued and sent when the connection returns.':
+        '<strong>No tienes conexión.</strong> Los mensajes se guardarán en cola y se enviarán cuando vuelva la conexión.',
+      'Retrying ({attempt}/{max}) in {seconds}s…': 'Reintentando ({attempt}/{max}) en {seconds} s…',
+      'Reply stopped.': 'Respuesta detenida.',
+      'Not sent.': 'No enviado.',
+      'Retry': 'Reintentar',
+      'Queued — will send when you\'re back online.': 'En cola: se enviará cuando vuelvas a tener conexión.',
+      'Queued — will send when the backend is reachable.': 'En cola: se enviará cuando el backend esté accesible.',
+      'Copy': 'Copiar',
+      'Copied.': 'Copiado.',
+      'Copy failed.': 'No se ha podido copiar.',
+      'Edit and resend': 'Editar y reenviar',
+      'Regenerate reply': 'Volver a generar la respuesta',
+      'Edit message': 'Editar mensaje',
+      'Cancel': 'Cancelar',
+      'Send': 'Enviar',
+      'Download resume': 'Descargar currículum',
+      'this file type isn\'t supported (images, PDF, text, Markdown, CSV or JSON)':
+        'este tipo de archivo no es compatible (imágenes, PDF, texto, Markdown, CSV o JSON)',
+      'it is larger than {size}': 'ocupa más de {size}',
+      'the file is empty': 'el archivo está vacío',
+      'at most {count} files per message': 'como máximo {count} archivos por mensaje',
+      '<strong>Can\'t attach:</strong> {problems}': '<strong>No se puede adjuntar:</strong> {problems}',
+      'Remove {name}': 'Quitar {name}',
+      'the server says the file is too large': 'el servidor indica que el archivo es demasiado grande',
+      'the server didn\'t return a file reference': 'el servidor no ha devuelto ninguna referencia al archivo',
+      'network error': 'error de red',
+      'timed out': 'se agotó el tiempo de espera',
+      '<strong>Upload failed:</strong> {error}': '<strong>No se ha podido subir:</strong> {error}',
+      'Upload cancelled.': 'Subida cancelada.',
+      'Upload failed.': 'No se ha podido subir.',
+      'Rename': 'Cambiar nombre',
+      'Rename "{title}"': 'Cambiar el nombre de «{title}»',
+      'Delete': 'Eliminar',
+      'Delete "{title}"': 'Eliminar «{title}»',
+      'Delete "{title}"? This can\'t be undone.': '¿Eliminar «{title}»? No se puede deshacer.',
+      'Opened "{title}".': 'Se ha abierto «{title}».',
+      '<strong>Conversation import failed:</strong> {error}':
+        '<strong>No se ha podido importar la conversación:</strong> {error}',
+      'Commands': 'Comandos',
+      'Unknown command `/{name}`. Type `/help` for the list (or `//{name}` to send it as a message).':
+        'Comando desconocido `/{name}`. Escribe `/help` para ver la lista (o `//{name}` para enviarlo como mensaje).',
+      '`/{name}` failed: {error}': '`/{name}` ha fallado: {error}',
+      'Start a message with `//` to send a line beginning with `/` to Ultron.':
+        'Empieza un mensaje con `//` para enviar a Ultron una línea que empiece por `/`.',
+      'List the commands': 'Mostrar los comandos',
+      'Start a new conversation (the current one stays in history)':
+        'Empezar una conversación nueva (la actual se queda en el historial)',
+      'Delete the current conversation from history (asks first)':
+        'Eliminar la conversación actual del historial (pide confirmación)',
+      'Kept the conversation.': 'Se ha conservado la conversación.',
+      'Download the conversation as Markdown or JSON, or print it':
+        'Descargar la conversación en Markdown o JSON, o imprimirla',
+      'Nothing to export yet.': 'Todavía no hay nada que exportar.',
+      'Unknown format `{format}` — use `md`, `json` or `print`.':
+        'Formato desconocido `{format}`: usa `md`, `json` o `print`.',
+      'Show the backend, switch to a profile or point the active profile at a URL':
+        'Mostrar el backend, cambiar de perfil o apuntar el perfil activo a una URL',
+      'Backend: **{profile}** — `{url}`': 'Backend: **{profile}** — `{url}`',
+      'Backend: **{profile}** — `{url}` (reachable)': 'Backend: **{profile}** — `{url}` (accesible)',
+      'Backend: **{profile}** — `{url}` (not reachable)': 'Backend: **{profile}** — `{url}` (no accesible)',
+      'Other profiles: {profiles}': 'Otros perfiles: {profiles}',
+      '`{value}` is neither a profile nor a URL.': '`{value}` no es ni un perfil ni una URL.',
+      'Backend URLs must start with `http://` or `https://`.':
+        'Las URL del backend deben empezar por `http://` o `https://`.',
+      'Check the backend\'s /health now': 'Comprobar ahora el /health del backend',
+      '✓ **Healthy** — {ms} ms (`{url}`)': '✓ **Operativo** — {ms} ms (`{url}`)',
+      '⚠ **Unreachable** — {error}': '⚠ **No accesible** — {error}',
+      '⚠ **Unreachable** — {error} after {ms} ms': '⚠ **No accesible** — {error} tras {ms} ms',
+      'Turn spoken replies on or off': 'Activar o desactivar las respuestas habladas',
+      'Spoken replies are **on**. Use `/voice on` or `/voice off`.':
+        'Las respuestas habladas están **activadas**. Usa `/voice on` o `/voice off`.',
+      'Spoken replies are **off**. Use `/voice on` or `/voice off`.':
+        'Las respuestas habladas están **desactivadas**. Usa `/voice on` o `/voice off`.',
+      'This browser can\'t speak replies.': 'Este navegador no puede leer las respuestas en voz alta.',
+      'Spoken replies on.': 'Respuestas habladas activadas.',
+      'Spoken replies off.': 'Respuestas habladas desactivadas.',
+      '<strong>Voice input isn\'t available in this browser.</strong>':
+        '<strong>La entrada de voz no está disponible en este navegador.</strong>',
+      'Microphone access needs a secure page — open the app over <code>https://</code> or from <code>localhost</code>.':
+        'El acceso al micrófono requiere una página segura: abre la aplicación con <code>https://</code> o desde <code>localhost</code>.',
+      'Speech recognition works in Chrome, Edge and Safari. You can still type your question below.':
+        'El reconocimiento de voz funciona en Chrome, Edge y Safari. Puedes seguir escribiendo tu pregunta abajo.',
+      '<strong>Microphone access was blocked.</strong> Allow the microphone for this site in your browser settings and try again.':
+        '<strong>Se ha bloqueado el acceso al micrófono.</strong> Permite el micrófono para este sitio en los ajustes del navegador y vuelve a intentarlo.',
+      '<strong>No microphone found.</strong> Connect a microphone and try again.':
+        '<strong>No se ha encontrado ningún micrófono.</strong> Conecta uno y vuelve a intentarlo.',
+      '<strong>Speech recognition needs a network connection.</strong> Check your connection or type your question instead.':
+        '<strong>El reconocimiento de voz necesita conexión a la red.</strong> Comprueba tu conexión o escribe tu pregunta.',
+      '<strong>Voice language not supported:</strong> <code>{lang}</code>. Pick another language in settings (⚙).':
+        '<strong>Idioma de voz no compatible:</strong> <code>{lang}</code>. Elige otro idioma en los ajustes (⚙).',
+      'Didn\'t catch that — try speaking a little closer to the microphone.':
+        'No se ha entendido: prueba a hablar un poco más cerca del micrófono.',
+      'Voice input stopped unexpectedly ({error}).':
+        'La entrada de voz se ha detenido de forma inesperada ({error}).',
+      'Listening.': 'Escuchando.',
+      '<strong>Hands-free mode stopped:</strong> speech recognition keeps ending. Check the microphone and try again.':
+        '<strong>Se ha detenido el modo manos libres:</strong> el reconocimiento de voz se interrumpe una y otra vez. Comprueba el micrófono y vuelve a intentarlo.',
+      'Hands-free mode switched off after {minutes} min without a conversation.':
+        'El modo manos libres se ha desactivado tras {minutes} min sin conversación.',
+      'Hands-free mode switched off after {seconds} s without a conversation.':
+        'El modo manos libres se ha desactivado tras {seconds} s sin conversación.',
+      'Hands-free mode off.': 'Modo manos libres desactivado.',
+      'Hands-free mode on. Say "{phrase}" and then your question.':
+        'Modo manos libres activado. Di «{phrase}» y luego tu pregunta.',
+
+      // diagnostics
+      'Diagnostics': 'Diagnóstico',
+      'Record diagnostics on this device': 'Registrar el diagnóstico en este dispositivo',
+      'Send diagnostics to (optional)': 'Enviar el diagnóstico a (opcional)',
+      'Request timings, status codes, health checks and frame rate only: never message text, attachments or API keys.':
+        'Solo tiempos de las peticiones, códigos de estado, comprobaciones de estado y velocidad de fotogramas: nunca el texto de los mensajes, los adjuntos ni las claves de API.',
+      'Batches are sent to {url}.': 'Los lotes se envían a {url}.',
+      'Diagnostics stay on this device.': 'El diagnóstico se queda en este dispositivo.',
+      'Endpoint not saved: {error}': 'No se ha guardado el destino: {error}',
+      'not a valid URL': 'no es una URL válida',
+      'use an http:// or https:// URL': 'usa una URL http:// o https://',
+      'Open diagnostics': 'Abrir el diagnóstico',
+      'Close diagnostics': 'Cerrar el diagnóstico',
+      'Send now': 'Enviar ahora',
+      'Clear log': 'Borrar el registro',
+      'Nothing recorded yet.': 'Todavía no hay nada registrado.',
+      'Recording': 'Registro',
+      'on': 'activado',
+      'off': 'desactivado',
+      'Requests': 'Peticiones',
+      '{count} failed': '{count} fallidas',
+      'Time to first byte (median / p95)': 'Tiempo hasta el primer byte (mediana / p95)',
+      'Total time (median / p95)': 'Tiempo total (mediana / p95)',
+      'Retries / failovers': 'Reintentos / conmutaciones',
+      'Frame rate': 'Fotogramas por segundo',
+      '{count} particles': '{count} partículas',
+      'Uploads': 'Envíos',
+      '{count} waiting · last: {result}': '{count} pendientes · último: {result}',
+      'Recent requests': 'Peticiones recientes',
+      'Time': 'Hora',
+      'Profile': 'Perfil',
+      'Status': 'Estado',
+      'Total': 'Total',
+      'Retries': 'Reintentos',
+      'Result': 'Resultado',
+      'Health checks': 'Comprobaciones de estado',
+      'Backend': 'Backend',
+      'Latency': 'Latencia',
+      'Render': 'Renderizado',
+      'Particles': 'Partículas'
+    },
+
+    fr: {
+      // connection banners and chat fallbacks
+      'Connected: upgraded backend to <code>https://</code>.': 'Connecté : le backend est passé en <code>https://</code>.',
+      '<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).':
+        '<strong>Backend injoignable depuis cette page HTTPS.</strong> Le navigateur peut bloquer un backend HTTP (contenu mixte).',
+      'Try one of these:': 'Essayez l’une de ces solutions :',
+      'Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Utilisez une URL <code>https://</code> pour le backend (par ex. <code>https://192.168.0.105:5001/api/chat</code>) et acceptez le certificat sur son <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      'Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.':
+        'Ou testez en local en servant le frontend depuis votre ordinateur avec <code>http://127.0.0.1:5001/api/chat</code>.',
+      'Open the settings (⚙) to change the backend URL.': 'Ouvrez les paramètres (⚙) pour changer l’URL du backend.',
+      '<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.':
+        '<strong>Contenu mixte détecté :</strong> cette page est en HTTPS mais votre backend est en HTTP.',
+      'Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Passez le backend en <code>https://...:5001/api/chat</code> (avec l’IP de votre ordinateur) et acceptez le certificat sur son <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      '<strong>Ultron backend unreachable:</strong> {details}.': '<strong>Backend Ultron injoignable :</strong> {details}.',
+      'Check server is running and backend URL is correct. Health: <code>{health}</code>.':
+        'Vérifiez que le serveur tourne et que l’URL du backend est correcte. État : <code>{health}</code>.',
+      'Open settings (⚙) to edit backend & API key.': 'Ouvrez les paramètres (⚙) pour modifier le backend et la clé d’API.',
+      'Switched to <strong>{profile}</strong> — {primary} is unreachable.': 'Bascule sur <strong>{profile}</strong> : {primary} est injoignable.',
+      'Ultron: Unable to reach backend.': 'Ultron : impossible de joindre le backend.',
+      '(Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)':
+        '(Bloqué par le navigateur : cette page est en HTTPS mais le backend est en HTTP — contenu mixte.)',
+      'Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Astuce : utilisez une URL <code>https://</code> pour le backend (par ex. <code>https://192.168.0.105:5001/api/chat</code>) et acceptez le certificat sur <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      '(See console for details.)': '(Détails dans la console.)',
+      '(Request timed out — the server may be busy.)': '(Délai de la requête dépassé — le serveur est peut-être occupé.)',
+      '(Check server, URL & API key).': '(Vérifiez le serveur, l’URL et la clé d’API.)',
+      'Language changed — reloading…': 'Langue modifiée — rechargement…',
+
+      // connection indicator
+      'offline': 'hors ligne',
+      'checking…': 'vérification…',
+      'unreachable': 'injoignable',
+      'online': 'en ligne',
+      'Click to check now': 'Cliquez pour vérifier maintenant',
+      'Connection {status}': 'Connexion : {status}',
+
+      // chat window
+      'Type your question... (Shift+Enter for a new line, / for commands)': 'Posez votre question... (Maj+Entrée pour une nouvelle ligne, / pour les commandes)',
+      'Message Ultron': 'Message à Ultron',
+      'Conversation': 'Conversation',
+      'Files to send': 'Fichiers à envoyer',
+      'Backend profile': 'Profil de backend',
+      'New conversation': 'Nouvelle conversation',
+      'Send message': 'Envoyer le message',
+      'Stop the reply (Esc)': 'Arrêter la réponse (Échap)',
+      'Stop the reply': 'Arrêter la réponse',
+      'Attach files (up to {count}, {size} each)': 'Joindre des fichiers (jusqu’à {count}, {size} chacun)',
+      'Attach files': 'Joindre des fichiers',
+      'Saved conversations': 'Conversations enregistrées',
+      'Conversations': 'Conversations',
+      '＋ New': '＋ Nouvelle',
+      'Close conversations': 'Fermer les conversations',
+      'Search conversations…': 'Rechercher dans les conversations…',
+      'Export or import the conversation': 'Exporter ou importer la conversation',
+      'Voice input is not supported in this browser': 'La saisie vocale n’est pas prise en charge par ce navigateur',
+      'Hands-free mode on — click to turn off': 'Mode mains libres activé — cliquez pour le désactiver',
+      'Hands-free mode — say "{phrase}", then talk': 'Mode mains libres — dites « {phrase} », puis parlez',
+      'Listening… release to send': 'Écoute… relâchez pour envoyer',
+      'Listening… click to send': 'Écoute… cliquez pour envoyer',
+      'Hold to talk': 'Maintenez pour parler',
+      'Click to talk': 'Cliquez pour parler',
+      'Voice input': 'Saisie vocale',
+      'Stop speaking': 'Arrêter la lecture',
+
+      // keyboard shortcuts
+      'Start / stop voice input': 'Démarrer / arrêter la saisie vocale',
+      'Stop the reply / dictation / hands-free mode, close panels': 'Arrêter la réponse / la dictée / le mode mains libres, fermer les panneaux',
+
+      // settings panel
+      'Ultron settings': 'Paramètres d’Ultron',
+      'Settings': 'Paramètres',
+      'Ultron — Settings': 'Ultron — Paramètres',
+      'Save': 'Enregistrer',
+      'Reset': 'Réinitialiser',
+      'Close': 'Fermer',
+      'You can also set backend & key via URL query parameters or console.':
+        'Vous pouvez aussi définir le backend et la clé via les paramètres de l’URL ou la console.',
+      'Saved ✓': 'Enregistré ✓',
+      'Saved (unreachable)': 'Enregistré (injoignable)',
+      'Reset ✓': 'Réinitialisé ✓',
+      'Reset (unreachable)': 'Réinitialisé (injoignable)',
+      'Backend profiles (top = first to fail over to)': 'Profils de backend (le premier sert de premier secours)',
+      'Use this profile': 'Utiliser ce profil',
+      'Name (e.g. Laptop, LAN box, Hosted)': 'Nom (par ex. Portable, Serveur local, Hébergé)',
+      'Profile name': 'Nom du profil',
+      'Higher priority': 'Priorité plus haute',
+      'Lower priority': 'Priorité plus basse',
+      'Remove profile': 'Supprimer le profil',
+      'Backend URL': 'URL du backend',
+      'Client API key (ULTRON_CLIENT_KEY_ABC)': 'Clé d’API client (ULTRON_CLIENT_KEY_ABC)',
+      'Client API key': 'Clé d’API client',
+      'Show': 'Afficher',
+      'Hide': 'Masquer',
+      'Authentication': 'Authentification',
+      'Bearer header': 'En-tête Bearer',
+      'Token exchange (/auth)': 'Échange de jeton (/auth)',
+      'Key in request body (legacy)': 'Clé dans le corps de la requête (ancien)',
+      '+ Add profile': '+ Ajouter un profil',
+      'Appearance': 'Apparence',
+      'Language': 'Langue',
+      'Automatic (browser language)': 'Automatique (langue du navigateur)',
+      'Theme': 'Thème',
+      'Auto (system)': 'Automatique (système)',
+      'Light': 'Clair',
+      'Dark': 'Sombre',
+      'High contrast': 'Contraste élevé',
+      'Remove custom theme': 'Supprimer le thème personnalisé',
+      'Custom theme (JSON)': 'Thème personnalisé (JSON)',
+      'Custom theme JSON': 'JSON du thème personnalisé',
+      'Add & use theme': 'Ajouter et utiliser le thème',
+      'Colors: {keys}.': 'Couleurs : {keys}.',
+      'Added {themes}.': 'Ajouté : {themes}.',
+      'Theme not added: {error}': 'Thème non ajouté : {error}',
+      'Speech recognition is not supported in this browser.': 'La reconnaissance vocale n’est pas prise en charge par ce navigateur.',
+      'Recognition language': 'Langue de reconnaissance',
+      'Mode': 'Mode',
+      'Toggle — click to start, click to send': 'Bascule — cliquez pour démarrer, cliquez pour envoyer',
+      'Push-to-talk — hold the 🎤 button': 'Appuyer pour parler — maintenez le bouton 🎤',
+      'Hands-free — 🎤 listens for the wake phrase': 'Mains libres — 🎤 attend la phrase d’activation',
+      'Wake phrase': 'Phrase d’activation',
+      'Pause before sending (ms)': 'Pause avant l’envoi (ms)',
+      'Speech detection sensitivity': 'Sensibilité de détection de la voix',
+      'Low — noisy room': 'Faible — pièce bruyante',
+      'Medium': 'Moyenne',
+      'High — quiet room, soft voice': 'Élevée — pièce calme, voix douce',
+      'Turn off after inactivity (seconds, 0 = never)': 'Désactiver après inactivité (secondes, 0 = jamais)',
+      'Spoken replies': 'Réponses parlées',
+      'Speech synthesis is not supported in this browser.': 'La synthèse vocale n’est pas prise en charge par ce navigateur.',
+      'Read replies aloud': 'Lire les réponses à voix haute',
+      'Voice': 'Voix',
+      'Automatic (match voice language)': 'Automatique (selon la langue de la voix)',
+      'Rate': 'Débit',
+      'Pitch': 'Hauteur',
+      'Test voice': 'Tester la voix',
+      'Hello, I am Ultron. This is how my replies will sound.': 'Bonjour, je suis Ultron. Voici comment mes réponses vont sonner.',
+      'Conversation context': 'Contexte de la conversation',
+      'Earlier turns to include (0 = none)': 'Échanges précédents à inclure (0 = aucun)',
+      'Token budget for context (0 = unlimited)': 'Budget de jetons pour le contexte (0 = illimité)',
+      'Network': 'Réseau',
+      'Request timeout (seconds, 0 = none)': 'Délai d’attente des requêtes (secondes, 0 = aucun)',
+      'Retries on network errors / 429 / 5xx': 'Nouvelles tentatives sur erreurs réseau / 429 / 5xx',
+      'Remember API keys': 'Mémoriser les clés d’API',
+      'On this device': 'Sur cet appareil',
+      'For this tab session only': 'Pour cette session d’onglet uniquement',
+      'Animation': 'Animation',
+      'Particles ({min}–{max})': 'Particules ({min}–{max})',
+      'Orb reacts to your voice and reply audio': 'L’orbe réagit à votre voix et à l’audio des réponses',
+      'Orb reacts to audio (not supported in this browser)': 'L’orbe réagit à l’audio (non pris en charge par ce navigateur)',
+      'Audio reaction strength': 'Intensité de la réaction à l’audio',
+      'Full': 'Complète',
+      'Reduced': 'Réduite',
+      'Reduce motion': 'Réduire les animations',
+      'Follow system setting': 'Suivre le réglage du système',
+      'On (still orb)': 'Activé (orbe immobile)',
+      'Off': 'Désactivé',
+      'Keyboard shortcuts': 'Raccourcis clavier',
+      'Backup & sharing': 'Sauvegarde et partage',
+      'Include API keys in the exported file': 'Inclure les clés d’API dans le fichier exporté',
+      'Export JSON': 'Exporter en JSON',
+      'Import JSON…': 'Importer un JSON…',
+      'Copy share link': 'Copier le lien de partage',
+      'Link copied ✓': 'Lien copié ✓',
+      'Copy failed': 'Échec de la copie',
+      'Imported {count} settings — reloading…': '{count} paramètres importés — rechargement…',
+      '<strong>Settings import failed:</strong> {error}': '<strong>Échec de l’import des paramètres :</strong> {error}',
+      'Share links carry the active backend URL and non-secret options; they apply to that visit only.':
+        'Les liens de partage contiennent l’URL du backend actif et les options non secrètes ; ils ne valent que pour cette visite.',
+
+      // chat messages, statuses, uploads, commands and voice input
+      'Ultron is thinking…': 'Ultron réfléchit…',
+      'Ultron: (no response)': 'Ultron : (pas de réponse)',
+      'Ultron: (stopped)': 'Ultron : (arrêté)',
+      'Ultron: Something went wrong.': 'Ultron : une erreur s’est produite.',
+      'Ultron: the reply was cut off (connection lost while streaming).':
+        'Ultron : la réponse a été interrompue (connexion perdue pendant la diffusion).',
+      '<strong>Ultron backend unreachable:</strong> {details}. Retrying automatically…':
+        '<strong>Backend Ultron injoignable :</strong> {details}. Nouvelle tentative automatique…',
+      '<strong>Offline:</strong> files can\'t be sent until the backend is reachable again.':
+        '<strong>Hors ligne :</strong> impossible d’envoyer des fichiers tant que le backend est injoignable.',
+      '<strong>You\'re offline.</strong> Messages will be queued and sent when the connection returns.':
+        '<strong>Vous êtes hors ligne.</strong> Les messages seront mis en file d’attente et envoyés au retour de la connexion.',
+      'Retrying ({attempt}/{max}) in {seconds}s…': 'Nouvelle tentative ({attempt}/{max}) dans {seconds} s…',
+      'Reply stopped.': 'Réponse arrêtée.',
+      'Not sent.': 'Non envoyé.',
+      'Retry': 'Réessayer',
+      'Queued — will send when you\'re back online.': 'En attente : sera envoyé à votre retour en ligne.',
+      'Queued — will send when the backend is reachable.':
+        'En attente : sera envoyé quand le backend sera joignable.',
+      'Copy': 'Copier',
+      'Copied.': 'Copié.',
+      'Copy failed.': 'La copie a échoué.',
+      'Edit and resend': 'Modifier et renvoyer',
+      'Regenerate reply': 'Régénérer la réponse',
+      'Edit message': 'Modifier le message',
+      'Cancel': 'Annuler',
+      'Send': 'Envoyer',
+      'Download resume': 'Télécharger le CV',
+      'this file type isn\'t supported (images, PDF, text, Markdown, CSV or JSON)':
+        'ce type de fichier n’est pas pris en charge (images, PDF, texte, Markdown, CSV ou JSON)',
+      'it is larger than {size}': 'il dépasse {size}',
+      'the file is empty': 'le fichier est vide',
+      'at most {count} files per message': '{count} fichiers maximum par message',
+      '<strong>Can\'t attach:</strong> {problems}': '<strong>Impossible de joindre :</strong> {problems}',
+      'Remove {name}': 'Retirer {name}',
+      'the server says the file is too large': 'le serveur indique que le fichier est trop volumineux',
+      'the server didn\'t return a file reference': 'le serveur n’a pas renvoyé de référence de fichier',
+      'network error': 'erreur réseau',
+      'timed out': 'délai dépassé',
+      '<strong>Upload failed:</strong> {error}': '<strong>Échec de l’envoi :</strong> {error}',
+      'Upload cancelled.': 'Envoi annulé.',
+      'Upload failed.': 'Échec de l’envoi.',
+      'Rename': 'Renommer',
+      'Rename "{title}"': 'Renommer « {title} »',
+      'Delete': 'Supprimer',
+      'Delete "{title}"': 'Supprimer « {title} »',
+      'Delete "{title}"? This can\'t be undone.': 'Supprimer « {title} » ? Cette action est irréversible.',
+      'Opened "{title}".': '« {title} » ouvert.',
+      '<strong>Conversation import failed:</strong> {error}':
+        '<strong>Échec de l’importation de la conversation :</strong> {error}',
+      'Commands': 'Commandes',
+      'Unknown command `/{name}`. Type `/help` for the list (or `//{name}` to send it as a message).':
+        'Commande inconnue `/{name}`. Tapez `/help` pour la liste (ou `//{name}` pour l’envoyer comme message).',
+      '`/{name}` failed: {error}': '`/{name}` a échoué : {error}',
+      'Start a message with `//` to send a line beginning with `/` to Ultron.':
+        'Commencez un message par `//` pour envoyer à Ultron une ligne commençant par `/`.',
+      'List the commands': 'Lister les commandes',
+      'Start a new conversation (the current one stays in history)':
+        'Démarrer une nouvelle conversation (l’actuelle reste dans l’historique)',
+      'Delete the current conversation from history (asks first)':
+        'Supprimer la conversation actuelle de l’historique (avec confirmation)',
+      'Kept the conversation.': 'Conversation conservée.',
+      'Download the conversation as Markdown or JSON, or print it':
+        'Télécharger la conversation en Markdown ou JSON, ou l’imprimer',
+      'Nothing to export yet.': 'Rien à exporter pour l’instant.',
+      'Unknown format `{format}` — use `md`, `json` or `print`.':
+        'Format inconnu `{format}` — utilisez `md`, `json` ou `print`.',
+      'Show the backend, switch to a profile or point the active profile at a URL':
+        'Afficher le backend, changer de profil ou faire pointer le profil actif vers une URL',
+      'Backend: **{profile}** — `{url}`': 'Backend : **{profile}** — `{url}`',
+      'Backend: **{profile}** — `{url}` (reachable)': 'Backend : **{profile}** — `{url}` (joignable)',
+      'Backend: **{profile}** — `{url}` (not reachable)': 'Backend : **{profile}** — `{url}` (injoignable)',
+      'Other profiles: {profiles}': 'Autres profils : {profiles}',
+      '`{value}` is neither a profile nor a URL.': '`{value}` n’est ni un profil ni une URL.',
+      'Backend URLs must start with `http://` or `https://`.':
+        'Les URL du backend doivent commencer par `http://` ou `https://`.',
+      'Check the backend\'s /health now': 'Vérifier maintenant le /health du backend',
+      '✓ **Healthy** — {ms} ms (`{url}`)': '✓ **Opérationnel** — {ms} ms (`{url}`)',
+      '⚠ **Unreachable** — {error}': '⚠ **Injoignable** — {error}',
+      '⚠ **Unreachable** — {error} after {ms} ms': '⚠ **Injoignable** — {error} après {ms} ms',
+      'Turn spoken replies on or off': 'Activer ou désactiver les réponses vocales',
+      'Spoken replies are **on**. Use `/voice on` or `/voice off`.':
+        'Les réponses vocales sont **activées**. Utilisez `/voice on` ou `/voice off`.',
+      'Spoken replies are **off**. Use `/voice on` or `/voice off`.':
+        'Les réponses vocales sont **désactivées**. Utilisez `/voice on` ou `/voice off`.',
+      'This browser can\'t speak replies.': 'Ce navigateur ne peut pas lire les réponses à voix haute.',
+      'Spoken replies on.': 'Réponses vocales activées.',
+      'Spoken replies off.': 'Réponses vocales désactivées.',
+      '<strong>Voice input isn\'t available in this browser.</strong>':
+        '<strong>La saisie vocale n’est pas disponible dans ce navigateur.</strong>',
+      'Microphone access needs a secure page — open the app over <code>https://</code> or from <code>localhost</code>.':
+        'L’accès au micro nécessite une page sécurisée — ouvrez l’application en <code>https://</code> ou depuis <code>localhost</code>.',
+      'Speech recognition works in Chrome, Edge and Safari. You can still type your question below.':
+        'La reconnaissance vocale fonctionne dans Chrome, Edge et Safari. Vous pouvez toujours taper votre question ci-dessous.',
+      '<strong>Microphone access was blocked.</strong> Allow the microphone for this site in your browser settings and try again.':
+        '<strong>L’accès au micro a été bloqué.</strong> Autorisez le micro pour ce site dans les paramètres du navigateur, puis réessayez.',
+      '<strong>No microphone found.</strong> Connect a microphone and try again.':
+        '<strong>Aucun micro détecté.</strong> Branchez un micro et réessayez.',
+      '<strong>Speech recognition needs a network connection.</strong> Check your connection or type your question instead.':
+        '<strong>La reconnaissance vocale nécessite une connexion réseau.</strong> Vérifiez votre connexion ou tapez votre question.',
+      '<strong>Voice language not supported:</strong> <code>{lang}</code>. Pick another language in settings (⚙).':
+        '<strong>Langue vocale non prise en charge :</strong> <code>{lang}</code>. Choisissez une autre langue dans les paramètres (⚙).',
+      'Didn\'t catch that — try speaking a little closer to the microphone.':
+        'Je n’ai pas compris — essayez de parler un peu plus près du micro.',
+      'Voice input stopped unexpectedly ({error}).':
+        'La saisie vocale s’est arrêtée de manière inattendue ({error}).',
+      'Listening.': 'J’écoute.',
+      '<strong>Hands-free mode stopped:</strong> speech recognition keeps ending. Check the microphone and try again.':
+        '<strong>Mode mains libres arrêté :</strong> la reconnaissance vocale s’interrompt sans cesse. Vérifiez le micro et réessayez.',
+      'Hands-free mode switched off after {minutes} min without a conversation.':
+        'Mode mains libres désactivé après {minutes} min sans conversation.',
+      'Hands-free mode switched off after {seconds} s without a conversation.':
+        'Mode mains libres désactivé après {seconds} s sans conversation.',
+      'Hands-free mode off.': 'Mode mains libres désactivé.',
+      'Hands-free mode on. Say "{phrase}" and then your question.':
+        'Mode mains libres activé. Dites « {phrase} » puis votre question.',
+
+      // diagnostics
+      'Diagnostics': 'Diagnostics',
+      'Record diagnostics on this device': 'Enregistrer les diagnostics sur cet appareil',
+      'Send diagnostics to (optional)': 'Envoyer les diagnostics à (facultatif)',
+      'Request timings, status codes, health checks and frame rate only: never message text, attachments or API keys.':
+        'Uniquement les temps des requêtes, les codes de statut, les vérifications de santé et la fréquence d’images : jamais le texte des messages, les pièces jointes ni les clés d’API.',
+      'Batches are sent to {url}.': 'Les lots sont envoyés à {url}.',
+      'Diagnostics stay on this device.': 'Les diagnostics restent sur cet appareil.',
+      'Endpoint not saved: {error}': 'Destination non enregistrée : {error}',
+      'not a valid URL': 'URL non valide',
+      'use an http:// or https:// URL': 'utilisez une URL http:// ou https://',
+      'Open diagnostics': 'Ouvrir les diagnostics',
+      'Close diagnostics': 'Fermer les diagnostics',
+      'Send now': 'Envoyer maintenant',
+      'Clear log': 'Vider le journal',
+      'Nothing recorded yet.': 'Rien n’a encore été enregistré.',
+      'Recording': 'Enregistrement',
+      'on': 'activé',
+      'off': 'désactivé',
+      'Requests': 'Requêtes',
+      '{count} failed': '{count} en échec',
+      'Time to first byte (median / p95)': 'Temps jusqu’au premier octet (médiane / p95)',
+      'Total time (median / p95)': 'Temps total (médiane / p95)',
+      'Retries / failovers': 'Nouvelles tentatives / basculements',
+      'Frame rate': 'Fréquence d’images',
+      '{count} particles': '{count} particules',
+      'Uploads': 'Envois',
+      '{count} waiting · last: {result}': '{count} en attente · dernier : {result}',
+      'Recent requests': 'Requêtes récentes',
+      'Time': 'Heure',
+      'Profile': 'Profil',
+      'Status': 'Statut',
+      'Total': 'Total',
+      'Retries': 'Tentatives',
+      'Result': 'Résultat',
+      'Health checks': 'Vérifications de santé',
+      'Backend': 'Backend',
+      'Latency': 'Latence',
+      'Render': 'Rendu',
+      'Particles': 'Particules'
+    },
+
+    de: {
+      // connection banners and chat fallbacks
+      'Connected: upgraded backend to <code>https://</code>.': 'Verbunden: Backend auf <code>https://</code> umgestellt.',
+      '<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).':
+        '<strong>Backend von dieser HTTPS-Seite aus nicht erreichbar.</strong> Der Browser blockiert womöglich ein HTTP-Backend (gemischte Inhalte).',
+      'Try one of these:': 'Eine dieser Möglichkeiten ausprobieren:',
+      'Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Eine <code>https://</code>-URL als Backend eintragen (z. B. <code>https://192.168.0.105:5001/api/chat</code>) und das Zertifikat unter <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a> akzeptieren.',
+      'Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.':
+        'Oder lokal testen: das Frontend auf dem Laptop ausliefern und <code>http://127.0.0.1:5001/api/chat</code> verwenden.',
+      'Open the settings (⚙) to change the backend URL.': 'In den Einstellungen (⚙) lässt sich die Backend-URL ändern.',
+      '<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.':
+        '<strong>Gemischte Inhalte erkannt:</strong> Diese Seite nutzt HTTPS, das Backend aber HTTP.',
+      'Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Das Backend auf <code>https://...:5001/api/chat</code> umstellen (mit der IP des Laptops) und das Zertifikat unter <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a> akzeptieren.',
+      '<strong>Ultron backend unreachable:</strong> {details}.': '<strong>Ultron-Backend nicht erreichbar:</strong> {details}.',
+      'Check server is running and backend URL is correct. Health: <code>{health}</code>.':
+        'Läuft der Server und stimmt die Backend-URL? Status: <code>{health}</code>.',
+      'Open settings (⚙) to edit backend & API key.': 'Backend und API-Schlüssel lassen sich in den Einstellungen (⚙) ändern.',
+      'Switched to <strong>{profile}</strong> — {primary} is unreachable.': 'Zu <strong>{profile}</strong> gewechselt – {primary} ist nicht erreichbar.',
+      'Ultron: Unable to reach backend.': 'Ultron: Backend nicht erreichbar.',
+      '(Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)':
+        '(Vom Browser blockiert: Diese Seite nutzt HTTPS, das Backend HTTP – gemischte Inhalte.)',
+      'Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'Tipp: Eine <code>https://</code>-URL als Backend eintragen (z. B. <code>https://192.168.0.105:5001/api/chat</code>) und das Zertifikat unter <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a> akzeptieren.',
+      '(See console for details.)': '(Details in der Konsole.)',
+      '(Request timed out — the server may be busy.)': '(Zeitüberschreitung – der Server ist vielleicht ausgelastet.)',
+      '(Check server, URL & API key).': '(Server, URL und API-Schlüssel prüfen.)',
+      'Language changed — reloading…': 'Sprache geändert – wird neu geladen…',
+
+      // connection indicator
+      'offline': 'offline',
+      'checking…': 'wird geprüft…',
+      'unreachable': 'nicht erreichbar',
+      'online': 'online',
+      'Click to check now': 'Klicken, um jetzt zu prüfen',
+      'Connection {status}': 'Verbindung: {status}',
+
+      // chat window
+      'Type your question... (Shift+Enter for a new line, / for commands)': 'Frage eingeben... (Umschalt+Enter für eine neue Zeile, / für Befehle)',
+      'Message Ultron': 'Nachricht an Ultron',
+      'Conversation': 'Unterhaltung',
+      'Files to send': 'Zu sendende Dateien',
+      'Backend profile': 'Backend-Profil',
+      'New conversation': 'Neue Unterhaltung',
+      'Send message': 'Nachricht senden',
+      'Stop the reply (Esc)': 'Antwort abbrechen (Esc)',
+      'Stop the reply': 'Antwort abbrechen',
+      'Attach files (up to {count}, {size} each)': 'Dateien anhängen (bis zu {count}, je {size})',
+      'Attach files': 'Dateien anhängen',
+      'Saved conversations': 'Gespeicherte Unterhaltungen',
+      'Conversations': 'Unterhaltungen',
+      '＋ New': '＋ Neu',
+      'Close conversations': 'Unterhaltungen schließen',
+      'Search conversations…': 'Unterhaltungen durchsuchen…',
+      'Export or import the conversation': 'Unterhaltung exportieren oder importieren',
+      'Voice input is not supported in this browser': 'Spracheingabe wird von diesem Browser nicht unterstützt',
+      'Hands-free mode on — click to turn off': 'Freisprechmodus an – zum Ausschalten klicken',
+      'Hands-free mode — say "{phrase}", then talk': 'Freisprechmodus – „{phrase}“ sagen, dann sprechen',
+      'Listening… release to send': 'Hört zu… zum Senden loslassen',
+      'Listening… click to send': 'Hört zu… zum Senden klicken',
+      'Hold to talk': 'Zum Sprechen gedrückt halten',
+      'Click to talk': 'Zum Sprechen klicken',
+      'Voice input': 'Spracheingabe',
+      'Stop speaking': 'Vorlesen beenden',
+
+      // keyboard shortcuts
+      'Start / stop voice input': 'Spracheingabe starten / beenden',
+      'Stop the reply / dictation / hands-free mode, close panels': 'Antwort / Diktat / Freisprechmodus beenden, Bereiche schließen',
+
+      // settings panel
+      'Ultron settings': 'Ultron-Einstellungen',
+      'Settings': 'Einstellungen',
+      'Ultron — Settings': 'Ultron – Einstellungen',
+      'Save': 'Speichern',
+      'Reset': 'Zurücksetzen',
+      'Close': 'Schließen',
+      'You can also set backend & key via URL query parameters or console.':
+        'Backend und Schlüssel lassen sich auch über URL-Parameter oder die Konsole setzen.',
+      'Saved ✓': 'Gespeichert ✓',
+      'Saved (unreachable)': 'Gespeichert (nicht erreichbar)',
+      'Reset ✓': 'Zurückgesetzt ✓',
+      'Reset (unreachable)': 'Zurückgesetzt (nicht erreichbar)',
+      'Backend profiles (top = first to fail over to)': 'Backend-Profile (oben = erster Ausweichkandidat)',
+      'Use this profile': 'Dieses Profil verwenden',
+      'Name (e.g. Laptop, LAN box, Hosted)': 'Name (z. B. Laptop, LAN-Rechner, Gehostet)',
+      'Profile name': 'Profilname',
+      'Higher priority': 'Höhere Priorität',
+      'Lower priority': 'Niedrigere Priorität',
+      'Remove profile': 'Profil entfernen',
+      'Backend URL': 'Backend-URL',
+      'Client API key (ULTRON_CLIENT_KEY_ABC)': 'Client-API-Schlüssel (ULTRON_CLIENT_KEY_ABC)',
+      'Client API key': 'Client-API-Schlüssel',
+      'Show': 'Anzeigen',
+      'Hide': 'Verbergen',
+      'Authentication': 'Authentifizierung',
+      'Bearer header': 'Bearer-Header',
+      'Token exchange (/auth)': 'Token-Austausch (/auth)',
+      'Key in request body (legacy)': 'Schlüssel im Anfragetext (veraltet)',
+      '+ Add profile': '+ Profil hinzufügen',
+      'Appearance': 'Darstellung',
+      'Language': 'Sprache',
+      'Automatic (browser language)': 'Automatisch (Browsersprache)',
+      'Theme': 'Design',
+      'Auto (system)': 'Automatisch (System)',
+      'Light': 'Hell',
+      'Dark': 'Dunkel',
+      'High contrast': 'Hoher Kontrast',
+      'Remove custom theme': 'Eigenes Design entfernen',
+      'Custom theme (JSON)': 'Eigenes Design (JSON)',
+      'Custom theme JSON': 'JSON des eigenen Designs',
+      'Add & use theme': 'Design hinzufügen und verwenden',
+      'Colors: {keys}.': 'Farben: {keys}.',
+      'Added {themes}.': 'Hinzugefügt: {themes}.',
+      'Theme not added: {error}': 'Design nicht hinzugefügt: {error}',
+      'Speech recognition is not supported in this browser.': 'Spracherkennung wird von diesem Browser nicht unterstützt.',
+      'Recognition language': 'Erkennungssprache',
+      'Mode': 'Modus',
+      'Toggle — click to start, click to send': 'Umschalten – Klick zum Starten, Klick zum Senden',
+      'Push-to-talk — hold the 🎤 button': 'Push-to-Talk – 🎤-Taste gedrückt halten',
+      'Hands-free — 🎤 listens for the wake phrase': 'Freisprechen – 🎤 wartet auf das Aktivierungswort',
+      'Wake phrase': 'Aktivierungswort',
+      'Pause before sending (ms)': 'Pause vor dem Senden (ms)',
+      'Speech detection sensitivity': 'Empfindlichkeit der Spracherkennung',
+      'Low — noisy room': 'Niedrig – lauter Raum',
+      'Medium': 'Mittel',
+      'High — quiet room, soft voice': 'Hoch – ruhiger Raum, leise Stimme',
+      'Turn off after inactivity (seconds, 0 = never)': 'Nach Inaktivität ausschalten (Sekunden, 0 = nie)',
+      'Spoken replies': 'Gesprochene Antworten',
+      'Speech synthesis is not supported in this browser.': 'Sprachausgabe wird von diesem Browser nicht unterstützt.',
+      'Read replies aloud': 'Antworten vorlesen',
+      'Voice': 'Stimme',
+      'Automatic (match voice language)': 'Automatisch (passend zur Sprache)',
+      'Rate': 'Tempo',
+      'Pitch': 'Tonhöhe',
+      'Test voice': 'Stimme testen',
+      'Hello, I am Ultron. This is how my replies will sound.': 'Hallo, ich bin Ultron. So werden meine Antworten klingen.',
+      'Conversation context': 'Gesprächskontext',
+      'Earlier turns to include (0 = none)': 'Mitgesendete frühere Beiträge (0 = keine)',
+      'Token budget for context (0 = unlimited)': 'Token-Budget für den Kontext (0 = unbegrenzt)',
+      'Network': 'Netzwerk',
+      'Request timeout (seconds, 0 = none)': 'Zeitlimit für Anfragen (Sekunden, 0 = keins)',
+      'Retries on network errors / 429 / 5xx': 'Wiederholungen bei Netzwerkfehlern / 429 / 5xx',
+      'Remember API keys': 'API-Schlüssel merken',
+      'On this device': 'Auf diesem Gerät',
+      'For this tab session only': 'Nur für diese Tab-Sitzung',
+      'Animation': 'Animation',
+      'Particles ({min}–{max})': 'Partikel ({min}–{max})',
+      'Orb reacts to your voice and reply audio': 'Die Kugel reagiert auf Ihre Stimme und das Antwort-Audio',
+      'Orb reacts to audio (not supported in this browser)': 'Die Kugel reagiert auf Audio (in diesem Browser nicht unterstützt)',
+      'Audio reaction strength': 'Stärke der Audioreaktion',
+      'Full': 'Voll',
+      'Reduced': 'Reduziert',
+      'Reduce motion': 'Bewegung reduzieren',
+      'Follow system setting': 'Systemeinstellung folgen',
+      'On (still orb)': 'An (ruhende Kugel)',
+      'Off': 'Aus',
+      'Keyboard shortcuts': 'Tastenkürzel',
+      'Backup & sharing': 'Sicherung & Teilen',
+      'Include API keys in the exported file': 'API-Schlüssel in die exportierte Datei aufnehmen',
+      'Export JSON': 'JSON exportieren',
+      'Import JSON…': 'JSON importieren…',
+      'Copy share link': 'Teilen-Link kopieren',
+      'Link copied ✓': 'Link kopiert ✓',
+      'Copy failed': 'Kopieren fehlgeschlagen',
+      'Imported {count} settings — reloading…': '{count} Einstellungen importiert – wird neu geladen…',
+      '<strong>Settings import failed:</strong> {error}': '<strong>Import der Einstellungen fehlgeschlagen:</strong> {error}',
+      'Share links carry the active backend URL and non-secret options; they apply to that visit only.':
+        'Teilen-Links enthalten die aktive Backend-URL und nicht geheime Optionen; sie gelten nur für diesen Besuch.',
+
+      // chat messages, statuses, uploads, commands and voice input
+      'Ultron is thinking…': 'Ultron denkt nach…',
+      'Ultron: (no response)': 'Ultron: (keine Antwort)',
+      'Ultron: (stopped)': 'Ultron: (gestoppt)',
+      'Ultron: Something went wrong.': 'Ultron: Etwas ist schiefgelaufen.',
+      'Ultron: the reply was cut off (connection lost while streaming).':
+        'Ultron: Die Antwort wurde abgeschnitten (Verbindung während der Übertragung verloren).',
+      '<strong>Ultron backend unreachable:</strong> {details}. Retrying automatically…':
+        '<strong>Ultron-Backend nicht erreichbar:</strong> {details}. Neuer Versuch läuft automatisch…',
+      '<strong>Offline:</strong> files can\'t be sent until the backend is reachable again.':
+        '<strong>Offline:</strong> Dateien können erst gesendet werden, wenn das Backend wieder erreichbar ist.',
+      '<strong>You\'re offline.</strong> Messages will be queued and sent when the connection returns.':
+        '<strong>Du bist offline.</strong> Nachrichten werden gesammelt und gesendet, sobald die Verbindung zurück ist.',
+      'Retrying ({attempt}/{max}) in {seconds}s…': 'Neuer Versuch ({attempt}/{max}) in {seconds} s…',
+      'Reply stopped.': 'Antwort gestoppt.',
+      'Not sent.': 'Nicht gesendet.',
+      'Retry': 'Erneut versuchen',
+      'Queued — will send when you\'re back online.':
+        'In der Warteschlange – wird gesendet, sobald du wieder online bist.',
+      'Queued — will send when the backend is reachable.':
+        'In der Warteschlange – wird gesendet, sobald das Backend erreichbar ist.',
+      'Copy': 'Kopieren',
+      'Copied.': 'Kopiert.',
+      'Copy failed.': 'Kopieren fehlgeschlagen.',
+      'Edit and resend': 'Bearbeiten und erneut senden',
+      'Regenerate reply': 'Antwort neu erzeugen',
+      'Edit message': 'Nachricht bearbeiten',
+      'Cancel': 'Abbrechen',
+      'Send': 'Senden',
+      'Download resume': 'Lebenslauf herunterladen',
+      'this file type isn\'t supported (images, PDF, text, Markdown, CSV or JSON)':
+        'dieser Dateityp wird nicht unterstützt (Bilder, PDF, Text, Markdown, CSV oder JSON)',
+      'it is larger than {size}': 'sie ist größer als {size}',
+      'the file is empty': 'die Datei ist leer',
+      'at most {count} files per message': 'höchstens {count} Dateien pro Nachricht',
+      '<strong>Can\'t attach:</strong> {problems}': '<strong>Anhängen nicht möglich:</strong> {problems}',
+      'Remove {name}': '{name} entfernen',
+      'the server says the file is too large': 'laut Server ist die Datei zu groß',
+      'the server didn\'t return a file reference': 'der Server hat keinen Dateiverweis zurückgegeben',
+      'network error': 'Netzwerkfehler',
+      'timed out': 'Zeitüberschreitung',
+      '<strong>Upload failed:</strong> {error}': '<strong>Hochladen fehlgeschlagen:</strong> {error}',
+      'Upload cancelled.': 'Hochladen abgebrochen.',
+      'Upload failed.': 'Hochladen fehlgeschlagen.',
+      'Rename': 'Umbenennen',
+      'Rename "{title}"': '„{title}“ umbenennen',
+      'Delete': 'Löschen',
+      'Delete "{title}"': '„{title}“ löschen',
+      'Delete "{title}"? This can\'t be undone.': '„{title}“ löschen? Das lässt sich nicht rückgängig machen.',
+      'Opened "{title}".': '„{title}“ geöffnet.',
+      '<strong>Conversation import failed:</strong> {error}':
+        '<strong>Import der Unterhaltung fehlgeschlagen:</strong> {error}',
+      'Commands': 'Befehle',
+      'Unknown command `/{name}`. Type `/help` for the list (or `//{name}` to send it as a message).':
+        'Unbekannter Befehl `/{name}`. Gib `/help` für die Liste ein (oder `//{name}`, um ihn als Nachricht zu senden).',
+      '`/{name}` failed: {error}': '`/{name}` fehlgeschlagen: {error}',
+      'Start a message with `//` to send a line beginning with `/` to Ultron.':
+        'Beginne eine Nachricht mit `//`, um Ultron eine Zeile zu senden, die mit `/` anfängt.',
+      'List the commands': 'Befehle auflisten',
+      'Start a new conversation (the current one stays in history)':
+        'Neue Unterhaltung beginnen (die aktuelle bleibt im Verlauf)',
+      'Delete the current conversation from history (asks first)':
+        'Aktuelle Unterhaltung aus dem Verlauf löschen (mit Rückfrage)',
+      'Kept the conversation.': 'Unterhaltung behalten.',
+      'Download the conversation as Markdown or JSON, or print it':
+        'Unterhaltung als Markdown oder JSON herunterladen oder drucken',
+      'Nothing to export yet.': 'Noch nichts zu exportieren.',
+      'Unknown format `{format}` — use `md`, `json` or `print`.':
+        'Unbekanntes Format `{format}` – verwende `md`, `json` oder `print`.',
+      'Show the backend, switch to a profile or point the active profile at a URL':
+        'Backend anzeigen, Profil wechseln oder das aktive Profil auf eine URL setzen',
+      'Backend: **{profile}** — `{url}`': 'Backend: **{profile}** – `{url}`',
+      'Backend: **{profile}** — `{url}` (reachable)': 'Backend: **{profile}** – `{url}` (erreichbar)',
+      'Backend: **{profile}** — `{url}` (not reachable)': 'Backend: **{profile}** – `{url}` (nicht erreichbar)',
+      'Other profiles: {profiles}': 'Weitere Profile: {profiles}',
+      '`{value}` is neither a profile nor a URL.': '`{value}` ist weder ein Profil noch eine URL.',
+      'Backend URLs must start with `http://` or `https://`.':
+        'Backend-URLs müssen mit `http://` oder `https://` beginnen.',
+      'Check the backend\'s /health now': '/health des Backends jetzt prüfen',
+      '✓ **Healthy** — {ms} ms (`{url}`)': '✓ **Erreichbar** – {ms} ms (`{url}`)',
+      '⚠ **Unreachable** — {error}': '⚠ **Nicht erreichbar** – {error}',
+      '⚠ **Unreachable** — {error} after {ms} ms': '⚠ **Nicht erreichbar** – {error} nach {ms} ms',
+      'Turn spoken replies on or off': 'Gesprochene Antworten ein- oder ausschalten',
+      'Spoken replies are **on**. Use `/voice on` or `/voice off`.':
+        'Gesprochene Antworten sind **an**. Verwende `/voice on` oder `/voice off`.',
+      'Spoken replies are **off**. Use `/voice on` or `/voice off`.':
+        'Gesprochene Antworten sind **aus**. Verwende `/voice on` oder `/voice off`.',
+      'This browser can\'t speak replies.': 'Dieser Browser kann Antworten nicht vorlesen.',
+      'Spoken replies on.': 'Gesprochene Antworten an.',
+      'Spoken replies off.': 'Gesprochene Antworten aus.',
+      '<strong>Voice input isn\'t available in this browser.</strong>':
+        '<strong>Spracheingabe ist in diesem Browser nicht verfügbar.</strong>',
+      'Microphone access needs a secure page — open the app over <code>https://</code> or from <code>localhost</code>.':
+        'Der Mikrofonzugriff braucht eine sichere Seite – öffne die App über <code>https://</code> oder von <code>localhost</code>.',
+      'Speech recognition works in Chrome, Edge and Safari. You can still type your question below.':
+        'Spracherkennung funktioniert in Chrome, Edge und Safari. Du kannst deine Frage weiterhin unten eintippen.',
+      '<strong>Microphone access was blocked.</strong> Allow the microphone for this site in your browser settings and try again.':
+        '<strong>Der Mikrofonzugriff wurde blockiert.</strong> Erlaube das Mikrofon für diese Seite in den Browsereinstellungen und versuche es erneut.',
+      '<strong>No microphone found.</strong> Connect a microphone and try again.':
+        '<strong>Kein Mikrofon gefunden.</strong> Schließe ein Mikrofon an und versuche es erneut.',
+      '<strong>Speech recognition needs a network connection.</strong> Check your connection or type your question instead.':
+        '<strong>Spracherkennung braucht eine Netzwerkverbindung.</strong> Prüfe deine Verbindung oder tippe deine Frage ein.',
+      '<strong>Voice language not supported:</strong> <code>{lang}</code>. Pick another language in settings (⚙).':
+        '<strong>Sprache für Spracheingabe nicht unterstützt:</strong> <code>{lang}</code>. Wähle in den Einstellungen (⚙) eine andere Sprache.',
+      'Didn\'t catch that — try speaking a little closer to the microphone.':
+        'Nicht verstanden – sprich etwas näher am Mikrofon.',
+      'Voice input stopped unexpectedly ({error}).': 'Die Spracheingabe wurde unerwartet beendet ({error}).',
+      'Listening.': 'Ich höre zu.',
+      '<strong>Hands-free mode stopped:</strong> speech recognition keeps ending. Check the microphone and try again.':
+        '<strong>Freisprechmodus beendet:</strong> Die Spracherkennung bricht immer wieder ab. Prüfe das Mikrofon und versuche es erneut.',
+      'Hands-free mode switched off after {minutes} min without a conversation.':
+        'Freisprechmodus nach {minutes} Min. ohne Unterhaltung ausgeschaltet.',
+      'Hands-free mode switched off after {seconds} s without a conversation.':
+        'Freisprechmodus nach {seconds} s ohne Unterhaltung ausgeschaltet.',
+      'Hands-free mode off.': 'Freisprechmodus aus.',
+      'Hands-free mode on. Say "{phrase}" and then your question.':
+        'Freisprechmodus an. Sag „{phrase}“ und dann deine Frage.',
+
+      // diagnostics
+      'Diagnostics': 'Diagnose',
+      'Record diagnostics on this device': 'Diagnosedaten auf diesem Gerät aufzeichnen',
+      'Send diagnostics to (optional)': 'Diagnosedaten senden an (optional)',
+      'Request timings, status codes, health checks and frame rate only: never message text, attachments or API keys.':
+        'Nur Anfragezeiten, Statuscodes, Health-Checks und Bildrate: niemals Nachrichtentext, Anhänge oder API-Schlüssel.',
+      'Batches are sent to {url}.': 'Pakete werden an {url} gesendet.',
+      'Diagnostics stay on this device.': 'Die Diagnosedaten bleiben auf diesem Gerät.',
+      'Endpoint not saved: {error}': 'Ziel nicht gespeichert: {error}',
+      'not a valid URL': 'keine gültige URL',
+      'use an http:// or https:// URL': 'bitte eine http://- oder https://-URL verwenden',
+      'Open diagnostics': 'Diagnose öffnen',
+      'Close diagnostics': 'Diagnose schließen',
+      'Send now': 'Jetzt senden',
+      'Clear log': 'Protokoll leeren',
+      'Nothing recorded yet.': 'Noch nichts aufgezeichnet.',
+      'Recording': 'Aufzeichnung',
+      'on': 'an',
+      'off': 'aus',
+      'Requests': 'Anfragen',
+      '{count} failed': '{count} fehlgeschlagen',
+      'Time to first byte (median / p95)': 'Zeit bis zum ersten Byte (Median / p95)',
+      'Total time (median / p95)': 'Gesamtzeit (Median / p95)',
+      'Retries / failovers': 'Wiederholungen / Failover',
+      'Frame rate': 'Bildrate',
+      '{count} particles': '{count} Partikel',
+      'Uploads': 'Uploads',
+      '{count} waiting · last: {result}': '{count} ausstehend · zuletzt: {result}',
+      'Recent requests': 'Letzte Anfragen',
+      'Time': 'Zeit',
+      'Profile': 'Profil',
+      'Status': 'Status',
+      'Total': 'Gesamt',
+      'Retries': 'Wiederholungen',
+      'Result': 'Ergebnis',
+      'Health checks': 'Health-Checks',
+      'Backend': 'Backend',
+      'Latency': 'Latenz',
+      'Render': 'Rendern',
+      'Particles': 'Partikel'
+    },
+
+    ar: {
+      // connection banners and chat fallbacks
+      'Connected: upgraded backend to <code>https://</code>.': 'تم الاتصال: جرى تحويل الخادم إلى <code>https://</code>.',
+      '<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).':
+        '<strong>تعذّر الوصول إلى الخادم من صفحة HTTPS هذه.</strong> قد يحظر المتصفح خادم HTTP (محتوى مختلط).',
+      'Try one of these:': 'جرّب أحد الحلول التالية:',
+      'Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'اضبط الخادم على عنوان <code>https://</code> (مثل <code>https://192.168.0.105:5001/api/chat</code>) واقبل الشهادة من صفحة <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a> الخاصة به.',
+      'Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.':
+        'أو اختبر محليًا بتشغيل الواجهة على حاسوبك واستخدام <code>http://127.0.0.1:5001/api/chat</code>.',
+      'Open the settings (⚙) to change the backend URL.': 'افتح الإعدادات (⚙) لتغيير عنوان الخادم.',
+      '<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.':
+        '<strong>تم اكتشاف محتوى مختلط:</strong> هذه الصفحة تعمل عبر HTTPS بينما الخادم يعمل عبر HTTP.',
+      'Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'غيّر الخادم إلى <code>https://...:5001/api/chat</code> (باستخدام عنوان IP لحاسوبك) واقبل الشهادة من صفحة <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a> الخاصة به.',
+      '<strong>Ultron backend unreachable:</strong> {details}.': '<strong>تعذّر الوصول إلى خادم Ultron:</strong> {details}.',
+      'Check server is running and backend URL is correct. Health: <code>{health}</code>.':
+        'تأكد من أن الخادم يعمل وأن عنوانه صحيح. الحالة: <code>{health}</code>.',
+      'Open settings (⚙) to edit backend & API key.': 'افتح الإعدادات (⚙) لتعديل الخادم ومفتاح API.',
+      'Switched to <strong>{profile}</strong> — {primary} is unreachable.': 'تم التبديل إلى <strong>{profile}</strong> — تعذّر الوصول إلى {primary}.',
+      'Ultron: Unable to reach backend.': 'Ultron: تعذّر الوصول إلى الخادم.',
+      '(Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)':
+        '(حظره المتصفح: هذه الصفحة تعمل عبر HTTPS والخادم عبر HTTP — محتوى مختلط.)',
+      'Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.':
+        'نصيحة: اضبط الخادم على عنوان <code>https://</code> (مثل <code>https://192.168.0.105:5001/api/chat</code>) واقبل الشهادة من <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+      '(See console for details.)': '(راجع وحدة التحكم للتفاصيل.)',
+      '(Request timed out — the server may be busy.)': '(انتهت مهلة الطلب — قد يكون الخادم مشغولًا.)',
+      '(Check server, URL & API key).': '(تحقق من الخادم والعنوان ومفتاح API.)',
+      'Language changed — reloading…': 'تم تغيير اللغة — جارٍ إعادة التحميل…',
+
+      // connection indicator
+      'offline': 'غير متصل',
+      'checking…': 'جارٍ التحقق…',
+      'unreachable': 'يتعذّر الوصول',
+      'online': 'متصل',
+      'Click to check now': 'انقر للتحقق الآن',
+      'Connection {status}': 'الاتصال: {status}',
+
+      // chat window
+      'Type your question... (Shift+Enter for a new line, / for commands)': 'اكتب سؤالك... (Shift+Enter لسطر جديد، / للأوامر)',
+      'Message Ultron': 'رسالة إلى Ultron',
+      'Conversation': 'المحادثة',
+      'Files to send': 'ملفات للإرسال',
+      'Backend profile': 'ملف الخادم',
+      'New conversation': 'محادثة جديدة',
+      'Send message': 'إرسال الرسالة',
+      'Stop the reply (Esc)': 'إيقاف الرد (Esc)',
+      'Stop the reply': 'إيقاف الرد',
+      'Attach files (up to {count}, {size} each)': 'إرفاق ملفات (حتى {count}، بحجم {size} لكل ملف)',
+      'Attach files': 'إرفاق ملفات',
+      'Saved conversations': 'المحادثات المحفوظة',
+      'Conversations': 'المحادثات',
+      '＋ New': '＋ جديدة',
+      'Close conversations': 'إغلاق المحادثات',
+      'Search conversations…': 'البحث في المحادثات…',
+      'Export or import the conversation': 'تصدير المحادثة أو استيرادها',
+      'Voice input is not supported in this browser': 'الإدخال الصوتي غير مدعوم في هذا المتصفح',
+      'Hands-free mode on — click to turn off': 'وضع التحدث الحر مفعّل — انقر لإيقافه',
+      'Hands-free mode — say "{phrase}", then talk': 'وضع التحدث الحر — قل «{phrase}» ثم تحدّث',
+      'Listening… release to send': 'جارٍ الاستماع… أفلِت للإرسال',
+      'Listening… click to send': 'جارٍ الاستماع… انقر للإرسال',
+      'Hold to talk': 'اضغط مطولًا للتحدث',
+      'Click to talk': 'انقر للتحدث',
+      'Voice input': 'الإدخال الصوتي',
+      'Stop speaking': 'إيقاف القراءة',
+
+      // keyboard shortcuts
+      'Start / stop voice input': 'بدء / إيقاف الإدخال الصوتي',
+      'Stop the reply / dictation / hands-free mode, close panels': 'إيقاف الرد / الإملاء / وضع التحدث الحر، وإغلاق اللوحات',
+
+      // settings panel
+      'Ultron settings': 'إعدادات Ultron',
+      'Settings': 'الإعدادات',
+      'Ultron — Settings': 'Ultron — الإعدادات',
+      'Save': 'حفظ',
+      'Reset': 'إعادة تعيين',
+      'Close': 'إغلاق',
+      'You can also set backend & key via URL query parameters or console.':
+        'يمكنك أيضًا ضبط الخادم والمفتاح عبر معاملات العنوان أو من وحدة التحكم.',
+      'Saved ✓': 'تم الحفظ ✓',
+      'Saved (unreachable)': 'تم الحفظ (يتعذّر الوصول)',
+      'Reset ✓': 'تمت إعادة التعيين ✓',
+      'Reset (unreachable)': 'تمت إعادة التعيين (يتعذّر الوصول)',
+      'Backend profiles (top = first to fail over to)': 'ملفات الخادم (الأعلى = أول بديل عند التعطل)',
+      'Use this profile': 'استخدام هذا الملف',
+      'Name (e.g. Laptop, LAN box, Hosted)': 'الاسم (مثل: الحاسوب المحمول، خادم الشبكة المحلية، مستضاف)',
+      'Profile name': 'اسم الملف',
+      'Higher priority': 'أولوية أعلى',
+      'Lower priority': 'أولوية أدنى',
+      'Remove profile': 'إزالة الملف',
+      'Backend URL': 'عنوان الخادم',
+      'Client API key (ULTRON_CLIENT_KEY_ABC)': 'مفتاح API للعميل (ULTRON_CLIENT_KEY_ABC)',
+      'Client API key': 'مفتاح API للعميل',
+      'Show': 'إظهار',
+      'Hide': 'إخفاء',
+      'Authentication': 'المصادقة',
+      'Bearer header': 'ترويسة Bearer',
+      'Token exchange (/auth)': 'تبادل الرمز (/auth)',
+      'Key in request body (legacy)': 'المفتاح في نص الطلب (قديم)',
+      '+ Add profile': '+ إضافة ملف',
+      'Appearance': 'المظهر',
+      'Language': 'اللغة',
+      'Automatic (browser language)': 'تلقائي (لغة المتصفح)',
+      'Theme': 'السمة',
+      'Auto (system)': 'تلقائي (النظام)',
+      'Light': 'فاتح',
+      'Dark': 'داكن',
+      'High contrast': 'تباين عالٍ',
+      'Remove custom theme': 'إزالة السمة المخصصة',
+      'Custom theme (JSON)': 'سمة مخصصة (JSON)',
+      'Custom theme JSON': 'JSON السمة المخصصة',
+      'Add & use theme': 'إضافة السمة واستخدامها',
+      'Colors: {keys}.': 'الألوان: {keys}.',
+      'Added {themes}.': 'تمت الإضافة: {themes}.',
+      'Theme not added: {error}': 'لم تتم إضافة السمة: {error}',
+      'Speech recognition is not supported in this browser.': 'التعرف على الكلام غير مدعوم في هذا المتصفح.',
+      'Recognition language': 'لغة التعرف',
+      'Mode': 'الوضع',
+      'Toggle — click to start, click to send': 'تبديل — انقر للبدء، وانقر للإرسال',
+      'Push-to-talk — hold the 🎤 button': 'اضغط للتحدث — اضغط مطولًا على زر 🎤',
+      'Hands-free — 🎤 listens for the wake phrase': 'تحدث حر — 🎤 ينتظر عبارة التنبيه',
+      'Wake phrase': 'عبارة التنبيه',
+      'Pause before sending (ms)': 'مهلة الصمت قبل الإرسال (ملّي ثانية)',
+      'Speech detection sensitivity': 'حساسية اكتشاف الكلام',
+      'Low — noisy room': 'منخفضة — غرفة صاخبة',
+      'Medium': 'متوسطة',
+      'High — quiet room, soft voice': 'عالية — غرفة هادئة، صوت خافت',
+      'Turn off after inactivity (seconds, 0 = never)': 'الإيقاف بعد الخمول (بالثواني، 0 = أبدًا)',
+      'Spoken replies': 'الردود المنطوقة',
+      'Speech synthesis is not supported in this browser.': 'تحويل النص إلى كلام غير مدعوم في هذا المتصفح.',
+      'Read replies aloud': 'قراءة الردود بصوت عالٍ',
+      'Voice': 'الصوت',
+      'Automatic (match voice language)': 'تلقائي (حسب لغة الصوت)',
+      'Rate': 'السرعة',
+      'Pitch': 'حدة الصوت',
+      'Test voice': 'تجربة الصوت',
+      'Hello, I am Ultron. This is how my replies will sound.': 'مرحبًا، أنا Ultron. هكذا ستبدو ردودي.',
+      'Conversation context': 'سياق المحادثة',
+      'Earlier turns to include (0 = none)': 'عدد الرسائل السابقة المرسلة (0 = لا شيء)',
+      'Token budget for context (0 = unlimited)': 'حد الرموز للسياق (0 = بلا حد)',
+      'Network': 'الشبكة',
+      'Request timeout (seconds, 0 = none)': 'مهلة الطلب (بالثواني، 0 = بلا مهلة)',
+      'Retries on network errors / 429 / 5xx': 'إعادة المحاولة عند أخطاء الشبكة / 429 / 5xx',
+      'Remember API keys': 'تذكر مفاتيح API',
+      'On this device': 'على هذا الجهاز',
+      'For this tab session only': 'لجلسة هذه العلامة فقط',
+      'Animation': 'الحركة',
+      'Particles ({min}–{max})': 'الجسيمات ({min}–{max})',
+      'Orb reacts to your voice and reply audio': 'تتفاعل الكرة مع صوتك وصوت الردود',
+      'Orb reacts to audio (not supported in this browser)': 'تتفاعل الكرة مع الصوت (غير مدعوم في هذا المتصفح)',
+      'Audio reaction strength': 'قوة التفاعل مع الصوت',
+      'Full': 'كاملة',
+      'Reduced': 'مخفّضة',
+      'Reduce motion': 'تقليل الحركة',
+      'Follow system setting': 'اتباع إعداد النظام',
+      'On (still orb)': 'مفعّل (كرة ثابتة)',
+      'Off': 'متوقف',
+      'Keyboard shortcuts': 'اختصارات لوحة المفاتيح',
+      'Backup & sharing': 'النسخ الاحتياطي والمشاركة',
+      'Include API keys in the exported file': 'تضمين مفاتيح API في الملف المُصدَّر',
+      'Export JSON': 'تصدير JSON',
+      'Import JSON…': 'استيراد JSON…',
+      'Copy share link': 'نسخ رابط المشاركة',
+      'Link copied ✓': 'تم نسخ الرابط ✓',
+      'Copy failed': 'تعذّر النسخ',
+      'Imported {count} settings — reloading…': 'تم استيراد {count} من الإعدادات — جارٍ إعادة التحميل…',
+      '<strong>Settings import failed:</strong> {error}': '<strong>تعذّر استيراد الإعدادات:</strong> {error}',
+      'Share links carry the active backend URL and non-secret options; they apply to that visit only.':
+        'تحمل روابط المشاركة عنوان الخادم النشط والخيارات غير السرية، وتسري على تلك الزيارة فقط.',
+
+      // chat messages, statuses, uploads, commands and voice input
+      'Ultron is thinking…': 'Ultron يفكّر…',
+      'Ultron: (no response)': 'Ultron: (لا يوجد رد)',
+      'Ultron: (stopped)': 'Ultron: (تم الإيقاف)',
+      'Ultron: Something went wrong.': 'Ultron: حدث خطأ ما.',
+      'Ultron: the reply was cut off (connection lost while streaming).':
+        'Ultron: انقطع الرد (فُقد الاتصال أثناء البث).',
+      '<strong>Ultron backend unreachable:</strong> {details}. Retrying automatically…':
+        '<strong>تعذّر الوصول إلى خادم Ultron:</strong> {details}. ستُعاد المحاولة تلقائيًا…',
+      '<strong>Offline:</strong> files can\'t be sent until the backend is reachable again.':
+        '<strong>غير متصل:</strong> لا يمكن إرسال الملفات حتى يصبح الخادم متاحًا مجددًا.',
+      '<strong>You\'re offline.</strong> Messages will be queued and sent when the connection returns.':
+        '<strong>أنت غير متصل.</strong> ستُوضع الرسائل في قائمة الانتظار وتُرسل عند عودة الاتصال.',
+      'Retrying ({attempt}/{max}) in {seconds}s…': 'إعادة المحاولة ({attempt}/{max}) خلال {seconds} ث…',
+      'Reply stopped.': 'تم إيقاف الرد.',
+      'Not sent.': 'لم تُرسل.',
+      'Retry': 'إعادة المحاولة',
+      'Queued — will send when you\'re back online.': 'في قائمة الانتظار — ستُرسل عند عودتك إلى الاتصال.',
+      'Queued — will send when the backend is reachable.': 'في قائمة الانتظار — ستُرسل عندما يصبح الخادم متاحًا.',
+      'Copy': 'نسخ',
+      'Copied.': 'تم النسخ.',
+      'Copy failed.': 'تعذّر النسخ.',
+      'Edit and resend': 'تعديل وإعادة الإرسال',
+      'Regenerate reply': 'إعادة توليد الرد',
+      'Edit message': 'تعديل الرسالة',
+      'Cancel': 'إلغاء',
+      'Send': 'إرسال',
+      'Download resume': 'تنزيل السيرة الذاتية',
+      'this file type isn\'t supported (images, PDF, text, Markdown, CSV or JSON)':
+        'نوع الملف هذا غير مدعوم (صور، PDF، نص، Markdown، CSV أو JSON)',
+      'it is larger than {size}': 'حجمه أكبر من {size}',
+      'the file is empty': 'الملف فارغ',
+      'at most {count} files per message': '{count} ملفات كحد أقصى لكل رسالة',
+      '<strong>Can\'t attach:</strong> {problems}': '<strong>تعذّر الإرفاق:</strong> {problems}',
+      'Remove {name}': 'إزالة {name}',
+      'the server says the file is too large': 'يفيد الخادم بأن الملف كبير جدًا',
+      'the server didn\'t return a file reference': 'لم يُرجع الخادم مرجعًا للملف',
+      'network error': 'خطأ في الشبكة',
+      'timed out': 'انتهت المهلة',
+      '<strong>Upload failed:</strong> {error}': '<strong>تعذّر الرفع:</strong> {error}',
+      'Upload cancelled.': 'أُلغي الرفع.',
+      'Upload failed.': 'تعذّر الرفع.',
+      'Rename': 'إعادة التسمية',
+      'Rename "{title}"': 'إعادة تسمية «{title}»',
+      'Delete': 'حذف',
+      'Delete "{title}"': 'حذف «{title}»',
+      'Delete "{title}"? This can\'t be undone.': 'حذف «{title}»؟ لا يمكن التراجع عن ذلك.',
+      'Opened "{title}".': 'تم فتح «{title}».',
+      '<strong>Conversation import failed:</strong> {error}': '<strong>تعذّر استيراد المحادثة:</strong> {error}',
+      'Commands': 'الأوامر',
+      'Unknown command `/{name}`. Type `/help` for the list (or `//{name}` to send it as a message).':
+        'أمر غير معروف `/{name}`. اكتب `/help` لعرض القائمة (أو `//{name}` لإرساله كرسالة).',
+      '`/{name}` failed: {error}': 'فشل `/{name}`: {error}',
+      'Start a message with `//` to send a line beginning with `/` to Ultron.':
+        'ابدأ الرسالة بـ `//` لإرسال سطر يبدأ بـ `/` إلى Ultron.',
+      'List the commands': 'عرض الأوامر',
+      'Start a new conversation (the current one stays in history)': 'بدء محادثة جديدة (تبقى الحالية في السجل)',
+      'Delete the current conversation from history (asks first)': 'حذف المحادثة الحالية من السجل (بعد التأكيد)',
+      'Kept the conversation.': 'تم الاحتفاظ بالمحادثة.',
+      'Download the conversation as Markdown or JSON, or print it':
+        'تنزيل المحادثة بصيغة Markdown أو JSON، أو طباعتها',
+      'Nothing to export yet.': 'لا يوجد ما يُصدَّر بعد.',
+      'Unknown format `{format}` — use `md`, `json` or `print`.':
+        'صيغة غير معروفة `{format}` — استخدم `md` أو `json` أو `print`.',
+      'Show the backend, switch to a profile or point the active profile at a URL':
+        'عرض الخادم، أو التبديل إلى ملف شخصي، أو توجيه الملف النشط إلى عنوان URL',
+      'Backend: **{profile}** — `{url}`': 'الخادم: **{profile}** — `{url}`',
+      'Backend: **{profile}** — `{url}` (reachable)': 'الخادم: **{profile}** — `{url}` (متاح)',
+      'Backend: **{profile}** — `{url}` (not reachable)': 'الخادم: **{profile}** — `{url}` (غير متاح)',
+      'Other profiles: {profiles}': 'ملفات أخرى: {profiles}',
+      '`{value}` is neither a profile nor a URL.': '`{value}` ليس ملفًا شخصيًا ولا عنوان URL.',
+      'Backend URLs must start with `http://` or `https://`.':
+        'يجب أن تبدأ عناوين الخادم بـ `http://` أو `https://`.',
+      'Check the backend\'s /health now': 'فحص ‎/health للخادم الآن',
+      '✓ **Healthy** — {ms} ms (`{url}`)': '✓ **يعمل** — {ms} مللي ثانية (`{url}`)',
+      '⚠ **Unreachable** — {error}': '⚠ **غير متاح** — {error}',
+      '⚠ **Unreachable** — {error} after {ms} ms': '⚠ **غير متاح** — {error} بعد {ms} مللي ثانية',
+      'Turn spoken replies on or off': 'تشغيل الردود المنطوقة أو إيقافها',
+      'Spoken replies are **on**. Use `/voice on` or `/voice off`.':
+        'الردود المنطوقة **مفعّلة**. استخدم `/voice on` أو `/voice off`.',
+      'Spoken replies are **off**. Use `/voice on` or `/voice off`.':
+        'الردود المنطوقة **متوقفة**. استخدم `/voice on` أو `/voice off`.',
+      'This browser can\'t speak replies.': 'لا يستطيع هذا المتصفح نطق الردود.',
+      'Spoken replies on.': 'تم تفعيل الردود المنطوقة.',
+      'Spoken replies off.': 'تم إيقاف الردود المنطوقة.',
+      '<strong>Voice input isn\'t available in this browser.</strong>':
+        '<strong>الإدخال الصوتي غير متاح في هذا المتصفح.</strong>',
+      'Microphone access needs a secure page — open the app over <code>https://</code> or from <code>localhost</code>.':
+        'يتطلب الوصول إلى الميكروفون صفحة آمنة — افتح التطبيق عبر <code>https://</code> أو من <code>localhost</code>.',
+      'Speech recognition works in Chrome, Edge and Safari. You can still type your question below.':
+        'يعمل التعرّف على الكلام في Chrome وEdge وSafari. لا يزال بإمكانك كتابة سؤالك في الأسفل.',
+      '<strong>Microphone access was blocked.</strong> Allow the microphone for this site in your browser settings and try again.':
+        '<strong>تم حظر الوصول إلى الميكروفون.</strong> اسمح باستخدام الميكروفون لهذا الموقع في إعدادات المتصفح ثم أعد المحاولة.',
+      '<strong>No microphone found.</strong> Connect a microphone and try again.':
+        '<strong>لم يُعثر على ميكروفون.</strong> وصّل ميكروفونًا ثم أعد المحاولة.',
+      '<strong>Speech recognition needs a network connection.</strong> Check your connection or type your question instead.':
+        '<strong>يحتاج التعرّف على الكلام إلى اتصال بالشبكة.</strong> تحقّق من اتصالك أو اكتب سؤالك بدلًا من ذلك.',
+      '<strong>Voice language not supported:</strong> <code>{lang}</code>. Pick another language in settings (⚙).':
+        '<strong>لغة الصوت غير مدعومة:</strong> <code>{lang}</code>. اختر لغة أخرى من الإعدادات (⚙).',
+      'Didn\'t catch that — try speaking a little closer to the microphone.':
+        'لم أفهم ذلك — حاول التحدث بالقرب من الميكروفون قليلًا.',
+      'Voice input stopped unexpectedly ({error}).': 'توقف الإدخال الصوتي بشكل غير متوقع ({error}).',
+      'Listening.': 'أستمع.',
+      '<strong>Hands-free mode stopped:</strong> speech recognition keeps ending. Check the microphone and try again.':
+        '<strong>توقف وضع التحدث الحر:</strong> يتوقف التعرّف على الكلام باستمرار. تحقّق من الميكروفون ثم أعد المحاولة.',
+      'Hands-free mode switched off after {minutes} min without a conversation.':
+        'أُوقف وضع التحدث الحر بعد {minutes} دقيقة دون محادثة.',
+      'Hands-free mode switched off after {seconds} s without a conversation.':
+        'أُوقف وضع التحدث الحر بعد {seconds} ثانية دون محادثة.',
+      'Hands-free mode off.': 'تم إيقاف وضع التحدث الحر.',
+      'Hands-free mode on. Say "{phrase}" and then your question.':
+        'تم تفعيل وضع التحدث الحر. قل «{phrase}» ثم اطرح سؤالك.',
+
+      // diagnostics
+      'Diagnostics': 'التشخيص',
+      'Record diagnostics on this device': 'تسجيل بيانات التشخيص على هذا الجهاز',
+      'Send diagnostics to (optional)': 'إرسال بيانات التشخيص إلى (اختياري)',
+      'Request timings, status codes, health checks and frame rate only: never message text, attachments or API keys.':
+        'أزمنة الطلبات ورموز الحالة وفحوص الحالة ومعدل الإطارات فقط: لا يُسجَّل نص الرسائل ولا المرفقات ولا مفاتيح API أبدًا.',
+      'Batches are sent to {url}.': 'تُرسل الدفعات إلى {url}.',
+      'Diagnostics stay on this device.': 'تبقى بيانات التشخيص على هذا الجهاز.',
+      'Endpoint not saved: {error}': 'لم يُحفظ العنوان: {error}',
+      'not a valid URL': 'عنوان URL غير صالح',
+      'use an http:// or https:// URL': 'استخدم عنوانًا يبدأ بـ http:// أو https://',
+      'Open diagnostics': 'فتح التشخيص',
+      'Close diagnostics': 'إغلاق التشخيص',
+      'Send now': 'إرسال الآن',
+      'Clear log': 'مسح السجل',
+      'Nothing recorded yet.': 'لم يُسجَّل شيء بعد.',
+      'Recording': 'التسجيل',
+      'on': 'مفعّل',
+      'off': 'متوقف',
+      'Requests': 'الطلبات',
+      '{count} failed': '{count} فشلت',
+      'Time to first byte (median / p95)': 'الزمن حتى أول بايت (الوسيط / p95)',
+      'Total time (median / p95)': 'الزمن الكلي (الوسيط / p95)',
+      'Retries / failovers': 'إعادات المحاولة / التحويلات',
+      'Frame rate': 'معدل الإطارات',
+      '{count} particles': '{count} جسيم',
+      'Uploads': 'الإرسال',
+      '{count} waiting · last: {result}': '{count} بانتظار الإرسال · الأخير: {result}',
+      'Recent requests': 'الطلبات الأخيرة',
+      'Time': 'الوقت',
+      'Profile': 'الملف الشخصي',
+      'Status': 'الحالة',
+      'Total': 'الإجمالي',
+      'Retries': 'إعادات المحاولة',
+      'Result': 'النتيجة',
+      'Health checks': 'فحوص الحالة',
+      'Backend': 'الخادم',
+      'Latency': 'زمن الاستجابة',
+      'Render': 'العرض',
+      'Particles': 'الجسيمات'
+    }
+  };
+
+  // a supported locale for a BCP 47 tag ("es-MX" -> "es"), or null
+  function matchLocale(tag) {
+    if (!tag) return null;
+    const lower = String(tag).toLowerCase();
+    if (LOCALES[lower]) return lower;
+    const language = lower.split(/[-_]/)[0];
+    return LOCALES[language] ? language : null;
+  }
+
+  // "auto" (or anything unsupported) picks the first of the browser's languages we have
+  function resolveLocale(preference, languages = []) {
+    const picked = preference !== 'auto' && matchLocale(preference);
+    if (picked) return picked;
+    for (const tag of languages) {
+      const match = matchLocale(tag);
+      if (match) return match;
+    }
+    return DEFAULT_LOCALE;
+  }
+
+  function translate(locale, text, vars) {
+    const catalog = CATALOGS[locale];
+    let out = (catalog && catalog[text]) || text;
+    if (vars) out = out.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined ? m : String(vars[name])));
+    return out;
+  }
+
+  function localeDirection(locale) {
+    return (LOCALES[locale] && LOCALES[locale].dir) || 'ltr';
+  }
+
+  return { DEFAULT_LOCALE, LOCALES, CATALOGS, matchLocale, resolveLocale, translate, localeDirection };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = UltronI18n;
@@ -0,0 +1,254 @@
+/* mock-server.js — a stand-in Ultron backend for local development
+   Plain Node 18+, no dependencies:
+
+     node mock-server.js [--port 5001] [--host 127.0.0.1] [--latency 300] [--stream sse|ndjson|json]
+                         [--key ULTRON_CLIENT_KEY_ABC] [--model mock-1]
+
+   then point the page at it: index.html?backend=http://127.0.0.1:5001/api/chat
+
+   Endpoints (all with permissive CORS):
+     POST /api/chat   (or any other path) echoes the message back. Streams SSE or NDJSON when
+                      the client accepts it (everything but --stream json), else answers { reply }.
+                      Asking about a "resume" adds resume_url; sent `attachments` are listed.
+     GET  /health     { status, version, model }
+     POST /auth       { apiKey } -> { token, expires_in } for auth mode "token"
+     POST /upload     multipart "file" -> { file: { id, url, name, type, size } }
+     GET  /files/<id> uploaded files, and resume.pdf
+     POST /diagnostics  a batch from the diagnostics panel's endpoint setting; logs a one-line summary
+
+   With --key set, /api/chat and /upload want `Authorization: Bearer <key or token>` (or the key as
+   `apiKey` in the body) and answer 401 otherwise.
+
+   Scripting a scenario, either per request through the backend URL's query string
+   (…/api/chat?latency=2000&status=503) or for the next requests with POST /__mock:
+     { "next": [{ "status": 429, "retryAfter": 1 }, { "reply": "finally" }],   one per chat request
+       "health": 503, "latency": 800 }                                         until changed
+   A step may set: status (401, 429, 5xx … answered with { error }), retryAfter (seconds), latency (ms),
+   reply, resume_url, stream ("sse" | "ndjson" | "json"), cut (stop streaming after that many chunks),
+   drop (close the connection without answering). DELETE /__mock resets everything.
+*/
+
+const http = require('http');
+const crypto = require('crypto');
+
+function parseArgs(argv) {
+  const opts = { port: 5001, host: '127.0.0.1', latency: 300, stream: 'sse', key: '', model: 'mock-1' };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, '');
+    if (!(name in opts)) throw new Error(`unknown option ${argv[i]}`);
+    opts[name] = typeof opts[name] === 'number' ? Number(argv[i + 1]) : String(argv[i + 1]);
+  }
+  return opts;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const scenario = { next: [], health: 200, latency: null };
+const tokens = new Map();   // token -> expiresAt
+const files = new Map();    // id -> { name, type, data }
+files.set('resume.pdf', { name: 'resume.pdf', type: 'application/pdf', data: Buffer.from('%PDF-1.4\n% mock resume\n') });
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function cors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Accept');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function parseJson(buffer) {
+  try {
+    return JSON.parse(buffer.toString('utf8') || '{}');
+  } catch (e) {
+    return null;
+  }
+}
+
+// key or a live token from the Authorization header, or `apiKey` in a JSON / form body
+function authorized(req, bodyKey) {
+  if (!options.key) return true;
+  const bearer = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (bearer === options.key || bodyKey === options.key) return true;
+  const expiresAt = tokens.get(bearer);
+  return !!expiresAt && expiresAt > Date.now();
+}
+
+// the first "file" part of a multipart/form-data body (enough for the client's uploads)
+function multipartFile(req, body) {
+  const boundary = (/boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '') || []).slice(1).find(Boolean);
+  if (!boundary) return null;
+  const fields = {};
+  let file = null;
+  for (const part of body.toString('latin1').split(`--${boundary}`)) {
+    const split = part.indexOf('\r\n\r\n');
+    if (split === -1) continue;
+    const head = part.slice(0, split);
+    const content = part.slice(split + 4).replace(/\r\n$/, '');
+    const name = (/name="([^"]*)"/i.exec(head) || [])[1];
+    const filename = (/filename="([^"]*)"/i.exec(head) || [])[1];
+    if (filename !== undefined && name === 'file') {
+      const type = (/content-type:\s*([^\r\n]+)/i.exec(head) || [])[1] || 'application/octet-stream';
+      file = { name: filename, type, data: Buffer.from(content, 'latin1') };
+    } else if (name) {
+      fields[name] = content;
+    }
+  }
+  return file && { file, fields };
+}
+
+function replyFor(message, attachments) {
+  let reply = `You said: "${message}". This is the mock Ultron backend — **nothing** here is real.`;
+  if (attachments.length) reply += `\n\nAttached: ${attachments.map(a => a.name || a.url).join(', ')}.`;
+  return reply;
+}
+
+async function streamReply(res, kind, data, cut) {
+  const words = data.reply.split(/(?<= )/);
+  const extra = { ...data };
+  delete extra.reply;
+  res.writeHead(200, {
+    'Content-Type': kind === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache'
+  });
+  const write = (chunk) => res.write(kind === 'sse' ? `data: ${JSON.stringify(chunk)}\n\n` : `${JSON.stringify(chunk)}\n`);
+  for (let i = 0; i < words.length; i++) {
+    if (cut !== undefined && i >= cut) {
+      res.destroy();
+      return;
+    }
+    write({ delta: words[i] });
+    await wait(40);
+  }
+  if (Object.keys(extra).length) write(extra);
+  if (kind === 'sse') res.write('data: [DONE]\n\n');
+  else write({ done: true });
+  res.end();
+}
+
+async function handleChat(req, res, url) {
+  const fromQuery = Object.fromEntries(url.searchParams);
+  const step = { ...(scenario.next.shift() || {}), ...fromQuery };
+  const latency = Number(step.latency ?? scenario.latency ?? options.latency);
+  const body = parseJson(await readBody(req));
+  if (!body) return sendJson(res, 400, { error: 'invalid JSON body' });
+  await wait(latency);
+
+  if (step.drop) return req.socket.destroy();
+  if (!authorized(req, body.apiKey) || Number(step.status) === 401) {
+    return sendJson(res, 401, { error: 'unauthorized' });
+  }
+  const status = Number(step.status || 200);
+  if (status >= 400) {
+    const headers = step.retryAfter !== undefined ? { 'Retry-After': String(step.retryAfter) } : {};
+    return sendJson(res, status, { error: `mock ${status}` }, headers);
+  }
+
+  const message = String(body.message || '');
+  const attachments = Array.isArray(body.attachments) ? body.attachments : [];
+  const data = { reply: step.reply || replyFor(message, attachments) };
+  if (step.resume_url || /resume|cv\b/i.test(message)) data.resume_url = step.resume_url || '/files/resume.pdf';
+
+  const accept = req.headers.accept || '';
+  const kind = step.stream || (options.stream !== 'json' && accept.includes('text/event-stream') ? options.stream : 'json');
+  if (kind === 'json') return sendJson(res, 200, data);
+  return streamReply(res, kind, data, step.cut !== undefined ? Number(step.cut) : undefined);
+}
+
+async function handleUpload(req, res) {
+  const parsed = multipartFile(req, await readBody(req));
+  if (!parsed) return sendJson(res, 400, { error: 'expected multipart/form-data with a "file" part' });
+  if (!authorized(req, parsed.fields.apiKey)) return sendJson(res, 401, { error: 'unauthorized' });
+  const id = crypto.randomUUID();
+  files.set(id, parsed.file);
+  const { name, type, data } = parsed.file;
+  sendJson(res, 200, { file: { id, url: `/files/${id}`, name, type, size: data.length } });
+}
+
+async function handle(req, res) {
+  cors(res);
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (url.pathname === '/health' && req.method === 'GET') {
+    await wait(scenario.latency ?? 0);
+    if (scenario.health !== 200) return sendJson(res, scenario.health, { status: 'down' });
+    return sendJson(res, 200, { status: 'ok', version: 'mock', model: options.model });
+  }
+
+  if (url.pathname === '/auth' && req.method === 'POST') {
+    const body = parseJson(await readBody(req)) || {};
+    if (options.key && body.apiKey !== options.key) return sendJson(res, 401, { error: 'bad key' });
+    const token = crypto.randomUUID();
+    tokens.set(token, Date.now() + 300 * 1000);
+    return sendJson(res, 200, { token, expires_in: 300 });
+  }
+
+  if (url.pathname === '/upload' && req.method === 'POST') return handleUpload(req, res);
+
+  if (url.pathname === '/diagnostics' && req.method === 'POST') {
+    const body = parseJson(await readBody(req));
+    if (!body || !Array.isArray(body.entries)) return sendJson(res, 400, { error: 'expected { entries: [...] }' });
+    const counts = {};
+    for (const entry of body.entries) counts[entry.type] = (counts[entry.type] || 0) + 1;
+    console.log(`diagnostics from ${body.clientId || 'unknown client'}:`, JSON.stringify(counts));
+    res.writeHead(204);
+    return res.end();
+  }
+
+  if (url.pathname.startsWith('/files/') && req.method === 'GET') {
+    const file = files.get(decodeURIComponent(url.pathname.slice('/files/'.length)));
+    if (!file) return sendJson(res, 404, { error: 'no such file' });
+    res.writeHead(200, { 'Content-Type': file.type, 'Content-Disposition': `inline; filename="${file.name}"` });
+    return res.end(file.data);
+  }
+
+  if (url.pathname === '/__mock') {
+    if (req.method === 'DELETE') {
+      Object.assign(scenario, { next: [], health: 200, latency: null });
+      return sendJson(res, 200, scenario);
+    }
+    if (req.method === 'POST') {
+      const body = parseJson(await readBody(req));
+      if (!body) return sendJson(res, 400, { error: 'invalid JSON body' });
+      if (Array.isArray(body.next)) scenario.next.push(...body.next);
+      if (body.health !== undefined) scenario.health = Number(body.health);
+      if (body.latency !== undefined) scenario.latency = body.latency === null ? null : Number(body.latency);
+      return sendJson(res, 200, scenario);
+    }
+    return sendJson(res, 200, scenario);
+  }
+
+  if (req.method === 'POST') return handleChat(req, res, url);
+  sendJson(res, 404, { error: 'not found' });
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(err => {
+    console.error(err);
+    if (!res.headersSent) sendJson(res, 500, { error: String(err.message || err) });
+    else res.destroy();
+  });
+});
+
+// --port 0 picks a free port (the test suite does); the line below reports the one in use
+server.listen(options.port, options.host, () => {
+  console.log(`Mock Ultron backend on http://${options.host}:${server.address().port}/api/chat` +
+    (options.key ? ' (API key required)' : ''));
+});
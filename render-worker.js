@@ -0,0 +1,39 @@
+/* render-worker.js — runs the orb renderer (renderer.js) on an OffscreenCanvas
+   Messages from the page (see ORB RENDERER in script.js):
+     { type: 'init', canvas, width, height, dpr, count, theme }   canvas = transferred OffscreenCanvas
+     { type: 'resize', width, height, dpr }
+     { type: 'count', count }
+     { type: 'theme', theme }   orb colors, see setTheme in renderer.js
+     { type: 'frame', time, inputs }
+   Every frame is acknowledged with { type: 'frame', renderMs } so the page never queues more than
+   one frame and can adapt the particle count to the measured cost.
+*/
+
+importScripts('renderer.js');
+
+let renderer = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === 'init') {
+    renderer = createOrbRenderer(msg.canvas.getContext('2d'));
+    renderer.setTheme(msg.theme);
+    renderer.setCount(msg.count);
+    renderer.resize(msg.width, msg.height, msg.dpr);
+  } else if (!renderer) {
+    return;
+  } else if (msg.type === 'resize') {
+    renderer.resize(msg.width, msg.height, msg.dpr);
+  } else if (msg.type === 'count') {
+    renderer.setCount(msg.count);
+  } else if (msg.type === 'theme') {
+    renderer.setTheme(msg.theme);
+  } else if (msg.type === 'frame') {
+    const started = performance.now();
+    renderer.frame(msg.time, msg.inputs);
+    self.postMessage({ type: 'frame', renderMs: performance.now() - started });
+  }
+};
+
+// tells the page the script (and renderer.js) loaded, so it is safe to hand over the canvas
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,300 @@
+/* renderer.js — particle orb simulation + drawing
+   - Shared by the page (main-thread fallback) and render-worker.js (OffscreenCanvas), so it only
+     touches the 2D context it is given: no DOM, no window.
+   - The owner calls frame(time, inputs) once per animation frame. Inputs:
+       thinking, receiving, speaking   animation states (mandala / ripple / speaking pulse)
+       pulse                           0..1 speech pulse to add this frame (word boundaries)
+       mouseX, mouseY                  pointer in CSS pixels (-9999 when outside)
+       audio                           { level, low, mid, high } 0..1 from the mic / reply audio, or null
+       listening                       0..1 hands-free listening ring (faint: waiting for the wake phrase,
+                                       full: taking a message)
+       reducedMotion                   no drift, rotation or pointer/audio motion; thinking shows as a
+                                       still mandala with a steady glow
+   - Coordinates are CSS pixels; resize() scales the backing store by devicePixelRatio.
+   - setTheme({ particle, link, glow }) takes CSS colors (the page reads them from the --ultron-orb-*
+     custom properties); glow must be hex or rgb() since its alpha is animated.
+   - Only `createOrbRenderer` is global.
+*/
+
+function createOrbRenderer(ctx) {
+  const RINGS = 6;
+  const LINK_STRIDE = 12;        // neural lines connect every 12th particle...
+  const LINK_DISTANCE = 60;      // ...to others of that subset closer than this
+  const MANDALA_RAMP_FAST = 0.04; // ramp speed while thinking (bigger = faster)
+  const MANDALA_RAMP_SLOW = 0.01; // ramp speed while stopping
+  const RECEIVE_RAMP = 0.05;
+  const SPEAK_RAMP = 0.06;
+  const LISTEN_RAMP = 0.05;
+  const SPEECH_PULSE_DECAY = 0.9;
+  const PARTICLE_SIZE = 1.5;
+  const SILENCE = { level: 0, low: 0, mid: 0, high: 0 };
+  const DEFAULT_GLOW = [0, 200, 255];
+
+  const canvas = ctx.canvas;
+  let width = 0;
+  let height = 0;
+  let cx = 0;
+  let cy = 0;
+  let bigRadius = 0;
+  let count = 0;
+  let particles = [];
+
+  let mandalaRotation = 0;
+  let mandalaProgress = 0;
+  let receiveProgress = 0;
+  let speakProgress = 0;
+  let listenProgress = 0;
+  let listenBreath = 1;
+  let speechPulse = 0;
+  let audio = SILENCE;
+  let stillMotion = false;
+  let particleColor = "#000";
+  let linkColor = "rgba(0,0,0,0.05)";
+  let glowRgb = DEFAULT_GLOW;
+
+  function lerp(a, b, t) { return a + (b - a) * t; }
+  function easeInOut(t) { return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; }
+
+  // (re)build the particle set for `count`; existing particles keep their position and idle motion
+  // so changing the count (adaptive quality) doesn't make the orb jump
+  function buildParticles() {
+    const old = particles;
+    particles = [];
+    const particlesPerRing = Math.floor(count / RINGS) || 1;
+    for (let r = 1; r <= RINGS; r++) {
+      const radius = (bigRadius * 0.4) * r / RINGS;
+      for (let i = 0; i < particlesPerRing; i++) {
+        const prev = old[particles.length];
+        particles.push({
+          x: prev ? prev.x : cx + Math.random() * 10 - 5,
+          y: prev ? prev.y : cy + Math.random() * 10 - 5,
+          scatterAngle: prev ? prev.scatterAngle : Math.random() * 2 * Math.PI,
+          scatterRadius: prev ? prev.scatterRadius : Math.sqrt(Math.random()) * bigRadius,
+          phase: prev ? prev.phase : Math.random() * 2 * Math.PI,
+          speed: prev ? prev.speed : 0.001 + Math.random() * 0.002,
+          mandalaRadius: radius,
+          mandalaAngle: (2 * Math.PI * i) / particlesPerRing
+        });
+      }
+    }
+  }
+
+  function resize(cssWidth, cssHeight, dpr = 1) {
+    const oldCx = cx;
+    const oldCy = cy;
+    const oldBigRadius = bigRadius;
+
+    width = cssWidth;
+    height = cssHeight;
+    canvas.width = Math.round(cssWidth * dpr);
+    canvas.height = Math.round(cssHeight * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    cx = width / 2;
+    cy = height / 4;
+    bigRadius = Math.min(cx, cy) * 0.80;
+
+    if (particles.length > 0 && oldBigRadius > 0) {
+      const scaleX = cx / oldCx;
+      const scaleY = cy / oldCy;
+      const scaleR = bigRadius / oldBigRadius;
+      for (const p of particles) {
+        p.x = cx + (p.x - oldCx) * scaleX;
+        p.y = cy + (p.y - oldCy) * scaleY;
+        p.scatterRadius *= scaleR;
+        p.mandalaRadius *= scaleR;
+      }
+    } else if (count > 0) {
+      buildParticles();
+    }
+  }
+
+  // "#0cf" / "#00ccff" / "rgb(0, 204, 255)" -> [0, 204, 255]
+  function parseRgb(color) {
+    const value = String(color || "").trim();
+    let m = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (m) {
+      const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+      return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+    m = value.match(/^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)/i);
+    return m ? [m[1], m[2], m[3]].map(Number) : DEFAULT_GLOW;
+  }
+
+  function setTheme(theme = {}) {
+    if (theme.particle) particleColor = theme.particle;
+    if (theme.link) linkColor = theme.link;
+    glowRgb = parseRgb(theme.glow);
+  }
+
+  function setCount(n) {
+    if (n === count) return;
+    count = n;
+    if (bigRadius > 0) buildParticles();
+  }
+
+  function step(time, inputs) {
+    // Mandala progress & rotation (the receiving state keeps the mandala formed)
+    const mandalaHeld = inputs.thinking || inputs.receiving;
+    if (mandalaHeld && mandalaProgress < 1) mandalaProgress = Math.min(1, mandalaProgress + MANDALA_RAMP_FAST);
+    else if (!mandalaHeld && mandalaProgress > 0) mandalaProgress = Math.max(0, mandalaProgress - MANDALA_RAMP_SLOW);
+
+    const easedProgress = easeInOut(Math.max(0, Math.min(1, mandalaProgress)));
+    const still = !!inputs.reducedMotion;
+    if (still) mandalaRotation = 0;
+    else if (inputs.thinking) mandalaRotation += 0.012 * (1 + easedProgress);
+    else if (inputs.receiving) mandalaRotation += 0.005;
+
+    if (inputs.receiving && receiveProgress < 1) receiveProgress = Math.min(1, receiveProgress + RECEIVE_RAMP);
+    else if (!inputs.receiving && receiveProgress > 0) receiveProgress = Math.max(0, receiveProgress - RECEIVE_RAMP);
+
+    if (inputs.speaking && speakProgress < 1) speakProgress = Math.min(1, speakProgress + SPEAK_RAMP);
+    else if (!inputs.speaking && speakProgress > 0) speakProgress = Math.max(0, speakProgress - SPEAK_RAMP / 2);
+    // the listening ring eases toward its target level and breathes unless motion is reduced
+    const listenTarget = Math.max(0, Math.min(1, inputs.listening || 0));
+    if (listenProgress < listenTarget) listenProgress = Math.min(listenTarget, listenProgress + LISTEN_RAMP);
+    else if (listenProgress > listenTarget) listenProgress = Math.max(listenTarget, listenProgress - LISTEN_RAMP);
+    listenBreath = still ? 1 : 0.75 + 0.25 * Math.sin(time * 0.004);
+
+    stillMotion = still;
+    speechPulse = still ? 0 : Math.max(speechPulse, inputs.pulse || 0);
+    audio = (!still && inputs.audio) || SILENCE;
+
+    for (const p of particles) {
+      if (!still) p.scatterAngle += p.speed;
+
+      // while speaking the idle cloud breathes outward in waves; low frequencies swell it too
+      const breathe = still ? 0 : 0.04 * Math.sin(time * 0.006 + p.phase);
+      const speakScale = 1 + speakProgress * (breathe + 0.22 * speechPulse) + 0.3 * audio.low;
+      const idleX = cx + p.scatterRadius * speakScale * Math.cos(p.scatterAngle);
+      const idleY = cy + p.scatterRadius * speakScale * Math.sin(p.scatterAngle);
+
+      // while receiving, ripples travel outward through the rings
+      // (mid frequencies send their own ripple through the rings)
+      const ripple = still ? 1 : 1 + 0.12 * receiveProgress * Math.sin(time * 0.01 - p.mandalaRadius * 0.08)
+        + 0.15 * audio.mid * Math.sin(time * 0.02 - p.mandalaRadius * 0.1);
+      const mandalaX = cx + p.mandalaRadius * ripple * Math.cos(p.mandalaAngle + mandalaRotation);
+      const mandalaY = cy + p.mandalaRadius * ripple * Math.sin(p.mandalaAngle + mandalaRotation);
+
+      let targetX = lerp(idleX, mandalaX, easedProgress);
+      let targetY = lerp(idleY, mandalaY, easedProgress);
+
+      const osc = still ? 0 : Math.sin(time * 0.003 + p.phase) * 3 * (1 - easedProgress);
+      targetX += osc;
+      targetY += osc;
+
+      // high frequencies make individual particles shimmer
+      if (audio.high > 0) {
+        const shimmer = audio.high * 6 * Math.sin(time * 0.05 + p.phase * 7);
+        targetX += shimmer * Math.cos(p.phase);
+        targetY += shimmer * Math.sin(p.phase);
+      }
+
+      if (!mandalaHeld && !still) {
+        const dx = p.x - inputs.mouseX;
+        const dy = p.y - inputs.mouseY;
+        const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+        if (dist < 120) {
+          const force = (120 - dist) / 120 * 20;
+          targetX += dx / dist * force;
+          targetY += dy / dist * force;
+        }
+      }
+
+      p.x = lerp(p.x, targetX, 0.05);
+      p.y = lerp(p.y, targetY, 0.05);
+    }
+    speechPulse *= SPEECH_PULSE_DECAY;
+  }
+
+  // neural lines between nearby members of the sampled subset; a uniform grid with
+  // LINK_DISTANCE cells means each point only checks its own and the 8 neighbouring cells
+  function traceLinks() {
+    const grid = new Map();
+    const cellOf = (v) => Math.floor(v / LINK_DISTANCE);
+    for (let i = 0; i < particles.length; i += LINK_STRIDE) {
+      const p = particles[i];
+      const key = cellOf(p.x) * 65536 + cellOf(p.y);
+      const cell = grid.get(key);
+      if (cell) cell.push(i);
+      else grid.set(key, [i]);
+    }
+
+    const maxSq = LINK_DISTANCE * LINK_DISTANCE;
+    ctx.beginPath();
+    for (let i = 0; i < particles.length; i += LINK_STRIDE) {
+      const a = particles[i];
+      const gx = cellOf(a.x);
+      const gy = cellOf(a.y);
+      for (let ox = -1; ox <= 1; ox++) {
+        for (let oy = -1; oy <= 1; oy++) {
+          const cell = grid.get((gx + ox) * 65536 + (gy + oy));
+          if (!cell) continue;
+          for (const j of cell) {
+            if (j <= i) continue; // each pair once
+            const b = particles[j];
+            const dx = a.x - b.x;
+            const dy = a.y - b.y;
+            if (dx * dx + dy * dy < maxSq) {
+              ctx.moveTo(a.x, a.y);
+              ctx.lineTo(b.x, b.y);
+            }
+          }
+        }
+      }
+    }
+    ctx.stroke();
+  }
+
+  function draw() {
+    ctx.clearRect(0, 0, width, height);
+
+    // AI area subtle background circle
+    ctx.beginPath();
+    ctx.arc(cx, cy, bigRadius + 20, 0, 2 * Math.PI);
+    const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, bigRadius + 60);
+    // with reduced motion the glow (not the motion) says "thinking" / "speaking"
+    const stillGlow = stillMotion ? 0.25 * Math.max(mandalaProgress, speakProgress) : 0;
+    const glow = Math.min(0.85, 0.3 + 0.25 * speechPulse * speakProgress + 0.35 * audio.level + stillGlow);
+    const rgb = glowRgb.join(", ");
+    gradient.addColorStop(0, `rgba(${rgb}, ${glow.toFixed(3)})`);
+    gradient.addColorStop(1, `rgba(${rgb}, 0)`);
+    ctx.fillStyle = gradient;
+    ctx.fill();
+
+    if (listenProgress > 0.01) {
+      ctx.beginPath();
+      ctx.arc(cx, cy, bigRadius + 8, 0, 2 * Math.PI);
+      ctx.strokeStyle = `rgba(${rgb}, ${(0.7 * listenProgress * listenBreath).toFixed(3)})`;
+      ctx.lineWidth = 1 + listenProgress;
+      ctx.stroke();
+    }
+
+    // all particles as one path, one fill
+    ctx.beginPath();
+    for (const p of particles) {
+      ctx.moveTo(p.x + PARTICLE_SIZE, p.y);
+      ctx.arc(p.x, p.y, PARTICLE_SIZE, 0, 2 * Math.PI);
+    }
+    ctx.fillStyle = particleColor;
+    ctx.fill();
+
+    if (mandalaProgress > 0.05) {
+      ctx.strokeStyle = linkColor;
+      ctx.lineWidth = 0.3;
+      traceLinks();
+    }
+  }
+
+  return {
+    resize,
+    setCount,
+    setTheme,
+    frame(time, inputs) {
+      step(time, inputs);
+      draw();
+    },
+    get count() {
+      return count;
+    }
+  };
+}
@@ -6,26 +6,54 @@
      * settings UI to change backend & api key (saved to localStorage)
 */
 
-const canvas = document.getElementById('aiBall');
-const ctx = canvas.getContext('2d');
+let canvas = document.getElementById('aiBall'); // replaced if the render worker dies (renderOnMainThread)
 
-let cx, cy;
-let bigRadius;
-const particleCount = 450;
-let particles = [];
+const DEFAULT_PARTICLE_COUNT = 450;
+let particleCount = DEFAULT_PARTICLE_COUNT; // animation.particleCount setting, applied once prefs load
 let aiThinking = false;
 let mouse = { x: -9999, y: -9999 };
-let mandalaRotation = 0;
-let mandalaProgress = 0;
-const rings = 6;
+let aiReceiving = false;  // streamed reply is arriving
+let aiSpeaking = false;
+let speechPulse = 0;     // strongest TTS word-boundary spike since the last frame
+let lastBoundaryAt = 0;
+
+// endpoint URLs, the /health probe, stream parsing and retry timing live in backend.js
+const {
+  backendOriginFrom, healthUrlForBackend, authUrlForBackend, uploadUrlForBackend, httpsUpgradeCandidate, probeBackend,
+  STREAM_ACCEPT, streamKindFor, readSseStream, readNdjsonStream, isRetryableError, retryAfterMs, backoffDelay, sleep
+} = UltronBackend;
+
+// setting validation, the preference store, export files and profile bookkeeping live in settings.js
+const {
+  SETTINGS_VERSION, settingDefault, coerceSetting, settingsFromQuery, createPrefStore, normalizeProfile, profileWithoutKey,
+  profilesFromStorage, splitProfileKeys, cleanProfileDraft
+} = UltronSettings;
 
 // === CONNECTIVITY CONFIG (now dynamic) ===
 // Default (safe local dev default). Override via:
-//  1) URL query: ?backend=<BACKEND_URL>&apikey=<API_KEY>
-//  2) localStorage keys: ULTRON_BACKEND and ULTRON_API_KEY
+//  1) URL query: ?backend=<BACKEND_URL>&apikey=<API_KEY>[&auth=bearer|token|body] (apikey is removed from the address bar once read)
+//  2) backend profiles saved from the settings panel (localStorage ULTRON_PROFILES)
 let DEFAULT_BACKEND_URL = "http://127.0.0.1:5001/api/chat";
 let DEFAULT_API_KEY = "ULTRON_CLIENT_KEY_ABC";
 
+// Pages allowed to embed this app with ultron-widget.js and drive it over postMessage: the origins in
+// index.html's <meta name="ultron-embed-origins">, set at deploy time. This page's own origin is always
+// allowed; nothing in the iframe URL can add one.
+function embedAllowedOrigins(doc = document) {
+  const meta = doc.querySelector('meta[name="ultron-embed-origins"]');
+  const origins = [];
+  for (const entry of (meta ? meta.content : '').split(/[\s,]+/).filter(Boolean)) {
+    try {
+      const url = new URL(entry);
+      if (/^https?:$/.test(url.protocol)) origins.push(url.origin);
+    } catch (e) {
+      console.warn('Ultron: ignoring invalid embed origin', entry);
+    }
+  }
+  return origins;
+}
+const EMBED_ALLOWED_ORIGINS = embedAllowedOrigins();
+
 // helper: read query params
 function getQueryParams() {
   try {
@@ -36,288 +64,754 @@ function getQueryParams() {
   }
 }
 
+// helpers: small JSON preferences kept in localStorage (voice, etc.), see `prefs` below.
+// Settings passed in the page URL (shareable links) take precedence until changed in the UI.
+function loadPref(key, fallback) {
+  return prefs.load(key, fallback);
+}
+function savePref(key, value) {
+  prefs.save(key, value);
+}
+
+// === SETTINGS SCHEMA ===
+// Every user-facing setting, grouped by area. `key` is the localStorage pref that holds it, `param`
+// the query parameter used by shareable links (settings without one are never put in a link),
+// `secret` marks values that are left out of exports unless asked for and never shared, and
+// `noImport` values that are exported but only ever changed on this device.
+const SETTINGS_SCHEMA = {
+  'backend.profiles': { key: 'ULTRON_PROFILES', type: 'array', default: () => [profileWithoutKey(defaultProfile())] },
+  'backend.activeProfile': { key: 'ULTRON_ACTIVE_PROFILE', type: 'string', default: 'default' },
+  'backend.apiKeys': { key: 'ULTRON_PROFILE_KEYS', type: 'object', default: () => ({}), secret: true },
+  'backend.keyStorage': { key: 'ULTRON_KEY_STORAGE', type: 'enum', values: ['local', 'session'], default: 'local' },
+  'backend.requestTimeoutMs': { key: 'ULTRON_REQUEST_TIMEOUT_MS', type: 'number', min: 0, max: 600000, default: 30000, param: 'timeout' },
+  'backend.maxRetries': { key: 'ULTRON_MAX_RETRIES', type: 'number', min: 0, max: 10, default: 3, param: 'retries' },
+  'voice.inputMode': { key: 'ULTRON_VOICE_MODE', type: 'enum', values: ['toggle', 'push', 'handsfree'], default: 'toggle', param: 'voiceMode' },
+  'voice.wakePhrase': { key: 'ULTRON_WAKE_PHRASE', type: 'string', default: 'Ultron', param: 'wakePhrase' },
+  'voice.vadSilenceMs': { key: 'ULTRON_VAD_SILENCE_MS', type: 'number', min: 300, max: 5000, default: 1200, param: 'vadSilence' },
+  'voice.vadSensitivity': { key: 'ULTRON_VAD_SENSITIVITY', type: 'enum', values: ['low', 'medium', 'high'], default: 'medium', param: 'vadSensitivity' },
+  'voice.handsFreeTimeoutSecs': { key: 'ULTRON_HANDS_FREE_TIMEOUT', type: 'number', min: 0, max: 3600, default: 120, param: 'handsFreeTimeout' },
+  'voice.language': { key: 'ULTRON_VOICE_LANG', type: 'string', default: () => navigator.language || 'en-US', param: 'voiceLang' },
+  'voice.ttsEnabled': { key: 'ULTRON_TTS_ENABLED', type: 'boolean', default: true, param: 'tts' },
+  'voice.ttsVoice': { key: 'ULTRON_TTS_VOICE', type: 'string', default: '' }, // voiceURI: device-specific, not shared
+  'voice.ttsRate': { key: 'ULTRON_TTS_RATE', type: 'number', min: 0.5, max: 2, default: 1, param: 'ttsRate' },
+  'voice.ttsPitch': { key: 'ULTRON_TTS_PITCH', type: 'number', min: 0, max: 2, default: 1, param: 'ttsPitch' },
+  'ui.locale': { key: 'ULTRON_LOCALE', type: 'string', default: 'auto', param: 'locale' }, // 'auto' or a UltronI18n locale
+  'theme.name': { key: 'ULTRON_THEME', type: 'string', default: 'auto', param: 'theme' }, // a preset or a custom theme's name
+  'theme.custom': { key: 'ULTRON_CUSTOM_THEMES', type: 'array', default: () => [] },
+  'animation.particleCount': { key: 'ULTRON_PARTICLES', type: 'number', min: 60, max: 1500, default: DEFAULT_PARTICLE_COUNT, param: 'particles' },
+  'animation.audioReactive': { key: 'ULTRON_AUDIO_REACTIVE', type: 'boolean', default: true, param: 'audioReactive' },
+  'animation.audioIntensity': { key: 'ULTRON_AUDIO_INTENSITY', type: 'enum', values: ['full', 'reduced'], default: 'full', param: 'audioIntensity' },
+  'animation.reducedMotion': { key: 'ULTRON_REDUCED_MOTION', type: 'enum', values: ['auto', 'on', 'off'], default: 'auto', param: 'reducedMotion' },
+  'history.maxTurns': { key: 'ULTRON_HISTORY_TURNS', type: 'number', min: 0, max: 200, default: 20, param: 'historyTurns' },
+  'history.tokenBudget': { key: 'ULTRON_HISTORY_TOKENS', type: 'number', min: 0, max: 100000, default: 3000, param: 'historyTokens' },
+  // no params and not imported: neither a shared link nor a settings file may turn reporting on or
+  // point it somewhere else (the endpoint is only set through setDiagnosticsEndpoint)
+  'diagnostics.enabled': { key: 'ULTRON_DIAGNOSTICS', type: 'boolean', default: false, noImport: true },
+  'diagnostics.endpoint': { key: 'ULTRON_DIAGNOSTICS_ENDPOINT', type: 'string', default: '', noImport: true }
+};
+
+// one step per version bump: SETTINGS_MIGRATIONS[n] upgrades stored settings from version n to n + 1
+const SETTINGS_MIGRATIONS = [
+  // 0 -> 1: the single ULTRON_BACKEND / ULTRON_API_KEY pair becomes the "Default" profile, and keys
+  // kept inline in saved profiles move to the separate key store
+  () => {
+    const saved = loadPref('ULTRON_PROFILES', null);
+    const keys = {};
+    let profiles;
+    if (Array.isArray(saved) && saved.length) {
+      profiles = saved.filter(Boolean).map(p => {
+        if (p.apiKey) keys[p.id] = p.apiKey;
+        return profileWithoutKey(p);
+      });
+    } else if (localStorage.getItem(prefKey('ULTRON_BACKEND')) || localStorage.getItem(prefKey('ULTRON_API_KEY'))) {
+      const profile = defaultProfile();
+      profile.url = localStorage.getItem(prefKey('ULTRON_BACKEND')) || profile.url;
+      keys[profile.id] = localStorage.getItem(prefKey('ULTRON_API_KEY')) || profile.apiKey;
+      profiles = [profileWithoutKey(profile)];
+    } else {
+      return;
+    }
+    savePref('ULTRON_PROFILES', profiles);
+    if (Object.keys(keys).length) savePref('ULTRON_PROFILE_KEYS', { ...loadPref('ULTRON_PROFILE_KEYS', {}), ...keys });
+    localStorage.removeItem(prefKey('ULTRON_BACKEND'));
+    localStorage.removeItem(prefKey('ULTRON_API_KEY'));
+  }
+];
+
+function migrateSettings() {
+  const from = loadPref('ULTRON_SETTINGS_VERSION', 0);
+  for (let version = from; version < SETTINGS_VERSION; version++) {
+    try {
+      SETTINGS_MIGRATIONS[version]();
+    } catch (e) {
+      console.warn(`Settings migration ${version} -> ${version + 1} failed:`, e);
+    }
+  }
+  if (from !== SETTINGS_VERSION) savePref('ULTRON_SETTINGS_VERSION', SETTINGS_VERSION);
+}
+
+// a setting's current value (API keys come from the key store)
+function readSetting(entry) {
+  return entry.key === 'ULTRON_PROFILE_KEYS' ? loadProfileKeys() : loadPref(entry.key, settingDefault(entry));
+}
+
+// the documented export format; API keys only with includeSecrets
+function exportSettings(options = {}) {
+  return UltronSettings.exportSettings(SETTINGS_SCHEMA, readSetting, options);
+}
+
+// write an exported settings object back to storage. Unknown or invalid values are skipped;
+// returns the number of settings applied. The page must reload for them to take effect.
+function importSettings(data) {
+  const values = UltronSettings.readSettingsExport(SETTINGS_SCHEMA, data);
+  let keys = null;
+  for (const { path, entry, value } of values) {
+    if (entry.key === 'ULTRON_PROFILE_KEYS') {
+      keys = value;
+    } else {
+      savePref(entry.key, path === 'backend.profiles' ? value.map(normalizeProfile).filter(Boolean) : value);
+    }
+  }
+  if (keys) {
+    KEY_STORAGE = loadPref('ULTRON_KEY_STORAGE', 'local');
+    secretStore().setItem(prefKey('ULTRON_PROFILE_KEYS'), JSON.stringify({ ...loadProfileKeys(), ...keys }));
+  }
+  savePref('ULTRON_SETTINGS_VERSION', SETTINGS_VERSION);
+  return values.length;
+}
+
+// link to this page that carries every non-secret setting that has a query param
+function shareableSettingsLink() {
+  const url = new URL(window.location.href);
+  url.search = '';
+  url.hash = '';
+  const profile = activeProfile();
+  url.searchParams.set('backend', profile.url);
+  if (profile.auth && profile.auth !== 'bearer') url.searchParams.set('auth', profile.auth);
+  for (const entry of Object.values(SETTINGS_SCHEMA)) {
+    if (!entry.param || entry.secret) continue;
+    const value = loadPref(entry.key, settingDefault(entry));
+    if (value === settingDefault(entry)) continue;
+    url.searchParams.set(entry.param, String(value));
+  }
+  return url.toString();
+}
+
 const q = getQueryParams();
-let BACKEND_URL = q.backend || localStorage.getItem('ULTRON_BACKEND') || DEFAULT_BACKEND_URL;
-let API_KEY = q.apikey || localStorage.getItem('ULTRON_API_KEY') || DEFAULT_API_KEY;
 
-// helper to compute origin (for resolving resume_url)
-function backendOriginFrom(url) {
+// widget instances (ultron-widget.js, ?embed=1&ns=<id>) keep their settings and conversations apart.
+// An embed never shares the standalone app's storage: without a usable ns it gets a throwaway
+// "embed" space and the bridge stays off (see initEmbedBridge).
+const EMBED_MODE = q.embed === '1';
+const EMBED_NAMESPACE = EMBED_MODE ? String(q.ns || '').replace(/[^\w-]/g, '').slice(0, 40) : '';
+const STORAGE_NAMESPACE = EMBED_MODE ? EMBED_NAMESPACE || 'embed' : '';
+
+function prefKey(key) {
+  return prefs.key(key);
+}
+
+// ?apikey= would otherwise stay in the address bar, browser history and Referer headers
+function stripSecretParams() {
+  if (!('apikey' in q)) return;
+  try {
+    const u = new URL(window.location.href);
+    u.searchParams.delete('apikey');
+    history.replaceState(history.state, '', u.pathname + u.search + u.hash);
+  } catch (e) {
+    console.warn('Could not remove apikey from the address bar:', e);
+  }
+}
+stripSecretParams();
+const prefs = createPrefStore({ storage: localStorage, namespace: STORAGE_NAMESPACE, overrides: settingsFromQuery(SETTINGS_SCHEMA, q) });
+
+// === BACKEND PROFILES ===
+// Named backends (laptop, LAN box, hosted...) in priority order: index 0 is tried first when failing
+// over. Chat requests go to the active profile and move down the list while it is unreachable.
+// (The pre-profile ULTRON_BACKEND / ULTRON_API_KEY pair is turned into one by migrateSettings.)
+function defaultProfile() {
+  return { id: 'default', name: 'Default', url: DEFAULT_BACKEND_URL, apiKey: DEFAULT_API_KEY, auth: 'bearer' };
+}
+
+// API keys are stored apart from the profiles so they can be kept for the tab session only
+// ("session") instead of on this device ("local").
+let KEY_STORAGE = loadPref('ULTRON_KEY_STORAGE', 'local');
+
+function secretStore() {
+  return KEY_STORAGE === 'session' ? sessionStorage : localStorage;
+}
+
+// an embedded widget only ever uses the key its host hands over in `init` (see EMBED BRIDGE)
+function loadProfileKeys() {
+  if (EMBED_MODE) return {};
   try {
-    const u = new URL(url);
-    return u.origin;
+    return JSON.parse(secretStore().getItem(prefKey('ULTRON_PROFILE_KEYS'))) || {};
   } catch (e) {
-    return window.location.origin;
+    return {};
   }
 }
+
+function loadProfiles() {
+  return profilesFromStorage(loadPref('ULTRON_PROFILES', null), loadProfileKeys(), {
+    fallback: defaultProfile(),
+    defaultKey: EMBED_MODE ? '' : DEFAULT_API_KEY
+  });
+}
+
+migrateSettings();
+let backendProfiles = loadProfiles();
+// ?backend= adds a session-only profile on top instead of overwriting the saved ones. It never
+// borrows a saved key for a URL the user didn't save: anyone can craft a link, and the key would go
+// out as a bearer header to their host. Only ?apikey= or a saved profile for that exact URL supply one.
+if (q.backend) {
+  const saved = backendProfiles.find(p => p.url === q.backend);
+  backendProfiles.unshift({ id: 'link', name: 'From link', url: q.backend, apiKey: (!EMBED_MODE && q.apikey) || (saved ? saved.apiKey : ''), auth: q.auth || (saved ? saved.auth : 'bearer'), transient: true });
+}
+let activeProfileId = q.backend ? 'link' : loadPref('ULTRON_ACTIVE_PROFILE', backendProfiles[0].id);
+
+function activeProfile() {
+  return backendProfiles.find(p => p.id === activeProfileId) || backendProfiles[0];
+}
+
+function saveProfiles() {
+  const { profiles, keys } = splitProfileKeys(backendProfiles);
+  savePref('ULTRON_PROFILES', profiles);
+  localStorage.removeItem(prefKey('ULTRON_PROFILE_KEYS'));
+  sessionStorage.removeItem(prefKey('ULTRON_PROFILE_KEYS'));
+  secretStore().setItem(prefKey('ULTRON_PROFILE_KEYS'), JSON.stringify(EMBED_MODE ? {} : keys));
+}
+
+// switch where API keys are kept ('local' | 'session') and move the current ones over
+function setKeyStorage(mode) {
+  KEY_STORAGE = mode === 'session' ? 'session' : 'local';
+  savePref('ULTRON_KEY_STORAGE', KEY_STORAGE);
+  saveProfiles();
+}
+
+let BACKEND_URL = activeProfile().url;
+let API_KEY = (!EMBED_MODE && q.apikey) || activeProfile().apiKey;
+
 let BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
+let backendHealthy = null; // last known reachability (null = not checked yet)
+
+// make a profile the one requests go to (health state starts over for it)
+function activateProfile(id) {
+  const profile = backendProfiles.find(p => p.id === id) || backendProfiles[0];
+  activeProfileId = profile.id;
+  if (!profile.transient) savePref('ULTRON_ACTIVE_PROFILE', profile.id);
+  BACKEND_URL = profile.url;
+  API_KEY = profile.apiKey;
+  BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
+  backendHealthy = null;
+  lastHealthProbe = null;
+  updateConnectionIndicator();
+  refreshProfileSwitcher();
+  return profile;
+}
 
-// small UI banner to show connection status & tips
-function ensureStatusBanner() {
-  if (document.getElementById('ultron-conn-banner')) return;
-  const banner = document.createElement('div');
-  banner.id = 'ultron-conn-banner';
-  banner.style.position = 'fixed';
-  banner.style.left = '50%';
-  banner.style.transform = 'translateX(-50%)';
-  banner.style.bottom = '84px';
-  banner.style.zIndex = 9998;
-  banner.style.padding = '8px 12px';
-  banner.style.borderRadius = '10px';
-  banner.style.boxShadow = '0 10px 30px rgba(0,0,0,0.12)';
-  banner.style.background = '#fff7ed';
-  banner.style.color = '#92400e';
-  banner.style.fontSize = '13px';
-  banner.style.display = 'none';
-  banner.style.maxWidth = 'min(88%,720px)';
-  banner.style.textAlign = 'left';
-  banner.style.lineHeight = '1.25';
-  banner.style.border = '1px solid rgba(0,0,0,0.04)';
-  banner.style.fontFamily = 'system-ui, Arial, sans-serif';
-  document.body.appendChild(banner);
+// the active profile's URL changed underneath us (http -> https upgrade)
+function updateActiveProfileUrl(url) {
+  const profile = activeProfile();
+  profile.url = url;
+  BACKEND_URL = url;
+  BACKEND_ORIGIN = backendOriginFrom(url);
+  saveProfiles();
 }
-function showStatusBanner(html, timeoutMs = 0) {
-  ensureStatusBanner();
-  const banner = document.getElementById('ultron-conn-banner');
-  banner.innerHTML = html;
-  banner.style.display = 'block';
-  if (timeoutMs > 0) {
-    setTimeout(() => { banner.style.display = 'none'; }, timeoutMs);
+
+// profiles to fail over to, in priority order, skipping the one that just failed
+function failoverCandidates(failed) {
+  return backendProfiles.filter(p => p.id !== failed.id && p.url);
+}
+
+// the first of those whose /health answers, as { profile, probe }, or null
+async function firstHealthyBackup(failed, timeoutMs) {
+  for (const profile of failoverCandidates(failed)) {
+    const probe = await probeBackend(profile.url, timeoutMs);
+    if (probe.ok) return { profile, probe };
   }
+  return null;
+}
+
+// small UI banner to show connection status & tips (banner.js)
+const statusBanner = UltronBanner.createStatusBanner(document);
+function showStatusBanner(html, timeoutMs = 0) {
+  statusBanner.show(html, timeoutMs);
 }
 function hideStatusBanner() {
-  const banner = document.getElementById('ultron-conn-banner');
-  if (banner) banner.style.display = 'none';
-}
-
-// Linear interpolation & easing
-function lerp(a, b, t) { return a + (b - a) * t; }
-function easeInOut(t) { return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t; }
-
-// Initialize particles
-function initParticles() {
-  particles = [];
-  const particlesPerRing = Math.floor(particleCount / rings) || 1;
-  for (let r = 1; r <= rings; r++) {
-    const radius = (bigRadius * 0.4) * r / rings;
-    for (let i = 0; i < particlesPerRing; i++) {
-      const angle = (2 * Math.PI * i) / particlesPerRing;
-      const scatterAngle = Math.random() * 2 * Math.PI;
-      const scatterRadius = Math.sqrt(Math.random()) * bigRadius;
-      const phase = Math.random() * 2 * Math.PI;
-      const speed = 0.001 + Math.random() * 0.002;
-
-      particles.push({
-        x: cx + Math.random() * 10 - 5,
-        y: cy + Math.random() * 10 - 5,
-        scatterAngle,
-        scatterRadius,
-        phase,
-        speed,
-        mandalaRadius: radius,
-        mandalaAngle: angle,
-        baseSize: 1.5
-      });
+  statusBanner.hide();
+}
+
+/* -----------------------
+   LANGUAGE
+   ----------------------- */
+// UI strings go through t(text, vars): `text` is the English string and the catalog key (catalogs
+// live in i18n.js), {name} placeholders are filled from `vars`. HTML strings take escaped values.
+// The locale is "auto" (first supported navigator.languages entry) or one picked in settings;
+// picking one reloads the page, so everything built at startup comes up in the new language.
+// The locale is also sent with each chat request so the backend can answer in it.
+const { LOCALES, resolveLocale, translate, localeDirection } = UltronI18n;
+let LOCALE_PREF = loadPref('ULTRON_LOCALE', 'auto');
+const LOCALE = resolveLocale(LOCALE_PREF, navigator.languages || [navigator.language]);
+
+function t(text, vars) {
+  return translate(LOCALE, text, vars);
+}
+
+// lang / dir on <html>, and the static markup's strings: data-i18n lists what to translate on an
+// element ("text" and/or attribute names), with the English in index.html as the key
+function applyLocale(root = document) {
+  if (root === document) {
+    document.documentElement.lang = LOCALE;
+    document.documentElement.dir = localeDirection(LOCALE);
+  }
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    for (const what of el.dataset.i18n.split(/\s+/).filter(Boolean)) {
+      if (what === 'text') el.textContent = t(el.textContent);
+      else if (el.hasAttribute(what)) el.setAttribute(what, t(el.getAttribute(what)));
     }
+  });
+}
+
+function setLocalePreference(value) {
+  if (value === LOCALE_PREF) return;
+  LOCALE_PREF = value;
+  savePref('ULTRON_LOCALE', value);
+  showStatusBanner(translate(resolveLocale(value, navigator.languages || [navigator.language]), 'Language changed — reloading…'), 1500);
+  setTimeout(() => window.location.reload(), 500);
+}
+
+/* -----------------------
+   THEMES
+   ----------------------- */
+// Colors live in CSS custom properties (style.css: light / dark / high-contrast presets keyed by
+// <html data-theme>). "auto" follows prefers-color-scheme (and prefers-contrast: more). Custom themes
+// are JSON: a preset to start from plus property overrides, e.g.
+//   { "name": "midnight", "label": "Midnight", "base": "dark",
+//     "colors": { "accent": "#a855f7", "orbGlow": "#a855f7" } }
+// The canvas can't use CSS, so applyTheme() reads the resolved --ultron-orb-* values into a theme
+// object for the renderer.
+const BUILTIN_THEMES = [['auto', 'Auto (system)'], ['light', 'Light'], ['dark', 'Dark'], ['high-contrast', 'High contrast']];
+const THEME_COLOR_KEYS = [
+  'bg', 'text', 'muted', 'surface', 'surfaceAlt', 'inputBg', 'panelBg', 'border', 'hover', 'shadow',
+  'userBg', 'userText', 'aiBg', 'aiText', 'accent', 'accentText', 'accentSoft', 'link',
+  'success', 'danger', 'neutral', 'warnBg', 'warnText', 'orbParticle', 'orbLink', 'orbGlow'
+];
+const DEFAULT_ORB_THEME = { particle: '#000', link: 'rgba(0, 0, 0, 0.05)', glow: '#00c8ff' };
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+const moreContrastQuery = window.matchMedia ? window.matchMedia('(prefers-contrast: more)') : null;
+
+let THEME = loadPref('ULTRON_THEME', 'auto');
+let customThemes = loadPref('ULTRON_CUSTOM_THEMES', []).map(t => {
+  try {
+    return normalizeCustomTheme(t);
+  } catch (e) {
+    console.warn('Dropping invalid custom theme:', e.message);
+    return null;
+  }
+}).filter(Boolean);
+let orbTheme = { ...DEFAULT_ORB_THEME };
+
+// "orbGlow" -> "--ultron-orb-glow"
+function themeVar(key) {
+  return `--ultron-${key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}`;
+}
+
+function isColorValue(value) {
+  if (typeof value !== 'string' || !value.trim() || /[;{}<>]/.test(value)) return false;
+  return window.CSS && CSS.supports ? CSS.supports('color', value) : true;
+}
+
+// validates one custom theme definition; throws with a readable message
+function normalizeCustomTheme(raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('a theme must be an object');
+  const name = String(raw.name || '').trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9-]{0,31}$/.test(name)) throw new Error('"name" must be 1–32 letters, digits or dashes');
+  if (BUILTIN_THEMES.some(([id]) => id === name)) throw new Error(`"${name}" is a built-in theme`);
+  const base = raw.base || 'light';
+  if (!BUILTIN_THEMES.some(([id]) => id === base) || base === 'auto') {
+    throw new Error('"base" must be light, dark or high-contrast');
+  }
+  const colors = {};
+  for (const [key, value] of Object.entries(raw.colors || {})) {
+    if (!THEME_COLOR_KEYS.includes(key)) throw new Error(`unknown color "${key}"`);
+    if (!isColorValue(value)) throw new Error(`"${key}" is not a valid color`);
+    colors[key] = value.trim();
+  }
+  return { name, label: String(raw.label || name).slice(0, 40), base, colors };
+}
+
+function themeOptions() {
+  return BUILTIN_THEMES.concat(customThemes.map(t => [t.name, t.label]));
+}
+
+function resolvedPreset(name) {
+  if (name !== 'auto') return name;
+  if (moreContrastQuery && moreContrastQuery.matches) return 'high-contrast';
+  return darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light';
+}
+
+// put the current theme on the page and the orb
+function applyTheme() {
+  const root = document.documentElement;
+  const custom = customThemes.find(t => t.name === THEME);
+  const known = custom || BUILTIN_THEMES.some(([id]) => id === THEME);
+  root.dataset.theme = custom ? custom.base : resolvedPreset(known ? THEME : 'auto');
+  for (const key of THEME_COLOR_KEYS) root.style.removeProperty(themeVar(key));
+  if (custom) {
+    for (const [key, value] of Object.entries(custom.colors)) root.style.setProperty(themeVar(key), value);
+  }
+
+  const css = getComputedStyle(root);
+  const read = (key, fallback) => css.getPropertyValue(themeVar(key)).trim() || fallback;
+  orbTheme = {
+    particle: read('orbParticle', DEFAULT_ORB_THEME.particle),
+    link: read('orbLink', DEFAULT_ORB_THEME.link),
+    glow: read('orbGlow', DEFAULT_ORB_THEME.glow)
+  };
+  setOrbTheme(orbTheme);
+}
+
+function setTheme(name) {
+  THEME = name;
+  savePref('ULTRON_THEME', name);
+  applyTheme();
+}
+
+// add (or replace, by name) custom themes from JSON text: one theme or an array of them
+function importCustomThemes(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('not valid JSON');
+  }
+  const themes = (Array.isArray(parsed) ? parsed : [parsed]).map(normalizeCustomTheme);
+  if (!themes.length) throw new Error('no themes found');
+  for (const theme of themes) {
+    customThemes = customThemes.filter(t => t.name !== theme.name).concat(theme);
+  }
+  savePref('ULTRON_CUSTOM_THEMES', customThemes);
+  return themes;
+}
+
+function removeCustomTheme(name) {
+  customThemes = customThemes.filter(t => t.name !== name);
+  savePref('ULTRON_CUSTOM_THEMES', customThemes);
+  if (THEME === name) setTheme('auto');
+}
+
+function initThemes() {
+  applyTheme();
+  const follow = () => {
+    if (THEME === 'auto') applyTheme();
+  };
+  for (const query of [darkSchemeQuery, moreContrastQuery]) {
+    if (!query) continue;
+    if (query.addEventListener) query.addEventListener('change', follow);
+    else if (query.addListener) query.addListener(follow); // older Safari
   }
 }
 
+// === ORB RENDERER ===
+// The particle simulation and drawing live in renderer.js. Where OffscreenCanvas is available they
+// run in render-worker.js, otherwise on this thread. Either way this loop owns the clock: it gathers
+// the animation inputs each frame, pauses while the tab is hidden or the orb is scrolled out of view,
+// and trims (or restores) the particle count to keep the measured render cost within budget.
+const FRAME_BUDGET_MS = 8;          // average render time per frame we try to stay under
+const ADAPT_EVERY_FRAMES = 90;
+const MIN_ADAPTIVE_PARTICLES = 90;
+const MAX_DPR = 2;                  // sharper than 2x costs fill rate without a visible gain
+let orbRenderer = null;             // main-thread renderer (no worker)
+let renderWorker = null;
+let workerBusy = false;             // a frame is still being drawn by the worker
+let renderCount = 0;                // particles actually simulated (<= particleCount)
+let renderCostMs = 0;               // moving average of the per-frame render time
+let framesSinceAdapt = 0;
+let animationRunning = false;
+let orbOnScreen = true;
+let orbObserver = null;             // IntersectionObserver pausing the loop while the orb is off screen
+
+function canvasSize() {
+  return { width: window.innerWidth, height: window.innerHeight, dpr: Math.min(MAX_DPR, window.devicePixelRatio || 1) };
+}
+
 // Resize canvas
 function resizeCanvas() {
-  const oldCx = cx || window.innerWidth / 2;
-  const oldCy = cy || window.innerHeight / 2;
-  const oldBigRadius = bigRadius || Math.min(oldCx, oldCy) * 0.45;
-
-  canvas.width = window.innerWidth;
-  canvas.height = window.innerHeight;
-  cx = canvas.width / 2;
-  cy = canvas.height / 4;
-  bigRadius = Math.min(cx, cy) * 0.80;
-
-  if (particles.length > 0) {
-    const scaleX = cx / oldCx;
-    const scaleY = cy / oldCy;
-    const scaleR = bigRadius / oldBigRadius;
-    for (let p of particles) {
-      p.x = cx + (p.x - oldCx) * scaleX;
-      p.y = cy + (p.y - oldCy) * scaleY;
-      p.scatterRadius *= scaleR;
-      p.mandalaRadius *= scaleR;
+  const { width, height, dpr } = canvasSize();
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  if (renderWorker) renderWorker.postMessage({ type: 'resize', width, height, dpr });
+  else if (orbRenderer) orbRenderer.resize(width, height, dpr);
+}
+
+function setOrbTheme(theme) {
+  if (renderWorker) renderWorker.postMessage({ type: 'theme', theme });
+  else if (orbRenderer) orbRenderer.setTheme(theme);
+}
+
+function setRenderCount(n) {
+  renderCount = n;
+  if (renderWorker) renderWorker.postMessage({ type: 'count', count: n });
+  else if (orbRenderer) orbRenderer.setCount(n);
+}
+
+// the user's particle count (settings); adaptive quality starts over from it
+function setParticleCount(n) {
+  particleCount = n;
+  renderCostMs = 0;
+  framesSinceAdapt = 0;
+  setRenderCount(n);
+}
+
+function noteRenderCost(ms) {
+  renderCostMs = renderCostMs ? renderCostMs * 0.9 + ms * 0.1 : ms;
+  if (++framesSinceAdapt < ADAPT_EVERY_FRAMES) return;
+  framesSinceAdapt = 0;
+  if (renderCostMs > FRAME_BUDGET_MS && renderCount > MIN_ADAPTIVE_PARTICLES) {
+    setRenderCount(Math.max(MIN_ADAPTIVE_PARTICLES, Math.round(renderCount * 0.8)));
+  } else if (renderCostMs < FRAME_BUDGET_MS / 3 && renderCount < particleCount) {
+    setRenderCount(Math.min(particleCount, Math.round(renderCount * 1.15) + 1));
+  }
+}
+
+// hand the canvas to render-worker.js; resolves false (canvas untouched) when that isn't possible
+function startRenderWorker() {
+  if (!window.Worker || !canvas.transferControlToOffscreen) return Promise.resolve(false);
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker('render-worker.js');
+    } catch (e) {
+      resolve(false);
+      return;
     }
-  } else {
-    initParticles();
+    const fail = () => {
+      clearTimeout(timer);
+      worker.terminate();
+      resolve(false);
+    };
+    const timer = setTimeout(fail, 2000);
+    worker.onerror = fail;
+    worker.onmessage = (e) => {
+      if (!e.data || e.data.type !== 'ready') return;
+      clearTimeout(timer);
+      const offscreen = canvas.transferControlToOffscreen();
+      const { width, height, dpr } = canvasSize();
+      worker.postMessage({ type: 'init', canvas: offscreen, width, height, dpr, count: renderCount, theme: orbTheme }, [offscreen]);
+      worker.onmessage = (msg) => {
+        if (msg.data.type !== 'frame') return;
+        workerBusy = false;
+        noteRenderCost(msg.data.renderMs);
+      };
+      worker.onerror = (err) => {
+        err.preventDefault();
+        renderOnMainThread(err.message);
+      };
+      renderWorker = worker;
+      resolve(true);
+    };
+  });
+}
+
+function startMainThreadRenderer() {
+  orbRenderer = createOrbRenderer(canvas.getContext('2d'));
+  orbRenderer.setTheme(orbTheme);
+  orbRenderer.setCount(renderCount);
+}
+
+// The worker threw (it never acknowledges that frame, so animate() would wait forever): carry on
+// without it. The old canvas can't give out a 2D context after transferControlToOffscreen, so an
+// empty copy of the element takes its place.
+function renderOnMainThread(reason) {
+  console.warn('Render worker failed, drawing on the main thread:', reason);
+  if (renderWorker) renderWorker.terminate();
+  renderWorker = null;
+  workerBusy = false;
+  const fresh = canvas.cloneNode(false);
+  canvas.replaceWith(fresh);
+  canvas = fresh;
+  trackOrbPointer(canvas);
+  if (orbObserver) {
+    orbObserver.disconnect();
+    orbObserver.observe(canvas);
+  }
+  startMainThreadRenderer();
+  resizeCanvas();
+}
+
+async function initOrbRenderer() {
+  renderCount = particleCount;
+  if (!(await startRenderWorker())) startMainThreadRenderer();
+  resizeCanvas();
+  document.addEventListener('visibilitychange', resumeAnimation);
+  if ('IntersectionObserver' in window) {
+    orbObserver = new IntersectionObserver((entries) => {
+      orbOnScreen = entries[entries.length - 1].isIntersecting;
+      resumeAnimation();
+    });
+    orbObserver.observe(canvas);
+  }
+  resumeAnimation();
+}
+
+// per-frame inputs for renderer.js
+function orbInputs(time) {
+  // voices without boundary events get a soft beat while speaking
+  if (aiSpeaking && performance.now() - lastBoundaryAt > BOUNDARY_GAP_MS) {
+    speechPulse = Math.max(speechPulse, 0.3 + 0.2 * Math.sin(time * 0.012));
+  }
+  const inputs = {
+    thinking: aiThinking,
+    receiving: aiReceiving,
+    speaking: aiSpeaking,
+    pulse: speechPulse,
+    mouseX: mouse.x,
+    mouseY: mouse.y,
+    audio: readAudioLevels(),
+    listening: handsFreeLevel(),
+    reducedMotion: reducedMotionActive
+  };
+  speechPulse = 0;
+  return inputs;
+}
+
+// Animate particles (one frame; keeps itself scheduled while the orb can be seen)
+function animate(time) {
+  if (document.hidden || !orbOnScreen) {
+    animationRunning = false;
+    return;
+  }
+  requestAnimationFrame(animate);
+  if (renderWorker) {
+    if (workerBusy) return; // previous frame still drawing: skip this one rather than queue it
+    workerBusy = true;
+    renderWorker.postMessage({ type: 'frame', time, inputs: orbInputs(time) });
+    countFrame();
+  } else if (orbRenderer) {
+    const started = performance.now();
+    orbRenderer.frame(time, orbInputs(time));
+    noteRenderCost(performance.now() - started);
+    countFrame();
   }
 }
 
+function resumeAnimation() {
+  if (animationRunning || document.hidden || !orbOnScreen) return;
+  animationRunning = true;
+  requestAnimationFrame(animate);
+}
+
 // Mouse events
-canvas.addEventListener('mousemove', e => {
-  mouse.x = e.clientX;
-  mouse.y = e.clientY;
-});
-canvas.addEventListener('mouseleave', () => {
-  mouse.x = -9999;
-  mouse.y = -9999;
-});
+function trackOrbPointer(el) {
+  el.addEventListener('mousemove', e => {
+    mouse.x = e.clientX;
+    mouse.y = e.clientY;
+  });
+  el.addEventListener('mouseleave', () => {
+    mouse.x = -9999;
+    mouse.y = -9999;
+  });
+}
+trackOrbPointer(canvas);
 
 // Thinking / mandala helpers
 let thinkingStartedAt = 0;
 const MIN_THINK_MS = 1200; // minimum visible thinking time
-const MANDALA_RAMP_FAST = 0.04; // ramp speed while thinking (bigger = faster)
-const MANDALA_RAMP_SLOW = 0.01; // ramp speed while stopping
 
 function startThinking() {
   aiThinking = true;
   thinkingStartedAt = performance.now();
 }
 
-function stopThinking() {
+// `immediate` skips the minimum thinking time (the user pressed Stop)
+function stopThinking(immediate = false) {
   const elapsed = performance.now() - thinkingStartedAt;
-  const remain = Math.max(0, MIN_THINK_MS - elapsed);
+  const remain = immediate ? 0 : Math.max(0, MIN_THINK_MS - elapsed);
   setTimeout(() => {
     aiThinking = false;
   }, remain);
 }
 
-// Animate particles
-function animate(time) {
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
-
-  // AI area subtle background circle
-  ctx.beginPath();
-  ctx.arc(cx, cy, bigRadius + 20, 0, 2 * Math.PI);
-  const gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, bigRadius + 60);
-  gradient.addColorStop(0, "rgba(0, 200, 255, 0.3)");
-  gradient.addColorStop(1, "rgba(0, 200, 255, 0)");
-  ctx.fillStyle = gradient;
-  ctx.fill();
-
-  // Mandala progress & rotation
-  if (aiThinking && mandalaProgress < 1) mandalaProgress = Math.min(1, mandalaProgress + MANDALA_RAMP_FAST);
-  else if (!aiThinking && mandalaProgress > 0) mandalaProgress = Math.max(0, mandalaProgress - MANDALA_RAMP_SLOW);
-
-  const easedProgress = easeInOut(Math.max(0, Math.min(1, mandalaProgress)));
-  if (aiThinking) mandalaRotation += 0.012 * (1 + easedProgress);
-
-  for (let p of particles) {
-    p.scatterAngle += p.speed;
-
-    let idleX = cx + p.scatterRadius * Math.cos(p.scatterAngle);
-    let idleY = cy + p.scatterRadius * Math.sin(p.scatterAngle);
-
-    let mandalaX = cx + p.mandalaRadius * Math.cos(p.mandalaAngle + mandalaRotation);
-    let mandalaY = cy + p.mandalaRadius * Math.sin(p.mandalaAngle + mandalaRotation);
-
-    let targetX = lerp(idleX, mandalaX, easedProgress);
-    let targetY = lerp(idleY, mandalaY, easedProgress);
-
-    const osc = Math.sin(time * 0.003 + p.phase) * 3 * (1 - easedProgress);
-    targetX += osc;
-    targetY += osc;
-
-    if (!aiThinking) {
-      const dx = p.x - mouse.x;
-      const dy = p.y - mouse.y;
-      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-      if (dist < 120) {
-        const force = (120 - dist) / 120 * 20;
-        targetX += dx / dist * force;
-        targetY += dy / dist * force;
-      }
-    }
+// Receiving state: first streamed chunk hands the mandala over from "thinking" to "receiving"
 
-    p.x = lerp(p.x, targetX, 0.05);
-    p.y = lerp(p.y, targetY, 0.05);
-
-    ctx.beginPath();
-    ctx.arc(p.x, p.y, p.baseSize, 0, 2 * Math.PI);
-    ctx.fillStyle = "#000";
-    ctx.fill();
-  }
-
-  // Neural lines
-  if (mandalaProgress > 0.05) {
-    ctx.strokeStyle = "rgba(0,0,0,0.05)";
-    ctx.lineWidth = 0.3;
-    for (let i = 0; i < particles.length; i += 12) {
-      for (let j = i + 1; j < particles.length; j += 12) {
-        const dx = particles[i].x - particles[j].x;
-        const dy = particles[i].y - particles[j].y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        if (dist < 60) {
-          ctx.beginPath();
-          ctx.moveTo(particles[i].x, particles[i].y);
-          ctx.lineTo(particles[j].x, particles[j].y);
-          ctx.stroke();
-        }
-      }
-    }
-  }
+function startReceiving() {
+  aiThinking = false; // content is already showing, no need to hold the minimum thinking time
+  aiReceiving = true;
+}
 
-  requestAnimationFrame(animate);
+function stopReceiving() {
+  aiReceiving = false;
 }
 
-// === CONNECTIVITY HELPERS ===
+// Speaking state (driven by the TTS queue below)
+const BOUNDARY_GAP_MS = 350; // no boundary events for this long -> synthesize a gentle pulse
 
-// health endpoint derived from BACKEND_URL
-function healthUrlForBackend(url) {
-  try {
-    const u = new URL(url);
-    // replace path with /health
-    u.pathname = '/health';
-    u.search = '';
-    u.hash = '';
-    return u.toString();
-  } catch (e) {
-    // fallback: try base origin + /health
-    return (backendOriginFrom(url) + '/health');
+function setSpeaking(on) {
+  aiSpeaking = on;
+  if (on) lastBoundaryAt = 0;
+}
+
+function pulseSpeech(strength = 1) {
+  speechPulse = Math.max(speechPulse, strength);
+  lastBoundaryAt = performance.now();
+}
+
+// === AUTH ===
+// How a profile's client key reaches the backend (`profile.auth`):
+//   "bearer" - Authorization: Bearer <key> on every chat request (default)
+//   "token"  - the key is exchanged at <origin>/auth for a short-lived token, renewed on expiry or 401
+//   "body"   - legacy: `apiKey` in the JSON body, for backends that predate header auth
+const AUTH_MODES = [
+  ['bearer', 'Bearer header'],
+  ['token', 'Token exchange (/auth)'],
+  ['body', 'Key in request body (legacy)']
+];
+// random per-browser id sent as `clientId` (instead of the user agent string)
+const CLIENT_ID = loadPref('ULTRON_CLIENT_ID', null) || makeId('client');
+savePref('ULTRON_CLIENT_ID', CLIENT_ID);
+const authTokens = new Map(); // "<url> <key>" -> { token, expiresAt }; memory only
+
+// POST { apiKey, clientId } to /auth; expects { token | access_token, expires_in? (seconds) }
+async function exchangeAuthToken(target, signal) {
+  const res = await fetch(authUrlForBackend(target.url), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ apiKey: target.apiKey, clientId: CLIENT_ID }),
+    signal
+  });
+  let body = null;
+  try { body = await res.json(); } catch (_) {}
+  const token = body && (body.token || body.access_token);
+  if (!res.ok || !token) {
+    const e = new Error(`Server error: auth failed (${(body && body.error) || `status ${res.status}`})`);
+    e.status = res.status || 401;
+    throw e;
   }
+  const ttlSecs = Number(body.expires_in || body.expiresIn) || 300;
+  const entry = { token, expiresAt: Date.now() + Math.max(5, ttlSecs - 30) * 1000 };
+  authTokens.set(`${target.url} ${target.apiKey}`, entry);
+  return entry;
 }
 
-// probe backend /health and return {ok:boolean, json?, status:number, error?:string}
-async function probeBackend(url, timeout = 3000) {
-  const controller = new AbortController();
-  const id = setTimeout(() => controller.abort(), timeout);
-  try {
-    const res = await fetch(healthUrlForBackend(url), { method: 'GET', mode: 'cors', signal: controller.signal });
-    clearTimeout(id);
-    if (!res.ok) {
-      const txt = await res.text().catch(() => '');
-      return { ok: false, status: res.status, error: txt || `status ${res.status}` };
-    }
-    const json = await res.json().catch(() => null);
-    return { ok: true, status: res.status, json };
-  } catch (err) {
-    clearTimeout(id);
-    // Distinguish common causes
-    if (err.name === 'AbortError') return { ok: false, error: 'timeout' };
-    return { ok: false, error: err.message || String(err) };
-  }
-}
-
-// Upgrade http -> https when page is secure to avoid mixed-content
-async function tryAutoUpgradeIfNeeded() {
-  // only when page served over https and backend is http
-  if (window.location.protocol === 'https:' && BACKEND_URL.startsWith('http://')) {
-    const httpsCandidate = BACKEND_URL.replace(/^http:\/\//i, 'https://');
-    // probe httpsCandidate
-    const probe = await probeBackend(httpsCandidate, 2500);
-    if (probe.ok) {
-      BACKEND_URL = httpsCandidate;
-      BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
-      localStorage.setItem('ULTRON_BACKEND', BACKEND_URL);
-      showStatusBanner('Connected: upgraded backend to <code>https://</code>.', 3000);
-      return true;
-    } else {
-      // if probe failed, likely blocked by mixed-content or cert issue — show banner with tips
-      let tipHtml = `<strong>Backend unreachable from this HTTPS page.</strong> Browser may block HTTP backend (mixed-content).<br>`;
-      tipHtml += `Try one of these: <ul style="margin:6px 0 4px 18px;padding:0">`;
-      tipHtml += `<li>Set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at its <a href="${healthUrlForBackend(BACKEND_URL)}" target="_blank" rel="noopener noreferrer">/health</a>.</li>`;
-      tipHtml += `<li>Or test locally by serving the frontend on your laptop and using <code>http://127.0.0.1:5001/api/chat</code>.</li></ul>`;
-      tipHtml += `Open the settings (⚙) to change the backend URL.`;
-      showStatusBanner(tipHtml);
-      return false;
-    }
+// headers that authenticate a request to `target` ({ url, apiKey, auth }); `refresh` forces a new token
+async function authHeadersFor(target, signal, refresh = false) {
+  if (!target.apiKey || target.auth === 'body') return {};
+  if (target.auth === 'token') {
+    let entry = authTokens.get(`${target.url} ${target.apiKey}`);
+    if (refresh || !entry || entry.expiresAt <= Date.now()) entry = await exchangeAuthToken(target, signal);
+    return { Authorization: `Bearer ${entry.token}` };
   }
-  return true;
+  return { Authorization: `Bearer ${target.apiKey}` };
+}
+
+// Upgrade http -> https when page is secure to avoid mixed-content (the https:// URL is saved to the profile)
+function tryAutoUpgradeIfNeeded() {
+  return UltronBanner.tryAutoUpgrade({
+    pageProtocol: window.location.protocol,
+    backendUrl: BACKEND_URL,
+    banner: statusBanner,
+    t,
+    onUpgrade: updateActiveProfileUrl
+  });
 }
 
 // Call this whenever settings change or on load
@@ -329,45 +823,320 @@ async function verifyBackendAndUpdateUI() {
 
   // probe actual BACKEND_URL
   const probe = await probeBackend(BACKEND_URL, 2500);
+  setBackendHealth(probe.ok, probe);
+  scheduleHealthCheck(probe.ok ? HEALTH_HEALTHY_MIN_MS : HEALTH_FAILING_MIN_MS, true);
   if (probe.ok) {
     // good
     hideStatusBanner();
     return true;
   } else {
     // If we are on an HTTPS page and backend is HTTP, we know browser will block — show targeted banner
-    if (window.location.protocol === 'https:' && BACKEND_URL.startsWith('http://')) {
-      const tipHtml = `<strong>Mixed-content detected:</strong> This page is HTTPS but your backend is HTTP.<br>` +
-        `Change backend to <code>https://...:5001/api/chat</code> (use your laptop IP) and accept the certificate at its <a href="${healthUrlForBackend(BACKEND_URL)}" target="_blank" rel="noopener noreferrer">/health</a>.`;
-      showStatusBanner(tipHtml);
+    if (httpsUpgradeCandidate(window.location.protocol, BACKEND_URL)) {
+      showStatusBanner(UltronBanner.mixedContentMessage(t, BACKEND_URL));
       return false;
     }
 
     // otherwise show generic unreachable banner with diagnostic
-    let details = probe.error || `status ${probe.status || 'n/a'}`;
-    const tipHtml = `<strong>Ultron backend unreachable:</strong> ${escapeHtml(details)}.<br>` +
-      `Check server is running and backend URL is correct. Health: <code>${escapeHtml(healthUrlForBackend(BACKEND_URL))}</code>.<br>` +
-      `Open settings (⚙) to edit backend & API key.`;
-    showStatusBanner(tipHtml);
+    showStatusBanner(UltronBanner.unreachableMessage(t, probe, BACKEND_URL));
     return false;
   }
 }
 
-// small helper to escape HTML for banner
+// === HEALTH MONITOR ===
+// Keeps probing /health in the background: the interval stretches while the backend is healthy
+// (5s -> 60s) and drops back to fast checks while it is failing (2s -> 15s). Results feed the
+// connection dot in the chat header; recovery clears the banner and flushes the outbox.
+const HEALTH_HEALTHY_MIN_MS = 5000;
+const HEALTH_HEALTHY_MAX_MS = 60000;
+const HEALTH_FAILING_MIN_MS = 2000;
+const HEALTH_FAILING_MAX_MS = 15000;
+const HEALTH_BACKOFF = 1.6;
+const HEALTH_PROBE_TIMEOUT_MS = 4000;
+const HEALTH_SLOW_MS = 1500;
+
+const connStatus = document.getElementById('connStatus');
+let lastHealthProbe = null;   // last probeBackend() result + { at }
+let healthTimer = null;
+let healthDueAt = 0;
+let healthDelay = HEALTH_HEALTHY_MIN_MS;
+let healthCheckInFlight = false;
+
+// version / model as reported by /health (field names vary between backends)
+function healthInfo(json) {
+  if (!json || typeof json !== 'object') return {};
+  const model = json.model || json.model_name || (Array.isArray(json.models) ? json.models[0] : null);
+  return {
+    version: json.version || json.app_version || json.build || null,
+    model: typeof model === 'object' && model ? model.name || model.id : model
+  };
+}
+
+function updateConnectionIndicator() {
+  if (!connStatus) return;
+  const probe = lastHealthProbe;
+  let state;
+  let text;
+  if (navigator.onLine === false) {
+    state = 'offline';
+    text = t('offline');
+  } else if (backendHealthy === null) {
+    state = 'unknown';
+    text = t('checking…');
+  } else if (!backendHealthy) {
+    state = 'down';
+    text = t('unreachable');
+  } else {
+    const latency = probe && probe.ok ? probe.latencyMs : null;
+    state = latency !== null && latency > HEALTH_SLOW_MS ? 'slow' : 'ok';
+    text = latency !== null ? `${latency} ms` : t('online');
+  }
+  const info = healthInfo(probe && probe.json);
+  if ((state === 'ok' || state === 'slow') && info.model) text += ` · ${info.model}`;
+
+  const lines = [`Backend: ${activeProfile().name} (${BACKEND_URL})`, `Status: ${state === 'ok' ? 'healthy' : state}`];
+  if (probe && probe.latencyMs !== undefined) lines.push(`Latency: ${probe.latencyMs} ms`);
+  if (info.version) lines.push(`Version: ${info.version}`);
+  if (info.model) lines.push(`Model: ${info.model}`);
+  if (probe && !probe.ok && probe.error) lines.push(`Error: ${probe.error}`);
+  if (probe) lines.push(`Last check: ${new Date(probe.at).toLocaleTimeString()}`);
+  lines.push(t('Click to check now'));
+
+  connStatus.dataset.state = state;
+  connStatus.querySelector('.conn-text').textContent = text;
+  connStatus.title = lines.join('\n');
+  connStatus.setAttribute('aria-label', t('Connection {status}', { status: text }));
+}
+
+// single place that records reachability (health probes and chat requests both report here)
+function setBackendHealth(ok, probe = null) {
+  const wasHealthy = backendHealthy;
+  backendHealthy = ok;
+  if (probe) {
+    lastHealthProbe = { ...probe, at: Date.now() };
+    recordHealthProbe(probe);
+  }
+  updateConnectionIndicator();
+  if (ok && wasHealthy === false) hideStatusBanner();
+  if (ok && outbox.length) flushOutbox();
+  if (!ok && wasHealthy !== false) scheduleHealthCheck(HEALTH_FAILING_MIN_MS);
+}
+
+// (re)schedule the next probe; a later request never postpones an earlier one unless force is set
+function scheduleHealthCheck(delay, force = false) {
+  const due = Date.now() + delay;
+  if (healthTimer && !force && healthDueAt <= due) return;
+  clearTimeout(healthTimer);
+  healthDelay = delay;
+  healthDueAt = due;
+  healthTimer = setTimeout(runHealthCheck, delay);
+}
+
+async function runHealthCheck() {
+  clearTimeout(healthTimer);
+  healthTimer = null;
+  if (document.hidden || healthCheckInFlight) return; // visibilitychange picks it up again
+  if (navigator.onLine === false) {
+    updateConnectionIndicator();
+    scheduleHealthCheck(HEALTH_FAILING_MAX_MS, true);
+    return;
+  }
+  healthCheckInFlight = true;
+  const wasHealthy = backendHealthy;
+  let probe;
+  try {
+    probe = await probeBackend(BACKEND_URL, HEALTH_PROBE_TIMEOUT_MS);
+    // the active profile is down: move to a backup that's up, like a failed chat request would.
+    // Otherwise the outbox holds every message (see shouldQueue) and no request ever gets to fail over.
+    if (!probe.ok) {
+      const primary = activeProfile();
+      const backup = await firstHealthyBackup(primary, HEALTH_PROBE_TIMEOUT_MS);
+      if (backup) {
+        activateProfile(backup.profile.id);
+        probe = backup.probe;
+        showStatusBanner(t('Switched to <strong>{profile}</strong> — {primary} is unreachable.',
+          { profile: escapeHtml(backup.profile.name), primary: escapeHtml(primary.name) }), 4000);
+      }
+    }
+  } finally {
+    healthCheckInFlight = false;
+  }
+  setBackendHealth(probe.ok, probe);
+
+  let next;
+  if (probe.ok) {
+    next = wasHealthy === true ? Math.min(HEALTH_HEALTHY_MAX_MS, healthDelay * HEALTH_BACKOFF) : HEALTH_HEALTHY_MIN_MS;
+  } else {
+    if (wasHealthy !== false && !statusBanner.isShown()) showStatusBanner(UltronBanner.retryingMessage(t, probe));
+    next = wasHealthy === false ? Math.min(HEALTH_FAILING_MAX_MS, healthDelay * HEALTH_BACKOFF) : HEALTH_FAILING_MIN_MS;
+  }
+  scheduleHealthCheck(Math.round(next), true);
+}
+
+function initHealthMonitor() {
+  updateConnectionIndicator();
+  if (connStatus) {
+    connStatus.addEventListener('click', () => runHealthCheck());
+    connStatus.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        runHealthCheck();
+      }
+    });
+  }
+  // no polling in background tabs; catch up as soon as the tab is visible again
+  document.addEventListener('visibilitychange', () => {
+    if (!document.hidden && (!healthTimer || healthDueAt <= Date.now())) runHealthCheck();
+  });
+  window.addEventListener('offline', updateConnectionIndicator);
+}
+
+// === PROFILE SWITCHER ===
+// header dropdown to jump between backend profiles; hidden while there is only one
+const profileSwitcher = document.getElementById('profileSwitcher');
+
+function refreshProfileSwitcher() {
+  if (!profileSwitcher) return;
+  profileSwitcher.innerHTML = '';
+  for (const profile of backendProfiles) {
+    const opt = document.createElement('option');
+    opt.value = profile.id;
+    opt.textContent = profile.name;
+    opt.title = profile.url;
+    profileSwitcher.appendChild(opt);
+  }
+  profileSwitcher.value = activeProfile().id;
+  profileSwitcher.hidden = backendProfiles.length < 2;
+}
+
+function initProfileSwitcher() {
+  refreshProfileSwitcher();
+  if (!profileSwitcher) return;
+  profileSwitcher.addEventListener('change', () => {
+    activateProfile(profileSwitcher.value);
+    verifyBackendAndUpdateUI();
+  });
+}
+
+// small helper to escape HTML (banner, rendered AI messages)
 function escapeHtml(s) {
-  if (!s) return '';
+  if (s === null || s === undefined) return '';
   return String(s).replace(/[&<>"']/g, function (m) {
     return ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[m];
   });
 }
 
 // === CHAT / BACKEND ===
-async function sendToBackend(msg) {
-  async function postTo(url) {
-    const res = await fetch(url, {
+
+// resolve a backend reply object into what the chat UI renders (`profile` = who answered)
+function normalizeReply(data, profile = activeProfile()) {
+  const replyText = data.reply || data.text || t("Ultron: (no response)");
+  let resumeFullUrl = null;
+  if (data.resume_url) resumeFullUrl = attachmentUrl(data.resume_url);
+  const attachments = (Array.isArray(data.attachments) ? data.attachments : [])
+    .map(normalizeAttachment)
+    .filter(Boolean);
+  if (resumeFullUrl) attachments.unshift({ type: "file", role: "resume", url: resumeFullUrl, name: t("Download resume") });
+  return { reply: replyText, resume_url: resumeFullUrl, attachments, profile: { id: profile.id, name: profile.name } };
+}
+
+// === TIMEOUTS & RETRIES ===
+// Each attempt times out after REQUEST_TIMEOUT_MS without a response (or, while streaming, without a
+// new chunk). Network errors, timeouts, 408, 429 and 5xx are retried up to MAX_RETRIES times with
+// exponential backoff + jitter; a Retry-After header (seconds or HTTP date) wins over the backoff.
+let REQUEST_TIMEOUT_MS = loadPref("ULTRON_REQUEST_TIMEOUT_MS", 30000);
+let MAX_RETRIES = loadPref("ULTRON_MAX_RETRIES", 3);
+
+// options.onDelta(textSoFar) is called as streamed text arrives; options.signal cancels the request;
+// options.history is the [{ role, content }] context window sent along with the message;
+// options.onRetry({ attempt, maxRetries, delayMs, error }) reports each backoff before it starts
+async function sendToBackend(msg, options = {}) {
+  const { onDelta = () => {}, onRetry = () => {}, signal, history = [], attachments = [] } = options;
+  let receivedAny = false;
+  let partialText = "";
+  const trace = startRequestTrace(activeProfile());
+
+  // every way out goes through here so the diagnostics log sees how the request ended
+  function traced(result) {
+    finishRequestTrace(trace, result, receivedAny);
+    return result;
+  }
+
+  function trackDelta(text) {
+    receivedAny = true;
+    partialText = text;
+    onDelta(text);
+  }
+
+  // target = { url, apiKey, auth } (a backend profile)
+  async function postTo(target) {
+    // per-attempt controller: aborted by the user's signal or by the (idle) timeout
+    const attempt = new AbortController();
+    const forwardAbort = () => attempt.abort();
+    if (signal) {
+      if (signal.aborted) attempt.abort();
+      else signal.addEventListener("abort", forwardAbort, { once: true });
+    }
+    let timedOut = false;
+    let timer = null;
+    const armTimeout = () => {
+      clearTimeout(timer);
+      if (REQUEST_TIMEOUT_MS > 0) {
+        timer = setTimeout(() => {
+          timedOut = true;
+          attempt.abort();
+        }, REQUEST_TIMEOUT_MS);
+      }
+    };
+    armTimeout();
+    const step = traceAttempt(trace, target);
+    try {
+      const data = await postOnce(target, attempt.signal, armTimeout, step);
+      step.ms = Math.round(performance.now() - step.sentAt);
+      return data;
+    } catch (err) {
+      step.ms = Math.round(performance.now() - step.sentAt);
+      if (timedOut && !(signal && signal.aborted)) {
+        const e = new Error(`timeout after ${Math.round(REQUEST_TIMEOUT_MS / 1000)}s`);
+        e.timeout = true;
+        step.error = e.message;
+        throw e;
+      }
+      step.error = signal && signal.aborted ? "cancelled" : err.message;
+      throw err;
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener("abort", forwardAbort);
+    }
+  }
+
+  async function postOnce(target, attemptSignal, onActivity, step) {
+    const payload = {
+      message: msg,
+      history,
+      messages: history.concat([{ role: "user", content: msg }]),
+      conversationId: conversation.id,
+      clientId: CLIENT_ID,
+      locale: LOCALE,
+      stream: true
+    };
+    if (attachments.length) payload.attachments = attachments;
+    if (target.auth === "body") payload.apiKey = target.apiKey;
+    const send = async (refreshToken) => fetch(target.url, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ message: msg, apiKey: API_KEY, clientId: navigator.userAgent })
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": STREAM_ACCEPT,
+        ...(await authHeadersFor(target, attemptSignal, refreshToken))
+      },
+      body: JSON.stringify(payload),
+      signal: attemptSignal
     });
+    let res = await send(false);
+    // an expired/revoked token: exchange the key again once before giving up
+    if (res.status === 401 && target.auth === "token") res = await send(true);
+    step.status = res.status;
+    step.ttfbMs = Math.round(performance.now() - step.sentAt);
+    onActivity();
     if (!res.ok) {
       let text = "";
       try { text = await res.text(); } catch (_) {}
@@ -377,110 +1146,3612 @@ async function sendToBackend(msg) {
       const e = new Error(`Server error: ${errMsg}`);
       e.status = res.status;
       e.body = text;
+      e.retryAfter = res.headers && res.headers.get("Retry-After");
       throw e;
     }
+    const kind = streamKindFor(res);
+    if (kind === "sse") return readSseStream(res, trackDelta, onActivity);
+    if (kind === "ndjson") return readNdjsonStream(res, trackDelta, onActivity);
     return res.json();
   }
 
-  // Try current BACKEND_URL first
-  try {
-    const data = await postTo(BACKEND_URL);
-    const replyText = data.reply || data.text || "Ultron: (no response)";
-    let resumeFullUrl = null;
-    if (data.resume_url) {
-      try { resumeFullUrl = new URL(data.resume_url, BACKEND_ORIGIN).toString(); } catch (e) { resumeFullUrl = data.resume_url; }
-    }
-    return { reply: replyText, resume_url: resumeFullUrl };
-  } catch (err) {
-    console.warn("Primary backend request failed:", err);
-
-    // If page is HTTPS and backend was HTTP, try https upgrade automatically
-    if (window.location.protocol === 'https:' && BACKEND_URL.startsWith('http://')) {
-      const httpsCandidate = BACKEND_URL.replace(/^http:\/\//i, 'https://');
+  // postTo with backoff; never retries once streamed text has been shown
+  async function postWithRetry(target) {
+    for (let attempt = 0; ; attempt++) {
       try {
-        const data = await postTo(httpsCandidate);
-        // success: persist new url
-        BACKEND_URL = httpsCandidate;
-        BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
-        localStorage.setItem('ULTRON_BACKEND', BACKEND_URL);
-        showStatusBanner('Connected: upgraded backend to <code>https://</code>.', 2200);
-        const replyText = data.reply || data.text || "Ultron: (no response)";
-        let resumeFullUrl = null;
-        if (data.resume_url) {
-          try { resumeFullUrl = new URL(data.resume_url, BACKEND_ORIGIN).toString(); } catch (e) { resumeFullUrl = data.resume_url; }
-        }
-        return { reply: replyText, resume_url: resumeFullUrl };
-      } catch (err2) {
-        console.warn("HTTPS fallback failed:", err2);
-        // show mixed-content advice
-        const health = healthUrlForBackend(BACKEND_URL);
-        let help = "Ultron: Unable to reach backend.";
-        if (window.location.protocol === "https:" && BACKEND_URL.startsWith("http://")) {
-          help += " (Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)";
-          help += ` Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="${health}" target="_blank" rel="noopener noreferrer">/health</a>.`;
-        } else {
-          help += " (See console for details.)";
-        }
-        showStatusBanner(help);
-        return { reply: help };
+        return await postTo(target);
+      } catch (err) {
+        if ((signal && signal.aborted) || receivedAny || attempt >= MAX_RETRIES || !isRetryableError(err)) throw err;
+        const fromHeader = err.status === 429 || err.status === 503 ? retryAfterMs(err.retryAfter) : null;
+        const delayMs = fromHeader !== null ? fromHeader : backoffDelay(attempt);
+        console.warn(`Backend request failed (${err.message}); retry ${attempt + 1}/${MAX_RETRIES} in ${delayMs}ms`);
+        trace.retries++;
+        onRetry({ attempt: attempt + 1, maxRetries: MAX_RETRIES, delayMs, error: err });
+        await sleep(delayMs, signal);
       }
     }
+  }
 
-    // Generic fallback message with helpful tips
-    let help = "Ultron: Unable to reach backend.";
-    if (err && err.message && err.message.toLowerCase().includes("server error")) {
-      help += " (" + escapeHtml(err.message) + ")";
-    } else {
-      help += " (Check server, URL & API key).";
+  // cancelled by the user: keep whatever already streamed in
+  function cancelledResult() {
+    return { reply: partialText, cancelled: true };
+  }
+
+  // a broken stream or user cancel ends the request; anything else may fall through to the next option
+  function finalResult() {
+    if (signal && signal.aborted) return cancelledResult();
+    // the stream broke after text arrived: show what we have rather than re-asking
+    if (receivedAny) {
+      showStatusBanner(t("Ultron: the reply was cut off (connection lost while streaming)."), 4000);
+      return { reply: partialText + " …", error: true, partial: true };
     }
-    showStatusBanner(help);
-    return { reply: help };
+    return null;
   }
-}
 
-// chat input handling
-const chatMessages = document.getElementById("chatMessages");
+  // Try current BACKEND_URL first
+  const primary = activeProfile();
+  let lastErr;
+  let mixedContentBlocked = false;
+  try {
+    const data = await postWithRetry({ ...primary, url: BACKEND_URL, apiKey: API_KEY });
+    setBackendHealth(true);
+    return traced(normalizeReply(data, primary));
+  } catch (err) {
+    const done = finalResult();
+    if (done) return traced(done);
+    console.warn("Primary backend request failed:", err);
+    lastErr = err;
+  }
+
+  // If page is HTTPS and backend was HTTP, try https upgrade automatically
+  const httpsCandidate = httpsUpgradeCandidate(window.location.protocol, BACKEND_URL);
+  if (httpsCandidate) {
+    try {
+      const data = await postTo({ ...primary, url: httpsCandidate, apiKey: API_KEY });
+      // success: persist new url
+      updateActiveProfileUrl(httpsCandidate);
+      setBackendHealth(true);
+      showStatusBanner(t('Connected: upgraded backend to <code>https://</code>.'), 2200);
+      return traced(normalizeReply(data, primary));
+    } catch (err2) {
+      const done = finalResult();
+      if (done) return traced(done);
+      console.warn("HTTPS fallback failed:", err2);
+      mixedContentBlocked = true;
+      lastErr = err2;
+    }
+  }
+
+  // Fail over to the next profile that answers /health (server-side 4xx errors are not failover material)
+  if (!lastErr.status || lastErr.status >= 500 || lastErr.status === 429) {
+    for (const profile of failoverCandidates(primary)) {
+      const probe = await probeBackend(profile.url, 2500);
+      if (signal && signal.aborted) return traced(cancelledResult());
+      if (!probe.ok) continue;
+      trace.failover = profile.name;
+      try {
+        const data = await postWithRetry(profile);
+        activateProfile(profile.id);
+        setBackendHealth(true, probe);
+        showStatusBanner(t('Switched to <strong>{profile}</strong> — {primary} is unreachable.',
+          { profile: escapeHtml(profile.name), primary: escapeHtml(primary.name) }), 4000);
+        return traced(normalizeReply(data, profile));
+      } catch (err3) {
+        const done = finalResult();
+        if (done) return traced(done);
+        console.warn(`Failover to "${profile.name}" failed:`, err3);
+      }
+    }
+  }
+
+  if (mixedContentBlocked) {
+    // show mixed-content advice
+    const health = healthUrlForBackend(BACKEND_URL);
+    let help = t("Ultron: Unable to reach backend.");
+    if (httpsUpgradeCandidate(window.location.protocol, BACKEND_URL)) {
+      help += " " + t("(Blocked by browser: this page is HTTPS but backend is HTTP — mixed-content.)");
+      help += " " + t('Tip: set backend to an <code>https://</code> URL (e.g. <code>https://192.168.0.105:5001/api/chat</code>) and accept the certificate at <a href="{health}" target="_blank" rel="noopener noreferrer">/health</a>.',
+        { health: escapeHtml(health) });
+    } else {
+      help += " " + t("(See console for details.)");
+    }
+    setBackendHealth(false);
+    showStatusBanner(help);
+    return traced({ reply: help, error: true, unreachable: true });
+  }
+
+  // Generic fallback message with helpful tips
+  let help = t("Ultron: Unable to reach backend.");
+  const unreachable = !lastErr.status;
+  if (lastErr.timeout) {
+    help += " " + t("(Request timed out — the server may be busy.)");
+  } else if (lastErr.message && lastErr.message.toLowerCase().includes("server error")) {
+    help += " (" + escapeHtml(lastErr.message) + ")";
+  } else {
+    help += " " + t("(Check server, URL & API key).");
+  }
+  if (unreachable) setBackendHealth(false);
+  showStatusBanner(help);
+  return traced({ reply: help, error: true, unreachable });
+}
+
+// === CONVERSATION CONTEXT ===
+// Client-side model of the current conversation: every rendered user / AI message is a turn.
+// Earlier turns are sent with each request, trimmed to the last HISTORY_MAX_TURNS turns and
+// to roughly HISTORY_TOKEN_BUDGET tokens (~4 characters per token).
+let HISTORY_MAX_TURNS = loadPref("ULTRON_HISTORY_TURNS", 20);
+let HISTORY_TOKEN_BUDGET = loadPref("ULTRON_HISTORY_TOKENS", 3000);
+
+function makeId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function createConversation() {
+  return { id: makeId("conv"), createdAt: Date.now(), turns: [] };
+}
+
+let conversation = createConversation();
+
+function recordTurn(role, content, extra = {}) {
+  const turn = { id: makeId("turn"), role, content: String(content || ""), ts: Date.now(), ...extra };
+  conversation.turns.push(turn);
+  saveConversation(conversation);
+  return turn;
+}
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / 4);
+}
+
+// newest turns first until the turn count or token budget runs out; returned oldest -> newest
+function historyWindow(turns, maxTurns = HISTORY_MAX_TURNS, tokenBudget = HISTORY_TOKEN_BUDGET) {
+  const picked = [];
+  let tokens = 0;
+  for (let i = turns.length - 1; i >= 0 && picked.length < maxTurns; i--) {
+    const t = turns[i];
+    const cost = estimateTokens(t.content);
+    if (picked.length && tokenBudget > 0 && tokens + cost > tokenBudget) break;
+    tokens += cost;
+    picked.push({ role: t.role, content: t.content });
+  }
+  return picked.reverse();
+}
+
+// context for a request: the turns recorded before `turnId`
+function historyBefore(turnId) {
+  const idx = conversation.turns.findIndex(t => t.id === turnId);
+  return historyWindow(idx === -1 ? conversation.turns : conversation.turns.slice(0, idx));
+}
+
+// chat input handling
+const chatMessages = document.getElementById("chatMessages");
 const chatInput = document.getElementById("chatInput");
+const newChatBtn = document.getElementById("newChatBtn");
+
+// in-flight request (AbortController) so a stream can be cancelled mid-way
+let activeRequest = null;
+// bumped when a request is cancelled to make way for something else; replies from an older
+// generation are dropped (see requestReply)
+let replyGeneration = 0;
+
+// keepPartial (Stop / Escape): the cancelled reply keeps whatever already streamed in. Otherwise a new
+// exchange, an edit or another conversation is taking over and the reply is thrown away.
+function cancelActiveRequest(keepPartial = false) {
+  if (!keepPartial) replyGeneration++;
+  if (!activeRequest) return false;
+  activeRequest.abort();
+  activeRequest = null;
+  updateStopButton();
+  return true;
+}
+
+// send whatever is in #chatInput (used by the Enter key and by voice input)
+function submitChatInput() {
+  let msg = chatInput.value.trim();
+  if (msg === "" && !pendingUploads.length) return;
+  if (msg.startsWith("/") && !msg.startsWith("//") && !pendingUploads.length) {
+    chatInput.value = "";
+    updateComposer();
+    closeCommandSuggest();
+    runCommandLine(msg);
+    return;
+  }
+  if (msg.startsWith("//")) msg = msg.slice(1);
+  if (pendingUploads.length && shouldQueue()) {
+    // uploads need the backend right now, so files aren't queued like plain text
+    showStatusBanner(t("<strong>Offline:</strong> files can't be sent until the backend is reachable again."), 5000);
+    return;
+  }
+  if (voiceListening) {
+    // typed + Enter while dictating: keep what's in the box, drop the live session
+    voiceBaseText = "";
+    voiceFinalText = "";
+    stopListening(false);
+  }
+  chatInput.value = "";
+  updateComposer();
+  sendMessage(msg, { files: takePendingUploads() });
+}
+
+// show `text` as the user's message and ask the backend; options.payload is sent instead of
+// the visible text (quick-reply buttons). options.files (tray items) are uploaded first;
+// options.uploads are references to files uploaded earlier (edit and resend).
+// While offline / unhealthy the message goes to the outbox.
+// Returns the user's bubble (its data-turn-id identifies the exchange).
+function sendMessage(text, options = {}) {
+  const msg = options.payload !== undefined ? options.payload : text;
+  const turn = {};
+  if (options.payload !== undefined) turn.payload = msg;
+  if (options.uploads && options.uploads.length) turn.uploads = options.uploads;
+  const userBubble = addMessage("user", text, { turn });
+  if (turn.uploads) renderMessageUploads(userBubble, turn.uploads);
+  stopSpeaking();
+
+  if (options.files && options.files.length) {
+    uploadThenRequest(msg, userBubble, options.files);
+    return userBubble;
+  }
+
+  // keep order: anything typed while older messages are still queued waits behind them
+  if (shouldQueue() || outboxFlushing || outboxItemsFor(conversation.id).length) {
+    queueMessage(msg, userBubble);
+    if (!shouldQueue()) flushOutbox();
+    return userBubble;
+  }
+  cancelActiveRequest();
+  requestReply(msg, userBubble);
+  return userBubble;
+}
+
+// ask the backend for a reply to `msg` (already shown as `userBubble`); resolves to sendToBackend's result
+function requestReply(msg, userBubble) {
+  const userTurnId = userBubble.dataset.turnId;
+  const userTurn = turnById(userTurnId);
+  setMessageStatus(userBubble, null);
+  startThinking();
+  chatMessages.setAttribute("aria-busy", "true");
+  announce(t("Ultron is thinking…"));
+  emitWidgetEvent("thinking", { thinking: true });
+
+  const controller = new AbortController();
+  activeRequest = controller;
+  updateStopButton();
+  let aiBubble = null;
+  let streamedText = "";
+  let renderQueued = false;
+
+  // superseded, or the conversation was switched or edited since: recording the reply now would put
+  // it after turns that came later (or into another conversation), so it's dropped instead
+  const conversationId = conversation.id;
+  const generation = replyGeneration;
+  const isStale = () => generation !== replyGeneration || conversation.id !== conversationId || !turnById(userTurnId);
+  const dropStaleReply = (result) => {
+    if (aiBubble) {
+      aiBubble.classList.remove("streaming");
+      aiBubble.classList.add("cancelled");
+    }
+    return { ...result, cancelled: true, stale: true };
+  };
+
+  return sendToBackend(msg, {
+    signal: controller.signal,
+    history: historyBefore(userTurnId),
+    attachments: (userTurn && userTurn.uploads) || [],
+    onRetry: ({ attempt, maxRetries, delayMs }) => {
+      setMessageStatus(userBubble, "retrying", t("Retrying ({attempt}/{max}) in {seconds}s…", { attempt, max: maxRetries, seconds: Math.ceil(delayMs / 1000) }));
+    },
+    onDelta: (textSoFar) => {
+      if (isStale()) return;
+      if (!aiBubble) {
+        startReceiving();
+        setMessageStatus(userBubble, null);
+        aiBubble = addMessage("ai", "", { record: false });
+        aiBubble.classList.add("streaming");
+      }
+      // re-render markdown at most once per frame while tokens pour in
+      streamedText = textSoFar;
+      if (renderQueued) return;
+      renderQueued = true;
+      requestAnimationFrame(() => {
+        renderQueued = false;
+        if (!aiBubble.classList.contains("streaming")) return;
+        setMessageContent(aiBubble, "ai", streamedText);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+      });
+    }
+  }).then(result => {
+    if (activeRequest === controller) activeRequest = null;
+    updateStopButton();
+    // whatever replaced this request owns the orb and the transcript now
+    if (isStale()) return dropStaleReply(result);
+    stopReceiving();
+    stopThinking(result.cancelled);
+    setMessageStatus(userBubble, null);
+
+    if (result.cancelled) {
+      if (aiBubble) {
+        aiBubble.classList.remove("streaming");
+        aiBubble.classList.add("cancelled");
+        setMessageContent(aiBubble, "ai", result.reply || "");
+        if (result.reply) {
+          aiBubble.dataset.turnId = recordTurn("assistant", result.reply, { partial: true }).id;
+          addMessageActions(aiBubble);
+        }
+      } else {
+        addMessage("ai", t("Ultron: (stopped)"), { record: false }).classList.add("cancelled");
+      }
+      announce(t("Reply stopped."));
+      return result;
+    }
+
+    // failed requests are shown but kept out of the context sent next time
+    const turnExtra = result.attachments && result.attachments.length ? { attachments: result.attachments } : {};
+    if (result.profile) turnExtra.profile = result.profile;
+    if (aiBubble) {
+      aiBubble.classList.remove("streaming");
+      setMessageContent(aiBubble, "ai", result.reply);
+      if (!result.error) {
+        aiBubble.dataset.turnId = recordTurn("assistant", result.reply, turnExtra).id;
+        addMessageActions(aiBubble);
+      }
+    } else {
+      aiBubble = addMessage("ai", result.reply, { record: !result.error, turn: turnExtra });
+    }
+    if (!result.error) setMessageProfile(aiBubble, result.profile);
+    if (!result.error) speakReply(result.reply);
+    if (result.error && !result.partial) {
+      setMessageStatus(userBubble, "failed", t("Not sent."), {
+        label: t("Retry"),
+        onClick: () => {
+          cancelActiveRequest();
+          requestReply(msg, userBubble);
+        }
+      });
+    }
+
+    renderAttachments(result.attachments, { live: true });
+    announce(`Ultron: ${messageText(aiBubble)}`);
+    return result;
+  }).catch(err => {
+    if (activeRequest === controller) activeRequest = null;
+    updateStopButton();
+    console.error(err);
+    if (isStale()) return dropStaleReply({ reply: "", error: true });
+    stopReceiving();
+    stopThinking();
+    addMessage("ai", t("Ultron: Something went wrong."), { record: false });
+    announce(t("Ultron: Something went wrong."));
+    return { reply: "", error: true };
+  }).then(result => {
+    if (!activeRequest) {
+      chatMessages.removeAttribute("aria-busy");
+      emitWidgetEvent("thinking", { thinking: false });
+    }
+    emitWidgetEvent("reply", {
+      turnId: userTurnId,
+      message: msg,
+      reply: result.reply,
+      attachments: result.attachments || [],
+      profile: result.profile || null,
+      error: !!result.error,
+      cancelled: !!result.cancelled
+    });
+    return result;
+  });
+}
+
+// small status line under a message: "pending" (queued), "retrying" or "failed"; null clears it.
+// `action` adds a button ({ label, onClick }) such as Retry / Send now.
+function setMessageStatus(bubble, status, detail = "", action = null) {
+  if (!bubble) return;
+  let el = bubble.querySelector(":scope > .message-status");
+  if (!status) {
+    if (el) el.remove();
+    delete bubble.dataset.status;
+    return;
+  }
+  if (!el) {
+    el = document.createElement("div");
+    el.className = "message-status";
+    bubble.appendChild(el);
+  }
+  bubble.dataset.status = status;
+  el.textContent = `${{ pending: "⏳", retrying: "↻", failed: "⚠" }[status] || ""} ${detail}`.trim();
+  if (action) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "message-status-action";
+    btn.textContent = action.label;
+    btn.addEventListener("click", action.onClick);
+    el.appendChild(btn);
+  }
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// "via <profile>" note under a reply, so it is clear which backend answered (only once there is a choice)
+function setMessageProfile(bubble, profile) {
+  if (!bubble || !profile || backendProfiles.length < 2) return;
+  let el = bubble.querySelector(":scope > .message-meta");
+  if (!el) {
+    el = document.createElement("div");
+    el.className = "message-meta";
+    bubble.appendChild(el);
+  }
+  el.textContent = `via ${profile.name}`;
+  el.title = `Answered by backend profile "${profile.name}"`;
+}
+
+// === OUTBOX (offline queue) ===
+// Messages typed while the browser is offline or the last /health probe failed are kept here
+// (and in localStorage) and sent in order once the health monitor sees the backend again.
+let outbox = loadPref("ULTRON_OUTBOX", []);
+let outboxFlushing = false;
+
+function shouldQueue() {
+  return navigator.onLine === false || backendHealthy === false;
+}
+
+function saveOutbox() {
+  savePref("ULTRON_OUTBOX", outbox);
+}
+
+function outboxItemsFor(conversationId) {
+  return outbox.filter(item => item.conversationId === conversationId);
+}
+
+function bubbleForTurn(turnId) {
+  return turnId ? chatMessages.querySelector(`.message[data-turn-id="${turnId}"]`) : null;
+}
+
+function markQueued(bubble) {
+  const detail = navigator.onLine === false ? t("Queued — will send when you're back online.") : t("Queued — will send when the backend is reachable.");
+  setMessageStatus(bubble, "pending", detail, {
+    label: t("Send now"),
+    onClick: () => flushOutbox({ force: true })
+  });
+}
+
+function queueMessage(msg, userBubble) {
+  outbox.push({
+    id: makeId("out"),
+    msg,
+    conversationId: conversation.id,
+    turnId: userBubble.dataset.turnId,
+    queuedAt: Date.now()
+  });
+  saveOutbox();
+  markQueued(userBubble);
+  scheduleHealthCheck(HEALTH_FAILING_MIN_MS);
+}
+
+// re-mark queued bubbles after a reload / conversation switch
+function applyOutboxStatuses() {
+  for (const item of outboxItemsFor(conversation.id)) markQueued(bubbleForTurn(item.turnId));
+}
+
+// send queued messages for the open conversation, oldest first; force skips the online/health check
+async function flushOutbox(options = {}) {
+  if (outboxFlushing || (!options.force && shouldQueue())) return;
+  outboxFlushing = true;
+  try {
+    for (;;) {
+      const item = outboxItemsFor(conversation.id)[0];
+      if (!item) break;
+      const bubble = bubbleForTurn(item.turnId);
+      outbox = outbox.filter(i => i.id !== item.id);
+      saveOutbox();
+      if (!bubble) continue; // turn no longer on screen (edited away)
+      const result = await requestReply(item.msg, bubble);
+      if (result && result.unreachable) {
+        // still down: put it back at the front and wait for the next probe
+        outbox.unshift(item);
+        saveOutbox();
+        markQueued(bubble);
+        break;
+      }
+    }
+  } finally {
+    outboxFlushing = false;
+  }
+}
+
+function initOutbox() {
+  window.addEventListener("online", () => {
+    hideStatusBanner();
+    verifyBackendAndUpdateUI().catch(e => console.warn("verifyBackendAndUpdateUI failed:", e));
+  });
+  window.addEventListener("offline", () => {
+    showStatusBanner(t("<strong>You're offline.</strong> Messages will be queued and sent when the connection returns."));
+  });
+}
+
+// start over: clears the transcript and the context sent to the backend
+function startNewConversation() {
+  cancelActiveRequest();
+  stopSpeaking();
+  stopThinking();
+  stopReceiving();
+  releaseUploadPreviews(chatMessages);
+  chatMessages.innerHTML = "";
+  conversation = createConversation();
+  savePref("ULTRON_ACTIVE_CONVERSATION", conversation.id);
+  refreshHistoryDrawer();
+  chatInput.focus();
+}
+
+if (newChatBtn) {
+  newChatBtn.type = "button";
+  newChatBtn.title = t("New conversation");
+  newChatBtn.setAttribute("aria-label", t("New conversation"));
+  newChatBtn.addEventListener("click", startNewConversation);
+}
+
+// Escape stops a reply that is still on its way (same as the Stop button)
+chatInput.addEventListener("keydown", e => {
+  if (e.key === "Escape" && !voiceListening && activeRequest) {
+    e.preventDefault();
+    stopReply();
+  }
+});
+
+// renders a bubble and (unless opts.record === false) records it as a conversation turn
+function addMessage(sender, text, opts = {}) {
+  const div = document.createElement("div");
+  div.classList.add("message", sender);
+  setMessageContent(div, sender, text);
+  if (opts.record !== false) {
+    div.dataset.turnId = recordTurn(sender === "user" ? "user" : "assistant", text, opts.turn).id;
+  }
+  chatMessages.appendChild(div);
+  if (opts.record !== false) addMessageActions(div);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return div;
+}
+
+// === COMPOSER & MESSAGE ACTIONS ===
+// #chatInput is a textarea: Enter sends, Shift+Enter adds a line, it grows up to COMPOSER_MAX_HEIGHT
+// and shows a counter against MAX_MESSAGE_CHARS. Recorded messages get a small toolbar: copy on all
+// of them, edit (re-send, dropping every later turn) on the user's, regenerate on the latest reply.
+const MAX_MESSAGE_CHARS = 4000;
+const COMPOSER_MAX_HEIGHT = 160;
+const sendBtn = document.getElementById("sendBtn");
+const stopBtn = document.getElementById("stopBtn");
+const charCounter = document.getElementById("charCounter");
+
+// grow/shrink the textarea to its content and refresh the counter / send button
+function updateComposer() {
+  chatInput.style.height = "auto";
+  chatInput.style.height = `${Math.min(COMPOSER_MAX_HEIGHT, chatInput.scrollHeight)}px`;
+  chatInput.style.overflowY = chatInput.scrollHeight > COMPOSER_MAX_HEIGHT ? "auto" : "hidden";
+  const length = chatInput.value.length;
+  if (charCounter) {
+    charCounter.textContent = length ? `${length} / ${MAX_MESSAGE_CHARS}` : "";
+    charCounter.classList.toggle("near-limit", length > MAX_MESSAGE_CHARS * 0.9);
+  }
+  if (sendBtn) sendBtn.disabled = chatInput.value.trim() === "" && !pendingUploads.length;
+}
+
+// the Stop button is shown while a reply is being requested
+function updateStopButton() {
+  if (stopBtn) stopBtn.hidden = !activeRequest;
+}
+
+function stopReply() {
+  if (!cancelActiveRequest(true)) return;
+  stopThinking(true);
+  stopReceiving();
+  chatInput.focus();
+}
+
+function initComposer() {
+  chatInput.maxLength = MAX_MESSAGE_CHARS;
+  chatInput.rows = 1;
+  chatInput.addEventListener("input", updateComposer);
+  chatInput.addEventListener("keydown", (e) => {
+    if (handleCommandSuggestKey(e)) return;
+    if (e.key !== "Enter" || e.shiftKey || e.isComposing) return;
+    e.preventDefault();
+    submitChatInput();
+  });
+  if (sendBtn) {
+    sendBtn.type = "button";
+    sendBtn.setAttribute("aria-label", t("Send message"));
+    sendBtn.addEventListener("click", () => {
+      submitChatInput();
+      chatInput.focus();
+    });
+  }
+  if (stopBtn) {
+    stopBtn.type = "button";
+    stopBtn.title = t("Stop the reply (Esc)");
+    stopBtn.setAttribute("aria-label", t("Stop the reply"));
+    stopBtn.addEventListener("click", stopReply);
+  }
+  updateComposer();
+  updateStopButton();
+}
+
+// a bubble's text without its toolbar / status / meta lines
+function messageText(bubble) {
+  const copy = bubble.cloneNode(true);
+  copy.querySelectorAll(".message-actions, .message-status, .message-meta, .message-uploads").forEach(el => el.remove());
+  return copy.textContent.trim();
+}
+
+function turnById(turnId) {
+  return conversation.turns.find(t => t.id === turnId) || null;
+}
+
+function actionButton(label, icon, onClick, className = "") {
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = `message-action ${className}`.trim();
+  b.textContent = icon;
+  b.title = t(label);
+  b.setAttribute("aria-label", t(label));
+  b.addEventListener("click", () => onClick(b));
+  return b;
+}
+
+// (re)attach the toolbar to a recorded bubble; call again after its content is re-rendered
+function addMessageActions(bubble) {
+  if (!bubble || !bubble.dataset.turnId) return;
+  const old = bubble.querySelector(":scope > .message-actions");
+  if (old) old.remove();
+  const isUser = bubble.classList.contains("user");
+  const bar = document.createElement("div");
+  bar.className = "message-actions";
+  bar.appendChild(actionButton("Copy", "⧉", (b) => {
+    const turn = turnById(bubble.dataset.turnId);
+    copyText(turn ? turn.content : messageText(bubble)).then(ok => {
+      b.textContent = ok ? "✓" : "!";
+      announce(ok ? t("Copied.") : t("Copy failed."));
+      setTimeout(() => (b.textContent = "⧉"), 1200);
+    });
+  }));
+  if (isUser) bar.appendChild(actionButton("Edit and resend", "✎", () => startEditingMessage(bubble)));
+  else bar.appendChild(actionButton("Regenerate reply", "↻", () => regenerateReply(bubble), "regenerate"));
+  bubble.appendChild(bar);
+  markLatestReply();
+}
+
+// only the newest reply (the conversation's last turn) can be regenerated
+function markLatestReply() {
+  const last = conversation.turns[conversation.turns.length - 1];
+  chatMessages.querySelectorAll(".message.latest-reply").forEach(el => el.classList.remove("latest-reply"));
+  const bubble = last && last.role === "assistant" ? bubbleForTurn(last.id) : null;
+  if (bubble) bubble.classList.add("latest-reply");
+}
+
+// drop turn `turnId` and everything after it, on screen and in the saved conversation
+function truncateConversationAt(turnId) {
+  // the reply in flight (if any) belongs before the cut, or to a turn that's going: drop it
+  cancelActiveRequest();
+  stopSpeaking();
+  const idx = conversation.turns.findIndex(t => t.id === turnId);
+  if (idx === -1) return;
+  const bubble = bubbleForTurn(turnId);
+  for (let el = bubble; el;) {
+    const next = el.nextElementSibling;
+    releaseUploadPreviews(el);
+    el.remove();
+    el = next;
+  }
+  conversation.turns = conversation.turns.slice(0, idx);
+  // queued messages whose turns were dropped go too (flushOutbox would skip them anyway)
+  outbox = outbox.filter(item => item.conversationId !== conversation.id || conversation.turns.some(t => t.id === item.turnId));
+  saveOutbox();
+  saveConversation(conversation);
+  markLatestReply();
+}
+
+function startEditingMessage(bubble) {
+  const turn = turnById(bubble.dataset.turnId);
+  if (!turn || bubble.classList.contains("editing")) return;
+  bubble.classList.add("editing");
+  bubble.textContent = "";
+
+  const editor = document.createElement("textarea");
+  editor.className = "message-editor";
+  editor.value = turn.content;
+  editor.maxLength = MAX_MESSAGE_CHARS;
+  editor.rows = Math.min(8, turn.content.split("\n").length + 1);
+  editor.setAttribute("aria-label", t("Edit message"));
+  const row = document.createElement("div");
+  row.className = "message-editor-actions";
+  const cancel = document.createElement("button");
+  cancel.type = "button";
+  cancel.textContent = t("Cancel");
+  const save = document.createElement("button");
+  save.type = "button";
+  save.textContent = t("Send");
+  save.className = "primary";
+  row.append(cancel, save);
+  bubble.append(editor, row);
+  editor.focus();
+
+  const close = () => {
+    bubble.classList.remove("editing");
+    setMessageContent(bubble, "user", turn.content);
+    renderMessageUploads(bubble, turn.uploads);
+    addMessageActions(bubble);
+  };
+  const submit = () => {
+    const text = editor.value.trim();
+    if (!text && !turn.uploads) return;
+    if (text === turn.content) {
+      close();
+      return;
+    }
+    truncateConversationAt(turn.id);
+    // files already uploaded for the original message go along again
+    sendMessage(text, { uploads: turn.uploads });
+  };
+  cancel.addEventListener("click", close);
+  save.addEventListener("click", submit);
+  editor.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      e.preventDefault();
+      e.stopPropagation();
+      close();
+    } else if (e.key === "Enter" && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      submit();
+    }
+  });
+}
+
+// ask again for the reply to the user message before `aiBubble` (replaces that reply)
+function regenerateReply(aiBubble) {
+  const idx = conversation.turns.findIndex(t => t.id === aiBubble.dataset.turnId);
+  const userTurn = conversation.turns.slice(0, idx).reverse().find(t => t.role === "user");
+  const userBubble = userTurn && bubbleForTurn(userTurn.id);
+  if (!userBubble) return;
+  truncateConversationAt(aiBubble.dataset.turnId);
+  // anything else after the user's message (attachments, error bubbles) belongs to the old reply
+  while (userBubble.nextElementSibling) userBubble.nextElementSibling.remove();
+  requestReply(userTurn.payload !== undefined ? userTurn.payload : userTurn.content, userBubble);
+}
+
+/* -----------------------
+   AI MESSAGE RENDERING (safe markdown subset)
+   ----------------------- */
+// AI replies support paragraphs, headings, lists, blockquotes, tables, fenced code, inline
+// code, bold/italic/strikethrough, links and bare URLs. Every piece of model text goes through
+// escapeHtml; the only markup that reaches innerHTML is what these functions build themselves.
+
+const MD_FENCE = /^\s{0,3}(`{3,}|~{3,})\s*([\w+#.-]*)[^`]*$/;
+const MD_HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const MD_HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const MD_LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const MD_QUOTE = /^\s{0,3}>\s?(.*)$/;
+const MD_TABLE_SEP = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+// 1-2 code span | 3-5 link / image | 6 bare URL | 7-8 strong | 9-10 emphasis | 11 strikethrough
+const MD_INLINE = /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)|!?\[([^\]\n]+)\]\(\s*<?([^()\s<>]+(?:\([^()\s]*\))?)>?(?:\s+"([^"\n]*)")?\s*\)|(https?:\/\/[^\s<>"'`]*[^\s<>"'`.,;:!?)\]])|(\*\*|__)(?=\S)([\s\S]*?\S)\7|(\*|_)(?=[^\s*_])([\s\S]*?[^\s*_])\9|~~(?=\S)([\s\S]*?\S)~~/;
+
+// links only ever point at http(s)/mailto; relative links resolve against the backend like resume_url
+function safeUrl(raw) {
+  try {
+    const u = new URL(raw, BACKEND_ORIGIN);
+    return ['http:', 'https:', 'mailto:'].includes(u.protocol) ? u.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function renderLink(href, labelHtml, title) {
+  const url = safeUrl(href);
+  if (!url) return labelHtml;
+  const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(url)}"${titleAttr} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+// `links: false` renders link labels, which must not contain links of their own
+function renderInline(text, { links = true } = {}) {
+  const opts = { links };
+  const re = new RegExp(MD_INLINE.source, 'g');
+  let html = '';
+  let last = 0;
+  let m;
+  while ((m = re.exec(text))) {
+    const start = m.index;
+    // snake_case and friends: underscores inside words are not emphasis
+    const marker = m[7] || m[9];
+    if (marker && marker[0] === '_' && (/\w/.test(text[start - 1] || '') || /\w/.test(text[re.lastIndex] || ''))) {
+      re.lastIndex = start + 1;
+      continue;
+    }
+    html += escapeHtml(text.slice(last, start));
+    if (m[1]) html += `<code>${escapeHtml(m[2].replace(/^ (.*) $/, '$1'))}</code>`;
+    else if (m[3]) html += links ? renderLink(m[4], renderInline(m[3], { links: false }), m[5]) : renderInline(m[3], opts);
+    else if (m[6]) html += links ? renderLink(m[6], escapeHtml(m[6])) : escapeHtml(m[6]);
+    else if (m[7]) html += `<strong>${renderInline(m[8], opts)}</strong>`;
+    else if (m[9]) html += `<em>${renderInline(m[10], opts)}</em>`;
+    else if (m[11]) html += `<del>${renderInline(m[11], opts)}</del>`;
+    last = re.lastIndex;
+  }
+  return html + escapeHtml(text.slice(last));
+}
+
+// --- code blocks: tiny regex highlighter (comments, strings, numbers, keywords) ---
+const HL_KEYWORDS = new Set(('abstract and as assert async await break case catch class const continue def default defer del ' +
+  'delete do elif else enum except export extends false final finally fn for from func function go if impl import in ' +
+  'instanceof interface is lambda let loop match mod module mut namespace new nil none not null of or package pass ' +
+  'private protected pub public raise return self static struct super switch then this throw throws true try type ' +
+  'typeof undefined use var void while with yield echo fi done esac elseif').split(' '));
+const HL_SQL_KEYWORDS = new Set(('select from where insert into update delete create drop alter table values set join left ' +
+  'right inner outer full on group by order limit offset having as and or not null is in like between distinct union ' +
+  'all primary key foreign references index view case when then else end asc desc count sum avg min max').split(' '));
+const HL_HASH_COMMENTS = new Set(['python', 'py', 'bash', 'sh', 'shell', 'zsh', 'console', 'ruby', 'rb', 'yaml', 'yml',
+  'toml', 'r', 'perl', 'pl', 'powershell', 'ps1', 'dockerfile', 'makefile', 'ini', 'conf', 'elixir', 'nim']);
+const HL_PLAIN = new Set(['', 'text', 'txt', 'plain', 'plaintext', 'output', 'markdown', 'md', 'csv', 'log']);
+
+function highlightCode(code, lang) {
+  if (HL_PLAIN.has(lang)) return escapeHtml(code);
+  const isSql = lang === 'sql' || lang === 'mysql' || lang === 'postgres' || lang === 'sqlite';
+  let comment = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  if (HL_HASH_COMMENTS.has(lang)) comment = '#[^\\n]*';
+  else if (isSql) comment = '--[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  else if (lang === 'css' || lang === 'scss') comment = '\\/\\*[\\s\\S]*?\\*\\/';
+  else if (lang === 'html' || lang === 'xml' || lang === 'svg') comment = '<!--[\\s\\S]*?-->';
+  const strings = '"""[\\s\\S]*?"""|\'\'\'[\\s\\S]*?\'\'\'|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`';
+  const numbers = '\\b(?:0[xX][\\da-fA-F]+|\\d+(?:\\.\\d+)?(?:[eE][+-]?\\d+)?)\\b';
+  const re = new RegExp(`(${comment})|(${strings})|(${numbers})|([A-Za-z_$][\\w$]*)`, 'g');
+  const keywords = isSql ? HL_SQL_KEYWORDS : HL_KEYWORDS;
+
+  let html = '';
+  let last = 0;
+  let m;
+  while ((m = re.exec(code))) {
+    html += escapeHtml(code.slice(last, m.index));
+    last = re.lastIndex;
+    if (m[1]) html += `<span class="tok-comment">${escapeHtml(m[1])}</span>`;
+    else if (m[2]) html += `<span class="tok-string">${escapeHtml(m[2])}</span>`;
+    else if (m[3]) html += `<span class="tok-number">${escapeHtml(m[3])}</span>`;
+    else if (keywords.has(isSql ? m[4].toLowerCase() : m[4])) html += `<span class="tok-keyword">${escapeHtml(m[4])}</span>`;
+    else html += escapeHtml(m[4]);
+  }
+  return html + escapeHtml(code.slice(last));
+}
+
+function renderCodeBlock(code, lang) {
+  const langAttr = lang ? ` class="language-${escapeHtml(lang)}"` : '';
+  return `<div class="code-block"><div class="code-head"><span class="code-lang">${escapeHtml(lang || 'code')}</span>` +
+    `<button type="button" class="code-copy">Copy</button></div>` +
+    `<pre><code${langAttr}>${highlightCode(code, lang)}</code></pre></div>`;
+}
+
+// --- tables ---
+function splitTableRow(line) {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+  // protect escaped pipes (\|) while splitting
+  return trimmed.replace(/\\\|/g, '\u0000').split('|').map(cell => cell.trim().replace(/\u0000/g, '|'));
+}
+
+function renderTable(header, aligns, rows) {
+  const cell = (tag, text, i) => {
+    const style = aligns[i] ? ` style="text-align:${aligns[i]}"` : '';
+    return `<${tag}${style}>${renderInline(text || '')}</${tag}>`;
+  };
+  const head = `<tr>${header.map((c, i) => cell('th', c, i)).join('')}</tr>`;
+  const body = rows.map(r => `<tr>${header.map((_, i) => cell('td', r[i], i)).join('')}</tr>`).join('');
+  return `<div class="md-table"><table><thead>${head}</thead><tbody>${body}</tbody></table></div>`;
+}
+
+// --- lists (nested by indentation) ---
+function dedentLines(lines) {
+  const indents = lines.filter(l => l.trim()).map(l => l.match(/^\s*/)[0].length);
+  const cut = indents.length ? Math.min(...indents) : 0;
+  return lines.map(l => l.slice(Math.min(cut, l.match(/^\s*/)[0].length)));
+}
+
+function renderList(lines) {
+  const first = lines[0].match(MD_LIST_ITEM);
+  const baseIndent = first[1].length;
+  const ordered = /\d/.test(first[2]);
+  const items = [];
+  for (const line of lines) {
+    const m = line.match(MD_LIST_ITEM);
+    if (m && m[1].length <= baseIndent + 1) items.push({ text: m[3], rest: [] });
+    else items[items.length - 1].rest.push(line);
+  }
+  const body = items.map(item => {
+    let text = renderInline(item.text);
+    const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+    if (task) text = `${task[1] === ' ' ? '☐' : '☑'} ${renderInline(task[2])}`;
+    const nested = item.rest.some(l => l.trim()) ? renderBlocks(dedentLines(item.rest)) : '';
+    return `<li>${text}${nested}</li>`;
+  }).join('');
+  if (!ordered) return `<ul>${body}</ul>`;
+  const start = parseInt(first[2], 10);
+  return `<ol${start !== 1 ? ` start="${start}"` : ''}>${body}</ol>`;
+}
+
+function isTableStart(lines, i) {
+  return lines[i].includes('|') && i + 1 < lines.length && MD_TABLE_SEP.test(lines[i + 1]);
+}
+
+function startsBlock(lines, i) {
+  const line = lines[i];
+  return MD_FENCE.test(line) || MD_HEADING.test(line) || MD_HR.test(line) || MD_QUOTE.test(line) ||
+    MD_LIST_ITEM.test(line) || isTableStart(lines, i);
+}
+
+function renderBlocks(lines) {
+  const out = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+    if (!line.trim()) {
+      i++;
+    } else if ((m = line.match(MD_FENCE))) {
+      // an unterminated fence (still streaming) runs to the end of the text
+      const closing = new RegExp(`^\\s{0,3}\\${m[1][0]}{${m[1].length},}\\s*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) code.push(lines[i++]);
+      i++;
+      out.push(renderCodeBlock(code.join('\n').replace(/\n+$/, ''), m[2].toLowerCase()));
+    } else if ((m = line.match(MD_HEADING))) {
+      const level = m[1].length;
+      out.push(`<h${level}>${renderInline(m[2])}</h${level}>`);
+      i++;
+    } else if (MD_HR.test(line)) {
+      out.push('<hr>');
+      i++;
+    } else if (MD_QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && MD_QUOTE.test(lines[i])) quoted.push(lines[i++].match(MD_QUOTE)[1]);
+      out.push(`<blockquote>${renderBlocks(quoted)}</blockquote>`);
+    } else if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const aligns = splitTableRow(lines[i + 1]).map(c =>
+        c.startsWith(':') && c.endsWith(':') ? 'center' : c.endsWith(':') ? 'right' : c.startsWith(':') ? 'left' : '');
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) rows.push(splitTableRow(lines[i++]));
+      out.push(renderTable(header, aligns, rows));
+    } else if (MD_LIST_ITEM.test(line)) {
+      // items, indented continuation lines, and blank lines that are followed by more of the list;
+      // a top-level item of the other kind (bullet vs numbered) starts a new list
+      const first = line.match(MD_LIST_ITEM);
+      const ordered = /\d/.test(first[2]);
+      const block = [];
+      while (i < lines.length) {
+        const l = lines[i];
+        const item = l.match(MD_LIST_ITEM);
+        if (block.length && item && item[1].length <= first[1].length + 1 && /\d/.test(item[2]) !== ordered) break;
+        const continues = l.trim()
+          ? MD_LIST_ITEM.test(l) || /^\s+\S/.test(l)
+          : i + 1 < lines.length && (MD_LIST_ITEM.test(lines[i + 1]) || /^\s{2,}\S/.test(lines[i + 1]));
+        if (!continues) break;
+        block.push(l);
+        i++;
+      }
+      out.push(renderList(block));
+    } else {
+      const para = [lines[i++].trim()];
+      while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) para.push(lines[i++].trim());
+      out.push(`<p>${para.map(renderInline).join('<br>')}</p>`);
+    }
+  }
+  return out.join('');
+}
+
+function renderMarkdown(text) {
+  return renderBlocks(String(text || '').replace(/\r\n?/g, '\n').split('\n'));
+}
+
+// AI bubbles get rendered markdown, user bubbles stay plain text
+function setMessageContent(div, sender, text) {
+  if (sender === 'ai') {
+    div.classList.add('md');
+    div.innerHTML = renderMarkdown(text);
+  } else {
+    div.textContent = text;
+  }
+}
+
+// clipboard with a fallback for insecure (http://) pages
+function copyText(text) {
+  function fallbackCopy() {
+    const ta = document.createElement('textarea');
+    ta.value = text;
+    ta.setAttribute('readonly', '');
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    document.body.appendChild(ta);
+    ta.select();
+    let ok = false;
+    try { ok = document.execCommand('copy'); } catch (e) { ok = false; }
+    ta.remove();
+    return ok;
+  }
+  if (navigator.clipboard && window.isSecureContext) {
+    return navigator.clipboard.writeText(text).then(() => true, () => fallbackCopy());
+  }
+  return Promise.resolve(fallbackCopy());
+}
+
+// copy buttons on code blocks (delegated, since bubbles are re-rendered while streaming)
+chatMessages.addEventListener('click', (e) => {
+  const btn = e.target.closest('.code-copy');
+  if (!btn) return;
+  const code = btn.closest('.code-block').querySelector('code');
+  copyText(code.textContent).then(ok => {
+    btn.textContent = ok ? 'Copied ✓' : 'Copy failed';
+    setTimeout(() => (btn.textContent = 'Copy'), 1400);
+  });
+});
+
+/* -----------------------
+   REPLY ATTACHMENTS (typed cards)
+   ----------------------- */
+// Replies may carry `attachments: [...]`, each rendered as its own card under the reply:
+//   { type: "file",  url, name?, size?, mime? }                      download card
+//   { type: "image", url, alt?, caption? }                            inline image
+//   { type: "link",  url, title?, description?, image?, site? }       link preview
+//   { type: "quick_replies", options: [{ label, payload? }] }         buttons that answer for the user
+// Relative URLs resolve against BACKEND_ORIGIN, exactly like resume_url (which becomes a file card).
+
+const ATTACHMENT_TYPE_ALIASES = {
+  file: "file", download: "file", document: "file",
+  image: "image", img: "image", photo: "image",
+  audio: "audio", voice: "audio", speech: "audio",
+  link: "link", url: "link", preview: "link",
+  quick_replies: "quick_replies", quick_reply: "quick_replies", buttons: "quick_replies", suggestions: "quick_replies"
+};
+
+// absolute URL against the backend origin (same rule as resume_url)
+function resolveBackendUrl(url) {
+  try { return new URL(url, BACKEND_ORIGIN).toString(); } catch (e) { return url; }
+}
+
+// the URLs an attachment may carry: http(s) (relative ones resolve against the backend) and inline
+// data:image / data:audio; null for anything else (javascript:, file:, …)
+function attachmentUrl(raw) {
+  const url = resolveBackendUrl(String(raw));
+  if (/^data:(image|audio)\//i.test(url)) return url;
+  return /^https?:\/\//i.test(url) ? url : null;
+}
+
+// validate + resolve one attachment from the backend; returns null for anything unusable
+function normalizeAttachment(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  const type = ATTACHMENT_TYPE_ALIASES[String(raw.type || raw.kind || "").toLowerCase()];
+  if (!type) {
+    console.warn("Ignoring unknown attachment type:", raw.type || raw.kind);
+    return null;
+  }
+  if (type === "quick_replies") {
+    const options = (raw.options || raw.replies || raw.buttons || [])
+      .map(o => (typeof o === "string" ? { label: o } : o))
+      .filter(o => o && o.label)
+      .map(o => ({ label: String(o.label), payload: o.payload === undefined ? String(o.label) : o.payload }));
+    return options.length ? { type, options } : null;
+  }
+  const url = raw.url && attachmentUrl(raw.url);
+  if (!url) return null;
+  const att = { ...raw, type, url };
+  if (type === "link" && raw.image) {
+    const image = attachmentUrl(raw.image);
+    if (image) att.image = image;
+    else delete att.image;
+  }
+  return att;
+}
+
+function formatBytes(bytes) {
+  const n = Number(bytes);
+  if (!Number.isFinite(n) || n < 0) return "";
+  const units = ["B", "KB", "MB", "GB"];
+  let i = 0;
+  let v = n;
+  while (v >= 1024 && i < units.length - 1) {
+    v /= 1024;
+    i++;
+  }
+  return `${v < 10 && i > 0 ? v.toFixed(1) : Math.round(v)} ${units[i]}`;
+}
+
+function attachmentBubble(type) {
+  const div = document.createElement("div");
+  div.classList.add("message", "ai", "attachment", `attachment-${type}`);
+  return div;
+}
+
+function externalLink(url) {
+  const a = document.createElement("a");
+  const safe = safeUrl(url);
+  if (safe) a.href = safe;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  return a;
+}
+
+function fileNameFromUrl(url) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split("/").pop());
+    return name || "Download";
+  } catch (e) {
+    return "Download";
+  }
+}
+
+function renderFileCard(att) {
+  const div = attachmentBubble("file");
+  const a = externalLink(att.url);
+  a.classList.add("attachment-card");
+  a.setAttribute("download", "");
+  const icon = document.createElement("span");
+  icon.className = "attachment-icon";
+  icon.textContent = "📄";
+  const info = document.createElement("span");
+  info.className = "attachment-info";
+  const name = document.createElement("span");
+  name.className = "attachment-name";
+  name.textContent = att.name || fileNameFromUrl(att.url);
+  const meta = document.createElement("span");
+  meta.className = "attachment-meta";
+  meta.textContent = [att.mime, formatBytes(att.size)].filter(Boolean).join(" · ") || "Download";
+  info.append(name, meta);
+  a.append(icon, info);
+  div.appendChild(a);
+  return div;
+}
+
+function renderImageCard(att) {
+  const div = attachmentBubble("image");
+  const src = /^data:image\//i.test(att.url) ? att.url : safeUrl(att.url);
+  if (!src) return null;
+  const a = externalLink(att.url);
+  const img = document.createElement("img");
+  img.src = src;
+  img.alt = att.alt || att.caption || "Image";
+  img.loading = "lazy";
+  a.appendChild(img);
+  div.appendChild(a);
+  if (att.caption) {
+    const cap = document.createElement("div");
+    cap.className = "attachment-caption";
+    cap.textContent = att.caption;
+    div.appendChild(cap);
+  }
+  return div;
+}
+
+// reply audio (e.g. server-side TTS): a player that drives the orb while it plays
+// (`live` is set for a reply that just arrived, so restored history never autoplays)
+function renderAudioCard(att, { live = false } = {}) {
+  const src = /^data:audio\//i.test(att.url) ? att.url : safeUrl(att.url);
+  if (!src) return null;
+  const div = attachmentBubble("audio");
+  const audio = document.createElement("audio");
+  audio.controls = true;
+  audio.preload = "metadata";
+  // the backend may answer CORS for its media too, which lets the orb analyse it; only ask for that when
+  // the analyser is on, and fall back to plain playback if the backend doesn't send the headers
+  if (AUDIO_REACTIVE && src.startsWith(BACKEND_ORIGIN + "/") && BACKEND_ORIGIN !== window.location.origin) {
+    audio.crossOrigin = "anonymous";
+    audio.addEventListener("error", () => {
+      audio.removeAttribute("crossorigin");
+      audio.src = src;
+    }, { once: true });
+  }
+  audio.src = src;
+  attachReplyAudio(audio);
+  div.appendChild(audio);
+  if (att.caption || att.name) {
+    const cap = document.createElement("div");
+    cap.className = "attachment-caption";
+    cap.textContent = att.caption || att.name;
+    div.appendChild(cap);
+  }
+  if (live && att.autoplay && TTS_ENABLED) audio.play().catch(() => {}); // may be blocked without a gesture
+  return div;
+}
+
+function renderLinkCard(att) {
+  const div = attachmentBubble("link");
+  const a = externalLink(att.url);
+  a.classList.add("attachment-card", "link-preview");
+  const previewSrc = att.image && safeUrl(att.image);
+  if (previewSrc) {
+    const img = document.createElement("img");
+    img.src = previewSrc;
+    img.alt = "";
+    img.loading = "lazy";
+    a.appendChild(img);
+  }
+  const info = document.createElement("span");
+  info.className = "attachment-info";
+  const title = document.createElement("span");
+  title.className = "attachment-name";
+  let host = "";
+  try { host = new URL(att.url).hostname; } catch (e) { host = att.url; }
+  title.textContent = att.title || host;
+  info.appendChild(title);
+  if (att.description) {
+    const desc = document.createElement("span");
+    desc.className = "attachment-desc";
+    desc.textContent = att.description;
+    info.appendChild(desc);
+  }
+  const site = document.createElement("span");
+  site.className = "attachment-meta";
+  site.textContent = att.site || host;
+  info.appendChild(site);
+  a.appendChild(info);
+  div.appendChild(a);
+  return div;
+}
+
+function renderQuickReplies(att) {
+  const div = attachmentBubble("quick_replies");
+  for (const option of att.options) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "quick-reply";
+    btn.textContent = option.label;
+    btn.addEventListener("click", () => {
+      // one answer per set of buttons
+      div.querySelectorAll("button").forEach(b => (b.disabled = true));
+      btn.classList.add("chosen");
+      const payload = typeof option.payload === "string" ? option.payload : JSON.stringify(option.payload);
+      sendMessage(option.label, { payload });
+    });
+    div.appendChild(btn);
+  }
+  return div;
+}
+
+const ATTACHMENT_RENDERERS = {
+  file: renderFileCard,
+  image: renderImageCard,
+  audio: renderAudioCard,
+  link: renderLinkCard,
+  quick_replies: renderQuickReplies
+};
+
+// append cards for a reply's attachments; the legacy resume file keeps its "Download resume" bubble
+function renderAttachments(attachments, options = {}) {
+  for (const att of attachments || []) {
+    const el = att.role === "resume" ? appendResumeLink(att.url) : ATTACHMENT_RENDERERS[att.type] && ATTACHMENT_RENDERERS[att.type](att, options);
+    if (el && !el.isConnected) chatMessages.appendChild(el);
+  }
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+// the "Download resume" bubble shown under replies that carry a resume_url (none for a URL that
+// isn't http(s): resume_url also comes back from saved and imported conversations)
+function appendResumeLink(url) {
+  if (!safeUrl(url)) return null;
+  const a = externalLink(url);
+  a.textContent = t("Download resume");
+  a.classList.add("resume-link");
+  const div = document.createElement("div");
+  div.classList.add("message", "ai", "resume");
+  div.appendChild(a);
+  chatMessages.appendChild(div);
+  chatMessages.scrollTop = chatMessages.scrollHeight;
+  return div;
+}
+
+/* -----------------------
+   UPLOADS (user attachments)
+   ----------------------- */
+// Files picked with the 📎 button, dropped on the chat or pasted into the composer wait in a tray
+// until the message is sent. Each one is then POSTed as multipart/form-data to <origin>/upload
+// (fields: file, conversationId, clientId; same auth as the chat request) with a progress bar in the
+// user's bubble. The backend answers { id?, url, name?, type?, size? } (optionally wrapped in
+// { file }); those references go with the chat request as `attachments` and are kept on the turn
+// (`uploads`) so retries, regenerate and saved conversations reuse them.
+const UPLOAD_MAX_FILES = 5;
+const UPLOAD_MAX_BYTES = 10 * 1024 * 1024;
+const UPLOAD_TIMEOUT_MS = 120000;
+const UPLOAD_TYPES = {
+  "image/png": ".png", "image/jpeg": ".jpg", "image/gif": ".gif", "image/webp": ".webp",
+  "application/pdf": ".pdf", "text/plain": ".txt", "text/markdown": ".md", "text/csv": ".csv",
+  "application/json": ".json"
+};
+const attachBtn = document.getElementById("attachBtn");
+const attachTray = document.getElementById("attachTray");
+
+let pendingUploads = []; // [{ id, file, previewUrl }] waiting in the tray
+
+// why `file` can't be attached, or null when it can
+function uploadRejection(file) {
+  const ext = (file.name.match(/\.[^.]+$/) || [""])[0].toLowerCase();
+  const typeOk = file.type ? file.type in UPLOAD_TYPES : Object.values(UPLOAD_TYPES).includes(ext);
+  if (!typeOk) return t("this file type isn't supported (images, PDF, text, Markdown, CSV or JSON)");
+  if (file.size > UPLOAD_MAX_BYTES) return t("it is larger than {size}", { size: formatBytes(UPLOAD_MAX_BYTES) });
+  if (file.size === 0) return t("the file is empty");
+  return null;
+}
+
+function addPendingFiles(fileList) {
+  const problems = [];
+  for (const file of fileList) {
+    if (pendingUploads.length >= UPLOAD_MAX_FILES) {
+      problems.push(t("at most {count} files per message", { count: UPLOAD_MAX_FILES }));
+      break;
+    }
+    const why = uploadRejection(file);
+    if (why) {
+      problems.push(`"${file.name}": ${why}`);
+      continue;
+    }
+    pendingUploads.push({
+      id: makeId("upload"),
+      file,
+      previewUrl: file.type.startsWith("image/") ? URL.createObjectURL(file) : null
+    });
+  }
+  if (problems.length) {
+    showStatusBanner(t("<strong>Can't attach:</strong> {problems}", { problems: problems.map(escapeHtml).join("; ") }), 6000);
+  }
+  renderAttachTray();
+}
+
+function removePendingUpload(id) {
+  const item = pendingUploads.find(p => p.id === id);
+  if (item && item.previewUrl) URL.revokeObjectURL(item.previewUrl);
+  pendingUploads = pendingUploads.filter(p => p.id !== id);
+  renderAttachTray();
+}
+
+// hands the tray's files over (to a message being sent); their previews stay alive for its bubble
+// until the upload is stored or the bubble is dropped (releaseUploadPreviews)
+function takePendingUploads() {
+  const items = pendingUploads;
+  pendingUploads = [];
+  renderAttachTray();
+  return items;
+}
+
+function uploadIcon(type) {
+  if (String(type).startsWith("image/")) return "🖼";
+  return String(type) === "application/pdf" ? "📕" : "📄";
+}
+
+function renderAttachTray() {
+  if (!attachTray) return;
+  attachTray.innerHTML = "";
+  attachTray.hidden = pendingUploads.length === 0;
+  for (const item of pendingUploads) {
+    const chip = document.createElement("div");
+    chip.className = "attach-chip";
+    if (item.previewUrl) {
+      const img = document.createElement("img");
+      img.src = item.previewUrl;
+      img.alt = "";
+      chip.appendChild(img);
+    } else {
+      const icon = document.createElement("span");
+      icon.className = "attach-chip-icon";
+      icon.textContent = uploadIcon(item.file.type);
+      chip.appendChild(icon);
+    }
+    const name = document.createElement("span");
+    name.className = "attach-chip-name";
+    name.textContent = `${item.file.name} · ${formatBytes(item.file.size)}`;
+    chip.appendChild(name);
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.textContent = "×";
+    remove.setAttribute("aria-label", t("Remove {name}", { name: item.file.name }));
+    remove.addEventListener("click", () => removePendingUpload(item.id));
+    chip.appendChild(remove);
+    attachTray.appendChild(chip);
+  }
+  updateComposer();
+}
+
+// thumbnails / file names inside a user bubble. `items` are { name, type, size, previewUrl?, url? };
+// with `uploading` each gets a <progress>; returns the progress elements in order.
+function renderMessageUploads(bubble, items, uploading = false) {
+  const old = bubble.querySelector(":scope > .message-uploads");
+  if (old) old.remove();
+  if (!items || !items.length) return [];
+  const box = document.createElement("div");
+  box.className = "message-uploads";
+  const bars = items.map(item => {
+    const el = document.createElement("div");
+    el.className = "message-upload";
+    const src = item.previewUrl || (String(item.type).startsWith("image/") && item.url ? safeUrl(item.url) : null);
+    if (src) {
+      const img = document.createElement("img");
+      img.src = src;
+      img.alt = item.name || "Image";
+      img.loading = "lazy";
+      el.appendChild(img);
+    } else {
+      const icon = document.createElement("span");
+      icon.textContent = uploadIcon(item.type);
+      el.appendChild(icon);
+    }
+    const caption = document.createElement(item.url && !src ? "a" : "span");
+    caption.className = "message-upload-name";
+    caption.textContent = item.name || "file";
+    if (caption.tagName === "A") {
+      caption.href = safeUrl(item.url) || "#";
+      caption.target = "_blank";
+      caption.rel = "noopener noreferrer";
+    }
+    el.appendChild(caption);
+    let bar = null;
+    if (uploading) {
+      bar = document.createElement("progress");
+      bar.max = 1;
+      bar.value = 0;
+      bar.setAttribute("aria-label", `Uploading ${item.name}`);
+      el.appendChild(bar);
+    }
+    box.appendChild(el);
+    return bar;
+  });
+  const actions = bubble.querySelector(":scope > .message-actions");
+  bubble.insertBefore(box, actions);
+  return bars;
+}
+
+// free the blob: thumbnails of files picked in this tab once `root` (a bubble or the whole
+// transcript) no longer shows them
+function releaseUploadPreviews(root) {
+  root.querySelectorAll('.message-uploads img[src^="blob:"]').forEach(img => URL.revokeObjectURL(img.src));
+}
+
+function uploadError(message, status) {
+  const e = new Error(message);
+  e.status = status;
+  return e;
+}
+
+// POST one file to target's /upload; resolves to the stored reference { id, url, name, type, size }
+async function uploadFile(file, target, { signal, onProgress = () => {} } = {}, refreshToken = false) {
+  const headers = await authHeadersFor(target, signal, refreshToken);
+  const ref = await new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open("POST", uploadUrlForBackend(target.url));
+    xhr.timeout = UPLOAD_TIMEOUT_MS;
+    xhr.setRequestHeader("Accept", "application/json");
+    for (const [name, value] of Object.entries(headers)) xhr.setRequestHeader(name, value);
+    const form = new FormData();
+    form.append("file", file, file.name);
+    form.append("conversationId", conversation.id);
+    form.append("clientId", CLIENT_ID);
+    if (target.auth === "body" && target.apiKey) form.append("apiKey", target.apiKey);
+
+    const onAbort = () => xhr.abort();
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+    const settle = (fn, value) => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded / e.total);
+    };
+    xhr.onload = () => {
+      let body = null;
+      try { body = JSON.parse(xhr.responseText || "null"); } catch (_) {}
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const detail = xhr.status === 413 ? t("the server says the file is too large") : (body && body.error) || `status ${xhr.status}`;
+        settle(reject, uploadError(`${file.name}: ${detail}`, xhr.status));
+        return;
+      }
+      const stored = body && (body.file || body);
+      if (!stored || !(stored.url || stored.id)) {
+        settle(reject, uploadError(`${file.name}: ${t("the server didn't return a file reference")}`, xhr.status));
+        return;
+      }
+      onProgress(1);
+      settle(resolve, {
+        id: stored.id || null,
+        url: stored.url ? resolveBackendUrl(stored.url) : null,
+        name: stored.name || file.name,
+        type: stored.type || file.type || "application/octet-stream",
+        size: Number(stored.size) || file.size
+      });
+    };
+    xhr.onerror = () => settle(reject, uploadError(`${file.name}: ${t("network error")}`));
+    xhr.ontimeout = () => settle(reject, uploadError(`${file.name}: ${t("timed out")}`));
+    xhr.onabort = () => settle(reject, new DOMException("Aborted", "AbortError"));
+    xhr.send(form);
+  }).catch(err => {
+    // an expired token: exchange the key again once
+    if (err.status === 401 && target.auth === "token" && !refreshToken) return null;
+    throw err;
+  });
+  return ref || uploadFile(file, target, { signal, onProgress }, true);
+}
+
+// upload `items` (from the tray) for the message in `userBubble`, then ask for the reply.
+// Stop / Escape cancel the uploads like a request; failures offer a Retry on the bubble.
+async function uploadThenRequest(msg, userBubble, items) {
+  const turn = turnById(userBubble.dataset.turnId);
+  const controller = new AbortController();
+  cancelActiveRequest();
+  activeRequest = controller;
+  updateStopButton();
+  setMessageStatus(userBubble, null);
+  const bars = renderMessageUploads(userBubble, items.map(p => ({
+    name: p.file.name, type: p.file.type, size: p.file.size, previewUrl: p.previewUrl
+  })), true);
+  const target = { ...activeProfile(), url: BACKEND_URL, apiKey: API_KEY };
+  // one failed file fails the message, so it cancels the other uploads too
+  const batch = new AbortController();
+  controller.signal.addEventListener("abort", () => batch.abort(), { once: true });
+  try {
+    const refs = await Promise.all(items.map((p, i) => uploadFile(p.file, target, {
+      signal: batch.signal,
+      onProgress: (f) => { if (bars[i]) bars[i].value = f; }
+    }).catch(err => {
+      batch.abort();
+      throw err;
+    })));
+    // the stored copies replace the local previews
+    releaseUploadPreviews(userBubble);
+    renderMessageUploads(userBubble, refs);
+    if (turn) {
+      turn.uploads = refs;
+      saveConversation(conversation);
+    }
+    if (activeRequest === controller) activeRequest = null;
+    updateStopButton();
+    return requestReply(msg, userBubble);
+  } catch (err) {
+    if (activeRequest === controller) activeRequest = null;
+    updateStopButton();
+    const cancelled = err.name === "AbortError";
+    if (!cancelled) {
+      console.warn("Upload failed:", err);
+      showStatusBanner(t("<strong>Upload failed:</strong> {error}", { error: escapeHtml(err.message) }), 6000);
+    }
+    setMessageStatus(userBubble, "failed", cancelled ? t("Upload cancelled.") : t("Upload failed."), {
+      label: t("Retry"),
+      onClick: () => uploadThenRequest(msg, userBubble, items)
+    });
+    return { reply: "", error: !cancelled, cancelled };
+  }
+}
+
+function initUploads() {
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.multiple = true;
+  fileInput.hidden = true;
+  fileInput.accept = Object.keys(UPLOAD_TYPES).concat(Object.values(UPLOAD_TYPES)).join(",");
+  document.body.appendChild(fileInput);
+  fileInput.addEventListener("change", () => {
+    addPendingFiles([...fileInput.files]);
+    fileInput.value = "";
+    chatInput.focus();
+  });
+
+  if (attachBtn) {
+    attachBtn.type = "button";
+    attachBtn.title = t("Attach files (up to {count}, {size} each)", { count: UPLOAD_MAX_FILES, size: formatBytes(UPLOAD_MAX_BYTES) });
+    attachBtn.setAttribute("aria-label", t("Attach files"));
+    attachBtn.addEventListener("click", () => fileInput.click());
+  }
+
+  // paste images / files straight into the composer
+  chatInput.addEventListener("paste", (e) => {
+    const files = e.clipboardData ? [...e.clipboardData.files] : [];
+    if (!files.length) return;
+    e.preventDefault();
+    addPendingFiles(files);
+  });
+
+  // drag & drop onto the chat
+  const dropZone = chatMessages.closest(".chat-container") || chatMessages;
+  let dragDepth = 0;
+  const hasFiles = (e) => e.dataTransfer && [...(e.dataTransfer.types || [])].includes("Files");
+  dropZone.addEventListener("dragenter", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth++;
+    dropZone.classList.add("drag-over");
+  });
+  dropZone.addEventListener("dragover", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+  });
+  dropZone.addEventListener("dragleave", () => {
+    dragDepth = Math.max(0, dragDepth - 1);
+    if (!dragDepth) dropZone.classList.remove("drag-over");
+  });
+  dropZone.addEventListener("drop", (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    dragDepth = 0;
+    dropZone.classList.remove("drag-over");
+    addPendingFiles([...e.dataTransfer.files]);
+    chatInput.focus();
+  });
+  renderAttachTray();
+}
+
+/* -----------------------
+   SAVED CONVERSATIONS (IndexedDB)
+   ----------------------- */
+
+const DB_NAME = STORAGE_NAMESPACE ? `ultron:${STORAGE_NAMESPACE}` : "ultron";
+const DB_VERSION = 1;
+const CONVERSATION_STORE = "conversations";
+const TITLE_MAX_CHARS = 60;
+
+let dbPromise = null;
+
+// resolves to an IDBDatabase, or null where IndexedDB isn't available (private mode, old browsers)
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve) => {
+    if (!window.indexedDB) {
+      resolve(null);
+      return;
+    }
+    let req;
+    try {
+      req = indexedDB.open(DB_NAME, DB_VERSION);
+    } catch (e) {
+      console.warn("IndexedDB unavailable:", e);
+      resolve(null);
+      return;
+    }
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(CONVERSATION_STORE)) {
+        const store = db.createObjectStore(CONVERSATION_STORE, { keyPath: "id" });
+        store.createIndex("updatedAt", "updatedAt");
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      console.warn("IndexedDB open failed:", req.error);
+      resolve(null);
+    };
+    req.onblocked = () => console.warn("IndexedDB upgrade blocked by another tab");
+  });
+  return dbPromise;
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction(CONVERSATION_STORE, mode);
+  return fn(tx.objectStore(CONVERSATION_STORE));
+}
+
+function dbPutConversation(conv) {
+  return withStore("readwrite", store => idbRequest(store.put(conv)));
+}
+
+function dbGetConversation(id) {
+  return withStore("readonly", store => idbRequest(store.get(id)));
+}
+
+function dbDeleteConversation(id) {
+  return withStore("readwrite", store => idbRequest(store.delete(id)));
+}
+
+async function dbListConversations() {
+  const all = await withStore("readonly", store => idbRequest(store.getAll()));
+  return (all || []).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+}
+
+function conversationTitle(conv) {
+  if (conv.title) return conv.title;
+  const first = conv.turns.find(t => t.role === "user");
+  if (!first) return "New conversation";
+  const text = first.content.replace(/\s+/g, " ").trim();
+  return text.length > TITLE_MAX_CHARS ? text.slice(0, TITLE_MAX_CHARS - 1) + "…" : text;
+}
+
+// persist a conversation (empty ones are not stored until the first message)
+function saveConversation(conv) {
+  if (!conv.turns.length) return Promise.resolve();
+  conv.updatedAt = Date.now();
+  if (!conv.titleEdited) conv.title = conversationTitle({ ...conv, title: "" });
+  savePref("ULTRON_ACTIVE_CONVERSATION", conv.id);
+  return dbPutConversation(conv)
+    .then(() => refreshHistoryDrawer())
+    .catch(err => console.warn("Saving conversation failed:", err));
+}
+
+// re-render a stored turn (no re-recording)
+function renderTurn(turn) {
+  const div = addMessage(turn.role === "user" ? "user" : "ai", turn.content, { record: false });
+  div.dataset.turnId = turn.id;
+  if (turn.uploads) renderMessageUploads(div, turn.uploads);
+  addMessageActions(div);
+  if (turn.partial) div.classList.add("cancelled");
+  if (turn.profile) setMessageProfile(div, turn.profile);
+  if (turn.attachments) renderAttachments(turn.attachments);
+  else if (turn.resume_url) appendResumeLink(turn.resume_url); // saved before attachments existed
+  return div;
+}
+
+function showConversation(conv) {
+  cancelActiveRequest();
+  stopSpeaking();
+  stopThinking();
+  stopReceiving();
+  conversation = conv;
+  releaseUploadPreviews(chatMessages);
+  chatMessages.innerHTML = "";
+  conv.turns.forEach(renderTurn);
+  applyOutboxStatuses();
+  savePref("ULTRON_ACTIVE_CONVERSATION", conv.id);
+  refreshHistoryDrawer();
+}
+
+async function openConversation(id) {
+  const conv = await dbGetConversation(id).catch(() => null);
+  if (conv) showConversation(conv);
+  return !!conv;
+}
+
+// bring back whatever conversation was open before the reload
+async function restoreActiveConversation() {
+  const id = loadPref("ULTRON_ACTIVE_CONVERSATION", null);
+  if (!id) return false;
+  return openConversation(id);
+}
+
+async function renameConversation(id, title) {
+  const conv = id === conversation.id ? conversation : await dbGetConversation(id);
+  if (!conv) return;
+  const clean = title.trim().slice(0, 120);
+  conv.title = clean || "";
+  conv.titleEdited = !!clean;
+  if (!clean) conv.title = conversationTitle(conv);
+  await dbPutConversation(conv).catch(err => console.warn("Renaming conversation failed:", err));
+  refreshHistoryDrawer();
+}
+
+async function deleteConversation(id) {
+  await dbDeleteConversation(id).catch(err => console.warn("Deleting conversation failed:", err));
+  if (id === conversation.id) startNewConversation();
+  else refreshHistoryDrawer();
+}
+
+// --- history drawer ---
+const historyBtn = document.getElementById("historyBtn");
+let historyDrawer = null;
+let historyList = null;
+let historySearch = null;
+
+function createHistoryDrawer() {
+  historyDrawer = document.createElement("aside");
+  historyDrawer.id = "ultron-history";
+  historyDrawer.className = "history-drawer";
+  historyDrawer.hidden = true;
+  historyDrawer.setAttribute("aria-label", t("Saved conversations"));
+
+  const head = document.createElement("div");
+  head.className = "history-head";
+  const title = document.createElement("strong");
+  title.textContent = t("Conversations");
+  const newBtn = document.createElement("button");
+  newBtn.type = "button";
+  newBtn.className = "history-new";
+  newBtn.textContent = t("＋ New");
+  newBtn.addEventListener("click", () => {
+    startNewConversation();
+    toggleHistoryDrawer(false);
+  });
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "history-close";
+  closeBtn.textContent = "✕";
+  closeBtn.setAttribute("aria-label", t("Close conversations"));
+  closeBtn.addEventListener("click", () => toggleHistoryDrawer(false));
+  head.append(title, newBtn, closeBtn);
+
+  historySearch = document.createElement("input");
+  historySearch.type = "search";
+  historySearch.className = "history-search";
+  historySearch.placeholder = t("Search conversations…");
+  historySearch.addEventListener("input", () => refreshHistoryDrawer());
+
+  historyList = document.createElement("ul");
+  historyList.className = "history-list";
+
+  historyDrawer.append(head, historySearch, historyList);
+  document.body.appendChild(historyDrawer);
+}
+
+function toggleHistoryDrawer(force) {
+  if (!historyDrawer) return;
+  const open = typeof force === "boolean" ? force : historyDrawer.hidden;
+  historyDrawer.hidden = !open;
+  if (historyBtn) historyBtn.setAttribute("aria-expanded", open ? "true" : "false");
+  if (open) {
+    refreshHistoryDrawer();
+    historySearch.focus();
+  }
+}
+
+function conversationMatches(conv, query) {
+  if (!query) return true;
+  const needle = query.toLowerCase();
+  if ((conv.title || "").toLowerCase().includes(needle)) return true;
+  return conv.turns.some(t => t.content.toLowerCase().includes(needle));
+}
+
+function historyItem(conv) {
+  const li = document.createElement("li");
+  li.className = "history-item" + (conv.id === conversation.id ? " active" : "");
+
+  const open = document.createElement("button");
+  open.type = "button";
+  open.className = "history-open";
+  const name = document.createElement("span");
+  name.className = "history-title";
+  name.textContent = conversationTitle(conv);
+  const meta = document.createElement("span");
+  meta.className = "history-meta";
+  meta.textContent = `${new Date(conv.updatedAt || conv.createdAt).toLocaleString()} · ${conv.turns.length} messages`;
+  open.append(name, meta);
+  open.addEventListener("click", () => {
+    openConversation(conv.id);
+    toggleHistoryDrawer(false);
+  });
+
+  const rename = document.createElement("button");
+  rename.type = "button";
+  rename.className = "history-action";
+  rename.textContent = "✎";
+  rename.title = t("Rename");
+  rename.setAttribute("aria-label", t('Rename "{title}"', { title: conversationTitle(conv) }));
+  rename.addEventListener("click", () => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "history-rename";
+    input.value = conversationTitle(conv);
+    let done = false;
+    const finish = (save) => {
+      if (done) return;
+      done = true;
+      if (save) renameConversation(conv.id, input.value);
+      else refreshHistoryDrawer();
+    };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") finish(true);
+      if (e.key === "Escape") {
+        e.stopPropagation();
+        finish(false);
+      }
+    });
+    input.addEventListener("blur", () => finish(true));
+    li.replaceChildren(input);
+    input.focus();
+    input.select();
+  });
+
+  const del = document.createElement("button");
+  del.type = "button";
+  del.className = "history-action";
+  del.textContent = "🗑";
+  del.title = t("Delete");
+  del.setAttribute("aria-label", t('Delete "{title}"', { title: conversationTitle(conv) }));
+  del.addEventListener("click", () => {
+    if (window.confirm(t('Delete "{title}"? This can\'t be undone.', { title: conversationTitle(conv) }))) deleteConversation(conv.id);
+  });
+
+  li.append(open, rename, del);
+  return li;
+}
+
+async function refreshHistoryDrawer() {
+  if (!historyDrawer || historyDrawer.hidden) return;
+  const query = historySearch.value.trim();
+  const all = await dbListConversations().catch(() => []);
+  const matches = all.filter(conv => conversationMatches(conv, query));
+  historyList.replaceChildren(...matches.map(historyItem));
+  if (!matches.length) {
+    const empty = document.createElement("li");
+    empty.className = "history-empty";
+    empty.textContent = query ? "No conversations match your search." : "No saved conversations yet.";
+    historyList.appendChild(empty);
+  }
+}
+
+function initHistoryDrawer() {
+  createHistoryDrawer();
+  if (historyBtn) {
+    historyBtn.type = "button";
+    historyBtn.title = t("Saved conversations");
+    historyBtn.setAttribute("aria-label", t("Saved conversations"));
+    historyBtn.setAttribute("aria-expanded", "false");
+    historyBtn.addEventListener("click", () => toggleHistoryDrawer());
+  }
+  historyDrawer.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") toggleHistoryDrawer(false);
+  });
+  restoreActiveConversation().catch(err => console.warn("Restoring conversation failed:", err));
+}
+
+/* -----------------------
+   CONVERSATION EXPORT / IMPORT
+   ----------------------- */
+// The ⤓ menu turns the open conversation into Markdown, JSON or a printout (style.css has the
+// print stylesheet, so "Save as PDF" in the print dialog gives a clean transcript), and reopens
+// a JSON transcript someone shared. The JSON format:
+//   {
+//     format: "ultron-conversation", version: 1, exportedAt: ISO string,
+//     conversation: {
+//       id, title, createdAt: ISO, updatedAt: ISO,
+//       turns: [{ role: "user" | "assistant", content, ts: ISO,
+//                 profile?: { id, name },          backend profile that answered
+//                 attachments?: [...],             reply attachments (see REPLY ATTACHMENTS)
+//                 uploads?: [{ id, url, name, type, size }],   files the user sent
+//                 payload?, partial? }]        payload is exported but never imported
+//     }
+//   }
+const CONVERSATION_FORMAT = "ultron-conversation";
+const CONVERSATION_FORMAT_VERSION = 1;
+const exportBtn = document.getElementById("exportBtn");
+let exportMenu = null;
+
+function isoTime(ms) {
+  const d = new Date(ms);
+  return Number.isFinite(d.getTime()) ? d.toISOString() : null;
+}
+
+function exportConversation(conv = conversation) {
+  return {
+    format: CONVERSATION_FORMAT,
+    version: CONVERSATION_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      id: conv.id,
+      title: conversationTitle(conv),
+      createdAt: isoTime(conv.createdAt),
+      updatedAt: isoTime(conv.updatedAt || conv.createdAt),
+      turns: conv.turns.map(t => {
+        const turn = { role: t.role, content: t.content, ts: isoTime(t.ts) };
+        if (t.profile) turn.profile = t.profile;
+        if (t.attachments && t.attachments.length) turn.attachments = t.attachments;
+        else if (t.resume_url) turn.attachments = [{ type: "file", role: "resume", url: t.resume_url, name: "Resume" }];
+        if (t.uploads && t.uploads.length) turn.uploads = t.uploads;
+        if (t.payload !== undefined) turn.payload = t.payload;
+        if (t.partial) turn.partial = true;
+        return turn;
+      })
+    }
+  };
+}
+
+// "[label](url)" lines for a turn's uploads and attachments
+function markdownLinks(turn) {
+  const lines = [];
+  for (const up of turn.uploads || []) {
+    if (up.url) lines.push(`- 📎 [${up.name || fileNameFromUrl(up.url)}](${up.url})`);
+  }
+  const attachments = turn.attachments || (turn.resume_url ? [{ type: "file", role: "resume", url: turn.resume_url }] : []);
+  for (const att of attachments) {
+    if (att.type === "quick_replies") {
+      lines.push(`- Suggested replies: ${att.options.map(o => o.label).join(" · ")}`);
+    } else if (att.url) {
+      const label = att.role === "resume" ? "Download resume"
+        : att.name || att.title || att.alt || att.caption || fileNameFromUrl(att.url);
+      lines.push(`- ${att.type === "image" ? "🖼" : "🔗"} [${label}](${att.url})`);
+    }
+  }
+  return lines;
+}
+
+function conversationToMarkdown(conv = conversation) {
+  const out = [`# ${conversationTitle(conv)}`, ""];
+  out.push(`_Exported ${new Date().toLocaleString()} · started ${new Date(conv.createdAt).toLocaleString()}_`, "");
+  for (const t of conv.turns) {
+    const who = t.role === "user" ? "You" : "Ultron";
+    const meta = [new Date(t.ts).toLocaleString()];
+    if (t.profile) meta.push(`via ${t.profile.name}`);
+    if (t.partial) meta.push("stopped");
+    out.push(`### ${who} — ${meta.join(" · ")}`, "", t.content || "_(no text)_");
+    const links = markdownLinks(t);
+    if (links.length) out.push("", ...links);
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+// an imported attachment: only http(s) URLs, and quick replies send what their button says
+function importedAttachment(raw) {
+  const att = normalizeAttachment(raw);
+  if (!att) return null;
+  if (att.type === "quick_replies") return { type: att.type, options: att.options.map(o => ({ label: o.label, payload: o.label })) };
+  return safeUrl(att.url) ? att : null;
+}
+
+// build a fresh conversation from an exported object; throws a readable error when it isn't one.
+// A shared file is untrusted: links must be http(s), and a `payload` (what gets sent instead of the
+// visible text on retry / regenerate) is dropped so nothing hidden goes to the backend.
+function importConversation(data) {
+  if (!data || data.format !== CONVERSATION_FORMAT || !data.conversation || !Array.isArray(data.conversation.turns)) {
+    throw new Error("not an Ultron conversation file");
+  }
+  if (!(data.version <= CONVERSATION_FORMAT_VERSION)) {
+    throw new Error(`conversation version ${data.version} is newer than this client supports (${CONVERSATION_FORMAT_VERSION})`);
+  }
+  const src = data.conversation;
+  const time = (value, fallback) => {
+    const ms = typeof value === "number" ? value : Date.parse(value);
+    return Number.isFinite(ms) ? ms : fallback;
+  };
+  const createdAt = time(src.createdAt, Date.now());
+  const turns = src.turns
+    .filter(t => t && (t.role === "user" || t.role === "assistant") && typeof t.content === "string")
+    .map(t => {
+      const turn = { id: makeId("turn"), role: t.role, content: t.content, ts: time(t.ts, createdAt) };
+      if (t.profile && t.profile.name) turn.profile = { id: String(t.profile.id || ""), name: String(t.profile.name) };
+      const attachments = (Array.isArray(t.attachments) ? t.attachments : []).map(importedAttachment).filter(Boolean);
+      if (attachments.length) turn.attachments = attachments;
+      const uploads = (Array.isArray(t.uploads) ? t.uploads : [])
+        .filter(u => u && typeof u.url === "string" && safeUrl(u.url))
+        .map(u => ({ id: u.id ? String(u.id) : null, url: safeUrl(u.url), name: String(u.name || fileNameFromUrl(u.url)), type: String(u.type || ""), size: Number(u.size) || 0 }));
+      if (uploads.length) turn.uploads = uploads;
+      if (t.partial) turn.partial = true;
+      return turn;
+    });
+  if (!turns.length) throw new Error("the conversation has no messages");
+  // a new id, so re-importing never overwrites a conversation already saved here
+  const conv = { id: makeId("conv"), createdAt, turns };
+  if (typeof src.title === "string" && src.title.trim()) {
+    conv.title = src.title.trim().slice(0, 120);
+    conv.titleEdited = true;
+  }
+  return conv;
+}
+
+function downloadFile(name, text, type) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(new Blob([text], { type }));
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+function exportFileName(ext) {
+  const slug = conversationTitle(conversation).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40);
+  return `ultron-${slug || "conversation"}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+function toggleExportMenu(force) {
+  if (!exportMenu) return;
+  const open = typeof force === "boolean" ? force : exportMenu.hidden;
+  exportMenu.hidden = !open;
+  exportBtn.setAttribute("aria-expanded", open ? "true" : "false");
+  if (open) {
+    exportMenu.querySelectorAll("[data-needs-turns]").forEach(b => (b.disabled = !conversation.turns.length));
+    const first = exportMenu.querySelector("button:not(:disabled)");
+    if (first) first.focus();
+  }
+}
+
+function initConversationExport() {
+  if (!exportBtn) return;
+  exportBtn.type = "button";
+  exportBtn.title = t("Export or import the conversation");
+  exportBtn.setAttribute("aria-label", t("Export or import the conversation"));
+  exportBtn.setAttribute("aria-haspopup", "menu");
+  exportBtn.setAttribute("aria-expanded", "false");
+
+  exportMenu = document.createElement("div");
+  exportMenu.id = "ultron-export-menu";
+  exportMenu.className = "export-menu";
+  exportMenu.setAttribute("role", "menu");
+  exportMenu.hidden = true;
+  exportBtn.setAttribute("aria-controls", exportMenu.id);
+
+  const fileInput = document.createElement("input");
+  fileInput.type = "file";
+  fileInput.accept = "application/json,.json";
+  fileInput.hidden = true;
+
+  const item = (label, onClick, needsTurns = true) => {
+    const b = document.createElement("button");
+    b.type = "button";
+    b.setAttribute("role", "menuitem");
+    b.textContent = label;
+    if (needsTurns) b.dataset.needsTurns = "";
+    b.addEventListener("click", () => {
+      toggleExportMenu(false);
+      onClick();
+    });
+    exportMenu.appendChild(b);
+  };
+  item("Markdown (.md)", () => downloadFile(exportFileName("md"), conversationToMarkdown(), "text/markdown"));
+  item("JSON (.json)", () => downloadFile(exportFileName("json"), JSON.stringify(exportConversation(), null, 2), "application/json"));
+  item("Print / PDF…", () => window.print());
+  item("Import JSON…", () => fileInput.click(), false);
+
+  exportBtn.after(exportMenu);
+  exportMenu.after(fileInput);
+  exportBtn.addEventListener("click", () => toggleExportMenu());
+  exportMenu.addEventListener("keydown", (e) => {
+    const items = [...exportMenu.querySelectorAll("button:not(:disabled)")];
+    const i = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      e.stopPropagation();
+      toggleExportMenu(false);
+      exportBtn.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const next = items[(i + (e.key === "ArrowDown" ? 1 : items.length - 1)) % items.length];
+      if (next) next.focus();
+    }
+  });
+  document.addEventListener("click", (e) => {
+    if (!exportMenu.hidden && !exportMenu.contains(e.target) && e.target !== exportBtn) toggleExportMenu(false);
+  });
+
+  // the print stylesheet shows these as a title line and per-message timestamps
+  window.addEventListener("beforeprint", () => {
+    chatMessages.dataset.printTitle = `${conversationTitle(conversation)} — ${new Date().toLocaleString()}`;
+    for (const bubble of chatMessages.querySelectorAll(".message[data-turn-id]")) {
+      const turn = turnById(bubble.dataset.turnId);
+      if (!turn) continue;
+      const meta = [turn.role === "user" ? "You" : "Ultron", new Date(turn.ts).toLocaleString()];
+      if (turn.profile) meta.push(`via ${turn.profile.name}`);
+      bubble.dataset.printMeta = meta.join(" · ");
+    }
+  });
+  window.addEventListener("afterprint", () => {
+    delete chatMessages.dataset.printTitle;
+    chatMessages.querySelectorAll("[data-print-meta]").forEach(el => delete el.dataset.printMeta);
+  });
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = "";
+    if (!file) return;
+    try {
+      const conv = importConversation(JSON.parse(await file.text()));
+      showConversation(conv);
+      await saveConversation(conv);
+      announce(t('Opened "{title}".', { title: conversationTitle(conv) }));
+    } catch (e) {
+      showStatusBanner(t("<strong>Conversation import failed:</strong> {error}", { error: escapeHtml(e.message) }), 5000);
+    }
+  });
+}
+
+/* -----------------------
+   SLASH COMMANDS
+   ----------------------- */
+// A line typed into #chatInput that starts with "/" runs in the client instead of going to the
+// backend ("//text" sends "/text" as a normal message). Typing "/" lists the matching commands;
+// ↑/↓ pick one, Tab or Enter completes it, Esc closes the list. Output shows up as local notes in
+// the chat (not recorded in the conversation).
+//
+// Integrators add their own commands from the page:
+//   UltronCommands.register({
+//     name: 'weather',                    // typed as /weather
+//     usage: '<city>',                    // optional, shown in /help and the suggestions
+//     description: 'Ask the weather service',
+//     run(args, ctx) { ... }              // args = text after the name; return (or resolve to) Markdown
+//   });                                   //   to print, or call ctx.print(markdown) yourself
+// register() returns a function that removes the command again.
+const commands = new Map(); // name -> { name, usage, description, run, builtin }
+let commandSuggest = null;
+let commandMatches = [];
+let commandIndex = -1;
+
+function registerCommand(spec, builtin = false) {
+  const name = String((spec && spec.name) || "").replace(/^\//, "").toLowerCase();
+  if (!/^[a-z][\w-]*$/.test(name)) throw new Error(`Invalid command name "${spec && spec.name}"`);
+  if (typeof spec.run !== "function") throw new Error(`Command /${name} needs a run(args, ctx) function`);
+  if (commands.has(name) && commands.get(name).builtin && !builtin) throw new Error(`/${name} is a built-in command`);
+  const command = { name, usage: spec.usage || "", description: spec.description || "", run: spec.run, builtin };
+  commands.set(name, command);
+  return () => {
+    if (commands.get(name) === command) commands.delete(name);
+  };
+}
+
+function unregisterCommand(name) {
+  const command = commands.get(String(name).replace(/^\//, "").toLowerCase());
+  if (!command || command.builtin) return false;
+  return commands.delete(command.name);
+}
+
+// a local note in the chat: the command as typed, or its output (Markdown)
+function printLocal(markdown, kind = "output") {
+  const bubble = addMessage(kind === "input" ? "user" : "ai", markdown, { record: false });
+  bubble.classList.add(kind === "input" ? "command-input" : "command-output");
+  if (kind !== "input") announce(messageText(bubble));
+  return bubble;
+}
+
+// run "/name args"; false when `line` isn't a command line at all
+async function runCommandLine(line) {
+  const match = /^\/([^\s/]\S*)?\s*([\s\S]*)$/.exec(line.trim());
+  if (!match) return false;
+  const name = (match[1] || "help").toLowerCase();
+  const args = match[2].trim();
+  printLocal(line.trim(), "input");
+  const command = commands.get(name);
+  if (!command) {
+    printLocal(t("Unknown command `/{name}`. Type `/help` for the list (or `//{name}` to send it as a message).", { name }));
+    return true;
+  }
+  const ctx = { print: (markdown) => printLocal(String(markdown)), args };
+  try {
+    const out = await command.run(args, ctx);
+    if (out !== undefined && out !== null && out !== "") ctx.print(out);
+  } catch (e) {
+    console.warn(`/${name} failed:`, e);
+    ctx.print(t("`/{name}` failed: {error}", { name, error: e.message || e }));
+  }
+  return true;
+}
+
+function commandSignature(command) {
+  return `/${command.name}${command.usage ? ` ${command.usage}` : ""}`;
+}
+
+function updateCommandSuggest() {
+  const value = chatInput.value;
+  const match = /^\/([\w-]*)$/.exec(value);
+  commandMatches = match
+    ? [...commands.values()].filter(c => c.name.startsWith(match[1].toLowerCase())).sort((a, b) => a.name.localeCompare(b.name))
+    : [];
+  if (!commandMatches.length) {
+    closeCommandSuggest();
+    return;
+  }
+  commandIndex = Math.min(Math.max(commandIndex, 0), commandMatches.length - 1);
+  commandSuggest.replaceChildren(...commandMatches.map((command, i) => {
+    const li = document.createElement("li");
+    li.id = `ultron-command-${command.name}`;
+    li.setAttribute("role", "option");
+    li.setAttribute("aria-selected", i === commandIndex ? "true" : "false");
+    const sig = document.createElement("code");
+    sig.textContent = commandSignature(command);
+    const desc = document.createElement("span");
+    desc.textContent = command.description;
+    li.append(sig, desc);
+    // mousedown, so the textarea keeps focus
+    li.addEventListener("mousedown", (e) => {
+      e.preventDefault();
+      completeCommand(command);
+    });
+    return li;
+  }));
+  commandSuggest.hidden = false;
+  chatInput.setAttribute("aria-expanded", "true");
+  chatInput.setAttribute("aria-activedescendant", `ultron-command-${commandMatches[commandIndex].name}`);
+}
+
+function closeCommandSuggest() {
+  commandMatches = [];
+  commandIndex = -1;
+  if (!commandSuggest) return;
+  commandSuggest.hidden = true;
+  chatInput.setAttribute("aria-expanded", "false");
+  chatInput.removeAttribute("aria-activedescendant");
+}
+
+function completeCommand(command) {
+  chatInput.value = `/${command.name}${command.usage ? " " : ""}`;
+  closeCommandSuggest();
+  updateComposer();
+  chatInput.focus();
+}
+
+// keys for the open suggestion list; true when the key was used (the composer then ignores it)
+function handleCommandSuggestKey(e) {
+  if (!commandMatches.length || e.isComposing) return false;
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    commandIndex = (commandIndex + (e.key === "ArrowDown" ? 1 : commandMatches.length - 1)) % commandMatches.length;
+    updateCommandSuggest();
+  } else if (e.key === "Tab" || (e.key === "Enter" && !e.shiftKey)) {
+    const command = commandMatches[commandIndex];
+    // Enter on a command that is already typed out runs it, unless it needs arguments ("<city>")
+    if (e.key === "Enter" && chatInput.value.slice(1).toLowerCase() === command.name && !command.usage.startsWith("<")) return false;
+    completeCommand(command);
+  } else if (e.key === "Escape") {
+    closeCommandSuggest();
+  } else {
+    return false;
+  }
+  e.preventDefault();
+  return true;
+}
+
+function commandHelp() {
+  const lines = [`**${t("Commands")}**`, ""];
+  for (const command of [...commands.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+    lines.push(`- \`${commandSignature(command)}\` — ${command.description}`);
+  }
+  lines.push("", t("Start a message with `//` to send a line beginning with `/` to Ultron."));
+  return lines.join("\n");
+}
+
+function registerBuiltinCommands() {
+  const builtin = (spec) => registerCommand(spec, true);
+  builtin({
+    name: "help",
+    description: t("List the commands"),
+    run: () => commandHelp()
+  });
+  builtin({
+    name: "new",
+    description: t("Start a new conversation (the current one stays in history)"),
+    run: () => startNewConversation()
+  });
+  builtin({
+    name: "clear",
+    description: t("Delete the current conversation from history (asks first)"),
+    run: async () => {
+      if (!conversation.turns.length) {
+        startNewConversation();
+        return null;
+      }
+      // same question as the history drawer's delete button: this removes the saved copy too
+      if (!window.confirm(t('Delete "{title}"? This can\'t be undone.', { title: conversationTitle(conversation) }))) return t("Kept the conversation.");
+      await deleteConversation(conversation.id);
+      return null;
+    }
+  });
+  builtin({
+    name: "export",
+    usage: "[md|json|print]",
+    description: t("Download the conversation as Markdown or JSON, or print it"),
+    run: (args) => {
+      const format = (args || "md").toLowerCase();
+      if (!conversation.turns.length) return t("Nothing to export yet.");
+      if (format === "md" || format === "markdown") downloadFile(exportFileName("md"), conversationToMarkdown(), "text/markdown");
+      else if (format === "json") downloadFile(exportFileName("json"), JSON.stringify(exportConversation(), null, 2), "application/json");
+      else if (format === "print" || format === "pdf") window.print();
+      else return t("Unknown format `{format}` — use `md`, `json` or `print`.", { format });
+      return null;
+    }
+  });
+  builtin({
+    name: "backend",
+    usage: "[url|profile]",
+    description: t("Show the backend, switch to a profile or point the active profile at a URL"),
+    run: async (args) => {
+      if (!args) {
+        const profile = activeProfile();
+        const others = backendProfiles.filter(p => p.id !== profile.id).map(p => `\`${p.name}\``);
+        return t("Backend: **{profile}** — `{url}`", { profile: profile.name, url: BACKEND_URL }) +
+          (others.length ? "\n" + t("Other profiles: {profiles}", { profiles: others.join(", ") }) : "");
+      }
+      const needle = args.toLowerCase();
+      const profile = backendProfiles.find(p => p.id.toLowerCase() === needle || p.name.toLowerCase() === needle);
+      if (profile) {
+        activateProfile(profile.id);
+      } else {
+        let url;
+        try {
+          url = new URL(args);
+        } catch (e) {
+          return t("`{value}` is neither a profile nor a URL.", { value: args });
+        }
+        if (url.protocol !== "http:" && url.protocol !== "https:") return t("Backend URLs must start with `http://` or `https://`.");
+        updateActiveProfileUrl(url.toString());
+      }
+      const ok = await verifyBackendAndUpdateUI();
+      return t(ok ? "Backend: **{profile}** — `{url}` (reachable)" : "Backend: **{profile}** — `{url}` (not reachable)", { profile: activeProfile().name, url: BACKEND_URL });
+    }
+  });
+  builtin({
+    name: "health",
+    description: t("Check the backend's /health now"),
+    run: async () => {
+      const probe = await probeBackend(BACKEND_URL, HEALTH_PROBE_TIMEOUT_MS);
+      setBackendHealth(probe.ok, probe);
+      const error = probe.error || `status ${probe.status}`;
+      const head = probe.ok
+        ? t("✓ **Healthy** — {ms} ms (`{url}`)", { ms: probe.latencyMs, url: healthUrlForBackend(BACKEND_URL) })
+        : probe.latencyMs !== undefined
+          ? t("⚠ **Unreachable** — {error} after {ms} ms", { error, ms: probe.latencyMs })
+          : t("⚠ **Unreachable** — {error}", { error });
+      return probe.json ? `${head}\n\n\`\`\`json\n${JSON.stringify(probe.json, null, 2)}\n\`\`\`` : head;
+    }
+  });
+  builtin({
+    name: "voice",
+    usage: "[on|off]",
+    description: t("Turn spoken replies on or off"),
+    run: (args) => {
+      const value = args.toLowerCase();
+      if (value !== "on" && value !== "off") {
+        return t(TTS_ENABLED ? "Spoken replies are **on**. Use `/voice on` or `/voice off`." : "Spoken replies are **off**. Use `/voice on` or `/voice off`.");
+      }
+      if (value === "on" && !ttsSupported()) return t("This browser can't speak replies.");
+      setTtsEnabled(value === "on");
+      return TTS_ENABLED ? t("Spoken replies on.") : t("Spoken replies off.");
+    }
+  });
+}
+
+function initCommands() {
+  registerBuiltinCommands();
+  commandSuggest = document.createElement("ul");
+  commandSuggest.id = "ultron-command-suggest";
+  commandSuggest.className = "command-suggest";
+  commandSuggest.setAttribute("role", "listbox");
+  commandSuggest.setAttribute("aria-label", t("Commands"));
+  commandSuggest.hidden = true;
+  chatInput.closest(".chat-composer").before(commandSuggest);
+  chatInput.setAttribute("aria-autocomplete", "list");
+  chatInput.setAttribute("aria-controls", commandSuggest.id);
+  chatInput.setAttribute("aria-expanded", "false");
+  chatInput.addEventListener("input", updateCommandSuggest);
+  chatInput.addEventListener("blur", closeCommandSuggest);
+
+  window.UltronCommands = {
+    register: (spec) => registerCommand(spec),
+    unregister: unregisterCommand,
+    list: () => [...commands.values()].map(({ name, usage, description }) => ({ name, usage, description }))
+  };
+}
+
+/* -----------------------
+   VOICE INPUT (speech-to-text)
+   ----------------------- */
+
+// Web Speech API (Chrome/Edge/Safari expose the webkit-prefixed constructor)
+const SpeechRecognitionCtor = window.SpeechRecognition || window.webkitSpeechRecognition || null;
+const voiceBtn = document.getElementById("voiceBtn");
+
+const VOICE_LANGUAGES = [
+  ["en-US", "English (US)"],
+  ["en-GB", "English (UK)"],
+  ["en-IN", "English (India)"],
+  ["hi-IN", "हिन्दी"],
+  ["mr-IN", "मराठी"],
+  ["es-ES", "Español"],
+  ["fr-FR", "Français"],
+  ["de-DE", "Deutsch"],
+  ["it-IT", "Italiano"],
+  ["pt-BR", "Português (Brasil)"],
+  ["ja-JP", "日本語"],
+  ["zh-CN", "中文 (普通话)"],
+  ["ar-SA", "العربية"]
+];
+
+// 'toggle' = click to start / click to stop, 'push' = hold the button while talking,
+// 'handsfree' = the button switches the wake-phrase loop on and off (HANDS-FREE CONVERSATION)
+let VOICE_MODE = loadPref("ULTRON_VOICE_MODE", "toggle");
+let VOICE_LANG = loadPref("ULTRON_VOICE_LANG", navigator.language || "en-US");
+
+let recognition = null;
+let voiceListening = false;
+let voiceBaseText = "";   // whatever was already typed when listening started
+let voiceFinalText = "";  // finalized transcript for the current session
+let voiceSubmitOnEnd = false;
+
+function voiceSupported() {
+  return !!SpeechRecognitionCtor;
+}
+
+function showVoiceUnsupported() {
+  let tip = t("<strong>Voice input isn't available in this browser.</strong>") + " ";
+  if (window.isSecureContext === false) {
+    tip += t("Microphone access needs a secure page — open the app over <code>https://</code> or from <code>localhost</code>.");
+  } else {
+    tip += t("Speech recognition works in Chrome, Edge and Safari. You can still type your question below.");
+  }
+  showStatusBanner(tip, 6000);
+}
+
+function voiceErrorMessage(code) {
+  switch (code) {
+    case "not-allowed":
+    case "service-not-allowed":
+      return t("<strong>Microphone access was blocked.</strong> Allow the microphone for this site in your browser settings and try again.");
+    case "audio-capture":
+      return t("<strong>No microphone found.</strong> Connect a microphone and try again.");
+    case "network":
+      return t("<strong>Speech recognition needs a network connection.</strong> Check your connection or type your question instead.");
+    case "language-not-supported":
+      return t("<strong>Voice language not supported:</strong> <code>{lang}</code>. Pick another language in settings (⚙).", { lang: escapeHtml(VOICE_LANG) });
+    case "no-speech":
+      return t("Didn't catch that — try speaking a little closer to the microphone.");
+    default:
+      return t("Voice input stopped unexpectedly ({error}).", { error: escapeHtml(code || "unknown error") });
+  }
+}
+
+function setVoiceButtonState() {
+  if (!voiceBtn) return;
+  voiceBtn.classList.toggle("listening", voiceListening || handsFree.phase === "capture");
+  voiceBtn.classList.toggle("hands-free", handsFree.active);
+  voiceBtn.setAttribute("aria-pressed", voiceListening || handsFree.active ? "true" : "false");
+  if (!voiceSupported()) {
+    voiceBtn.title = t("Voice input is not supported in this browser");
+  } else if (VOICE_MODE === "handsfree") {
+    voiceBtn.title = handsFree.active ? t("Hands-free mode on — click to turn off") : t('Hands-free mode — say "{phrase}", then talk', { phrase: WAKE_PHRASE });
+  } else if (voiceListening) {
+    voiceBtn.title = VOICE_MODE === "push" ? t("Listening… release to send") : t("Listening… click to send");
+  } else {
+    voiceBtn.title = VOICE_MODE === "push" ? t("Hold to talk") : t("Click to talk");
+  }
+}
+
+function startListening() {
+  if (!voiceSupported()) {
+    showVoiceUnsupported();
+    return;
+  }
+  if (voiceListening) return;
+  stopSpeaking(); // don't transcribe our own voice
+
+  recognition = new SpeechRecognitionCtor();
+  recognition.lang = VOICE_LANG;
+  recognition.interimResults = true;
+  recognition.continuous = true;
+  recognition.maxAlternatives = 1;
+
+  voiceBaseText = chatInput.value.trim();
+  voiceFinalText = "";
+  voiceSubmitOnEnd = true;
+
+  recognition.onresult = (e) => {
+    let interim = "";
+    for (let i = e.resultIndex; i < e.results.length; i++) {
+      const res = e.results[i];
+      if (res.isFinal) voiceFinalText += res[0].transcript;
+      else interim += res[0].transcript;
+    }
+    chatInput.value = [voiceBaseText, voiceFinalText.trim(), interim.trim()].filter(Boolean).join(" ");
+    updateComposer();
+  };
+
+  recognition.onerror = (e) => {
+    if (e.error === "aborted") return;
+    console.warn("Speech recognition error:", e.error, e.message);
+    if (e.error !== "no-speech") voiceSubmitOnEnd = false;
+    showStatusBanner(voiceErrorMessage(e.error), e.error === "no-speech" ? 2500 : 6000);
+  };
+
+  recognition.onend = () => {
+    voiceListening = false;
+    recognition = null;
+    if (!micWanted()) stopMicAnalysis();
+    setVoiceButtonState();
+    // drop any unfinished interim words, keep what was actually recognized
+    chatInput.value = [voiceBaseText, voiceFinalText.trim()].filter(Boolean).join(" ");
+    updateComposer();
+    if (voiceSubmitOnEnd && voiceFinalText.trim() !== "") submitChatInput();
+  };
+
+  try {
+    recognition.start();
+    voiceListening = true;
+    startMicAnalysis();
+  } catch (err) {
+    console.warn("Speech recognition failed to start:", err);
+    recognition = null;
+    showStatusBanner(voiceErrorMessage(err && err.name), 4000);
+  }
+  setVoiceButtonState();
+}
+
+// stop listening; the transcript is auto-submitted from onend unless submit=false
+function stopListening(submit = true) {
+  if (!recognition) return;
+  voiceSubmitOnEnd = voiceSubmitOnEnd && submit;
+  if (submit) recognition.stop();
+  else recognition.abort();
+}
+
+function initVoiceInput() {
+  if (!voiceBtn) return;
+  voiceBtn.type = "button";
+  voiceBtn.setAttribute("aria-label", t("Voice input"));
+  if (!voiceSupported()) voiceBtn.classList.add("unsupported");
+  setVoiceButtonState();
+
+  // toggle-to-listen
+  voiceBtn.addEventListener("click", () => {
+    if (VOICE_MODE === "push" && voiceSupported()) return;
+    if (VOICE_MODE === "handsfree") toggleHandsFree();
+    else if (voiceListening) stopListening(true);
+    else startListening();
+  });
+
+  // push-to-talk (pointer + keyboard)
+  voiceBtn.addEventListener("pointerdown", (e) => {
+    if (VOICE_MODE !== "push" || !voiceSupported()) return;
+    e.preventDefault();
+    if (voiceBtn.setPointerCapture) voiceBtn.setPointerCapture(e.pointerId);
+    startListening();
+  });
+  ["pointerup", "pointercancel"].forEach((type) => {
+    voiceBtn.addEventListener(type, () => {
+      if (VOICE_MODE === "push" && voiceListening) stopListening(type === "pointerup");
+    });
+  });
+  voiceBtn.addEventListener("keydown", (e) => {
+    if (VOICE_MODE !== "push" || (e.key !== " " && e.key !== "Enter")) return;
+    e.preventDefault();
+    if (!e.repeat) startListening();
+  });
+  voiceBtn.addEventListener("keyup", (e) => {
+    if (VOICE_MODE !== "push" || (e.key !== " " && e.key !== "Enter")) return;
+    e.preventDefault();
+    stopListening(true);
+  });
+
+  // Escape while dictating throws the transcript away
+  chatInput.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && voiceListening) {
+      stopListening(false);
+      voiceFinalText = "";
+    }
+  });
+}
+
+/* -----------------------
+   HANDS-FREE CONVERSATION (wake phrase)
+   ----------------------- */
+// Voice mode "handsfree": 🎤 (or Alt+V) switches a listening loop on and off instead of dictating.
+//   wake     recognition runs continuously, waiting for WAKE_PHRASE ("Ultron, …")
+//   capture  what follows the wake phrase is the message; it is sent once the speaker has been quiet
+//            for VAD_SILENCE_MS (no new words and the mic level under the VAD_SENSITIVITY threshold)
+//   reply    recognition pauses while the reply is requested and spoken, then listens for a
+//            follow-up without the wake phrase for HANDS_FREE_FOLLOW_UP_MS before going back to wake
+// The loop switches itself off after HANDS_FREE_TIMEOUT_S seconds without an exchange (0 = never).
+const VAD_THRESHOLDS = { low: 0.2, medium: 0.12, high: 0.06 }; // mic level that counts as speech
+const HANDS_FREE_FOLLOW_UP_MS = 8000;
+const HANDS_FREE_TICK_MS = 100;
+const HANDS_FREE_MAX_RESTARTS = 5; // recognition ending this often within a second means it can't run
+
+let WAKE_PHRASE = loadPref("ULTRON_WAKE_PHRASE", "Ultron");
+let VAD_SILENCE_MS = loadPref("ULTRON_VAD_SILENCE_MS", 1200);
+let VAD_SENSITIVITY = loadPref("ULTRON_VAD_SENSITIVITY", "medium");
+let HANDS_FREE_TIMEOUT_S = loadPref("ULTRON_HANDS_FREE_TIMEOUT", 120);
+
+const handsFree = {
+  active: false,
+  phase: "off",          // "wake" | "capture" | "reply"
+  recognition: null,
+  needsWake: true,       // capture started by the wake phrase in this recognition session
+  utterance: "",
+  heardBefore: "",       // this capture's words from recognition sessions that have since ended
+  lastSpeechAt: 0,
+  captureStartedAt: 0,
+  lastActivityAt: 0,
+  timer: null,
+  restarts: []
+};
+
+// "…, Ultron, what's the time" -> "what's the time"; null when the wake phrase isn't in `transcript`
+function textAfterWakePhrase(transcript) {
+  const words = String(WAKE_PHRASE).trim().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  if (!words.length) return transcript;
+  const escaped = words.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"));
+  const match = new RegExp(`(?:^|[^\\p{L}\\p{N}])${escaped.join("[^\\p{L}\\p{N}]+")}(?![\\p{L}\\p{N}])`, "iu").exec(transcript);
+  if (!match) return null;
+  return transcript.slice(match.index + match[0].length).replace(/^[\s,.!?:;-]+/, "");
+}
+
+// orb "listening" input: a faint ring while waiting for the wake phrase, a full one while capturing
+function handsFreeLevel() {
+  if (!handsFree.active) return 0;
+  return handsFree.phase === "capture" ? 1 : handsFree.phase === "wake" ? 0.4 : 0;
+}
+
+function startHandsFreeRecognition() {
+  if (!handsFree.active || handsFree.recognition) return;
+  const rec = new SpeechRecognitionCtor();
+  rec.lang = VOICE_LANG;
+  rec.interimResults = true;
+  rec.continuous = true;
+  rec.maxAlternatives = 1;
+
+  rec.onresult = (e) => {
+    if (handsFree.recognition !== rec) return;
+    let transcript = "";
+    for (let i = 0; i < e.results.length; i++) transcript += e.results[i][0].transcript;
+    const now = performance.now();
+    if (handsFree.phase === "wake") {
+      const rest = textAfterWakePhrase(transcript);
+      if (rest === null) return;
+      enterCapture(true);
+      announce(t("Listening."));
+    }
+    if (handsFree.phase !== "capture") return;
+    const text = (handsFree.needsWake ? textAfterWakePhrase(transcript) : transcript) || "";
+    handsFree.utterance = `${handsFree.heardBefore} ${text}`.trim();
+    handsFree.lastSpeechAt = now;
+    handsFree.lastActivityAt = now;
+    chatInput.value = handsFree.utterance;
+    updateComposer();
+  };
+
+  rec.onerror = (e) => {
+    if (e.error === "aborted" || e.error === "no-speech") return;
+    console.warn("Hands-free recognition error:", e.error, e.message);
+    stopHandsFree();
+    showStatusBanner(voiceErrorMessage(e.error), 6000);
+  };
+
+  // Chrome ends continuous sessions on its own now and then: start a new one unless we paused it
+  rec.onend = () => {
+    if (handsFree.recognition !== rec) return;
+    handsFree.recognition = null;
+    if (!handsFree.active || handsFree.phase === "reply") return;
+    const now = performance.now();
+    handsFree.restarts = handsFree.restarts.filter(t => now - t < 1000).concat(now);
+    if (handsFree.restarts.length > HANDS_FREE_MAX_RESTARTS) {
+      stopHandsFree();
+      showStatusBanner(t("<strong>Hands-free mode stopped:</strong> speech recognition keeps ending. Check the microphone and try again."), 6000);
+      return;
+    }
+    keepCapturedWords();
+    startHandsFreeRecognition();
+  };
+
+  try {
+    rec.start();
+    handsFree.recognition = rec;
+  } catch (err) {
+    console.warn("Hands-free recognition failed to start:", err);
+    stopHandsFree();
+    showStatusBanner(voiceErrorMessage(err && err.name), 4000);
+  }
+}
+
+// a new session's results start from scratch: hold on to what this capture heard so far
+// (already past the wake phrase) so the next results are added to it
+function keepCapturedWords() {
+  if (handsFree.phase !== "capture") return;
+  handsFree.heardBefore = handsFree.utterance;
+  handsFree.needsWake = false;
+}
+
+// start a fresh recognition session (so words already heard can't trigger the wake phrase again)
+function restartHandsFreeRecognition() {
+  keepCapturedWords();
+  const rec = handsFree.recognition;
+  handsFree.recognition = null;
+  if (rec) rec.abort();
+  startHandsFreeRecognition();
+}
+
+function enterCapture(afterWake) {
+  const now = performance.now();
+  handsFree.phase = "capture";
+  handsFree.needsWake = afterWake;
+  handsFree.utterance = "";
+  handsFree.heardBefore = "";
+  handsFree.captureStartedAt = now;
+  handsFree.lastSpeechAt = now;
+  handsFree.lastActivityAt = now;
+  setVoiceButtonState();
+}
+
+function enterWake() {
+  handsFree.phase = "wake";
+  handsFree.utterance = "";
+  handsFree.heardBefore = "";
+  chatInput.value = "";
+  updateComposer();
+  setVoiceButtonState();
+  restartHandsFreeRecognition();
+}
+
+// the speaker went quiet: send what was said and pause listening until the reply is over
+function submitHandsFreeUtterance() {
+  const text = handsFree.utterance;
+  handsFree.phase = "reply";
+  handsFree.utterance = "";
+  handsFree.heardBefore = "";
+  const rec = handsFree.recognition;
+  handsFree.recognition = null;
+  if (rec) rec.abort(); // don't transcribe the spoken reply
+  chatInput.value = "";
+  updateComposer();
+  setVoiceButtonState();
+  sendMessage(text);
+}
+
+function handsFreeTick() {
+  const now = performance.now();
+  if (handsFree.phase === "capture") {
+    const level = micLevel();
+    if (level !== null && level > (VAD_THRESHOLDS[VAD_SENSITIVITY] || VAD_THRESHOLDS.medium)) handsFree.lastSpeechAt = now;
+    if (handsFree.utterance && now - handsFree.lastSpeechAt > VAD_SILENCE_MS) {
+      submitHandsFreeUtterance();
+    } else if (!handsFree.utterance && now - handsFree.lastSpeechAt > HANDS_FREE_FOLLOW_UP_MS) {
+      enterWake();
+    }
+  } else if (handsFree.phase === "reply") {
+    // the reply has arrived and been read out: listen for a follow-up
+    if (!activeRequest && !aiSpeaking && !outboxFlushing) {
+      enterCapture(false);
+      startHandsFreeRecognition();
+    }
+  } else if (handsFree.phase === "wake" && HANDS_FREE_TIMEOUT_S > 0 && now - handsFree.lastActivityAt > HANDS_FREE_TIMEOUT_S * 1000) {
+    stopHandsFree();
+    const minutes = Math.round(HANDS_FREE_TIMEOUT_S / 60);
+    showStatusBanner(minutes >= 1
+      ? t("Hands-free mode switched off after {minutes} min without a conversation.", { minutes })
+      : t("Hands-free mode switched off after {seconds} s without a conversation.", { seconds: HANDS_FREE_TIMEOUT_S }), 4000);
+    announce(t("Hands-free mode off."));
+  }
+}
+
+function startHandsFree() {
+  if (!voiceSupported()) {
+    showVoiceUnsupported();
+    return;
+  }
+  if (handsFree.active) return;
+  if (voiceListening) stopListening(false);
+  handsFree.active = true;
+  handsFree.restarts = [];
+  handsFree.lastActivityAt = performance.now();
+  handsFree.timer = setInterval(handsFreeTick, HANDS_FREE_TICK_MS);
+  enterWake();
+  startMicAnalysis();
+  announce(t('Hands-free mode on. Say "{phrase}" and then your question.', { phrase: WAKE_PHRASE }));
+}
+
+function stopHandsFree() {
+  if (!handsFree.active) return;
+  handsFree.active = false;
+  handsFree.phase = "off";
+  clearInterval(handsFree.timer);
+  handsFree.timer = null;
+  const rec = handsFree.recognition;
+  handsFree.recognition = null;
+  if (rec) rec.abort();
+  handsFree.heardBefore = "";
+  if (handsFree.utterance) {
+    chatInput.value = "";
+    handsFree.utterance = "";
+    updateComposer();
+  }
+  if (!voiceListening) stopMicAnalysis();
+  setVoiceButtonState();
+}
+
+function toggleHandsFree() {
+  if (handsFree.active) {
+    stopHandsFree();
+    announce(t("Hands-free mode off."));
+  } else {
+    startHandsFree();
+  }
+}
+
+function initHandsFree() {
+  // Escape ends the loop from anywhere but the settings panel / history drawer
+  document.addEventListener("keydown", (e) => {
+    if (e.key !== "Escape" || !handsFree.active) return;
+    if (e.target && e.target.closest && e.target.closest("#ultron-settings, .history-drawer")) return;
+    stopHandsFree();
+    announce(t("Hands-free mode off."));
+  });
+  // recognition doesn't survive the tab going to the background
+  document.addEventListener("visibilitychange", () => {
+    if (document.hidden) stopHandsFree();
+  });
+}
+
+/* -----------------------
+   SPOKEN REPLIES (text-to-speech)
+   ----------------------- */
+
+const synth = window.speechSynthesis || null;
+const speakStopBtn = document.getElementById("speakStopBtn");
+
+let TTS_ENABLED = loadPref("ULTRON_TTS_ENABLED", true);
+let TTS_VOICE = loadPref("ULTRON_TTS_VOICE", "");   // voiceURI, "" = pick one matching VOICE_LANG
+let TTS_RATE = loadPref("ULTRON_TTS_RATE", 1);
+let TTS_PITCH = loadPref("ULTRON_TTS_PITCH", 1);
+
+let ttsQueue = [];
+let ttsCurrent = null;
+
+// spoken replies on / off (settings checkbox, /voice); keeps the checkbox in step
+function setTtsEnabled(on) {
+  TTS_ENABLED = !!on;
+  savePref("ULTRON_TTS_ENABLED", TTS_ENABLED);
+  if (!TTS_ENABLED) stopSpeaking();
+  const box = document.getElementById("ultronTtsEnabled");
+  if (box) box.checked = TTS_ENABLED;
+}
+
+function ttsSupported() {
+  return !!(synth && window.SpeechSynthesisUtterance);
+}
+
+function ttsVoices() {
+  return ttsSupported() ? synth.getVoices() : [];
+}
+
+function resolveTtsVoice() {
+  const voices = ttsVoices();
+  if (!voices.length) return null;
+  if (TTS_VOICE) {
+    const chosen = voices.find(v => v.voiceURI === TTS_VOICE);
+    if (chosen) return chosen;
+  }
+  const lang = (VOICE_LANG || "en-US").toLowerCase();
+  const base = lang.split("-")[0];
+  return voices.find(v => v.lang.toLowerCase() === lang) ||
+    voices.find(v => v.lang.toLowerCase().startsWith(base)) ||
+    voices.find(v => v.default) ||
+    voices[0];
+}
+
+// Split a reply into sentences so long answers start quickly and can be interrupted between chunks
+function splitSentences(text) {
+  const clean = String(text || "")
+    .replace(/```[\s\S]*?```/g, " (code omitted) ")
+    .replace(/https?:\/\/\S+/g, " link ")
+    .replace(/[*_#>`~|]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (!clean) return [];
+  if (window.Intl && Intl.Segmenter) {
+    let seg;
+    // VOICE_LANG can come from a share link; a malformed tag throws, so use the default locale then
+    try {
+      seg = new Intl.Segmenter(VOICE_LANG || undefined, { granularity: "sentence" });
+    } catch (e) {
+      seg = new Intl.Segmenter(undefined, { granularity: "sentence" });
+    }
+    return Array.from(seg.segment(clean), s => s.segment.trim()).filter(Boolean);
+  }
+  return (clean.match(/[^.!?…。！？]+(?:[.!?…。！？]+["')\]]*|$)/g) || [clean]).map(s => s.trim()).filter(Boolean);
+}
+
+function setSpeakStopVisible(visible) {
+  if (speakStopBtn) speakStopBtn.hidden = !visible;
+}
+
+function speakNext() {
+  if (!ttsQueue.length) {
+    ttsCurrent = null;
+    setSpeaking(false);
+    setSpeakStopVisible(false);
+    return;
+  }
+  const sentence = ttsQueue.shift();
+  const u = new SpeechSynthesisUtterance(sentence);
+  const voice = resolveTtsVoice();
+  if (voice) u.voice = voice;
+  u.lang = voice ? voice.lang : VOICE_LANG;
+  u.rate = TTS_RATE;
+  u.pitch = TTS_PITCH;
+  u.onstart = () => pulseSpeech(0.8);
+  u.onboundary = (e) => {
+    if (!e.name || e.name === "word") pulseSpeech(1);
+  };
+  u.onend = () => {
+    if (ttsCurrent === u) speakNext();
+  };
+  u.onerror = (e) => {
+    if (e.error !== "interrupted" && e.error !== "canceled") console.warn("Speech synthesis error:", e.error);
+    if (ttsCurrent === u) speakNext();
+  };
+  ttsCurrent = u;
+  synth.speak(u);
+}
+
+// Queue a reply for speaking (sentence by sentence)
+function speakReply(text, { force = false } = {}) {
+  if (!ttsSupported() || (!TTS_ENABLED && !force)) return;
+  const sentences = splitSentences(text);
+  if (!sentences.length) return;
+  ttsQueue.push(...sentences);
+  setSpeaking(true);
+  setSpeakStopVisible(true);
+  if (!ttsCurrent) speakNext();
+}
+
+// Interrupt: drop the queue and cut the current sentence
+function stopSpeaking() {
+  if (!ttsSupported()) return;
+  ttsQueue = [];
+  const wasSpeaking = !!ttsCurrent;
+  ttsCurrent = null;
+  if (wasSpeaking || synth.speaking || synth.pending) synth.cancel();
+  setSpeaking(false);
+  setSpeakStopVisible(false);
+}
+
+function initSpokenReplies() {
+  if (!speakStopBtn) return;
+  speakStopBtn.type = "button";
+  speakStopBtn.title = t("Stop speaking");
+  speakStopBtn.setAttribute("aria-label", t("Stop speaking"));
+  speakStopBtn.addEventListener("click", stopSpeaking);
+  setSpeakStopVisible(false);
+  // stop talking when the page goes away
+  window.addEventListener("pagehide", stopSpeaking);
+}
+
+/* -----------------------
+   AUDIO ANALYSIS (audio-reactive orb)
+   ----------------------- */
+// An AnalyserNode listens to the microphone while voice input is on and to reply audio
+// attachments while they play; readAudioLevels() turns its spectrum into the level and
+// low/mid/high bands that renderer.js feeds into the particle motion.
+// (speechSynthesis output can't be routed through Web Audio; spoken replies keep using the
+// word-boundary pulse instead.)
+const AudioContextCtor = window.AudioContext || window.webkitAudioContext || null;
+const AUDIO_INTENSITY_SCALE = { full: 1, reduced: 0.35 };
+
+let AUDIO_REACTIVE = loadPref("ULTRON_AUDIO_REACTIVE", true);
+let AUDIO_INTENSITY = loadPref("ULTRON_AUDIO_INTENSITY", "full");
+
+let audioCtx = null;
+let analyser = null;
+let freqData = null;
+let micStream = null;
+let micSource = null;
+const audioSources = new Set(); // "mic" / "reply" while they are feeding the analyser
+const analysedMedia = new WeakSet();
+
+function ensureAudioGraph() {
+  if (!AudioContextCtor) return false;
+  if (!audioCtx) {
+    try {
+      audioCtx = new AudioContextCtor();
+    } catch (e) {
+      console.warn("Web Audio unavailable:", e);
+      return false;
+    }
+    analyser = audioCtx.createAnalyser();
+    analyser.fftSize = 512;               // ~94 Hz per bin at 48 kHz
+    analyser.smoothingTimeConstant = 0.7;
+    freqData = new Uint8Array(analyser.frequencyBinCount);
+  }
+  if (audioCtx.state === "suspended") audioCtx.resume().catch(() => {});
+  return true;
+}
+
+// the mic feeds the orb while dictating and voice activity detection in hands-free mode
+function micWanted() {
+  return (AUDIO_REACTIVE && voiceListening) || handsFree.active;
+}
+
+async function startMicAnalysis() {
+  if (!micWanted() || micStream || !(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)) return;
+  if (!ensureAudioGraph()) return;
+  let stream;
+  try {
+    stream = await navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } });
+  } catch (e) {
+    console.warn("Microphone level unavailable:", e);
+    return;
+  }
+  // listening may have ended while the permission prompt was up
+  if (!micWanted() || micStream) {
+    stream.getTracks().forEach(t => t.stop());
+    return;
+  }
+  micStream = stream;
+  micSource = audioCtx.createMediaStreamSource(stream);
+  micSource.connect(analyser); // analysis only, never to the speakers
+  audioSources.add("mic");
+}
+
+function stopMicAnalysis() {
+  audioSources.delete("mic");
+  if (micSource) micSource.disconnect();
+  if (micStream) micStream.getTracks().forEach(t => t.stop());
+  micSource = null;
+  micStream = null;
+}
+
+// route a reply <audio> element through the analyser. Cross-origin media without CORS would come out
+// of the graph silent, so only media that was loaded with crossOrigin (or is same-origin) is routed.
+function analyseReplyAudio(el) {
+  if (!AUDIO_REACTIVE || !ensureAudioGraph()) return false;
+  let sameOrigin = false;
+  try { sameOrigin = new URL(el.currentSrc || el.src).origin === window.location.origin; } catch (e) {}
+  if (!sameOrigin && !el.crossOrigin) return false;
+  if (!analysedMedia.has(el)) {
+    const source = audioCtx.createMediaElementSource(el);
+    source.connect(analyser);
+    source.connect(audioCtx.destination);
+    analysedMedia.add(el);
+  }
+  return true;
+}
+
+// wire a reply audio player into the orb: speaking state while it plays, spectrum when analysable
+function attachReplyAudio(el) {
+  el.addEventListener("play", () => {
+    stopSpeaking(); // one voice at a time
+    setSpeaking(true);
+    if (analyseReplyAudio(el)) audioSources.add("reply");
+  });
+  const done = () => {
+    setSpeaking(false);
+    audioSources.delete("reply");
+  };
+  el.addEventListener("pause", done);
+  el.addEventListener("ended", done);
+}
+
+// average of bins [from, to) as 0..1 (with some gain: speech rarely gets near full scale)
+function bandLevel(from, to) {
+  let sum = 0;
+  for (let i = from; i < to; i++) sum += freqData[i];
+  return Math.min(1, (sum / Math.max(1, to - from) / 255) * 1.6);
+}
+
+// analyser bin for a frequency in Hz
+function frequencyBin(f) {
+  const hz = audioCtx.sampleRate / analyser.fftSize;
+  return Math.min(freqData.length, Math.max(1, Math.round(f / hz)));
+}
+
+// unscaled 0..1 speech-band level of the microphone (voice activity detection), or null without one
+function micLevel() {
+  if (!audioSources.has("mic")) return null;
+  analyser.getByteFrequencyData(freqData);
+  return bandLevel(frequencyBin(80), frequencyBin(3000));
+}
+
+// { level, low, mid, high } for this frame, or null when nothing is being analysed
+function readAudioLevels() {
+  if (!AUDIO_REACTIVE || !analyser || !audioSources.size) return null;
+  analyser.getByteFrequencyData(freqData);
+  const bin = frequencyBin;
+  const low = bandLevel(bin(80), bin(400));      // voice fundamentals
+  const mid = bandLevel(bin(400), bin(3000));    // formants
+  const high = bandLevel(bin(3000), bin(9000));  // sibilance
+  const scale = AUDIO_INTENSITY_SCALE[AUDIO_INTENSITY] || 1;
+  return {
+    level: Math.min(1, (low + mid + high) / 3 * 1.5) * scale,
+    low: low * scale,
+    mid: mid * scale,
+    high: high * scale
+  };
+}
+
+function setAudioReactive(on) {
+  AUDIO_REACTIVE = on;
+  savePref("ULTRON_AUDIO_REACTIVE", on);
+  if (!micWanted()) stopMicAnalysis();
+  else startMicAnalysis();
+}
+
+/* -----------------------
+   ACCESSIBILITY
+   ----------------------- */
+// - Replies are announced through a visually hidden live region once they are complete (the
+//   transcript itself is a role="log" with aria-live off, so streamed re-renders aren't read out).
+// - Keyboard shortcuts for send / voice / new chat (listed in the settings panel).
+// - Reduced motion (prefers-reduced-motion, or forced on/off in settings) freezes the particle drift
+//   and swaps the spinning mandala for a still one with a steady glow; CSS animations stop too.
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+let REDUCED_MOTION = loadPref('ULTRON_REDUCED_MOTION', 'auto'); // auto | on | off
+let reducedMotionActive = false;
+let announcer = null;
+
+const KEYBOARD_SHORTCUTS = [
+  { keys: 'Ctrl+Enter', mac: '⌘+Enter', aria: 'Control+Enter Meta+Enter', label: 'Send message',
+    match: (e) => (e.ctrlKey || e.metaKey) && !e.altKey && e.key === 'Enter',
+    run: () => {
+      chatInput.focus();
+      submitChatInput();
+    } },
+  { keys: 'Alt+V', aria: 'Alt+V', label: 'Start / stop voice input', target: () => voiceBtn,
+    match: (e) => e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyV',
+    run: () => {
+      if (VOICE_MODE === 'handsfree') toggleHandsFree();
+      else if (voiceListening) stopListening(true);
+      else startListening();
+    } },
+  { keys: 'Alt+N', aria: 'Alt+N', label: 'New conversation', target: () => newChatBtn,
+    match: (e) => e.altKey && !e.ctrlKey && !e.metaKey && e.code === 'KeyN',
+    run: () => startNewConversation() },
+  { keys: 'Esc', aria: 'Escape', label: 'Stop the reply / dictation / hands-free mode, close panels' }
+];
+
+const IS_MAC = /Mac|iPhone|iPad/.test(navigator.platform || navigator.userAgent);
+
+// read `text` to screen-reader users (polite: after whatever they are currently hearing)
+function announce(text) {
+  if (!announcer || !text) return;
+  // clear first so the same text twice in a row is announced again
+  announcer.textContent = '';
+  setTimeout(() => { announcer.textContent = text; }, 50);
+}
+
+function updateReducedMotion() {
+  reducedMotionActive = REDUCED_MOTION === 'on' || (REDUCED_MOTION === 'auto' && !!(reducedMotionQuery && reducedMotionQuery.matches));
+  document.documentElement.dataset.motion = reducedMotionActive ? 'reduced' : 'full';
+}
+
+function setReducedMotion(mode) {
+  REDUCED_MOTION = mode;
+  savePref('ULTRON_REDUCED_MOTION', mode);
+  updateReducedMotion();
+}
+
+function handleShortcut(e) {
+  if (e.defaultPrevented || e.repeat) return;
+  // the settings panel and history drawer keep their own keys (e.g. Ctrl+Enter in a textarea)
+  if (e.target && e.target.closest && e.target.closest('#ultron-settings, .history-drawer')) return;
+  const shortcut = KEYBOARD_SHORTCUTS.find(s => s.match && s.match(e));
+  if (!shortcut) return;
+  e.preventDefault();
+  shortcut.run();
+}
+
+function initAccessibility() {
+  announcer = document.createElement('div');
+  announcer.id = 'ultronAnnouncer';
+  announcer.className = 'sr-only';
+  announcer.setAttribute('role', 'status');
+  announcer.setAttribute('aria-live', 'polite');
+  announcer.setAttribute('aria-atomic', 'true');
+  document.body.appendChild(announcer);
+
+  for (const shortcut of KEYBOARD_SHORTCUTS) {
+    const el = shortcut.target && shortcut.target();
+    if (!el) continue;
+    el.setAttribute('aria-keyshortcuts', shortcut.aria);
+    el.title = `${el.getAttribute('aria-label') || el.title} (${IS_MAC && shortcut.mac ? shortcut.mac : shortcut.keys})`;
+  }
+  chatInput.setAttribute('aria-keyshortcuts', KEYBOARD_SHORTCUTS[0].aria);
+  document.addEventListener('keydown', handleShortcut);
 
-chatInput.addEventListener("keypress", e => {
-  if (e.key === "Enter" && chatInput.value.trim() !== "") {
-    const msg = chatInput.value.trim();
-    addMessage("user", msg);
-    chatInput.value = "";
+  updateReducedMotion();
+  if (reducedMotionQuery) {
+    const follow = () => updateReducedMotion();
+    if (reducedMotionQuery.addEventListener) reducedMotionQuery.addEventListener('change', follow);
+    else if (reducedMotionQuery.addListener) reducedMotionQuery.addListener(follow);
+  }
+}
 
-    startThinking();
-
-    sendToBackend(msg).then(result => {
-      stopThinking();
-      addMessage("ai", result.reply);
-
-      if (result.resume_url) {
-        const a = document.createElement("a");
-        a.href = result.resume_url;
-        a.target = "_blank";
-        a.rel = "noopener noreferrer";
-        a.textContent = "Download resume";
-        a.classList.add("resume-link");
-        const div = document.createElement("div");
-        div.classList.add("message", "ai", "resume");
-        div.appendChild(a);
-        chatMessages.appendChild(div);
-        chatMessages.scrollTop = chatMessages.scrollHeight;
-      }
-    }).catch(err => {
-      stopThinking();
-      addMessage("ai", "Ultron: Something went wrong.");
-      console.error(err);
+/* -----------------------
+   DIAGNOSTICS (opt-in)
+   ----------------------- */
+// Something to go on when "Ultron is slow". Off by default; once switched on in settings this
+// device keeps a rolling log (the last DIAG_LOG_MAX entries, localStorage ULTRON_DIAGNOSTICS_LOG):
+//   request  one per sendToBackend call: time to first byte, total time, final status, each attempt
+//            (retries, the https upgrade, failovers) and how it ended
+//   health   every /health probe (latency, status, error)
+//   frames   orb frame rate from animate(), render cost and particle count, per DIAG_FRAMES_EVERY_MS
+// Message text, attachments and API keys are never recorded. The panel exports the log as JSON; with
+// an endpoint set, new entries are also POSTed there in batches ({ format, version, clientId, entries }).
+// Neither setting has a shareable-link param, so a link can't switch reporting on or redirect it.
+const DIAG_FORMAT = 'ultron-diagnostics';
+const DIAG_LOG_MAX = 500;
+const DIAG_BATCH_SIZE = 25;             // entries per POST
+const DIAG_FLUSH_MS = 30000;            // longest an entry waits for its batch
+const DIAG_FRAMES_EVERY_MS = 60000;     // of visible animation per "frames" entry
+const DIAG_REFRESH_MS = 1000;           // panel refresh while open
+
+let DIAGNOSTICS_ENABLED = loadPref('ULTRON_DIAGNOSTICS', false);
+let DIAGNOSTICS_ENDPOINT = loadPref('ULTRON_DIAGNOSTICS_ENDPOINT', '');
+let diagLog = loadPref('ULTRON_DIAGNOSTICS_LOG', []);
+let diagUnsent = [];          // entries not yet POSTed to DIAGNOSTICS_ENDPOINT
+let diagLastUpload = null;    // { at, ok, count | error }
+let diagSaveTimer = null;
+let diagFlushTimer = null;
+let diagFlushing = false;
+let diagnosticsPanel = null;
+let diagnosticsBody = null;
+let diagRefreshTimer = null;
+
+// live frame rate (always measured, it's cheap) and the sums behind the next "frames" entry
+const frameStats = { lastAt: 0, liveFrames: 0, liveMs: 0, fps: null, logFrames: 0, logMs: 0 };
+
+function recordDiagnostic(type, data) {
+  if (!DIAGNOSTICS_ENABLED) return;
+  const entry = { type, at: new Date().toISOString(), ...data };
+  diagLog.push(entry);
+  if (diagLog.length > DIAG_LOG_MAX) diagLog.splice(0, diagLog.length - DIAG_LOG_MAX);
+  clearTimeout(diagSaveTimer);
+  diagSaveTimer = setTimeout(() => savePref('ULTRON_DIAGNOSTICS_LOG', diagLog), 1000);
+  if (DIAGNOSTICS_ENDPOINT) queueDiagnosticUpload(entry);
+}
+
+// only the origin: paths and query strings can carry tokens
+function diagBackend(url) {
+  try {
+    return new URL(url, window.location.href).origin;
+  } catch (e) {
+    return '';
+  }
+}
+
+function startRequestTrace(profile) {
+  return { startedAt: performance.now(), profile: profile.name, attempts: [], retries: 0, failover: null };
+}
+
+// one POST; postTo fills in status / ttfbMs / ms / error as it goes
+function traceAttempt(trace, target) {
+  const step = { backend: diagBackend(target.url), sentAt: performance.now(), status: null, ttfbMs: null, ms: null, error: null };
+  trace.attempts.push(step);
+  return step;
+}
+
+function finishRequestTrace(trace, result, streamed) {
+  const last = trace.attempts[trace.attempts.length - 1];
+  const answered = [...trace.attempts].reverse().find(a => a.status !== null);
+  recordDiagnostic('request', {
+    profile: trace.profile,
+    outcome: result.cancelled ? 'cancelled' : result.partial ? 'partial' : result.error ? 'error' : 'ok',
+    status: answered ? answered.status : null,
+    ttfbMs: answered ? answered.ttfbMs : null,
+    totalMs: Math.round(performance.now() - trace.startedAt),
+    retries: trace.retries,
+    failover: trace.failover,
+    streamed,
+    error: result.error && last ? last.error : null,
+    attempts: trace.attempts.map(({ sentAt, ...a }) => a)
+  });
+}
+
+function recordHealthProbe(probe) {
+  recordDiagnostic('health', {
+    backend: diagBackend(BACKEND_URL),
+    ok: probe.ok,
+    status: probe.status || null,
+    latencyMs: probe.latencyMs !== undefined ? probe.latencyMs : null,
+    error: probe.ok ? null : probe.error || null
+  });
+}
+
+// called by animate() for each frame drawn (or handed to the worker)
+function countFrame() {
+  const now = performance.now();
+  const gap = frameStats.lastAt ? now - frameStats.lastAt : 0;
+  frameStats.lastAt = now;
+  if (!gap || gap > 1000) return; // first frame after the animation was paused
+  frameStats.liveFrames++;
+  frameStats.liveMs += gap;
+  if (frameStats.liveMs >= 1000) {
+    frameStats.fps = Math.round(frameStats.liveFrames * 1000 / frameStats.liveMs);
+    frameStats.liveFrames = 0;
+    frameStats.liveMs = 0;
+  }
+  if (!DIAGNOSTICS_ENABLED) return;
+  frameStats.logFrames++;
+  frameStats.logMs += gap;
+  if (frameStats.logMs < DIAG_FRAMES_EVERY_MS) return;
+  recordDiagnostic('frames', {
+    fps: Math.round(frameStats.logFrames * 10000 / frameStats.logMs) / 10,
+    renderMs: Math.round(renderCostMs * 100) / 100,
+    particles: renderCount,
+    worker: !!renderWorker
+  });
+  frameStats.logFrames = 0;
+  frameStats.logMs = 0;
+}
+
+function diagnosticsBatch(entries) {
+  return { format: DIAG_FORMAT, version: 1, clientId: CLIENT_ID, locale: LOCALE, sentAt: new Date().toISOString(), entries };
+}
+
+function queueDiagnosticUpload(entry) {
+  diagUnsent.push(entry);
+  if (diagUnsent.length > DIAG_LOG_MAX) diagUnsent.splice(0, diagUnsent.length - DIAG_LOG_MAX);
+  if (diagUnsent.length >= DIAG_BATCH_SIZE) flushDiagnostics();
+  else if (!diagFlushTimer) diagFlushTimer = setTimeout(flushDiagnostics, DIAG_FLUSH_MS);
+}
+
+// POST the next batch; failed batches go back to the front of the queue for the next attempt
+async function flushDiagnostics() {
+  clearTimeout(diagFlushTimer);
+  diagFlushTimer = null;
+  if (diagFlushing || !DIAGNOSTICS_ENDPOINT || !diagUnsent.length) return false;
+  diagFlushing = true;
+  const entries = diagUnsent.splice(0, DIAG_BATCH_SIZE);
+  let ok = false;
+  try {
+    const res = await fetch(DIAGNOSTICS_ENDPOINT, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(diagnosticsBatch(entries)),
+      keepalive: true // still delivered when sent from pagehide
     });
+    if (!res.ok) throw new Error(`status ${res.status}`);
+    diagLastUpload = { at: Date.now(), ok: true, count: entries.length };
+    ok = true;
+  } catch (e) {
+    console.warn('Diagnostics upload failed:', e);
+    diagUnsent = entries.concat(diagUnsent).slice(-DIAG_LOG_MAX);
+    diagLastUpload = { at: Date.now(), ok: false, error: e.message };
+  } finally {
+    diagFlushing = false;
   }
-});
+  if (diagUnsent.length) diagFlushTimer = setTimeout(flushDiagnostics, ok && diagUnsent.length >= DIAG_BATCH_SIZE ? 0 : DIAG_FLUSH_MS);
+  return ok;
+}
 
-function addMessage(sender, text) {
-  const div = document.createElement("div");
-  div.classList.add("message", sender);
-  div.textContent = text;
-  chatMessages.appendChild(div);
-  chatMessages.scrollTop = chatMessages.scrollHeight;
+function setDiagnosticsEnabled(on) {
+  DIAGNOSTICS_ENABLED = on;
+  savePref('ULTRON_DIAGNOSTICS', on);
+  if (!on) {
+    diagUnsent = [];
+    clearTimeout(diagFlushTimer);
+    diagFlushTimer = null;
+  }
+  if (diagnosticsPanel && !diagnosticsPanel.hidden) renderDiagnostics();
+}
+
+// '' turns uploads off; anything else must be an http(s) URL
+function setDiagnosticsEndpoint(value) {
+  const url = String(value || '').trim();
+  if (url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (e) {
+      throw new Error(t('not a valid URL'));
+    }
+    if (!/^https?:$/.test(parsed.protocol)) throw new Error(t('use an http:// or https:// URL'));
+  }
+  DIAGNOSTICS_ENDPOINT = url;
+  savePref('ULTRON_DIAGNOSTICS_ENDPOINT', url);
+  if (!url) diagUnsent = [];
+}
+
+function clearDiagnostics() {
+  diagLog = [];
+  diagUnsent = [];
+  diagLastUpload = null;
+  clearTimeout(diagSaveTimer);
+  savePref('ULTRON_DIAGNOSTICS_LOG', diagLog);
+}
+
+function exportDiagnostics() {
+  const data = { ...diagnosticsBatch(diagLog), fps: frameStats.fps, particles: renderCount, worker: !!renderWorker };
+  downloadFile(`ultron-diagnostics-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+// p in 0..1 of the non-null numbers in values (nearest rank), or null
+function percentile(values, p) {
+  const sorted = values.filter(v => typeof v === 'number').sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+function diagMs(v) {
+  return v === null || v === undefined ? '—' : `${v} ms`;
+}
+
+function diagTime(iso) {
+  const d = new Date(iso);
+  return Number.isFinite(d.getTime()) ? d.toLocaleTimeString() : '';
+}
+
+function diagTable(head, rows) {
+  if (!rows.length) return `<p class="diagnostics-empty">${escapeHtml(t('Nothing recorded yet.'))}</p>`;
+  return `<table class="diagnostics-table"><thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>` +
+    `<tbody>${rows.map(r => `<tr>${r.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+}
+
+function renderDiagnostics() {
+  if (!diagnosticsBody) return;
+  const requests = diagLog.filter(e => e.type === 'request');
+  const probes = diagLog.filter(e => e.type === 'health');
+  const frames = diagLog.filter(e => e.type === 'frames');
+  const failed = requests.filter(r => r.outcome === 'error' || r.outcome === 'partial').length;
+  const ttfb = requests.map(r => r.ttfbMs);
+  const total = requests.filter(r => r.outcome === 'ok').map(r => r.totalMs);
+
+  const summary = [
+    [t('Recording'), DIAGNOSTICS_ENABLED ? t('on') : t('off')],
+    [t('Requests'), `${requests.length}` + (failed ? ` (${t('{count} failed', { count: failed })})` : '')],
+    [t('Time to first byte (median / p95)'), `${diagMs(percentile(ttfb, 0.5))} / ${diagMs(percentile(ttfb, 0.95))}`],
+    [t('Total time (median / p95)'), `${diagMs(percentile(total, 0.5))} / ${diagMs(percentile(total, 0.95))}`],
+    [t('Retries / failovers'), `${requests.reduce((n, r) => n + (r.retries || 0), 0)} / ${requests.filter(r => r.failover).length}`],
+    [t('Frame rate'), frameStats.fps === null ? '—' : `${frameStats.fps} fps · ${t('{count} particles', { count: renderCount })}${renderWorker ? ' · worker' : ''}`]
+  ];
+  if (DIAGNOSTICS_ENDPOINT) {
+    const upload = diagLastUpload
+      ? `${diagTime(new Date(diagLastUpload.at).toISOString())} ${diagLastUpload.ok ? `✓ ${diagLastUpload.count}` : `✕ ${diagLastUpload.error}`}`
+      : '—';
+    summary.push([t('Uploads'), t('{count} waiting · last: {result}', { count: diagUnsent.length, result: upload })]);
+  }
+
+  let html = `<dl class="diagnostics-summary">${summary.map(([k, v]) => `<dt>${escapeHtml(k)}</dt><dd>${escapeHtml(v)}</dd>`).join('')}</dl>`;
+  html += `<h3>${escapeHtml(t('Recent requests'))}</h3>`;
+  html += diagTable([t('Time'), t('Profile'), t('Status'), 'TTFB', t('Total'), t('Retries'), t('Result')],
+    requests.slice(-15).reverse().map(r => [diagTime(r.at), r.profile + (r.failover ? ` → ${r.failover}` : ''), r.status === null ? '—' : String(r.status),
+      diagMs(r.ttfbMs), diagMs(r.totalMs), String(r.retries || 0), r.error ? `${r.outcome}: ${r.error}` : r.outcome]));
+  html += `<h3>${escapeHtml(t('Health checks'))}</h3>`;
+  html += diagTable([t('Time'), t('Backend'), t('Status'), t('Latency')],
+    probes.slice(-10).reverse().map(p => [diagTime(p.at), p.backend, p.ok ? `✓ ${p.status || ''}`.trim() : `✕ ${p.error || p.status || ''}`.trim(), diagMs(p.latencyMs)]));
+  html += `<h3>${escapeHtml(t('Frame rate'))}</h3>`;
+  html += diagTable([t('Time'), 'fps', t('Render'), t('Particles')],
+    frames.slice(-10).reverse().map(f => [diagTime(f.at), String(f.fps), diagMs(f.renderMs), String(f.particles)]));
+  diagnosticsBody.innerHTML = html;
+}
+
+function createDiagnosticsPanel() {
+  diagnosticsPanel = document.createElement('div');
+  diagnosticsPanel.id = 'ultron-diagnostics';
+  diagnosticsPanel.className = 'diagnostics-panel';
+  diagnosticsPanel.setAttribute('role', 'dialog');
+  diagnosticsPanel.setAttribute('aria-labelledby', 'ultron-diagnostics-title');
+  diagnosticsPanel.hidden = true;
+
+  const head = document.createElement('div');
+  head.className = 'diagnostics-head';
+  const title = document.createElement('strong');
+  title.id = 'ultron-diagnostics-title';
+  title.textContent = t('Diagnostics');
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'history-close';
+  closeBtn.textContent = '✕';
+  closeBtn.setAttribute('aria-label', t('Close diagnostics'));
+  closeBtn.addEventListener('click', () => toggleDiagnosticsPanel(false));
+  head.append(title, closeBtn);
+
+  diagnosticsBody = document.createElement('div');
+  diagnosticsBody.className = 'diagnostics-body';
+
+  const row = document.createElement('div');
+  row.className = 'settings-row';
+  const exportBtn = settingsButton('Export JSON');
+  exportBtn.addEventListener('click', exportDiagnostics);
+  const sendBtn = settingsButton('Send now');
+  sendBtn.addEventListener('click', async () => {
+    await flushDiagnostics();
+    renderDiagnostics();
+  });
+  const clearBtn = settingsButton('Clear log');
+  clearBtn.addEventListener('click', () => {
+    clearDiagnostics();
+    renderDiagnostics();
+  });
+  row.append(exportBtn, sendBtn, clearBtn);
+
+  diagnosticsPanel.append(head, diagnosticsBody, row);
+  diagnosticsPanel.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    toggleDiagnosticsPanel(false);
+  });
+  document.body.appendChild(diagnosticsPanel);
+}
+
+function toggleDiagnosticsPanel(force) {
+  if (!diagnosticsPanel) createDiagnosticsPanel();
+  const open = force === undefined ? diagnosticsPanel.hidden : force;
+  diagnosticsPanel.hidden = !open;
+  clearInterval(diagRefreshTimer);
+  diagRefreshTimer = null;
+  if (!open) return;
+  diagnosticsPanel.querySelectorAll('.settings-btn')[1].hidden = !DIAGNOSTICS_ENDPOINT;
+  renderDiagnostics();
+  diagRefreshTimer = setInterval(renderDiagnostics, DIAG_REFRESH_MS);
+  diagnosticsPanel.querySelector('.history-close').focus();
+}
+
+function initDiagnostics() {
+  // whatever is still queued goes out with the page (fetch keepalive)
+  window.addEventListener('pagehide', () => {
+    if (diagUnsent.length) flushDiagnostics();
+  });
 }
 
 /* -----------------------
@@ -490,199 +4761,946 @@ function addMessage(sender, text) {
 function createSettingsUI() {
   // container
   const container = document.createElement('div');
-  container.id = 'ultron-settings';
-  container.style.position = 'fixed';
-  container.style.right = '18px';
-  container.style.bottom = '18px';
-  container.style.zIndex = '9999';
-  container.style.fontFamily = 'system-ui,Arial, sans-serif';
+  container.id = 'ultron-settings'; // styled in style.css (SETTINGS PANEL)
   document.body.appendChild(container);
 
   // gear button
   const btn = document.createElement('button');
-  btn.title = 'Ultron settings';
-  btn.style.width = '48px';
-  btn.style.height = '48px';
-  btn.style.borderRadius = '12px';
-  btn.style.border = 'none';
-  btn.style.boxShadow = '0 6px 18px rgba(0,0,0,0.12)';
-  btn.style.background = '#0ea5ff';
-  btn.style.color = '#fff';
-  btn.style.cursor = 'pointer';
-  btn.style.display = 'flex';
-  btn.style.alignItems = 'center';
-  btn.style.justifyContent = 'center';
-  btn.style.fontSize = '20px';
-  btn.innerHTML = '⚙';
+  btn.type = 'button';
+  btn.className = 'settings-gear';
+  btn.title = t('Ultron settings');
+  btn.setAttribute('aria-label', t('Settings'));
+  btn.setAttribute('aria-haspopup', 'dialog');
+  btn.setAttribute('aria-expanded', 'false');
+  btn.setAttribute('aria-controls', 'ultron-settings-panel');
+  const gearIcon = document.createElement('span');
+  gearIcon.setAttribute('aria-hidden', 'true');
+  gearIcon.textContent = '⚙';
+  btn.appendChild(gearIcon);
   container.appendChild(btn);
 
   // panel (hidden initially)
   const panel = document.createElement('div');
-  panel.style.minWidth = '320px';
-  panel.style.maxWidth = '520px';
-  panel.style.padding = '12px';
-  panel.style.borderRadius = '10px';
-  panel.style.boxShadow = '0 10px 30px rgba(0,0,0,0.15)';
-  panel.style.background = '#fff';
-  panel.style.color = '#111';
-  panel.style.marginBottom = '8px';
-  panel.style.display = 'none';
-  panel.style.flexDirection = 'column';
-  panel.style.gap = '8px';
-  panel.style.fontSize = '13px';
-  panel.style.border = '1px solid rgba(0,0,0,0.06)';
-  panel.style.boxSizing = 'border-box';
+  panel.id = 'ultron-settings-panel';
+  panel.className = 'settings-panel';
+  panel.setAttribute('role', 'dialog');
+  panel.setAttribute('aria-labelledby', 'ultron-settings-title');
+  panel.hidden = true;
   container.appendChild(panel);
 
   // title
   const title = document.createElement('div');
-  title.textContent = 'Ultron — Settings';
-  title.style.fontWeight = '600';
+  title.id = 'ultron-settings-title';
+  title.className = 'settings-title';
+  title.textContent = t('Ultron — Settings');
   panel.appendChild(title);
 
-  // backend url input
-  const backendLabel = document.createElement('label');
-  backendLabel.textContent = 'Backend URL';
-  backendLabel.style.fontSize = '12px';
-  panel.appendChild(backendLabel);
-
-  const backendInput = document.createElement('input');
-  backendInput.type = 'text';
-  backendInput.value = BACKEND_URL || '';
-  backendInput.placeholder = 'https://192.168.0.105:5001/api/chat';
-  backendInput.style.width = '100%';
-  backendInput.style.padding = '8px';
-  backendInput.style.borderRadius = '6px';
-  backendInput.style.border = '1px solid rgba(0,0,0,0.08)';
-  panel.appendChild(backendInput);
-
-  // api key input
-  const apiLabel = document.createElement('label');
-  apiLabel.textContent = 'Client API Key';
-  apiLabel.style.fontSize = '12px';
-  panel.appendChild(apiLabel);
-
-  const apiInput = document.createElement('input');
-  apiInput.type = 'text';
-  apiInput.value = API_KEY || '';
-  apiInput.placeholder = 'ULTRON_CLIENT_KEY_ABC';
-  apiInput.style.width = '100%';
-  apiInput.style.padding = '8px';
-  apiInput.style.borderRadius = '6px';
-  apiInput.style.border = '1px solid rgba(0,0,0,0.08)';
-  panel.appendChild(apiInput);
+  // backend profiles (edited as a draft; nothing applies until Save)
+  const profilesBox = document.createElement('div');
+  profilesBox.className = 'settings-profiles';
+  panel.appendChild(profilesBox);
+
+  let draftProfiles = [];
+  let draftActiveId = activeProfileId;
+  const loadDraft = () => {
+    draftProfiles = backendProfiles.filter(p => !p.transient).map(p => ({ ...p }));
+    draftActiveId = activeProfileId;
+  };
+  loadDraft();
+  const renderProfiles = () => renderProfileEditor(profilesBox, draftProfiles, draftActiveId, (id) => {
+    draftActiveId = id;
+  }, renderProfiles);
 
   // buttons row
   const row = document.createElement('div');
-  row.style.display = 'flex';
-  row.style.gap = '8px';
-  row.style.marginTop = '6px';
+  row.className = 'settings-row';
   panel.appendChild(row);
 
-  const saveBtn = document.createElement('button');
-  saveBtn.textContent = 'Save';
-  saveBtn.style.flex = '1';
-  saveBtn.style.padding = '8px 10px';
-  saveBtn.style.borderRadius = '8px';
-  saveBtn.style.border = 'none';
-  saveBtn.style.cursor = 'pointer';
-  saveBtn.style.background = '#10b981';
-  saveBtn.style.color = '#fff';
+  const saveBtn = settingsButton('Save', 'primary');
   row.appendChild(saveBtn);
-
-  const resetBtn = document.createElement('button');
-  resetBtn.textContent = 'Reset';
-  resetBtn.style.flex = '1';
-  resetBtn.style.padding = '8px 10px';
-  resetBtn.style.borderRadius = '8px';
-  resetBtn.style.border = '1px solid rgba(0,0,0,0.08)';
-  resetBtn.style.cursor = 'pointer';
-  resetBtn.style.background = '#fff';
-  resetBtn.style.color = '#111';
+  const resetBtn = settingsButton('Reset');
   row.appendChild(resetBtn);
-
-  const closeBtn = document.createElement('button');
-  closeBtn.textContent = 'Close';
-  closeBtn.style.padding = '8px 10px';
-  closeBtn.style.borderRadius = '8px';
-  closeBtn.style.border = 'none';
-  closeBtn.style.cursor = 'pointer';
-  closeBtn.style.background = '#64748b';
-  closeBtn.style.color = '#fff';
+  const closeBtn = settingsButton('Close', 'neutral');
   row.appendChild(closeBtn);
 
   // small helper text
-  const hint = document.createElement('div');
-  hint.style.fontSize = '12px';
-  hint.style.color = '#6b7280';
-  hint.textContent = 'You can also set backend & key via URL query parameters or console.';
-  panel.appendChild(hint);
+  panel.appendChild(settingsNote('You can also set backend & key via URL query parameters or console.'));
+
+  appendAppearanceSettings(panel);
+  appendVoiceSettings(panel);
+  appendSpeechSettings(panel);
+  appendConversationSettings(panel);
+  appendNetworkSettings(panel);
+  appendAnimationSettings(panel);
+  appendShortcutSettings(panel);
+  appendDiagnosticsSettings(panel);
+  appendBackupSettings(panel);
+  linkSettingsLabels(panel);
 
   // events
+  const focusable = () => [...panel.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])')]
+    .filter(el => !el.disabled && !el.closest('[hidden]'));
+  const openPanel = () => {
+    // re-read profiles (the switcher or a failover may have changed them)
+    loadDraft();
+    renderProfiles();
+    panel.hidden = false;
+    btn.setAttribute('aria-expanded', 'true');
+    const first = focusable()[0];
+    if (first) first.focus();
+  };
+  const closePanel = () => {
+    panel.hidden = true;
+    btn.setAttribute('aria-expanded', 'false');
+    btn.focus();
+  };
+
   btn.addEventListener('click', () => {
-    panel.style.display = panel.style.display === 'none' ? 'flex' : 'none';
+    if (panel.hidden) openPanel();
+    else closePanel();
   });
 
-  closeBtn.addEventListener('click', () => {
-    panel.style.display = 'none';
-  });
+  closeBtn.addEventListener('click', closePanel);
 
-  saveBtn.addEventListener('click', async () => {
-    const newBackend = backendInput.value.trim();
-    const newKey = apiInput.value.trim();
-    if (newBackend) {
-      localStorage.setItem('ULTRON_BACKEND', newBackend);
-      BACKEND_URL = newBackend;
-      BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
-    } else {
-      localStorage.removeItem('ULTRON_BACKEND');
-      BACKEND_URL = DEFAULT_BACKEND_URL;
-      BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
+  // Escape closes; Tab / Shift+Tab stay inside the panel while it is open
+  panel.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      closePanel();
+      return;
     }
-    if (newKey) {
-      localStorage.setItem('ULTRON_API_KEY', newKey);
-      API_KEY = newKey;
-    } else {
-      localStorage.removeItem('ULTRON_API_KEY');
-      API_KEY = DEFAULT_API_KEY;
+    if (e.key !== 'Tab') return;
+    const items = focusable();
+    if (!items.length) return;
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (e.shiftKey && (document.activeElement === first || !panel.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
     }
+  });
+
+  saveBtn.addEventListener('click', async () => {
+    const profiles = cleanProfileDraft(draftProfiles, defaultProfile());
+    backendProfiles = backendProfiles.filter(p => p.transient).concat(profiles);
+    saveProfiles();
+    activateProfile(profiles.some(p => p.id === draftActiveId) ? draftActiveId : profiles[0].id);
+    loadDraft();
+    renderProfiles();
 
     // verify new settings and inform user
     const ok = await verifyBackendAndUpdateUI();
     if (ok) {
-      saveBtn.textContent = 'Saved ✓';
+      saveBtn.textContent = t('Saved ✓');
     } else {
-      saveBtn.textContent = 'Saved (unreachable)';
+      saveBtn.textContent = t('Saved (unreachable)');
     }
-    setTimeout(() => (saveBtn.textContent = 'Save'), 1400);
+    setTimeout(() => (saveBtn.textContent = t('Save')), 1400);
   });
 
   resetBtn.addEventListener('click', async () => {
-    localStorage.removeItem('ULTRON_BACKEND');
-    localStorage.removeItem('ULTRON_API_KEY');
-    backendInput.value = DEFAULT_BACKEND_URL;
-    apiInput.value = DEFAULT_API_KEY;
-    BACKEND_URL = DEFAULT_BACKEND_URL;
-    API_KEY = DEFAULT_API_KEY;
-    BACKEND_ORIGIN = backendOriginFrom(BACKEND_URL);
+    prefs.remove('ULTRON_PROFILES');
+    backendProfiles = [defaultProfile()];
+    activateProfile('default');
+    loadDraft();
+    renderProfiles();
     const ok = await verifyBackendAndUpdateUI();
-    resetBtn.textContent = ok ? 'Reset ✓' : 'Reset (unreachable)';
-    setTimeout(() => (resetBtn.textContent = 'Reset'), 900);
+    resetBtn.textContent = ok ? t('Reset ✓') : t('Reset (unreachable)');
+    setTimeout(() => (resetBtn.textContent = t('Reset')), 900);
+  });
+  renderProfiles();
+}
+
+// settings rows for the backend profiles: active radio, name, URL, key, reorder/remove.
+// Edits go into `profiles` (a draft); `onActive` is told which one should become active.
+function renderProfileEditor(box, profiles, activeId, onActive, rerender) {
+  box.innerHTML = '';
+  box.appendChild(settingsLabel('Backend profiles (top = first to fail over to)'));
+
+  profiles.forEach((profile, index) => {
+    const card = document.createElement('div');
+    card.className = 'profile-card';
+    card.classList.toggle('active', profile.id === activeId);
+    box.appendChild(card);
+
+    const top = document.createElement('div');
+    top.className = 'profile-card-row';
+    card.appendChild(top);
+
+    const radio = document.createElement('input');
+    radio.type = 'radio';
+    radio.name = 'ultron-active-profile';
+    radio.checked = profile.id === activeId;
+    radio.title = t('Use this profile');
+    radio.addEventListener('change', () => {
+      onActive(profile.id);
+      rerender();
+    });
+    top.appendChild(radio);
+
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = profile.name || '';
+    nameInput.placeholder = t('Name (e.g. Laptop, LAN box, Hosted)');
+    nameInput.setAttribute('aria-label', t('Profile name'));
+    styleSettingsControl(nameInput);
+    nameInput.style.flex = '1';
+    nameInput.addEventListener('input', () => { profile.name = nameInput.value; });
+    top.appendChild(nameInput);
+
+    const tool = (label, title, disabled, onClick) => {
+      const b = settingsButton(label, 'small');
+      b.title = t(title);
+      b.disabled = disabled;
+      b.addEventListener('click', () => {
+        onClick();
+        rerender();
+      });
+      top.appendChild(b);
+    };
+    const swap = (i, j) => { [profiles[i], profiles[j]] = [profiles[j], profiles[i]]; };
+    tool('↑', 'Higher priority', index === 0, () => swap(index, index - 1));
+    tool('↓', 'Lower priority', index === profiles.length - 1, () => swap(index, index + 1));
+    tool('✕', 'Remove profile', profiles.length === 1, () => {
+      profiles.splice(index, 1);
+      if (profile.id === activeId) onActive(profiles[0].id);
+    });
+
+    const urlInput = document.createElement('input');
+    urlInput.type = 'text';
+    urlInput.value = profile.url || '';
+    urlInput.placeholder = 'https://192.168.0.105:5001/api/chat';
+    urlInput.setAttribute('aria-label', t('Backend URL'));
+    urlInput.dir = 'ltr';
+    styleSettingsControl(urlInput);
+    urlInput.addEventListener('input', () => { profile.url = urlInput.value; });
+    card.appendChild(urlInput);
+
+    const keyRow = document.createElement('div');
+    keyRow.className = 'profile-card-row';
+    card.appendChild(keyRow);
+
+    // masked unless explicitly revealed
+    const keyInput = document.createElement('input');
+    keyInput.type = 'password';
+    keyInput.autocomplete = 'off';
+    keyInput.value = profile.apiKey || '';
+    keyInput.placeholder = t('Client API key (ULTRON_CLIENT_KEY_ABC)');
+    keyInput.setAttribute('aria-label', t('Client API key'));
+    keyInput.dir = 'ltr';
+    styleSettingsControl(keyInput);
+    keyInput.style.flex = '1';
+    keyInput.addEventListener('input', () => { profile.apiKey = keyInput.value; });
+    keyRow.appendChild(keyInput);
+
+    const revealBtn = settingsButton('Show', 'small');
+    revealBtn.setAttribute('aria-pressed', 'false');
+    revealBtn.addEventListener('click', () => {
+      const show = keyInput.type === 'password';
+      keyInput.type = show ? 'text' : 'password';
+      revealBtn.textContent = show ? t('Hide') : t('Show');
+      revealBtn.setAttribute('aria-pressed', String(show));
+    });
+    keyRow.appendChild(revealBtn);
+
+    const authSelect = document.createElement('select');
+    authSelect.setAttribute('aria-label', t('Authentication'));
+    styleSettingsControl(authSelect);
+    for (const [value, label] of AUTH_MODES) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = t(label);
+      authSelect.appendChild(opt);
+    }
+    authSelect.value = profile.auth || 'bearer';
+    authSelect.addEventListener('change', () => { profile.auth = authSelect.value; });
+    card.appendChild(authSelect);
+  });
+
+  const addBtn = settingsButton('+ Add profile', 'dashed');
+  addBtn.addEventListener('click', () => {
+    profiles.push({ id: makeId('profile'), name: '', url: '', apiKey: DEFAULT_API_KEY, auth: 'bearer' });
+    rerender();
+  });
+  box.appendChild(addBtn);
+}
+
+// shared look for the controls added to the settings panel (colors come from the theme, see style.css)
+function styleSettingsControl(el) {
+  el.classList.add('settings-control');
+}
+
+// The settings helpers translate their text: pass the English string (the catalog key), already
+// filled in with t(text, vars) when it has placeholders.
+// variant: '' | 'primary' | 'neutral' | 'small' | 'dashed'
+function settingsButton(text, variant = '') {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.className = `settings-btn ${variant}`.trim();
+  b.textContent = t(text);
+  return b;
+}
+
+function settingsSectionTitle(text) {
+  const el = document.createElement('div');
+  el.className = 'settings-section-title';
+  el.textContent = t(text);
+  return el;
+}
+
+function settingsLabel(text) {
+  const el = document.createElement('label');
+  el.className = 'settings-label';
+  el.textContent = t(text);
+  return el;
+}
+
+// ties each bare settings label to the control right after it (for screen readers and click-to-focus)
+function linkSettingsLabels(panel) {
+  panel.querySelectorAll('label.settings-label').forEach((label, i) => {
+    const control = label.nextElementSibling;
+    if (label.querySelector('input, select, textarea') || !control || !control.matches('input, select, textarea')) return;
+    if (!control.id) control.id = `ultron-setting-${i}`;
+    label.htmlFor = control.id;
+  });
+}
+
+function settingsNote(text) {
+  const el = document.createElement('div');
+  el.className = 'settings-note';
+  el.textContent = t(text);
+  return el;
+}
+
+// interface language, theme picker + custom themes pasted as JSON
+function appendAppearanceSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Appearance'));
+
+  panel.appendChild(settingsLabel('Language'));
+  const localeSelect = document.createElement('select');
+  styleSettingsControl(localeSelect);
+  for (const [value, name] of [['auto', t('Automatic (browser language)')]].concat(Object.entries(LOCALES).map(([code, l]) => [code, l.name]))) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = name;
+    if (value !== 'auto') opt.lang = value;
+    localeSelect.appendChild(opt);
+  }
+  localeSelect.value = LOCALES[LOCALE_PREF] ? LOCALE_PREF : 'auto';
+  panel.appendChild(localeSelect);
+  localeSelect.addEventListener('change', () => setLocalePreference(localeSelect.value));
+
+  panel.appendChild(settingsLabel('Theme'));
+  const themeSelect = document.createElement('select');
+  styleSettingsControl(themeSelect);
+  panel.appendChild(themeSelect);
+
+  const customRow = document.createElement('div');
+  customRow.className = 'settings-row';
+  panel.appendChild(customRow);
+  const removeBtn = settingsButton('Remove custom theme');
+  customRow.appendChild(removeBtn);
+
+  const fillThemes = () => {
+    themeSelect.innerHTML = '';
+    for (const [value, label] of themeOptions()) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = t(label);
+      themeSelect.appendChild(opt);
+    }
+    themeSelect.value = themeOptions().some(([value]) => value === THEME) ? THEME : 'auto';
+    customRow.hidden = !customThemes.some(t => t.name === themeSelect.value);
+  };
+  fillThemes();
+
+  themeSelect.addEventListener('change', () => {
+    setTheme(themeSelect.value);
+    fillThemes();
+  });
+  removeBtn.addEventListener('click', () => {
+    removeCustomTheme(themeSelect.value);
+    fillThemes();
+  });
+
+  panel.appendChild(settingsLabel('Custom theme (JSON)'));
+  const jsonInput = document.createElement('textarea');
+  jsonInput.spellcheck = false;
+  jsonInput.placeholder = '{ "name": "midnight", "base": "dark", "colors": { "accent": "#a855f7", "orbGlow": "#a855f7" } }';
+  jsonInput.setAttribute('aria-label', t('Custom theme JSON'));
+  styleSettingsControl(jsonInput);
+  panel.appendChild(jsonInput);
+
+  const addBtn = settingsButton('Add & use theme');
+  addBtn.style.alignSelf = 'flex-start';
+  panel.appendChild(addBtn);
+  const status = settingsNote(t('Colors: {keys}.', { keys: THEME_COLOR_KEYS.join(', ') }));
+  panel.appendChild(status);
+
+  addBtn.addEventListener('click', () => {
+    try {
+      const added = importCustomThemes(jsonInput.value);
+      setTheme(added[added.length - 1].name);
+      fillThemes();
+      jsonInput.value = '';
+      status.textContent = t('Added {themes}.', { themes: added.map(theme => theme.label).join(', ') });
+    } catch (e) {
+      status.textContent = t('Theme not added: {error}', { error: e.message });
+    }
+  });
+}
+
+// voice input: recognition language + listen mode (saved immediately on change)
+function appendVoiceSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Voice input'));
+
+  if (!voiceSupported()) {
+    panel.appendChild(settingsNote('Speech recognition is not supported in this browser.'));
+    return;
+  }
+
+  panel.appendChild(settingsLabel('Recognition language'));
+  const langSelect = document.createElement('select');
+  styleSettingsControl(langSelect);
+  const langs = VOICE_LANGUAGES.slice();
+  if (!langs.some(([code]) => code === VOICE_LANG)) langs.unshift([VOICE_LANG, VOICE_LANG]);
+  for (const [code, name] of langs) {
+    const opt = document.createElement('option');
+    opt.value = code;
+    opt.textContent = name;
+    langSelect.appendChild(opt);
+  }
+  langSelect.value = VOICE_LANG;
+  panel.appendChild(langSelect);
+
+  panel.appendChild(settingsLabel('Mode'));
+  const modeSelect = document.createElement('select');
+  styleSettingsControl(modeSelect);
+  [['toggle', 'Toggle — click to start, click to send'], ['push', 'Push-to-talk — hold the 🎤 button'],
+    ['handsfree', 'Hands-free — 🎤 listens for the wake phrase']].forEach(([value, name]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t(name);
+    modeSelect.appendChild(opt);
+  });
+  modeSelect.value = VOICE_MODE;
+  panel.appendChild(modeSelect);
+
+  // hands-free options, only shown in that mode
+  const handsFreeBox = document.createElement('div');
+  handsFreeBox.className = 'settings-group';
+  handsFreeBox.hidden = VOICE_MODE !== 'handsfree';
+  panel.appendChild(handsFreeBox);
+
+  handsFreeBox.appendChild(settingsLabel('Wake phrase'));
+  const wakeInput = document.createElement('input');
+  wakeInput.type = 'text';
+  wakeInput.value = WAKE_PHRASE;
+  wakeInput.placeholder = 'Ultron';
+  styleSettingsControl(wakeInput);
+  handsFreeBox.appendChild(wakeInput);
+
+  function numberField(labelText, value, min, max, onChange) {
+    handsFreeBox.appendChild(settingsLabel(labelText));
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.max = String(max);
+    input.value = String(value);
+    styleSettingsControl(input);
+    input.addEventListener('change', () => {
+      const v = Math.round(Number(input.value));
+      if (!Number.isFinite(v)) return;
+      const clamped = Math.min(max, Math.max(min, v));
+      input.value = String(clamped);
+      onChange(clamped);
+    });
+    handsFreeBox.appendChild(input);
+  }
+  numberField('Pause before sending (ms)', VAD_SILENCE_MS, 300, 5000, (v) => {
+    VAD_SILENCE_MS = v;
+    savePref('ULTRON_VAD_SILENCE_MS', v);
+  });
+
+  handsFreeBox.appendChild(settingsLabel('Speech detection sensitivity'));
+  const sensitivitySelect = document.createElement('select');
+  styleSettingsControl(sensitivitySelect);
+  [['low', 'Low — noisy room'], ['medium', 'Medium'], ['high', 'High — quiet room, soft voice']].forEach(([value, name]) => {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t(name);
+    sensitivitySelect.appendChild(opt);
+  });
+  sensitivitySelect.value = VAD_SENSITIVITY;
+  handsFreeBox.appendChild(sensitivitySelect);
+
+  numberField('Turn off after inactivity (seconds, 0 = never)', HANDS_FREE_TIMEOUT_S, 0, 3600, (v) => {
+    HANDS_FREE_TIMEOUT_S = v;
+    savePref('ULTRON_HANDS_FREE_TIMEOUT', v);
+  });
+
+  langSelect.addEventListener('change', () => {
+    VOICE_LANG = langSelect.value;
+    savePref('ULTRON_VOICE_LANG', VOICE_LANG);
+    if (handsFree.active) restartHandsFreeRecognition();
+  });
+  modeSelect.addEventListener('change', () => {
+    if (voiceListening) stopListening(false);
+    stopHandsFree();
+    VOICE_MODE = modeSelect.value;
+    savePref('ULTRON_VOICE_MODE', VOICE_MODE);
+    handsFreeBox.hidden = VOICE_MODE !== 'handsfree';
+    setVoiceButtonState();
+  });
+  wakeInput.addEventListener('change', () => {
+    WAKE_PHRASE = wakeInput.value.trim() || 'Ultron';
+    wakeInput.value = WAKE_PHRASE;
+    savePref('ULTRON_WAKE_PHRASE', WAKE_PHRASE);
+    setVoiceButtonState();
+  });
+  sensitivitySelect.addEventListener('change', () => {
+    VAD_SENSITIVITY = sensitivitySelect.value;
+    savePref('ULTRON_VAD_SENSITIVITY', VAD_SENSITIVITY);
+  });
+}
+
+// spoken replies: on/off, voice, rate, pitch (saved immediately on change)
+function appendSpeechSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Spoken replies'));
+
+  if (!ttsSupported()) {
+    panel.appendChild(settingsNote('Speech synthesis is not supported in this browser.'));
+    return;
+  }
+
+  const enabledLabel = settingsLabel('');
+  enabledLabel.style.display = 'flex';
+  enabledLabel.style.alignItems = 'center';
+  enabledLabel.style.gap = '6px';
+  const enabledBox = document.createElement('input');
+  enabledBox.type = 'checkbox';
+  enabledBox.id = 'ultronTtsEnabled';
+  enabledBox.checked = TTS_ENABLED;
+  enabledLabel.appendChild(enabledBox);
+  enabledLabel.appendChild(document.createTextNode(t('Read replies aloud')));
+  panel.appendChild(enabledLabel);
+
+  panel.appendChild(settingsLabel('Voice'));
+  const voiceSelect = document.createElement('select');
+  styleSettingsControl(voiceSelect);
+  panel.appendChild(voiceSelect);
+
+  function fillVoices() {
+    voiceSelect.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = '';
+    auto.textContent = t('Automatic (match voice language)');
+    voiceSelect.appendChild(auto);
+    for (const v of ttsVoices()) {
+      const opt = document.createElement('option');
+      opt.value = v.voiceURI;
+      opt.textContent = `${v.name} (${v.lang})${v.localService ? '' : ` — ${t('online')}`}`;
+      voiceSelect.appendChild(opt);
+    }
+    voiceSelect.value = TTS_VOICE;
+    if (voiceSelect.value !== TTS_VOICE) voiceSelect.value = '';
+  }
+  fillVoices();
+  // voices load asynchronously in Chrome
+  if (synth.addEventListener) synth.addEventListener('voiceschanged', fillVoices);
+
+  function slider(labelText, min, max, step, value, onChange) {
+    const label = settingsLabel(`${t(labelText)}: ${value.toFixed(1)}`);
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.min = String(min);
+    input.max = String(max);
+    input.step = String(step);
+    input.value = String(value);
+    input.style.width = '100%';
+    input.addEventListener('input', () => {
+      const v = parseFloat(input.value);
+      label.textContent = `${t(labelText)}: ${v.toFixed(1)}`;
+      onChange(v);
+    });
+    panel.appendChild(label);
+    panel.appendChild(input);
+  }
+  slider('Rate', 0.5, 2, 0.1, TTS_RATE, (v) => { TTS_RATE = v; savePref('ULTRON_TTS_RATE', v); });
+  slider('Pitch', 0, 2, 0.1, TTS_PITCH, (v) => { TTS_PITCH = v; savePref('ULTRON_TTS_PITCH', v); });
+
+  const testBtn = settingsButton('Test voice');
+  testBtn.style.alignSelf = 'flex-start';
+  panel.appendChild(testBtn);
+
+  enabledBox.addEventListener('change', () => setTtsEnabled(enabledBox.checked));
+  voiceSelect.addEventListener('change', () => {
+    TTS_VOICE = voiceSelect.value;
+    savePref('ULTRON_TTS_VOICE', TTS_VOICE);
+  });
+  testBtn.addEventListener('click', () => {
+    stopSpeaking();
+    speakReply(t('Hello, I am Ultron. This is how my replies will sound.'), { force: true });
+  });
+}
+
+// how much earlier conversation is sent with each message
+function appendConversationSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Conversation context'));
+
+  function numberField(labelText, value, min, max, onChange) {
+    panel.appendChild(settingsLabel(labelText));
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.min = String(min);
+    input.max = String(max);
+    input.value = String(value);
+    styleSettingsControl(input);
+    input.addEventListener('change', () => {
+      const v = Math.round(Number(input.value));
+      if (!Number.isFinite(v)) return;
+      const clamped = Math.min(max, Math.max(min, v));
+      input.value = String(clamped);
+      onChange(clamped);
+    });
+    panel.appendChild(input);
+  }
+
+  numberField('Earlier turns to include (0 = none)', HISTORY_MAX_TURNS, 0, 200, (v) => {
+    HISTORY_MAX_TURNS = v;
+    savePref('ULTRON_HISTORY_TURNS', v);
+  });
+  numberField('Token budget for context (0 = unlimited)', HISTORY_TOKEN_BUDGET, 0, 100000, (v) => {
+    HISTORY_TOKEN_BUDGET = v;
+    savePref('ULTRON_HISTORY_TOKENS', v);
+  });
+}
+
+// request timeout + retry count for chat sends
+function appendNetworkSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Network'));
+
+  panel.appendChild(settingsLabel('Request timeout (seconds, 0 = none)'));
+  const timeoutInput = document.createElement('input');
+  timeoutInput.type = 'number';
+  timeoutInput.min = '0';
+  timeoutInput.max = '600';
+  timeoutInput.value = String(Math.round(REQUEST_TIMEOUT_MS / 1000));
+  styleSettingsControl(timeoutInput);
+  panel.appendChild(timeoutInput);
+
+  panel.appendChild(settingsLabel('Retries on network errors / 429 / 5xx'));
+  const retriesInput = document.createElement('input');
+  retriesInput.type = 'number';
+  retriesInput.min = '0';
+  retriesInput.max = '10';
+  retriesInput.value = String(MAX_RETRIES);
+  styleSettingsControl(retriesInput);
+  panel.appendChild(retriesInput);
+
+  panel.appendChild(settingsLabel('Remember API keys'));
+  const keyStorageSelect = document.createElement('select');
+  styleSettingsControl(keyStorageSelect);
+  for (const [value, label] of [['local', 'On this device'], ['session', 'For this tab session only']]) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t(label);
+    keyStorageSelect.appendChild(opt);
+  }
+  keyStorageSelect.value = KEY_STORAGE;
+  panel.appendChild(keyStorageSelect);
+  keyStorageSelect.addEventListener('change', () => setKeyStorage(keyStorageSelect.value));
+
+  timeoutInput.addEventListener('change', () => {
+    const secs = Math.min(600, Math.max(0, Math.round(Number(timeoutInput.value) || 0)));
+    timeoutInput.value = String(secs);
+    REQUEST_TIMEOUT_MS = secs * 1000;
+    savePref('ULTRON_REQUEST_TIMEOUT_MS', REQUEST_TIMEOUT_MS);
+  });
+  retriesInput.addEventListener('change', () => {
+    const n = Math.min(10, Math.max(0, Math.round(Number(retriesInput.value) || 0)));
+    retriesInput.value = String(n);
+    MAX_RETRIES = n;
+    savePref('ULTRON_MAX_RETRIES', MAX_RETRIES);
+  });
+}
+
+// particle density for the orb (rebuilds the field right away) + audio reactivity
+function appendAnimationSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Animation'));
+  const entry = SETTINGS_SCHEMA['animation.particleCount'];
+  panel.appendChild(settingsLabel(t('Particles ({min}–{max})', entry)));
+  const countInput = document.createElement('input');
+  countInput.type = 'number';
+  countInput.min = String(entry.min);
+  countInput.max = String(entry.max);
+  countInput.step = '10';
+  countInput.value = String(particleCount);
+  styleSettingsControl(countInput);
+  panel.appendChild(countInput);
+  countInput.addEventListener('change', () => {
+    const n = Math.round(coerceSetting(entry, countInput.value) ?? particleCount);
+    countInput.value = String(n);
+    savePref('ULTRON_PARTICLES', n);
+    setParticleCount(n);
+  });
+
+  const reactiveLabel = settingsLabel('');
+  const reactiveBox = document.createElement('input');
+  reactiveBox.type = 'checkbox';
+  reactiveBox.checked = AUDIO_REACTIVE;
+  reactiveBox.disabled = !AudioContextCtor;
+  reactiveLabel.appendChild(reactiveBox);
+  reactiveLabel.appendChild(document.createTextNode(AudioContextCtor
+    ? t('Orb reacts to your voice and reply audio')
+    : t('Orb reacts to audio (not supported in this browser)')));
+  panel.appendChild(reactiveLabel);
+
+  panel.appendChild(settingsLabel('Audio reaction strength'));
+  const intensitySelect = document.createElement('select');
+  styleSettingsControl(intensitySelect);
+  for (const [value, label] of [['full', 'Full'], ['reduced', 'Reduced']]) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t(label);
+    intensitySelect.appendChild(opt);
+  }
+  intensitySelect.value = AUDIO_INTENSITY;
+  intensitySelect.disabled = !AUDIO_REACTIVE || !AudioContextCtor;
+  panel.appendChild(intensitySelect);
+
+  reactiveBox.addEventListener('change', () => {
+    setAudioReactive(reactiveBox.checked);
+    intensitySelect.disabled = !reactiveBox.checked;
+  });
+  intensitySelect.addEventListener('change', () => {
+    AUDIO_INTENSITY = intensitySelect.value;
+    savePref('ULTRON_AUDIO_INTENSITY', AUDIO_INTENSITY);
+  });
+
+  panel.appendChild(settingsLabel('Reduce motion'));
+  const motionSelect = document.createElement('select');
+  styleSettingsControl(motionSelect);
+  for (const [value, label] of [['auto', 'Follow system setting'], ['on', 'On (still orb)'], ['off', 'Off']]) {
+    const opt = document.createElement('option');
+    opt.value = value;
+    opt.textContent = t(label);
+    motionSelect.appendChild(opt);
+  }
+  motionSelect.value = REDUCED_MOTION;
+  panel.appendChild(motionSelect);
+  motionSelect.addEventListener('change', () => setReducedMotion(motionSelect.value));
+}
+
+// read-only list of the keyboard shortcuts
+function appendShortcutSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Keyboard shortcuts'));
+  const list = document.createElement('dl');
+  list.className = 'settings-shortcuts';
+  for (const shortcut of KEYBOARD_SHORTCUTS) {
+    const keys = document.createElement('dt');
+    const kbd = document.createElement('kbd');
+    kbd.textContent = IS_MAC && shortcut.mac ? shortcut.mac : shortcut.keys;
+    keys.appendChild(kbd);
+    const what = document.createElement('dd');
+    what.textContent = t(shortcut.label);
+    list.append(keys, what);
+  }
+  panel.appendChild(list);
+}
+
+// opt-in diagnostics log + optional upload endpoint (see DIAGNOSTICS)
+function appendDiagnosticsSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Diagnostics'));
+
+  const enabledLabel = settingsLabel('');
+  const enabledBox = document.createElement('input');
+  enabledBox.type = 'checkbox';
+  enabledBox.checked = DIAGNOSTICS_ENABLED;
+  enabledLabel.appendChild(enabledBox);
+  enabledLabel.appendChild(document.createTextNode(t('Record diagnostics on this device')));
+  panel.appendChild(enabledLabel);
+  enabledBox.addEventListener('change', () => setDiagnosticsEnabled(enabledBox.checked));
+
+  panel.appendChild(settingsLabel('Send diagnostics to (optional)'));
+  const endpointInput = document.createElement('input');
+  endpointInput.type = 'url';
+  endpointInput.dir = 'ltr';
+  endpointInput.placeholder = 'https://example.com/ultron/metrics';
+  endpointInput.value = DIAGNOSTICS_ENDPOINT;
+  styleSettingsControl(endpointInput);
+  panel.appendChild(endpointInput);
+
+  const status = settingsNote('Request timings, status codes, health checks and frame rate only: never message text, attachments or API keys.');
+  panel.appendChild(status);
+  endpointInput.addEventListener('change', () => {
+    try {
+      setDiagnosticsEndpoint(endpointInput.value);
+      endpointInput.value = DIAGNOSTICS_ENDPOINT;
+      status.textContent = DIAGNOSTICS_ENDPOINT ? t('Batches are sent to {url}.', { url: DIAGNOSTICS_ENDPOINT }) : t('Diagnostics stay on this device.');
+    } catch (e) {
+      status.textContent = t('Endpoint not saved: {error}', { error: e.message });
+    }
+  });
+
+  const openBtn = settingsButton('Open diagnostics');
+  openBtn.style.alignSelf = 'flex-start';
+  openBtn.addEventListener('click', () => toggleDiagnosticsPanel(true));
+  panel.appendChild(openBtn);
+}
+
+// settings file export/import and a shareable link (never includes API keys)
+function appendBackupSettings(panel) {
+  panel.appendChild(settingsSectionTitle('Backup & sharing'));
+
+  const secretsLabel = settingsLabel('');
+  const secretsBox = document.createElement('input');
+  secretsBox.type = 'checkbox';
+  secretsLabel.appendChild(secretsBox);
+  secretsLabel.appendChild(document.createTextNode(t('Include API keys in the exported file')));
+  panel.appendChild(secretsLabel);
+
+  const row = document.createElement('div');
+  row.className = 'settings-row';
+  panel.appendChild(row);
+
+  const rowButton = (text, onClick) => {
+    const b = settingsButton(text);
+    b.addEventListener('click', () => onClick(b));
+    row.appendChild(b);
+    return b;
+  };
+
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = 'application/json,.json';
+  fileInput.hidden = true;
+  panel.appendChild(fileInput);
+
+  rowButton('Export JSON', () => {
+    const data = exportSettings({ includeSecrets: secretsBox.checked });
+    downloadFile(`ultron-settings-${new Date().toISOString().slice(0, 10)}.json`, JSON.stringify(data, null, 2), 'application/json');
   });
 
-  // prefill inputs from storage (in case changed after script load)
-  backendInput.value = localStorage.getItem('ULTRON_BACKEND') || BACKEND_URL || '';
-  apiInput.value = localStorage.getItem('ULTRON_API_KEY') || API_KEY || '';
+  rowButton('Import JSON…', () => fileInput.click());
+
+  rowButton('Copy share link', (b) => {
+    copyText(shareableSettingsLink()).then(ok => {
+      b.textContent = ok ? t('Link copied ✓') : t('Copy failed');
+      setTimeout(() => (b.textContent = t('Copy share link')), 1400);
+    });
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files && fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    try {
+      const applied = importSettings(JSON.parse(await file.text()));
+      showStatusBanner(t('Imported {count} settings — reloading…', { count: applied }), 1500);
+      setTimeout(() => window.location.reload(), 800);
+    } catch (e) {
+      showStatusBanner(t('<strong>Settings import failed:</strong> {error}', { error: escapeHtml(e.message) }), 5000);
+    }
+  });
+
+  panel.appendChild(settingsNote('Share links carry the active backend URL and non-secret options; they apply to that visit only.'));
+}
+
+/* -----------------------
+   EMBED BRIDGE
+   ----------------------- */
+// When ultron-widget.js mounts this page in an iframe (?embed=1&instance=<id>&ns=<id>&host=<origin>), the
+// host page drives it over postMessage. `host` only picks the origin to talk to: it has to be this page's
+// own origin or in EMBED_ALLOWED_ORIGINS (index.html's meta tag), since any page can frame index.html
+// with any query string.
+//   host -> widget  { source: 'ultron-host', instance, type: 'init', apiKey? }
+//                   { source: 'ultron-host', instance, type: 'send', requestId, text }
+//   widget -> host  { source: 'ultron-widget', instance, type: 'ready' }
+//                   { ..., type: 'accepted', requestId, turnId }
+//                   { ..., type: 'rejected', requestId, error }   a send that was dropped (empty text)
+//                   { ..., type: 'thinking', thinking }
+//                   { ..., type: 'reply', turnId, message, reply, attachments, profile, error, cancelled }
+const EMBEDDED = EMBED_MODE && window.parent !== window;
+const EMBED_INSTANCE = String(q.instance || '');
+const EMBED_HOST_ORIGIN = (() => {
+  let origin;
+  try {
+    origin = new URL(q.host || document.referrer).origin;
+  } catch (e) {
+    return null;
+  }
+  return origin === window.location.origin || EMBED_ALLOWED_ORIGINS.includes(origin) ? origin : null;
+})();
+
+function emitWidgetEvent(type, detail = {}) {
+  if (!EMBEDDED || !EMBED_HOST_ORIGIN) return;
+  window.parent.postMessage({ source: 'ultron-widget', instance: EMBED_INSTANCE, type, ...detail }, EMBED_HOST_ORIGIN);
+}
+
+function handleHostMessage(e) {
+  if (e.source !== window.parent || e.origin !== EMBED_HOST_ORIGIN) return;
+  const data = e.data;
+  if (!data || data.source !== 'ultron-host' || data.instance !== EMBED_INSTANCE) return;
+  if (data.type === 'init') {
+    // the key is handed over in memory only: it never appears in the iframe URL, and saveProfiles
+    // writes no keys in embed mode
+    if (data.apiKey) {
+      activeProfile().apiKey = String(data.apiKey);
+      API_KEY = activeProfile().apiKey;
+    }
+  } else if (data.type === 'send') {
+    const text = String(data.text || '').trim();
+    if (!text) {
+      emitWidgetEvent('rejected', { requestId: data.requestId, error: 'empty message' });
+      return;
+    }
+    const userBubble = sendMessage(text);
+    emitWidgetEvent('accepted', { requestId: data.requestId, turnId: userBubble.dataset.turnId });
+  }
+}
+
+function initEmbedBridge() {
+  if (!EMBEDDED) return;
+  document.body.classList.add('embedded');
+  if (!EMBED_NAMESPACE) {
+    console.warn('Ultron widget: no ns parameter, events are disabled.');
+    return;
+  }
+  if (!EMBED_HOST_ORIGIN) {
+    console.warn('Ultron widget: host origin is not listed in <meta name="ultron-embed-origins">, events are disabled.');
+    return;
+  }
+  window.addEventListener('message', handleHostMessage);
+  emitWidgetEvent('ready');
 }
 
 // Initialize
-resizeCanvas();
-initParticles();
-animate(0);
+particleCount = loadPref('ULTRON_PARTICLES', DEFAULT_PARTICLE_COUNT);
+applyLocale();
+initThemes();
+initAccessibility();
+initComposer();
+initCommands();
+initUploads();
+initOrbRenderer();
 window.addEventListener('resize', resizeCanvas);
 
 // create settings ui after mount
 createSettingsUI();
+initVoiceInput();
+initHandsFree();
+initSpokenReplies();
+initHistoryDrawer();
+initConversationExport();
+initOutbox();
+initHealthMonitor();
+initProfileSwitcher();
+initDiagnostics();
+initEmbedBridge();
 
 // Do a connectivity check on load (but don't spam)
 setTimeout(() => {
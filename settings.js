@@ -0,0 +1,186 @@
+/* settings.js — user settings: validation, the preference store, export files and backend profiles
+   - script.js owns SETTINGS_SCHEMA (its defaults depend on the page) and hands it in; everything
+     here works on whatever schema, storage and values it is given.
+   - Preferences are JSON values in a Storage (localStorage in the page), optionally under a
+     namespace ("<ns>:<key>") so embedded widgets keep theirs apart. Values from a shared link
+     (settingsFromQuery) win until the same setting is saved.
+   - No DOM. In the page only `UltronSettings` is global; under CommonJS it is also `module.exports`
+     (like backend.js).
+*/
+
+const UltronSettings = (() => {
+  // bumped together with a new entry in script.js's SETTINGS_MIGRATIONS
+  const SETTINGS_VERSION = 1;
+
+  function settingDefault(entry) {
+    return typeof entry.default === 'function' ? entry.default() : entry.default;
+  }
+
+  // validate/convert a value for a schema entry; undefined = reject (strings come from query params)
+  function coerceSetting(entry, value) {
+    switch (entry.type) {
+      case 'number': {
+        const n = Number(value);
+        if (value === '' || value === null || !Number.isFinite(n)) return undefined;
+        return Math.min(entry.max, Math.max(entry.min, n));
+      }
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === '1' || value === 'on') return true;
+        if (value === 'false' || value === '0' || value === 'off') return false;
+        return undefined;
+      case 'enum':
+        return entry.values.includes(value) ? value : undefined;
+      case 'string':
+        return typeof value === 'string' ? value : undefined;
+      case 'array':
+        return Array.isArray(value) ? value : undefined;
+      case 'object':
+        return value && typeof value === 'object' && !Array.isArray(value) ? value : undefined;
+    }
+    return undefined;
+  }
+
+  // settings carried in the page URL (a shared link), as a Map of pref key -> value
+  function settingsFromQuery(schema, params) {
+    const overrides = new Map();
+    for (const entry of Object.values(schema)) {
+      if (!entry.param || !(entry.param in params)) continue;
+      const value = coerceSetting(entry, params[entry.param]);
+      if (value !== undefined) overrides.set(entry.key, value);
+    }
+    return overrides;
+  }
+
+  // load/save JSON preferences in `storage`; `overrides` apply to this visit only and a save drops them
+  function createPrefStore({ storage, namespace = '', overrides = new Map() }) {
+    const key = (name) => (namespace ? `${namespace}:${name}` : name);
+    return {
+      key,
+      load(name, fallback) {
+        if (overrides.has(name)) return overrides.get(name);
+        try {
+          const raw = storage.getItem(key(name));
+          return raw === null ? fallback : JSON.parse(raw);
+        } catch (e) {
+          return fallback;
+        }
+      },
+      save(name, value) {
+        overrides.delete(name);
+        try {
+          storage.setItem(key(name), JSON.stringify(value));
+        } catch (e) {
+          console.warn('Could not save preference', name, e);
+        }
+      },
+      remove(name) {
+        overrides.delete(name);
+        storage.removeItem(key(name));
+      }
+    };
+  }
+
+  // current settings as a nested object ({ backend: {...}, voice: {...}, ... }); read(entry) gives a value
+  function collectSettings(schema, read, { includeSecrets = false } = {}) {
+    const settings = {};
+    for (const [path, entry] of Object.entries(schema)) {
+      if (entry.secret && !includeSecrets) continue;
+      const [group, name] = path.split('.');
+      (settings[group] = settings[group] || {})[name] = read(entry);
+    }
+    return settings;
+  }
+
+  // the documented export format; secret settings only with includeSecrets
+  function exportSettings(schema, read, options = {}) {
+    return {
+      format: 'ultron-settings',
+      version: SETTINGS_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: collectSettings(schema, read, options)
+    };
+  }
+
+  // the valid settings in an export file as [{ path, entry, value }]; unknown or invalid values and
+  // `noImport` entries are skipped. Throws for something that isn't a settings file or is from a newer client.
+  function readSettingsExport(schema, data) {
+    if (!data || data.format !== 'ultron-settings' || typeof data.settings !== 'object') {
+      throw new Error('not an Ultron settings file');
+    }
+    if (!(data.version <= SETTINGS_VERSION)) {
+      throw new Error(`settings version ${data.version} is newer than this client supports (${SETTINGS_VERSION})`);
+    }
+    const values = [];
+    for (const [path, entry] of Object.entries(schema)) {
+      if (entry.noImport) continue;
+      const [group, name] = path.split('.');
+      const raw = data.settings[group] && data.settings[group][name];
+      if (raw === undefined) continue;
+      const value = coerceSetting(entry, raw);
+      if (value !== undefined) values.push({ path, entry, value });
+    }
+    return values;
+  }
+
+  // === BACKEND PROFILES ===
+  // { id, name, url, apiKey, auth, transient? }. Keys are stored apart from the profiles (see
+  // script.js secretStore); `transient` ones (from a link) are never saved.
+
+  const PROFILE_AUTH_MODES = ['bearer', 'token', 'body'];
+
+  // a profile from outside (a settings file) reduced to the saved fields with the right types, or
+  // null without an id and a URL; a missing name becomes "Backend <n>"
+  function normalizeProfile(raw, index = 0) {
+    if (!raw || typeof raw !== 'object') return null;
+    const id = typeof raw.id === 'string' || typeof raw.id === 'number' ? String(raw.id).trim() : '';
+    const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+    if (!id || !url) return null;
+    const name = typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `Backend ${index + 1}`;
+    return { id, name, url, auth: PROFILE_AUTH_MODES.includes(raw.auth) ? raw.auth : 'bearer' };
+  }
+
+  // what gets saved for a profile
+  function profileWithoutKey({ apiKey, transient, ...profile }) {
+    return profile;
+  }
+
+  // saved profiles with their keys put back, or [fallback] when none has a URL. `defaultKey` is the
+  // built-in key of the "default" profile.
+  function profilesFromStorage(saved, keys, { fallback, defaultKey = '' }) {
+    if (!Array.isArray(saved) || !saved.some(p => p && p.url)) return [fallback];
+    return saved.filter(p => p && p.url).map(p => ({
+      auth: 'bearer',
+      ...p,
+      apiKey: (keys && keys[p.id]) || (p.id === 'default' ? defaultKey : '')
+    }));
+  }
+
+  // the profiles to save as { profiles, keys }: key-less profiles and an id -> key map
+  function splitProfileKeys(profiles) {
+    const saved = profiles.filter(p => !p.transient);
+    return {
+      profiles: saved.map(profileWithoutKey),
+      keys: Object.fromEntries(saved.filter(p => p.apiKey).map(p => [p.id, p.apiKey]))
+    };
+  }
+
+  // what Save keeps from the profile editor: trimmed, rows without a URL dropped, every profile named;
+  // [fallback] when nothing is left
+  function cleanProfileDraft(draft, fallback) {
+    const profiles = draft
+      .map(p => ({ ...p, name: String(p.name || '').trim(), url: String(p.url || '').trim(), apiKey: String(p.apiKey || '').trim() }))
+      .filter(p => p.url);
+    if (!profiles.length) profiles.push(fallback);
+    profiles.forEach((p, i) => { if (!p.name) p.name = `Backend ${i + 1}`; });
+    return profiles;
+  }
+
+  return {
+    SETTINGS_VERSION, settingDefault, coerceSetting, settingsFromQuery, createPrefStore, collectSettings,
+    exportSettings, readSettingsExport, PROFILE_AUTH_MODES, normalizeProfile, profileWithoutKey, profilesFromStorage, splitProfileKeys,
+    cleanProfileDraft
+  };
+})();
+
+if (typeof module !== 'undefined' && module.exports) module.exports = UltronSettings;
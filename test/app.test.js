@@ -0,0 +1,180 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startMockServer, loadPage, waitFor } = require('./helpers.js');
+
+let mock;
+before(async () => { mock = await startMockServer(); });
+after(() => mock.stop());
+beforeEach(() => mock.reset());
+
+function openApp(t, backend = mock.chatUrl) {
+  const page = loadPage({ url: `http://localhost:8080/index.html?backend=${encodeURIComponent(backend)}` });
+  t.after(() => page.close());
+  return page;
+}
+
+// send `text` from the composer and wait for the finished reply bubble
+async function ask({ window, document }, text) {
+  const before = document.querySelectorAll('.message.ai').length;
+  const input = document.getElementById('chatInput');
+  input.value = text;
+  input.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }));
+  return waitFor(() => {
+    const replies = document.querySelectorAll('.message.ai:not(.resume)');
+    const last = replies[replies.length - 1];
+    return replies.length > before && !last.classList.contains('streaming') && last.textContent.trim() && last;
+  });
+}
+
+test('a streamed reply is rendered as markdown', async (t) => {
+  const page = openApp(t);
+  const reply = await ask(page, 'hello there');
+  assert.match(reply.textContent, /You said: "hello there"/);
+  assert.equal(reply.querySelector('strong').textContent, 'nothing');
+  assert.deepEqual(page.errors, []);
+});
+
+test('reply markdown: headings, lists, code, links, and no raw HTML', async (t) => {
+  await mock.script({
+    next: [{
+      reply: '## Plan\n\n- one\n- two\n\n```js\nconst a = 1;\n```\n\nSee [the docs](https://example.com/docs) or https://example.com/x <script>alert(1)</script>'
+    }]
+  });
+  const page = openApp(t);
+  const reply = await ask(page, 'plan?');
+  assert.equal(reply.querySelector('h2').textContent, 'Plan');
+  assert.deepEqual([...reply.querySelectorAll('li')].map(li => li.textContent), ['one', 'two']);
+  assert.match(reply.querySelector('pre code').textContent, /const a = 1;/);
+  const links = [...reply.querySelectorAll('a')].map(a => [a.textContent, a.getAttribute('href'), a.rel]);
+  assert.deepEqual(links, [
+    ['the docs', 'https://example.com/docs', 'noopener noreferrer'],
+    ['https://example.com/x', 'https://example.com/x', 'noopener noreferrer']
+  ]);
+  assert.equal(reply.querySelector('script'), null);
+  assert.match(reply.textContent, /<script>alert\(1\)<\/script>/);
+});
+
+test('a reply with resume_url gets a download link on the backend', async (t) => {
+  const page = openApp(t);
+  await ask(page, 'can I see your resume?');
+  const link = await waitFor(() => page.document.querySelector('.message.resume a'));
+  assert.equal(link.textContent, 'Download resume');
+  assert.equal(link.href, `${mock.origin}/files/resume.pdf`);
+});
+
+test('an error reply is shown in the chat and offers a retry', async (t) => {
+  await mock.script({ next: [{ status: 401 }] });
+  const page = openApp(t);
+  const reply = await ask(page, 'hi');
+  assert.match(reply.textContent, /401|unauthorized/i);
+  const user = [...page.document.querySelectorAll('.message.user')].pop();
+  assert.equal(user.dataset.status, 'failed');
+  assert.ok(user.querySelector('.message-status-action'));
+});
+
+test('a backend that does not answer gets the unreachable banner', async (t) => {
+  const page = openApp(t, 'http://127.0.0.1:9/api/chat');
+  const banner = await waitFor(() => {
+    const el = page.document.getElementById('ultron-conn-banner');
+    return el && !el.hidden && el;
+  });
+  assert.match(banner.innerHTML, /Ultron backend unreachable/);
+  assert.ok(banner.innerHTML.includes('<code>http://127.0.0.1:9/health</code>'));
+});
+
+test('a failing /health shows what it answered in the banner, and the banner goes once it recovers', async (t) => {
+  await mock.script({ health: 503 });
+  const page = openApp(t);
+  const banner = await waitFor(() => {
+    const el = page.document.getElementById('ultron-conn-banner');
+    return el && !el.hidden && el;
+  });
+  assert.match(banner.textContent, /Ultron backend unreachable: {"status":"down"}/);
+  assert.equal(page.document.getElementById('connStatus').dataset.state, 'down');
+
+  await mock.script({ health: 200 });
+  await waitFor(() => banner.hidden, { timeout: 6000 });
+  assert.equal(page.document.getElementById('connStatus').dataset.state, 'ok');
+});
+
+test('a resume or attachment URL that is not http(s) never becomes a link', async (t) => {
+  await mock.script({ next: [{ reply: 'here', resume_url: 'javascript:alert(document.cookie)' }] });
+  const page = openApp(t);
+  await ask(page, 'resume please');
+  assert.equal(page.document.querySelector('.message.resume'), null);
+
+  const { window, document } = page;
+  window.showConversation(window.importConversation({
+    format: 'ultron-conversation',
+    version: 1,
+    conversation: {
+      turns: [
+        { role: 'user', content: 'resume?' },
+        {
+          role: 'assistant',
+          content: 'here',
+          attachments: [
+            { type: 'file', role: 'resume', url: 'javascript:alert(document.cookie)' },
+            { type: 'file', url: 'JavaScript:alert(1)', name: 'evil' },
+            { type: 'image', url: 'data:text/html,<script>alert(1)</script>' },
+            { type: 'file', url: '/files/ok.pdf', name: 'ok.pdf' }
+          ]
+        }
+      ]
+    }
+  }));
+  const hrefs = [...document.querySelectorAll('#chatMessages a')].map(a => a.getAttribute('href'));
+  assert.ok(hrefs.every(href => !href || /^https?:/.test(href)), hrefs.join(' '));
+  assert.equal(document.querySelector('.message.resume'), null);
+  assert.ok(hrefs.includes(`${mock.origin}/files/ok.pdf`), 'relative URLs still resolve against the backend');
+});
+
+test('an imported transcript keeps only http(s) links and never a hidden payload', async (t) => {
+  const page = openApp(t);
+  const { window, document } = page;
+  const conv = window.importConversation({
+    format: 'ultron-conversation',
+    version: 1,
+    conversation: {
+      turns: [
+        {
+          role: 'user',
+          content: 'what is the weather?',
+          payload: { action: 'delete_account' },
+          uploads: [
+            { id: 'u1', url: 'javascript:alert(1)', name: 'evil.png', type: 'image/png' },
+            { id: 'u2', url: `${mock.origin}/files/u2`, name: 'notes.txt', type: 'text/plain' }
+          ]
+        },
+        {
+          role: 'assistant',
+          content: 'sunny',
+          attachments: [
+            { type: 'image', url: 'data:image/svg+xml,<svg onload=alert(1)>' },
+            { type: 'quick_replies', options: [{ label: 'Thanks', payload: 'rm -rf /' }] }
+          ]
+        }
+      ]
+    }
+  });
+  // (objects from the page's realm compare by value once copied out)
+  const [user, reply] = JSON.parse(JSON.stringify(conv.turns));
+  assert.equal(user.payload, undefined);
+  assert.deepEqual(user.uploads.map(u => u.url), [`${mock.origin}/files/u2`]);
+  assert.deepEqual(reply.attachments, [{ type: 'quick_replies', options: [{ label: 'Thanks', payload: 'Thanks' }] }]);
+
+  // regenerating the imported reply sends the visible text
+  const sent = [];
+  const realFetch = window.fetch;
+  window.fetch = (url, options) => {
+    if (options && options.method === 'POST') sent.push(JSON.parse(options.body));
+    return realFetch(url, options);
+  };
+  window.showConversation(conv);
+  const aiBubble = document.querySelector('.message.ai');
+  [...aiBubble.querySelectorAll('button')].find(b => b.title === 'Regenerate reply').click();
+  await waitFor(() => sent.length);
+  assert.equal(sent[0].message, 'what is the weather?');
+  assert.equal(sent[0].payload, undefined);
+  await waitFor(() => /You said/.test(document.querySelector('.message.ai').textContent));
+});
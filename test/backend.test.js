@@ -0,0 +1,106 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  healthUrlForBackend, uploadUrlForBackend, httpsUpgradeCandidate, probeBackend, STREAM_ACCEPT, streamKindFor,
+  readSseStream, readNdjsonStream, isRetryableError, retryAfterMs
+} = require('../backend.js');
+const { startMockServer } = require('./helpers.js');
+
+let mock;
+before(async () => { mock = await startMockServer(); });
+after(() => mock.stop());
+beforeEach(() => mock.reset());
+
+function chat(body, { accept = STREAM_ACCEPT, query = '' } = {}) {
+  return fetch(mock.chatUrl + query, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: accept },
+    body: JSON.stringify(body)
+  });
+}
+
+test('endpoint URLs sit next to the chat endpoint', () => {
+  assert.equal(healthUrlForBackend('http://10.0.0.2:5001/api/chat?x=1'), 'http://10.0.0.2:5001/health');
+  assert.equal(uploadUrlForBackend('https://ultron.example/v1/chat'), 'https://ultron.example/upload');
+});
+
+test('an https page upgrades an http backend and leaves everything else alone', () => {
+  assert.equal(httpsUpgradeCandidate('https:', 'http://192.168.0.105:5001/api/chat'), 'https://192.168.0.105:5001/api/chat');
+  assert.equal(httpsUpgradeCandidate('https:', 'https://192.168.0.105:5001/api/chat'), null);
+  assert.equal(httpsUpgradeCandidate('http:', 'http://127.0.0.1:5001/api/chat'), null);
+});
+
+test('probeBackend reports health, latency and the /health body', async () => {
+  const probe = await probeBackend(mock.chatUrl, 2000);
+  assert.equal(probe.ok, true);
+  assert.equal(probe.status, 200);
+  assert.equal(probe.json.model, 'mock-1');
+  assert.ok(probe.latencyMs >= 0);
+});
+
+test('probeBackend reports a failing /health and a timeout', async () => {
+  await mock.script({ health: 503 });
+  const down = await probeBackend(mock.chatUrl, 2000);
+  assert.equal(down.ok, false);
+  assert.equal(down.status, 503);
+
+  await mock.script({ health: 200, latency: 500 });
+  const slow = await probeBackend(mock.chatUrl, 100);
+  assert.deepEqual(slow, { ok: false, error: 'timeout' });
+});
+
+test('probeBackend reports a backend that is not there', async () => {
+  const probe = await probeBackend('http://127.0.0.1:9/api/chat', 2000);
+  assert.equal(probe.ok, false);
+  assert.ok(probe.error);
+});
+
+test('an SSE reply streams in deltas and keeps resume_url', async () => {
+  const res = await chat({ message: 'send me your resume' });
+  assert.equal(streamKindFor(res), 'sse');
+  const seen = [];
+  const result = await readSseStream(res, text => seen.push(text));
+  assert.match(result.reply, /^You said: "send me your resume"\./);
+  assert.equal(result.resume_url, '/files/resume.pdf');
+  assert.ok(seen.length > 1, 'the reply arrives in more than one piece');
+  assert.equal(seen[seen.length - 1], result.reply);
+});
+
+test('an NDJSON reply streams the same way', async () => {
+  await mock.script({ next: [{ stream: 'ndjson', reply: 'one two three' }] });
+  const res = await chat({ message: 'hi' });
+  assert.equal(streamKindFor(res), 'ndjson');
+  const result = await readNdjsonStream(res, () => {});
+  assert.equal(result.reply, 'one two three');
+});
+
+test('a client that only accepts JSON gets a single reply object', async () => {
+  const res = await chat({ message: 'hello' }, { accept: 'application/json' });
+  assert.equal(streamKindFor(res), 'json');
+  const body = await res.json();
+  assert.match(body.reply, /hello/);
+});
+
+test('429 with Retry-After and 5xx are retryable, 401 is not', async () => {
+  await mock.script({ next: [{ status: 429, retryAfter: 2 }, { status: 503 }, { status: 401 }] });
+  const limited = await chat({ message: 'a' });
+  assert.equal(limited.status, 429);
+  assert.equal(retryAfterMs(limited.headers.get('retry-after')), 2000);
+  assert.equal(isRetryableError(Object.assign(new Error('busy'), { status: 429 })), true);
+
+  const unavailable = await chat({ message: 'b' });
+  assert.equal(unavailable.status, 503);
+  assert.equal(isRetryableError(Object.assign(new Error('down'), { status: 503 })), true);
+
+  const denied = await chat({ message: 'c' });
+  assert.equal(denied.status, 401);
+  assert.equal(isRetryableError(Object.assign(new Error('denied'), { status: 401 })), false);
+});
+
+test('a stream cut off midway ends without the rest of the reply', async () => {
+  await mock.script({ next: [{ reply: 'one two three four', cut: 2 }] });
+  const res = await chat({ message: 'hi' });
+  const seen = [];
+  await assert.rejects(readSseStream(res, text => seen.push(text)));
+  assert.equal(seen[seen.length - 1], 'one two ');
+});
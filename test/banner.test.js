@@ -0,0 +1,97 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const {
+  BANNER_ID, createStatusBanner, upgradedMessage, upgradeFailedMessage, mixedContentMessage, unreachableMessage,
+  retryingMessage, tryAutoUpgrade
+} = require('../banner.js');
+const { translate } = require('../i18n.js');
+const { startMockServer } = require('./helpers.js');
+
+const t = (text, vars) => translate('en', text, vars);
+
+function newBanner() {
+  const { document } = new JSDOM('<!doctype html><body></body>').window;
+  return { document, banner: createStatusBanner(document) };
+}
+
+let mock;
+before(async () => { mock = await startMockServer(); });
+after(() => mock.stop());
+
+test('the banner is created on first use and shows and hides messages', () => {
+  const { document, banner } = newBanner();
+  assert.equal(document.getElementById(BANNER_ID), null);
+  assert.equal(banner.isShown(), false);
+  banner.show('<strong>Hello</strong>');
+  const el = document.getElementById(BANNER_ID);
+  assert.equal(el.innerHTML, '<strong>Hello</strong>');
+  assert.equal(banner.isShown(), true);
+  banner.hide();
+  assert.equal(el.hidden, true);
+});
+
+test('a timed message hides itself, unless another message replaced it', async () => {
+  const { banner } = newBanner();
+  banner.show('short', 30);
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(banner.isShown(), false);
+
+  banner.show('short', 30);
+  banner.show('stays');
+  await new Promise(resolve => setTimeout(resolve, 60));
+  assert.equal(banner.isShown(), true);
+});
+
+test('connection messages link the backend\'s /health and escape what they quote', () => {
+  const url = 'http://10.0.0.2:5001/api/chat';
+  assert.match(upgradeFailedMessage(t, url), /href="http:\/\/10\.0\.0\.2:5001\/health"/);
+  assert.match(mixedContentMessage(t, url), /Mixed-content detected/);
+  const unreachable = unreachableMessage(t, { ok: false, error: '<img src=x onerror=alert(1)>' }, url);
+  assert.match(unreachable, /&lt;img src=x onerror=alert\(1\)&gt;/);
+  assert.match(unreachable, /<code>http:\/\/10\.0\.0\.2:5001\/health<\/code>/);
+  assert.match(retryingMessage(t, { ok: false, status: 503 }), /status 503\. Retrying automatically/);
+});
+
+test('messages come out in the page language', () => {
+  const es = (text, vars) => translate('es', text, vars);
+  assert.equal(upgradedMessage(es), 'Conectado: el backend se ha cambiado a <code>https://</code>.');
+});
+
+test('an http page or an https backend needs no upgrade', async () => {
+  const { banner } = newBanner();
+  const probe = () => assert.fail('nothing to probe');
+  assert.equal(await tryAutoUpgrade({ pageProtocol: 'http:', backendUrl: 'http://127.0.0.1:5001/api/chat', banner, t, probe }), true);
+  assert.equal(await tryAutoUpgrade({ pageProtocol: 'https:', backendUrl: 'https://ultron.example/api/chat', banner, t, probe }), true);
+  assert.equal(banner.isShown(), false);
+});
+
+test('an https page switches an http backend to https when that answers', async () => {
+  const { document, banner } = newBanner();
+  const probed = [];
+  let upgradedTo = null;
+  const ok = await tryAutoUpgrade({
+    pageProtocol: 'https:',
+    backendUrl: 'http://ultron.example:5001/api/chat',
+    banner,
+    t,
+    probe: async (url) => { probed.push(url); return { ok: true, status: 200 }; },
+    onUpgrade: (url) => { upgradedTo = url; }
+  });
+  assert.equal(ok, true);
+  assert.deepEqual(probed, ['https://ultron.example:5001/api/chat']);
+  assert.equal(upgradedTo, 'https://ultron.example:5001/api/chat');
+  assert.match(document.getElementById(BANNER_ID).innerHTML, /upgraded backend to <code>https:\/\/<\/code>/);
+});
+
+test('an https page explains mixed content when the backend only speaks http', async () => {
+  const { document, banner } = newBanner();
+  let upgraded = false;
+  // the mock server is plain http, so its https:// twin fails for real
+  const ok = await tryAutoUpgrade({ pageProtocol: 'https:', backendUrl: mock.chatUrl, banner, t, onUpgrade: () => { upgraded = true; } });
+  assert.equal(ok, false);
+  assert.equal(upgraded, false);
+  const html = document.getElementById(BANNER_ID).innerHTML;
+  assert.match(html, /Backend unreachable from this HTTPS page/);
+  assert.ok(html.includes(`href="${mock.origin}/health"`));
+});
@@ -0,0 +1,90 @@
+/* shared setup for the test suite: mock-server.js on a free port and index.html loaded in jsdom */
+
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// start mock-server.js (extra CLI args such as ['--key', 'K']); resolves once it listens
+function startMockServer(args = []) {
+  const child = spawn(process.execPath, [path.join(ROOT, 'mock-server.js'), '--port', '0', '--latency', '0', ...args], {
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  return new Promise((resolve, reject) => {
+    let out = '';
+    child.once('error', reject);
+    child.once('exit', code => reject(new Error(`mock-server.js exited (${code}) before listening`)));
+    child.stdout.on('data', chunk => {
+      out += chunk;
+      const m = out.match(/on (http:\/\/[^/\s]+)\/api\/chat/);
+      if (!m) return;
+      child.removeAllListeners('exit');
+      child.stdout.removeAllListeners('data');
+      child.stdout.resume();
+      const origin = m[1];
+      resolve({
+        origin,
+        chatUrl: `${origin}/api/chat`,
+        // POST /__mock: queue scripted replies ({ next: [...] }), set /health status or latency
+        script: (body) => fetch(`${origin}/__mock`, { method: 'POST', body: JSON.stringify(body) }).then(r => r.json()),
+        reset: () => fetch(`${origin}/__mock`, { method: 'DELETE' }).then(r => r.json()),
+        stop: () => new Promise(done => {
+          child.once('exit', done);
+          child.kill();
+        })
+      });
+    });
+  });
+}
+
+// the page's <script src> files, in order
+function pageScripts() {
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  return [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(m => m[1]);
+}
+
+// index.html with its scripts running in jsdom. `url` is the page address (its query string is what
+// the app reads), `storage` seeds localStorage. Network requests go through Node's fetch, so point the
+// app at a mock server. jsdom has no canvas: the orb draws into a context that ignores everything.
+function loadPage({ url = 'http://localhost:8080/index.html', storage = {} } = {}) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', e => errors.push(e));
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8').replace(/<script src="[^"]+"><\/script>/g, '');
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  const w = dom.window;
+
+  const noop = () => {};
+  const context = new Proxy({}, {
+    get: (target, key) => (key in target ? target[key] : key.startsWith('create') ? () => ({ addColorStop: noop }) : noop),
+    set: (target, key, value) => ((target[key] = value), true)
+  });
+  w.HTMLCanvasElement.prototype.getContext = () => context;
+  w.matchMedia = () => ({ matches: false, addEventListener: noop, removeEventListener: noop, addListener: noop, removeListener: noop });
+  // Node's fetch only takes its own AbortSignal
+  w.fetch = (...args) => fetch(...args);
+  w.AbortController = AbortController;
+  w.DOMException = DOMException;
+  for (const name of ['TextDecoder', 'TextEncoder', 'ReadableStream']) w[name] = globalThis[name];
+  for (const [key, value] of Object.entries(storage)) w.localStorage.setItem(key, JSON.stringify(value));
+
+  // one script, so top-level const/let are shared between the files like separate <script> tags
+  const source = pageScripts().map(file => fs.readFileSync(path.join(ROOT, file), 'utf8')).join('\n;\n');
+  w.eval(source + '\n//# sourceURL=page.js');
+  return { window: w, document: w.document, errors, close: () => w.close() };
+}
+
+// poll `check` until it returns something truthy
+async function waitFor(check, { timeout = 4000, interval = 20 } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const value = check();
+    if (value) return value;
+    if (Date.now() - started > timeout) throw new Error(`timed out waiting for ${check}`);
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+}
+
+module.exports = { ROOT, startMockServer, loadPage, waitFor };
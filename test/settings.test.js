@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const {
+  SETTINGS_VERSION, coerceSetting, settingsFromQuery, createPrefStore, exportSettings, readSettingsExport,
+  normalizeProfile, profilesFromStorage, splitProfileKeys, cleanProfileDraft
+} = require('../settings.js');
+const { startMockServer, loadPage, waitFor } = require('./helpers.js');
+
+const SCHEMA = {
+  'voice.ttsRate': { key: 'ULTRON_TTS_RATE', type: 'number', min: 0.5, max: 2, default: 1, param: 'ttsRate' },
+  'voice.ttsEnabled': { key: 'ULTRON_TTS_ENABLED', type: 'boolean', default: true, param: 'tts' },
+  'voice.inputMode': { key: 'ULTRON_VOICE_MODE', type: 'enum', values: ['toggle', 'push'], default: 'toggle', param: 'voiceMode' },
+  'backend.apiKeys': { key: 'ULTRON_PROFILE_KEYS', type: 'object', default: () => ({}), secret: true },
+  'diagnostics.endpoint': { key: 'ULTRON_DIAGNOSTICS_ENDPOINT', type: 'string', default: '', noImport: true }
+};
+
+function freshStorage() {
+  return new JSDOM('', { url: 'http://localhost/' }).window.localStorage;
+}
+
+test('values are validated and clamped per type', () => {
+  assert.equal(coerceSetting(SCHEMA['voice.ttsRate'], '5'), 2);
+  assert.equal(coerceSetting(SCHEMA['voice.ttsRate'], 'fast'), undefined);
+  assert.equal(coerceSetting(SCHEMA['voice.ttsEnabled'], 'off'), false);
+  assert.equal(coerceSetting(SCHEMA['voice.inputMode'], 'shout'), undefined);
+  assert.equal(coerceSetting(SCHEMA['backend.apiKeys'], []), undefined);
+});
+
+test('saved settings load back; a link value wins until the setting is saved', () => {
+  const storage = freshStorage();
+  const overrides = settingsFromQuery(SCHEMA, { ttsRate: '1.5', voiceMode: 'bogus' });
+  assert.deepEqual([...overrides], [['ULTRON_TTS_RATE', 1.5]]);
+
+  const prefs = createPrefStore({ storage, overrides });
+  assert.equal(prefs.load('ULTRON_VOICE_MODE', 'toggle'), 'toggle');
+  prefs.save('ULTRON_VOICE_MODE', 'push');
+  assert.equal(prefs.load('ULTRON_VOICE_MODE', 'toggle'), 'push');
+
+  storage.setItem('ULTRON_TTS_RATE', '0.8');
+  assert.equal(prefs.load('ULTRON_TTS_RATE', 1), 1.5);
+  prefs.save('ULTRON_TTS_RATE', 0.9);
+  assert.equal(prefs.load('ULTRON_TTS_RATE', 1), 0.9);
+  assert.equal(storage.getItem('ULTRON_TTS_RATE'), '0.9');
+});
+
+test('a namespace keeps an embed\'s settings apart, and reset removes a setting', () => {
+  const storage = freshStorage();
+  const standalone = createPrefStore({ storage });
+  const embed = createPrefStore({ storage, namespace: 'shop' });
+  standalone.save('ULTRON_THEME', 'dark');
+  embed.save('ULTRON_THEME', 'light');
+  assert.equal(storage.getItem('shop:ULTRON_THEME'), '"light"');
+  assert.equal(standalone.load('ULTRON_THEME', 'auto'), 'dark');
+
+  embed.remove('ULTRON_THEME');
+  assert.equal(embed.load('ULTRON_THEME', 'auto'), 'auto');
+  assert.equal(standalone.load('ULTRON_THEME', 'auto'), 'dark');
+});
+
+test('an export leaves secrets out unless asked and reads back validated', () => {
+  const values = { ULTRON_TTS_RATE: 1.25, ULTRON_TTS_ENABLED: false, ULTRON_VOICE_MODE: 'push', ULTRON_PROFILE_KEYS: { a: 'K' }, ULTRON_DIAGNOSTICS_ENDPOINT: '' };
+  const read = entry => values[entry.key];
+  const plain = exportSettings(SCHEMA, read);
+  assert.equal(plain.format, 'ultron-settings');
+  assert.equal(plain.version, SETTINGS_VERSION);
+  assert.deepEqual(plain.settings, { voice: { ttsRate: 1.25, ttsEnabled: false, inputMode: 'push' }, diagnostics: { endpoint: '' } });
+  assert.deepEqual(exportSettings(SCHEMA, read, { includeSecrets: true }).settings.backend, { apiKeys: { a: 'K' } });
+
+  plain.settings.voice.inputMode = 'shout';
+  plain.settings.diagnostics.endpoint = 'javascript:alert(1)';
+  const restored = readSettingsExport(SCHEMA, plain);
+  assert.deepEqual(restored.map(v => [v.path, v.value]), [['voice.ttsRate', 1.25], ['voice.ttsEnabled', false]]);
+
+  assert.throws(() => readSettingsExport(SCHEMA, { format: 'other' }), /not an Ultron settings file/);
+  assert.throws(() => readSettingsExport(SCHEMA, { ...plain, version: SETTINGS_VERSION + 1 }), /newer than this client supports/);
+});
+
+test('profiles save without their keys and come back with them', () => {
+  const fallback = { id: 'default', name: 'Default', url: 'http://127.0.0.1:5001/api/chat', apiKey: 'BUILTIN', auth: 'bearer' };
+  const draft = [
+    { id: 'lan', name: ' LAN box ', url: ' http://192.168.0.10:5001/api/chat ', apiKey: ' K1 ', auth: 'token' },
+    { id: 'empty', name: 'Nothing', url: '  ', apiKey: '' },
+    { id: 'cloud', name: '', url: 'https://ultron.example/api/chat', apiKey: '', auth: 'bearer' }
+  ];
+  const cleaned = cleanProfileDraft(draft, fallback);
+  assert.deepEqual(cleaned.map(p => [p.name, p.url, p.apiKey]), [
+    ['LAN box', 'http://192.168.0.10:5001/api/chat', 'K1'],
+    ['Backend 2', 'https://ultron.example/api/chat', '']
+  ]);
+  assert.deepEqual(cleanProfileDraft([{ id: 'x', name: 'x', url: '', apiKey: '' }], fallback), [fallback]);
+
+  const link = { id: 'link', name: 'From link', url: 'https://elsewhere.example/api/chat', apiKey: 'L', transient: true };
+  const { profiles, keys } = splitProfileKeys([link, ...cleaned]);
+  assert.deepEqual(keys, { lan: 'K1' });
+  assert.ok(profiles.every(p => !('apiKey' in p) && p.id !== 'link'));
+
+  const loaded = profilesFromStorage(profiles, keys, { fallback });
+  assert.deepEqual(loaded.map(p => [p.id, p.apiKey, p.auth]), [['lan', 'K1', 'token'], ['cloud', '', 'bearer']]);
+  assert.deepEqual(profilesFromStorage(null, {}, { fallback }), [fallback]);
+  assert.equal(profilesFromStorage([{ id: 'default', url: 'http://x/api/chat' }], {}, { fallback, defaultKey: 'BUILTIN' })[0].apiKey, 'BUILTIN');
+});
+
+test('the settings panel saves edited profiles and Reset goes back to the default backend', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.stop());
+  const page = loadPage();
+  t.after(() => page.close());
+  const { document, window } = page;
+
+  document.querySelector('.settings-gear').click();
+  const panel = document.getElementById('ultron-settings-panel');
+  assert.equal(panel.hidden, false);
+  const urlInput = () => [...panel.querySelectorAll('.settings-profiles input')].find(i => /\/api\/chat$/.test(i.value));
+  const url = urlInput();
+  url.value = mock.chatUrl;
+  url.dispatchEvent(new window.Event('input', { bubbles: true }));
+  const button = (label) => [...panel.querySelectorAll('button')].find(b => b.textContent.startsWith(label));
+
+  button('Save').click();
+  await waitFor(() => button('Saved'));
+  assert.equal(button('Saved').textContent, 'Saved ✓');
+  const saved = JSON.parse(window.localStorage.getItem('ULTRON_PROFILES'));
+  assert.equal(saved[0].url, mock.chatUrl);
+  assert.ok(!('apiKey' in saved[0]), 'keys are stored apart from the profiles');
+
+  button('Reset').click();
+  await waitFor(() => button('Reset ✓') || button('Reset (unreachable)'));
+  assert.equal(window.localStorage.getItem('ULTRON_PROFILES'), null);
+  assert.equal(urlInput().value, 'http://127.0.0.1:5001/api/chat');
+});
+
+test('profiles from a settings file are reduced to well-typed saved fields', () => {
+  assert.deepEqual(normalizeProfile({ id: 'lan', url: ' http://10.0.0.2:5001/api/chat ', auth: 'magic', apiKey: 'K', extra: 1 }, 1), {
+    id: 'lan', name: 'Backend 2', url: 'http://10.0.0.2:5001/api/chat', auth: 'bearer'
+  });
+  assert.equal(normalizeProfile({ id: 7, name: 'Seven', url: 'https://x.example/api/chat', auth: 'token' }).id, '7');
+  assert.equal(normalizeProfile({ id: 'a', url: { href: 'http://x' } }), null);
+  assert.equal(normalizeProfile({ url: 'http://x/api/chat' }), null);
+  assert.equal(normalizeProfile('http://x/api/chat'), null);
+
+  const fallback = { id: 'default', name: 'Default', url: 'http://127.0.0.1:5001/api/chat', apiKey: '' };
+  assert.deepEqual(cleanProfileDraft([{ id: 'a', url: 'http://a/api/chat' }], fallback).map(p => [p.name, p.apiKey]), [['Backend 1', '']]);
+});
+
+test('Save still works with profiles that have no name', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.stop());
+  // saved by an import before profiles were normalized
+  const page = loadPage({ storage: { ULTRON_PROFILES: [{ id: 'bare', url: mock.chatUrl }] } });
+  t.after(() => page.close());
+  const { document, window } = page;
+
+  const applied = window.importSettings({
+    format: 'ultron-settings',
+    version: SETTINGS_VERSION,
+    settings: { backend: { profiles: [{ id: 'lan', url: mock.chatUrl }, { id: 'broken', url: 42 }, { name: 'no id', url: mock.chatUrl }] } }
+  });
+  assert.equal(applied, 1);
+  assert.deepEqual(JSON.parse(window.localStorage.getItem('ULTRON_PROFILES')), [
+    { id: 'lan', name: 'Backend 1', url: mock.chatUrl, auth: 'bearer' }
+  ]);
+
+  document.querySelector('.settings-gear').click();
+  const panel = document.getElementById('ultron-settings-panel');
+  const button = (label) => [...panel.querySelectorAll('button')].find(b => b.textContent.startsWith(label));
+  button('Save').click();
+  await waitFor(() => button('Saved'));
+  const saved = JSON.parse(window.localStorage.getItem('ULTRON_PROFILES'));
+  assert.deepEqual(saved.map(p => [p.id, p.name]), [['bare', 'Backend 1']]);
+  assert.deepEqual(page.errors, []);
+});
+
+test('a settings file cannot turn diagnostics uploads on or move them', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.stop());
+  const page = loadPage({ url: `http://localhost:8080/index.html?backend=${encodeURIComponent(mock.chatUrl)}` });
+  t.after(() => page.close());
+  const { window } = page;
+
+  const applied = window.importSettings({
+    format: 'ultron-settings',
+    version: SETTINGS_VERSION,
+    settings: { voice: { ttsRate: 1.5 }, diagnostics: { enabled: true, endpoint: 'https://collector.example/logs' } }
+  });
+  assert.equal(applied, 1);
+  assert.equal(window.localStorage.getItem('ULTRON_TTS_RATE'), '1.5');
+  assert.equal(window.localStorage.getItem('ULTRON_DIAGNOSTICS'), null);
+  assert.equal(window.localStorage.getItem('ULTRON_DIAGNOSTICS_ENDPOINT'), null);
+});
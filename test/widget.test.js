@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { JSDOM } = require('jsdom');
+const { ROOT, startMockServer, loadPage } = require('./helpers.js');
+
+// a host page with ultron-widget.js loaded; the iframe stays empty (jsdom loads no subresources), so
+// the tests answer for it with message events from its window
+function hostPage() {
+  const dom = new JSDOM('<!doctype html><body><div id="assistant"></div></body>', {
+    url: 'https://shop.example/', runScripts: 'outside-only'
+  });
+  dom.window.eval(fs.readFileSync(path.join(ROOT, 'ultron-widget.js'), 'utf8'));
+  return dom.window;
+}
+
+function fromWidget(w, widget, data) {
+  const frame = widget.element;
+  w.dispatchEvent(new w.MessageEvent('message', {
+    data: { source: 'ultron-widget', instance: widget.id, ...data },
+    origin: new URL(frame.src).origin,
+    source: frame.contentWindow
+  }));
+}
+
+test('send() rejects empty text without posting it', async (t) => {
+  const w = hostPage();
+  t.after(() => w.close());
+  const widget = w.Ultron.mount('#assistant', { src: 'https://shop.example/ultron/index.html' });
+  t.after(() => widget.destroy());
+  await assert.rejects(widget.send('   '), /empty/);
+  await assert.rejects(widget.send(), /empty/);
+});
+
+test('a send the widget drops rejects instead of waiting for a reply', async (t) => {
+  const w = hostPage();
+  t.after(() => w.close());
+  const widget = w.Ultron.mount('#assistant', { src: 'https://shop.example/ultron/index.html' });
+  t.after(() => widget.destroy());
+  const posted = [];
+  widget.element.contentWindow.postMessage = (data) => posted.push(data);
+  fromWidget(w, widget, { type: 'ready' });
+
+  const sent = widget.send('hello');
+  assert.deepEqual(posted.map(m => m.type), ['init', 'send']);
+  fromWidget(w, widget, { type: 'rejected', requestId: posted[1].requestId, error: 'empty message' });
+  await assert.rejects(sent, /rejected the message: empty message/);
+});
+
+test('sends fail once the widget is overdue with "ready"', async (t) => {
+  const w = hostPage();
+  t.after(() => w.close());
+  // an origin that isn't allowed gets no "ready" from the iframe at all
+  const widget = w.Ultron.mount('#assistant', { src: 'https://ultron.example/index.html', readyTimeout: 50 });
+  t.after(() => widget.destroy());
+  const queued = widget.send('hello');
+  await assert.rejects(queued, /did not become ready/);
+  await assert.rejects(widget.send('again'), /did not become ready/);
+});
+
+test('the embed allowlist comes from index.html\'s meta tag', async (t) => {
+  const mock = await startMockServer();
+  t.after(() => mock.stop());
+  const page = loadPage({ url: `http://localhost:8080/index.html?backend=${encodeURIComponent(mock.chatUrl)}` });
+  t.after(() => page.close());
+  const { window, document } = page;
+
+  assert.deepEqual(JSON.parse(JSON.stringify(window.embedAllowedOrigins())), []);
+  document.querySelector('meta[name="ultron-embed-origins"]').content =
+    'https://shop.example/ultron/, https://intranet.example:8443  javascript:alert(1) not-a-url';
+  assert.deepEqual(JSON.parse(JSON.stringify(window.embedAllowedOrigins())), ['https://shop.example', 'https://intranet.example:8443']);
+});
@@ -0,0 +1,197 @@
+/* ultron-widget.js — drop Ultron into any page
+   - Each mount() creates an iframe running index.html in embed mode, so the orb canvas, chat and
+     settings panel are fully scoped to that instance (and nothing but `window.Ultron` is global).
+   - Instances keep separate settings and saved conversations (namespaced by `id`), apart from the
+     standalone app's, and use no API key but the one passed to mount().
+   - Only pages on index.html's own origin or listed in its <meta name="ultron-embed-origins"> can drive
+     an instance. That list is deploy-time config served with index.html, space-separated origins:
+       <meta name="ultron-embed-origins" content="https://shop.example https://intranet.example">
+     Elsewhere the iframe still shows but never says "ready", events stay silent and send()
+     rejects once `readyTimeout` has passed.
+
+   Usage:
+     <script src="https://your-host/ultron/ultron-widget.js"></script>
+     const ultron = Ultron.mount(document.getElementById('assistant'), {
+       backend: 'https://192.168.0.105:5001/api/chat',
+       apiKey: 'ULTRON_CLIENT_KEY_ABC',   // handed over by postMessage, never put in the iframe URL
+       height: '560px'
+     });
+     ultron.on('thinking', ({ thinking }) => ...);
+     ultron.on('reply', ({ message, reply, attachments, error }) => ...);
+     ultron.send('Hello').then(({ reply }) => ...).catch(err => ...);   // empty text, dropped, never ready
+     ultron.destroy();
+
+   Options:
+     id       stable instance id; also the storage namespace (default: element id or "ultron-<n>")
+     src      URL of index.html (default: next to this script)
+     backend, auth, apiKey
+     width, height, title
+     readyTimeout  ms to wait for the iframe's "ready" before pending and later sends reject (default 15000)
+     plus any shareable setting: locale, theme, particles, audioReactive, audioIntensity, reducedMotion, voiceLang,
+     voiceMode, wakePhrase, vadSilence, vadSensitivity, handsFreeTimeout, tts, ttsRate, ttsPitch, historyTurns,
+     historyTokens, timeout, retries
+*/
+
+(function () {
+  const loaderSrc = document.currentScript && document.currentScript.src;
+  const SETTING_PARAMS = ['auth', 'locale', 'theme', 'particles', 'audioReactive', 'audioIntensity', 'reducedMotion', 'voiceLang',
+    'voiceMode', 'wakePhrase', 'vadSilence', 'vadSensitivity', 'handsFreeTimeout', 'tts', 'ttsRate', 'ttsPitch',
+    'historyTurns', 'historyTokens', 'timeout', 'retries'];
+  const EVENTS = ['ready', 'thinking', 'reply'];
+  const READY_TIMEOUT_MS = 15000;
+  const instances = new Map();
+  let counter = 0;
+
+  function frameUrl(id, options) {
+    const url = new URL(options.src || 'index.html', loaderSrc || window.location.href);
+    url.searchParams.set('embed', '1');
+    url.searchParams.set('instance', id);
+    url.searchParams.set('ns', id);
+    url.searchParams.set('host', window.location.origin);
+    if (options.backend) url.searchParams.set('backend', options.backend);
+    for (const name of SETTING_PARAMS) {
+      if (options[name] !== undefined && options[name] !== null) url.searchParams.set(name, String(options[name]));
+    }
+    return url;
+  }
+
+  function mount(el, options = {}) {
+    if (typeof el === 'string') el = document.querySelector(el);
+    if (!el) throw new Error('Ultron.mount: target element not found');
+
+    let id = String(options.id || el.id || `ultron-${++counter}`).replace(/[^\w-]/g, '');
+    while (instances.has(id)) id = `${id}-${++counter}`;
+
+    const url = frameUrl(id, options);
+    const frameOrigin = url.origin;
+    const frame = document.createElement('iframe');
+    frame.src = url.toString();
+    frame.title = options.title || 'Ultron assistant';
+    frame.allow = 'microphone; clipboard-write; autoplay';
+    frame.style.border = '0';
+    frame.style.display = 'block';
+    frame.style.width = options.width || '100%';
+    frame.style.height = options.height || '600px';
+    el.appendChild(frame);
+
+    const handlers = Object.fromEntries(EVENTS.map(type => [type, new Set()]));
+    let ready = false;
+    let destroyed = false;
+    let requestSeq = 0;
+    const outgoing = [];          // messages posted before the iframe said "ready"
+    const accepted = new Map();   // requestId -> { resolve, reject } until the widget assigns a turn id
+    const replies = new Map();    // turnId -> { resolve, reject } until its reply arrives
+    let unavailable = null;       // the error sends fail with once "ready" is overdue
+
+    // the iframe never says "ready" when this page's origin isn't allowed (or index.html failed to load):
+    // fail what is waiting instead of queueing it forever
+    const readyTimer = setTimeout(() => {
+      unavailable = new Error('Ultron widget did not become ready (is this page\'s origin allowed to embed it?)');
+      outgoing.length = 0;
+      for (const waiting of accepted.values()) waiting.reject(unavailable);
+      accepted.clear();
+    }, options.readyTimeout || READY_TIMEOUT_MS);
+
+    function post(message) {
+      const data = { source: 'ultron-host', instance: id, ...message };
+      if (!ready) {
+        outgoing.push(data);
+        return;
+      }
+      frame.contentWindow.postMessage(data, frameOrigin);
+    }
+
+    function emit(type, detail) {
+      for (const fn of handlers[type]) {
+        try {
+          fn(detail);
+        } catch (e) {
+          console.error(`Ultron "${type}" handler failed:`, e);
+        }
+      }
+    }
+
+    function onMessage(e) {
+      if (e.source !== frame.contentWindow || e.origin !== frameOrigin) return;
+      const { source, instance, type, ...detail } = e.data || {};
+      if (source !== 'ultron-widget' || instance !== id) return;
+
+      if (type === 'ready') {
+        ready = true;
+        unavailable = null;
+        clearTimeout(readyTimer);
+        frame.contentWindow.postMessage({ source: 'ultron-host', instance: id, type: 'init', apiKey: options.apiKey || '' }, frameOrigin);
+        outgoing.splice(0).forEach(data => frame.contentWindow.postMessage(data, frameOrigin));
+        emit('ready', {});
+      } else if (type === 'accepted') {
+        const waiting = accepted.get(detail.requestId);
+        accepted.delete(detail.requestId);
+        if (waiting) replies.set(detail.turnId, waiting);
+      } else if (type === 'rejected') {
+        const waiting = accepted.get(detail.requestId);
+        accepted.delete(detail.requestId);
+        if (waiting) waiting.reject(new Error(`Ultron widget rejected the message: ${detail.error}`));
+      } else if (type === 'thinking') {
+        emit('thinking', { thinking: !!detail.thinking });
+      } else if (type === 'reply') {
+        emit('reply', detail);
+        const waiting = replies.get(detail.turnId);
+        replies.delete(detail.turnId);
+        if (waiting) waiting.resolve(detail);
+      }
+    }
+    window.addEventListener('message', onMessage);
+
+    const instance = {
+      id,
+      element: frame,
+
+      // send `text` as the user; resolves with the reply event for it
+      send(text) {
+        if (destroyed) return Promise.reject(new Error('Ultron instance was destroyed'));
+        if (unavailable) return Promise.reject(unavailable);
+        if (!String(text ?? '').trim()) return Promise.reject(new Error('Ultron.send: text is empty'));
+        const requestId = ++requestSeq;
+        return new Promise((resolve, reject) => {
+          accepted.set(requestId, { resolve, reject });
+          post({ type: 'send', requestId, text: String(text) });
+        });
+      },
+
+      // subscribe to 'ready' | 'thinking' | 'reply'; returns an unsubscribe function
+      on(type, fn) {
+        if (!handlers[type]) throw new Error(`Ultron: unknown event "${type}"`);
+        handlers[type].add(fn);
+        return () => handlers[type].delete(fn);
+      },
+
+      off(type, fn) {
+        if (handlers[type]) handlers[type].delete(fn);
+      },
+
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        clearTimeout(readyTimer);
+        window.removeEventListener('message', onMessage);
+        const gone = new Error('Ultron instance was destroyed');
+        for (const waiting of [...accepted.values(), ...replies.values()]) waiting.reject(gone);
+        accepted.clear();
+        replies.clear();
+        EVENTS.forEach(type => handlers[type].clear());
+        frame.remove();
+        instances.delete(id);
+      }
+    };
+    instances.set(id, instance);
+    return instance;
+  }
+
+  window.Ultron = {
+    mount,
+    // live instances by id
+    get instances() {
+      return [...instances.values()];
+    }
+  };
+})();